@@ -9,7 +9,7 @@
 (function () {
 	'use strict';
 
-	// Content container selectors (try in order)
+	// Content container candidates, scored by findContentContainer (ties keep this order)
 	const CONTENT_SELECTORS = [
 		'.entry-content', // Standard WordPress
 		'.post-content', // Common theme pattern
@@ -24,6 +24,1493 @@
 		'main', // Last resort
 	];
 
+	// Areas that never hold the post body (skipped by content container detection)
+	const NON_CONTENT_SELECTOR = [
+		'nav',
+		'aside',
+		'header',
+		'footer',
+		'form',
+		'[role="navigation"]',
+		'[role="complementary"]',
+		'[role="banner"]',
+		'[role="contentinfo"]',
+		'.comments-area',
+		'.related-posts',
+		'.jp-relatedposts',
+		'.sharedaddy',
+	].join(', ');
+
+	// A nested container holding this share of its parent's paragraph text is preferred
+	const NESTED_CONTAINER_RATIO = 0.8;
+
+	// Maximum nesting depth for condition groups (matches Matcher::MAX_GROUP_DEPTH)
+	const MAX_GROUP_DEPTH = 5;
+
+	// Path segments never followed when reading dataLayer/global values
+	const UNSAFE_PATH_SEGMENTS = ['__proto__', 'prototype', 'constructor'];
+
+	// Storage scopes accepted by ConditionStorage.set()
+	const STORAGE_SCOPES = ['local', 'session', 'cookie'];
+
+	// Default cookie lifetime in seconds when no expiry is given (1 year)
+	const COOKIE_DEFAULT_LIFETIME = 365 * 24 * 60 * 60;
+
+	// Milliseconds per day, for relative date operators
+	const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+	// Reserved storage keys maintained by VisitTracker (matches AutoInsertAdmin::get_builtin_storage_keys())
+	const METRIC_KEYS = {
+		visits: 'cta_hl_visits',
+		pageviews: 'cta_hl_pageviews',
+		sessionPageviews: 'cta_hl_session_pageviews',
+		firstSeen: 'cta_hl_first_seen',
+		lastSeen: 'cta_hl_last_seen',
+		daysSinceLastVisit: 'cta_hl_days_since_last_visit',
+		returning: 'cta_hl_returning',
+		lastActivity: 'cta_hl_last_activity',
+	};
+
+	// Inactivity after which the next pageview starts a new visit (30 minutes)
+	const VISIT_TIMEOUT = 30 * 60 * 1000;
+
+	// Reserved storage key for the reading history kept by InterestTracker
+	const INTEREST_HISTORY_KEY = 'cta_hl_history';
+
+	// Safe-slot rules when ctaAutoInsertConfig doesn't provide them (matches Manager::INSERTION_RULES)
+	const DEFAULT_INSERTION_RULES = {
+		avoidAfter: ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'],
+		avoidBefore: ['figcaption', '.wp-caption-text', '.wp-element-caption'],
+		avoidAdjacent: [
+			'table',
+			'iframe',
+			'blockquote',
+			'.wp-block-table',
+			'.wp-block-embed',
+			'.wp-block-quote',
+		],
+		minDistance: 2,
+	};
+
+	// Content parsing when ctaAutoInsertConfig doesn't provide it (matches Manager::CONTENT_PARSING)
+	const DEFAULT_CONTENT_PARSING = {
+		flatten: true,
+		wrappers: [
+			'.wp-block-group',
+			'.wp-block-group__inner-container',
+			'.wp-block-columns',
+			'.wp-block-column',
+			'.elementor',
+			'.elementor-section-wrap',
+			'.elementor-section',
+			'.elementor-container',
+			'.elementor-column',
+			'.elementor-widget-wrap',
+			'.elementor-widget-text-editor',
+			'.elementor-widget-container',
+			'.et_pb_section',
+			'.et_pb_row',
+			'.et_pb_column',
+			'.et_pb_text',
+			'.et_pb_text_inner',
+		],
+	};
+
+	// Block-level tags content parsing may descend into
+	const WRAPPER_TAGS = ['DIV', 'SECTION', 'ARTICLE', 'MAIN', 'ASIDE'];
+
+	// Interactive structures content parsing never descends into
+	const INTERACTIVE_SELECTOR = '[role], [tabindex], [contenteditable]';
+
+	// Content readiness when ctaAutoInsertConfig doesn't provide it (matches Manager::CONTENT_READINESS)
+	const DEFAULT_READINESS = {
+		settleTime: 100,
+		maxWait: 3000,
+		builders: [
+			{ selector: '.elementor', event: 'elementor/frontend/init' },
+			{ selector: '.et_pb_section', event: 'et_pb_after_init_modules' },
+			{
+				selector: '.fl-builder-content',
+				event: 'fl-builder.layout-rendered',
+			},
+		],
+	};
+
+	// Auto-insert data embedded in article content (Manager::embed_article_data)
+	const ARTICLE_PAYLOAD_SELECTOR = 'script.cta-highlights-auto-insert-data';
+
+	// Navigation library events after which the new page is initialized (same list in cta-highlights.js)
+	const NAVIGATION_EVENTS = [
+		'swup:contentReplaced',
+		'swup:page:view',
+		'turbo:load',
+		'turbolinks:load',
+		'pjax:success',
+	];
+
+	// Events fired before a page is cached for back/forward navigation
+	const NAVIGATION_TEARDOWN_EVENTS = [
+		'turbo:before-cache',
+		'turbolinks:before-cache',
+	];
+
+	// Content readiness watcher of the current page (stopped on teardown)
+	let readyWatcher = null;
+
+	// Re-insertions per CTA when ctaAutoInsertConfig doesn't set maxReinsertions
+	const DEFAULT_MAX_REINSERTIONS = 3;
+
+	// Prefix for the per-CTA impression records kept by ImpressionTracker
+	const IMPRESSION_KEY_PREFIX = 'cta_hl_impressions_';
+
+	// Campaign attribution fields (matches Manager::ATTRIBUTION_FIELDS), stored as cta_hl_<field>
+	const ATTRIBUTION_FIELDS = [
+		'utm_source',
+		'utm_medium',
+		'utm_campaign',
+		'utm_term',
+		'utm_content',
+		'referrer_domain',
+		'landing_page',
+	];
+
+	// Attribution window in days when ctaAutoInsertConfig doesn't provide one
+	const ATTRIBUTION_DEFAULT_WINDOW = 30;
+
+	// Reading history bounds when the page context doesn't provide them
+	const HISTORY_DEFAULT_SIZE = 50;
+	const HISTORY_DEFAULT_DAYS = 90;
+
+	/**
+	 * Condition Storage
+	 * Reads and writes the values that storage conditions compare against.
+	 * Exposed to themes and plugins as window.ctaHighlights.storage.
+	 *
+	 * Values are stored as JSON. Values written with an expiry are wrapped as
+	 * {value, expiryTime} and unwrapped (or purged once expired) on read.
+	 */
+	class ConditionStorage {
+		/**
+		 * Get a value from localStorage, sessionStorage or cookie
+		 * The first store that has the key wins, even with an empty value
+		 *
+		 * @param {string} key Storage key
+		 * @return {*} Value from storage, or null if not found
+		 */
+		get(key) {
+			const stores = [
+				() => localStorage.getItem(key),
+				() => sessionStorage.getItem(key),
+				() => this.getCookie(key),
+			];
+
+			for (let i = 0; i < stores.length; i++) {
+				let raw = null;
+				try {
+					raw = stores[i]();
+				} catch (e) {
+					// Storage not available
+				}
+
+				if (raw !== null) {
+					return this.unwrap(key, this.parse(raw));
+				}
+			}
+
+			return null;
+		}
+
+		/**
+		 * Set a value that storage conditions can read
+		 *
+		 * @param {string}      key             Storage key
+		 * @param {*}           value           Any JSON-serializable value
+		 * @param {Object}      options         Options
+		 * @param {number|Date} options.expires Lifetime in seconds, or expiry date
+		 * @param {string}      options.scope   'local' (default), 'session' or 'cookie'
+		 * @return {boolean} True if the value was stored
+		 */
+		set(key, value, options = {}) {
+			if (!key || typeof key !== 'string' || value === undefined) {
+				this.log('Invalid storage key or value', key);
+				return false;
+			}
+
+			const scope = STORAGE_SCOPES.includes(options.scope)
+				? options.scope
+				: 'local';
+			const expiryTime = this.getExpiryTime(options.expires);
+			const data = JSON.stringify(
+				expiryTime ? { value, expiryTime } : value
+			);
+
+			// Last write wins: clear copies in other scopes that would shadow it
+			this.remove(key);
+
+			if (scope !== 'cookie') {
+				try {
+					(scope === 'session'
+						? sessionStorage
+						: localStorage
+					).setItem(key, data);
+					this.log(`Set ${scope} storage value: ${key}`);
+					return true;
+				} catch (e) {
+					this.log(
+						`${scope} storage not available, falling back to cookies`,
+						e
+					);
+				}
+			}
+
+			try {
+				this.setCookie(key, data, expiryTime, scope === 'session');
+				this.log(`Set cookie value: ${key}`);
+				return true;
+			} catch (e) {
+				this.log('Cookie storage also failed', e);
+				return false;
+			}
+		}
+
+		/**
+		 * Remove a value from every storage scope
+		 *
+		 * @param {string} key Storage key
+		 */
+		remove(key) {
+			[localStorage, sessionStorage].forEach((store) => {
+				try {
+					store.removeItem(key);
+				} catch (e) {
+					// Silent fail - storage might not be available
+				}
+			});
+
+			try {
+				if (this.getCookie(key) !== null) {
+					this.removeCookie(key);
+				}
+			} catch (e) {
+				// Silent fail - cookies might not be available
+			}
+		}
+
+		/**
+		 * Increment a numeric value (missing or non-numeric values start at 0)
+		 *
+		 * @param {string} key     Storage key
+		 * @param {number} by      Amount to add (default 1)
+		 * @param {Object} options Same options as set()
+		 * @return {number|null} New value, or null if it could not be stored
+		 */
+		increment(key, by = 1, options = {}) {
+			const current = Number(this.get(key));
+			const next = (isNaN(current) ? 0 : current) + Number(by);
+
+			return this.set(key, next, options) ? next : null;
+		}
+
+		/**
+		 * Parse a raw stored value as JSON, otherwise return it as a string
+		 *
+		 * @param {string} raw Raw value
+		 * @return {*} Parsed value
+		 */
+		parse(raw) {
+			try {
+				return JSON.parse(raw);
+			} catch (e) {
+				return raw;
+			}
+		}
+
+		/**
+		 * Unwrap a value stored with an expiry, purging it once expired
+		 *
+		 * @param {string} key  Storage key
+		 * @param {*}      data Parsed value
+		 * @return {*} Stored value, or null if expired
+		 */
+		unwrap(key, data) {
+			const isWrapped =
+				data !== null &&
+				typeof data === 'object' &&
+				!Array.isArray(data) &&
+				Object.keys(data).length === 2 &&
+				'value' in data &&
+				typeof data.expiryTime === 'number';
+
+			if (!isWrapped) {
+				return data;
+			}
+
+			if (Date.now() >= data.expiryTime) {
+				this.remove(key);
+				return null;
+			}
+
+			return data.value;
+		}
+
+		/**
+		 * Convert an expires option to a timestamp
+		 *
+		 * @param {number|Date} expires Lifetime in seconds, or expiry date
+		 * @return {number|null} Expiry timestamp in ms, or null for no expiry
+		 */
+		getExpiryTime(expires) {
+			if (expires instanceof Date) {
+				return isNaN(expires.getTime()) ? null : expires.getTime();
+			}
+
+			const seconds = Number(expires);
+			return expires && seconds > 0 ? Date.now() + seconds * 1000 : null;
+		}
+
+		/**
+		 * Set a cookie
+		 *
+		 * @param {string}      name       Cookie name
+		 * @param {string}      value      Cookie value
+		 * @param {number|null} expiryTime Expiry timestamp in ms (null for default)
+		 * @param {boolean}     session    Whether to write a session cookie
+		 */
+		setCookie(name, value, expiryTime, session = false) {
+			let expires = '';
+			if (!session) {
+				const expiryDate = new Date(
+					expiryTime || Date.now() + COOKIE_DEFAULT_LIFETIME * 1000
+				);
+				expires = `expires=${expiryDate.toUTCString()};`;
+			}
+
+			document.cookie = `${name}=${encodeURIComponent(value)};${expires}path=/;SameSite=Lax`;
+		}
+
+		/**
+		 * Get a cookie value
+		 *
+		 * @param {string} name Cookie name
+		 * @return {string|null} Cookie value or null if not found
+		 */
+		getCookie(name) {
+			const nameEQ = `${name}=`;
+			const cookies = document.cookie.split(';');
+
+			for (let i = 0; i < cookies.length; i++) {
+				let cookie = cookies[i];
+				while (cookie.charAt(0) === ' ') {
+					cookie = cookie.substring(1);
+				}
+				if (cookie.indexOf(nameEQ) === 0) {
+					const value = cookie.substring(nameEQ.length);
+					try {
+						return decodeURIComponent(value);
+					} catch (e) {
+						return value;
+					}
+				}
+			}
+			return null;
+		}
+
+		/**
+		 * Remove a cookie
+		 *
+		 * @param {string} name Cookie name
+		 */
+		removeCookie(name) {
+			document.cookie = `${name}=;expires=Thu, 01 Jan 1970 00:00:00 UTC;path=/;`;
+		}
+
+		/**
+		 * Log message if debug enabled
+		 * @param message
+		 * @param error
+		 */
+		log(message, error = null) {
+			if (
+				window.ctaHighlightsConfig &&
+				window.ctaHighlightsConfig.debug
+			) {
+				console.log(`[CTA Auto-Insert] ${message}`, error || '');
+			}
+		}
+	}
+
+	/**
+	 * Visit Tracker
+	 * Maintains built-in visit and pageview metrics as reserved storage keys,
+	 * so conditions such as "3rd pageview of a returning visitor" work without
+	 * custom tracking scripts.
+	 */
+	class VisitTracker {
+		/**
+		 * @param {Object} storage ConditionStorage instance
+		 */
+		constructor(storage) {
+			this.storage = storage;
+		}
+
+		/**
+		 * Record the current pageview
+		 * Should be called once per page load, before conditions are evaluated
+		 */
+		track() {
+			const now = Date.now();
+			const lastActivity = Number(
+				this.storage.get(METRIC_KEYS.lastActivity)
+			);
+
+			if (!lastActivity || now - lastActivity > VISIT_TIMEOUT) {
+				this.startVisit(now, lastActivity);
+			} else {
+				this.storage.increment(METRIC_KEYS.sessionPageviews);
+			}
+
+			this.storage.increment(METRIC_KEYS.pageviews);
+			this.storage.set(METRIC_KEYS.lastActivity, now);
+		}
+
+		/**
+		 * Start a new visit
+		 *
+		 * @param {number} now          Current timestamp
+		 * @param {number} lastActivity Timestamp of the previous pageview (0 if none)
+		 */
+		startVisit(now, lastActivity) {
+			const visits = this.storage.increment(METRIC_KEYS.visits);
+
+			this.storage.set(METRIC_KEYS.sessionPageviews, 1);
+			this.storage.set(METRIC_KEYS.returning, visits > 1);
+
+			if (this.storage.get(METRIC_KEYS.firstSeen) === null) {
+				this.storage.set(
+					METRIC_KEYS.firstSeen,
+					new Date(now).toISOString()
+				);
+			}
+
+			if (lastActivity) {
+				this.storage.set(
+					METRIC_KEYS.lastSeen,
+					new Date(lastActivity).toISOString()
+				);
+				this.storage.set(
+					METRIC_KEYS.daysSinceLastVisit,
+					Math.floor((now - lastActivity) / DAY_IN_MS)
+				);
+			}
+		}
+	}
+
+	/**
+	 * Attribution Tracker
+	 * Captures UTM parameters, the external referrer domain and the landing page
+	 * when a visitor arrives from a campaign or another site, and keeps them for
+	 * the attribution window so later pageviews can target them.
+	 */
+	class AttributionTracker {
+		/**
+		 * @param {Object} storage ConditionStorage instance
+		 * @param {Object} config  Attribution config ({windowDays, modes})
+		 */
+		constructor(storage, config = {}) {
+			this.storage = storage;
+			this.config = config;
+		}
+
+		/**
+		 * Record the current pageview if it is a campaign or referral touch
+		 *
+		 * First-touch fields keep their value until the window expires;
+		 * last-touch fields are replaced (or cleared) by every new touch.
+		 */
+		track() {
+			const touch = this.getTouch();
+			if (!touch) {
+				return;
+			}
+
+			const windowDays =
+				this.config.windowDays > 0
+					? this.config.windowDays
+					: ATTRIBUTION_DEFAULT_WINDOW;
+			const options = { expires: (windowDays * DAY_IN_MS) / 1000 };
+
+			ATTRIBUTION_FIELDS.forEach((field) => {
+				const key = `cta_hl_${field}`;
+				const value = touch[field];
+
+				if (this.getMode(field) === 'last') {
+					if (value) {
+						this.storage.set(key, value, options);
+					} else {
+						this.storage.remove(key);
+					}
+				} else if (value && this.storage.get(key) === null) {
+					this.storage.set(key, value, options);
+				}
+			});
+
+			this.storage.log('Attribution touch recorded', touch);
+		}
+
+		/**
+		 * Get the attribution data for the current pageview
+		 *
+		 * @return {Object|null} Touch fields, or null if the visitor arrived
+		 *                       without UTM parameters or an external referrer
+		 */
+		getTouch() {
+			const touch = {};
+
+			try {
+				const params = new URLSearchParams(window.location.search);
+				ATTRIBUTION_FIELDS.filter((field) =>
+					field.startsWith('utm_')
+				).forEach((field) => {
+					const value = params.get(field);
+					if (value) {
+						touch[field] = value;
+					}
+				});
+			} catch (e) {
+				// URLSearchParams not available
+			}
+
+			const referrerDomain = this.getExternalReferrerDomain();
+			if (referrerDomain) {
+				touch.referrer_domain = referrerDomain;
+			}
+
+			if (Object.keys(touch).length === 0) {
+				return null;
+			}
+
+			touch.landing_page = `${window.location.origin}${window.location.pathname}${window.location.search}`;
+
+			return touch;
+		}
+
+		/**
+		 * Get the referrer's domain if it is another site
+		 *
+		 * @return {string|null} Referrer hostname, or null for direct/internal visits
+		 */
+		getExternalReferrerDomain() {
+			if (!document.referrer) {
+				return null;
+			}
+
+			try {
+				const hostname = new URL(document.referrer).hostname;
+				return hostname && hostname !== window.location.hostname
+					? hostname
+					: null;
+			} catch (e) {
+				return null;
+			}
+		}
+
+		/**
+		 * Get the attribution mode for a field
+		 *
+		 * @param {string} field Attribution field
+		 * @return {string} 'first' or 'last'
+		 */
+		getMode(field) {
+			const modes = this.config.modes || {};
+			return modes[field] === 'last' ? 'last' : 'first';
+		}
+	}
+
+	/**
+	 * Interest Tracker
+	 * Keeps a bounded reading history (post IDs with their category and tag
+	 * slugs) in localStorage only. "interest" conditions count against it.
+	 */
+	class InterestTracker {
+		/**
+		 * @param {Object} storage ConditionStorage instance
+		 */
+		constructor(storage) {
+			this.storage = storage;
+		}
+
+		/**
+		 * Record the current post from the page context JSON, if present
+		 */
+		track() {
+			const contextElement = document.getElementById(
+				'cta-highlights-page-context'
+			);
+			if (!contextElement) {
+				return;
+			}
+
+			try {
+				this.record(JSON.parse(contextElement.textContent));
+			} catch (error) {
+				this.storage.log('Error parsing page context:', error);
+			}
+		}
+
+		/**
+		 * Record a post view
+		 * Moves the post to the front of the history, drops entries older than
+		 * historyDays and keeps at most historySize posts
+		 *
+		 * @param {Object} context Page context ({postId, categories, tags, historySize, historyDays})
+		 */
+		record(context) {
+			const postId = parseInt(context.postId, 10);
+			if (!postId) {
+				return;
+			}
+
+			const now = Date.now();
+			const size =
+				context.historySize > 0
+					? context.historySize
+					: HISTORY_DEFAULT_SIZE;
+			const maxAge =
+				(context.historyDays > 0
+					? context.historyDays
+					: HISTORY_DEFAULT_DAYS) * DAY_IN_MS;
+
+			const history = this.getHistory();
+			const previous = history.find((entry) => entry.id === postId);
+			const kept = history.filter(
+				(entry) =>
+					entry.id !== postId && now - entry.lastViewed <= maxAge
+			);
+
+			kept.unshift({
+				id: postId,
+				categories: Array.isArray(context.categories)
+					? context.categories
+					: [],
+				tags: Array.isArray(context.tags) ? context.tags : [],
+				views: (previous ? previous.views : 0) + 1,
+				lastViewed: now,
+			});
+
+			this.storage.set(INTEREST_HISTORY_KEY, kept.slice(0, size));
+		}
+
+		/**
+		 * Get the stored reading history (most recent first)
+		 *
+		 * @return {Array<Object>} History entries
+		 */
+		getHistory() {
+			const history = this.storage.get(INTEREST_HISTORY_KEY);
+			return Array.isArray(history)
+				? history.filter((entry) => entry && entry.id)
+				: [];
+		}
+
+		/**
+		 * Resolve an interest key against the history
+		 *
+		 * @param {string} key category:slug, tag:slug or post:ID
+		 * @return {number|null} Posts read in the category/tag, or views of the
+		 *                       post; null if none
+		 */
+		resolve(key) {
+			const match = /^(category|tag|post):(.+)$/.exec(String(key));
+			if (!match) {
+				return null;
+			}
+
+			const [, type, value] = match;
+			const history = this.getHistory();
+
+			if (type === 'post') {
+				const entry = history.find((item) => String(item.id) === value);
+				return entry ? entry.views : null;
+			}
+
+			const field = type === 'category' ? 'categories' : 'tags';
+			const count = history.filter(
+				(entry) =>
+					Array.isArray(entry[field]) && entry[field].includes(value)
+			).length;
+
+			return count > 0 ? count : null;
+		}
+	}
+
+	/**
+	 * Impression Tracker
+	 * Counts impressions and clicks per auto-inserted CTA and enforces the
+	 * frequency caps sent with each CTA. A session is a visit as counted by
+	 * VisitTracker.
+	 */
+	class ImpressionTracker {
+		/**
+		 * @param {Object} storage ConditionStorage instance
+		 */
+		constructor(storage) {
+			this.storage = storage;
+		}
+
+		/**
+		 * Check whether a CTA has reached one of its frequency caps
+		 *
+		 * @param {number} ctaId CTA ID
+		 * @param {Object} cap   Caps ({session, day, total, min_gap, stop_after_click}); 0 = no limit
+		 * @param {number} now   Current timestamp
+		 * @return {string|null} Name of the cap that was reached, or null
+		 */
+		getCapReason(ctaId, cap, now = Date.now()) {
+			if (!cap) {
+				return null;
+			}
+
+			const record = this.getRecord(ctaId, now);
+
+			if (cap.stop_after_click && record.clicked) {
+				return 'stop_after_click';
+			}
+			if (cap.total > 0 && record.total >= cap.total) {
+				return 'total';
+			}
+			if (cap.day > 0 && record.dayCount >= cap.day) {
+				return 'day';
+			}
+			if (cap.session > 0 && record.sessionCount >= cap.session) {
+				return 'session';
+			}
+			if (
+				cap.min_gap > 0 &&
+				record.last &&
+				now - record.last < cap.min_gap * 1000
+			) {
+				return 'min_gap';
+			}
+
+			return null;
+		}
+
+		/**
+		 * Record an impression of a CTA
+		 *
+		 * @param {number} ctaId CTA ID
+		 * @param {number} now   Current timestamp
+		 */
+		recordImpression(ctaId, now = Date.now()) {
+			const record = this.getRecord(ctaId, now);
+
+			record.total++;
+			record.dayCount++;
+			record.sessionCount++;
+			record.last = now;
+
+			this.storage.set(IMPRESSION_KEY_PREFIX + ctaId, record);
+		}
+
+		/**
+		 * Record a click on a CTA
+		 *
+		 * @param {number} ctaId CTA ID
+		 */
+		recordClick(ctaId) {
+			const record = this.getRecord(ctaId);
+
+			record.clicked = true;
+
+			this.storage.set(IMPRESSION_KEY_PREFIX + ctaId, record);
+		}
+
+		/**
+		 * Get the impression record of a CTA
+		 * Day and session counts are reset when the day or visit has changed
+		 *
+		 * @param {number} ctaId CTA ID
+		 * @param {number} now   Current timestamp
+		 * @return {Object} Record ({total, day, dayCount, visit, sessionCount, last, clicked})
+		 */
+		getRecord(ctaId, now = Date.now()) {
+			const stored = this.storage.get(IMPRESSION_KEY_PREFIX + ctaId);
+			const record = Object.assign(
+				{
+					total: 0,
+					day: null,
+					dayCount: 0,
+					visit: null,
+					sessionCount: 0,
+					last: 0,
+					clicked: false,
+				},
+				stored && typeof stored === 'object' ? stored : {}
+			);
+
+			const day = new Date(now).toDateString();
+			if (record.day !== day) {
+				record.day = day;
+				record.dayCount = 0;
+			}
+
+			const visit = this.storage.get(METRIC_KEYS.visits);
+			if (record.visit !== visit) {
+				record.visit = visit;
+				record.sessionCount = 0;
+			}
+
+			return record;
+		}
+	}
+
+	/**
+	 * Content Ready Watcher
+	 * Decides when the content container is ready for insertion: right away
+	 * if it has content and no page builder is on the page, otherwise on the
+	 * first of a builder's ready event, the DOM settling, or the maximum wait
+	 */
+	class ContentReadyWatcher {
+		/**
+		 * @param {Object} manager AutoInsertManager (finds and parses the container)
+		 * @param {Object} options Readiness settings ({settleTime, maxWait, builders})
+		 */
+		constructor(manager, options = {}) {
+			this.manager = manager;
+			this.options = Object.assign({}, DEFAULT_READINESS, options);
+			this.done = false;
+			this.observer = null;
+			this.settleTimer = null;
+			this.maxTimer = null;
+			this.listeners = [];
+		}
+
+		/**
+		 * Call back once the content is ready
+		 *
+		 * @param {Function} callback Receives the signal that fired
+		 */
+		wait(callback) {
+			this.callback = callback;
+
+			if (!document.getElementById('cta-highlights-auto-insert-data')) {
+				this.finish('no auto-insert data');
+				return;
+			}
+
+			const builders = this.getPageBuilders();
+
+			if (builders.length === 0 && this.isContentReady()) {
+				this.finish('content already rendered');
+				return;
+			}
+
+			builders.forEach((builder) => this.listen(builder.event));
+
+			this.observer = new MutationObserver(() => this.scheduleSettle());
+			this.observer.observe(document.body, {
+				childList: true,
+				subtree: true,
+			});
+			this.scheduleSettle();
+
+			const maxWait = parseInt(this.options.maxWait, 10) || 0;
+			this.maxTimer = setTimeout(
+				() => this.finish(`maximum wait of ${maxWait}ms reached`),
+				maxWait
+			);
+		}
+
+		/**
+		 * Get the configured page builders present on the page
+		 *
+		 * @return {Array} Builders ({selector, event})
+		 */
+		getPageBuilders() {
+			return (this.options.builders || []).filter((builder) => {
+				try {
+					return (
+						builder.event &&
+						document.querySelector(builder.selector)
+					);
+				} catch (error) {
+					return false;
+				}
+			});
+		}
+
+		/**
+		 * Check whether the content container exists and has content
+		 *
+		 * @return {boolean} True if content elements were found
+		 */
+		isContentReady() {
+			const dataElement = document.getElementById(
+				'cta-highlights-auto-insert-data'
+			);
+
+			let data;
+			try {
+				data = JSON.parse(dataElement.textContent);
+			} catch (error) {
+				// Invalid data: let init() report it
+				return true;
+			}
+
+			const container = this.manager.findContentContainer(
+				data.contentSelector,
+				data.postId
+			);
+
+			return (
+				container !== null &&
+				this.manager.parseContentElements(container).length > 0
+			);
+		}
+
+		/**
+		 * Restart the quiet period after a DOM change
+		 */
+		scheduleSettle() {
+			clearTimeout(this.settleTimer);
+
+			this.settleTimer = setTimeout(
+				() => {
+					if (this.isContentReady()) {
+						this.finish('content settled');
+					}
+				},
+				parseInt(this.options.settleTime, 10) || 0
+			);
+		}
+
+		/**
+		 * Listen for a page builder's ready event
+		 * Builders fire these as DOM events or jQuery events, on window or document
+		 *
+		 * @param {string} eventName Event name
+		 */
+		listen(eventName) {
+			const handler = () => this.finish(`${eventName} event`);
+
+			[window, document].forEach((target) => {
+				target.addEventListener(eventName, handler);
+				this.listeners.push(() =>
+					target.removeEventListener(eventName, handler)
+				);
+
+				const $target = window.jQuery ? window.jQuery(target) : null;
+				if ($target && typeof $target.on === 'function') {
+					$target.on(eventName, handler);
+					this.listeners.push(() => $target.off(eventName, handler));
+				}
+			});
+		}
+
+		/**
+		 * Stop watching and call back (once)
+		 *
+		 * @param {string} signal Signal that fired, for debug logs
+		 */
+		finish(signal) {
+			if (this.done) {
+				return;
+			}
+
+			this.stop();
+
+			this.manager.log(`Content ready: ${signal}`);
+			this.callback(signal);
+		}
+
+		/**
+		 * Stop watching without calling back (page torn down)
+		 */
+		stop() {
+			this.done = true;
+			clearTimeout(this.settleTimer);
+			clearTimeout(this.maxTimer);
+
+			if (this.observer) {
+				this.observer.disconnect();
+			}
+
+			this.listeners.forEach((remove) => remove());
+			this.listeners = [];
+		}
+	}
+
+	/**
+	 * Condition Evaluator
+	 * Declarative interpreter for storage conditions sent by the server as JSON.
+	 * Never uses eval() or Function(), so it works under a strict CSP.
+	 */
+	class ConditionEvaluator {
+		/**
+		 * @param {Object} storageManager Storage manager used to read values
+		 */
+		constructor(storageManager) {
+			this.storageManager = storageManager;
+			this.interests = new InterestTracker(storageManager);
+		}
+
+		/**
+		 * Evaluate a condition tree
+		 * Accepts a group ({type: 'group', logic: 'and'|'or', conditions: [...]}),
+		 * a single condition, or a legacy flat list (treated as an AND group)
+		 *
+		 * @param {Object|Array} node  Condition group, condition, or list of conditions
+		 * @param {number}       depth Current nesting depth (internal)
+		 * @return {boolean} True if the tree passes
+		 */
+		evaluate(node, depth = 1) {
+			if (Array.isArray(node)) {
+				return this.evaluateGroup(
+					{ type: 'group', logic: 'and', conditions: node },
+					depth
+				);
+			}
+
+			if (!node) {
+				return true;
+			}
+
+			if (node.type === 'group') {
+				return this.evaluateGroup(node, depth);
+			}
+
+			return this.evaluateCondition(node);
+		}
+
+		/**
+		 * Evaluate a condition group
+		 * Empty groups pass; groups nested deeper than MAX_GROUP_DEPTH fail
+		 *
+		 * @param {Object} group Condition group
+		 * @param {number} depth Current nesting depth
+		 * @return {boolean} True if the group passes
+		 */
+		evaluateGroup(group, depth) {
+			if (depth > MAX_GROUP_DEPTH) {
+				return false;
+			}
+
+			const children = Array.isArray(group.conditions)
+				? group.conditions
+				: [];
+			if (children.length === 0) {
+				return true;
+			}
+
+			const check = (child) => this.evaluate(child, depth + 1);
+
+			return group.logic === 'or'
+				? children.some(check)
+				: children.every(check);
+		}
+
+		/**
+		 * Evaluate a single condition
+		 *
+		 * @param {Object} condition Condition object
+		 * @return {boolean} True if the condition passes
+		 */
+		evaluateCondition(condition) {
+			if (!condition || !condition.key) {
+				// Conditions without a key are ignored (same as server-side)
+				return true;
+			}
+
+			const val = this.resolveValue(condition);
+			const exists = val !== null && val !== undefined;
+
+			if (condition.operator === 'exists') {
+				return exists;
+			}
+			if (condition.operator === 'not_exists') {
+				return !exists;
+			}
+			if (!exists) {
+				return false;
+			}
+
+			switch (condition.datatype) {
+				case 'number':
+					return this.compareNumber(
+						val,
+						condition.operator,
+						condition.value
+					);
+				case 'boolean':
+					return this.compareBoolean(
+						val,
+						condition.operator,
+						condition.value
+					);
+				case 'regex':
+					return this.testRegex(val, condition.value);
+				case 'date':
+					return this.compareDate(
+						val,
+						condition.operator,
+						condition.value
+					);
+				default:
+					return this.compareString(
+						val,
+						condition.operator,
+						condition.value
+					);
+			}
+		}
+
+		/**
+		 * Resolve the current value of a condition from its source
+		 *
+		 * @param {Object} condition Condition object
+		 * @return {*} Resolved value, or null if not available
+		 */
+		resolveValue(condition) {
+			switch (condition.source) {
+				case 'url_param':
+					return this.getUrlParam(condition.key);
+				case 'referrer':
+					return this.getReferrer(condition.key);
+				case 'datalayer':
+					return this.getDataLayerValue(condition.key);
+				case 'global':
+					return this.getGlobalValue(condition.key);
+				case 'dom':
+					return this.countElements(condition.key);
+				case 'interest':
+					return this.interests.resolve(condition.key);
+				default:
+					return this.storageManager.get(condition.key);
+			}
+		}
+
+		/**
+		 * Get a query string parameter from the current URL
+		 *
+		 * @param {string} name Parameter name
+		 * @return {string|null} Parameter value or null if not present
+		 */
+		getUrlParam(name) {
+			try {
+				return new URLSearchParams(window.location.search).get(name);
+			} catch (e) {
+				return null;
+			}
+		}
+
+		/**
+		 * Get the referrer URL or one of its parts
+		 *
+		 * @param {string} part 'url', 'host' or 'path'
+		 * @return {string|null} Referrer value or null for direct visits
+		 */
+		getReferrer(part) {
+			const referrer = document.referrer;
+			if (!referrer) {
+				return null;
+			}
+
+			if (part !== 'host' && part !== 'path') {
+				return referrer;
+			}
+
+			try {
+				const url = new URL(referrer);
+				return part === 'host' ? url.hostname : url.pathname;
+			} catch (e) {
+				return null;
+			}
+		}
+
+		/**
+		 * Get a variable from the GTM dataLayer
+		 * The most recent push that defines the path wins
+		 *
+		 * @param {string} path Variable name or dot path (e.g. user.tier)
+		 * @return {*} Variable value or null if not set
+		 */
+		getDataLayerValue(path) {
+			const dataLayer = window.dataLayer;
+			if (!Array.isArray(dataLayer)) {
+				return null;
+			}
+
+			for (let i = dataLayer.length - 1; i >= 0; i--) {
+				const value = this.getPath(dataLayer[i], path);
+				if (value !== undefined) {
+					return value;
+				}
+			}
+
+			return null;
+		}
+
+		/**
+		 * Get a JavaScript global
+		 * Functions are never called and resolve to null
+		 *
+		 * @param {string} path Variable name or dot path (e.g. memberTier)
+		 * @return {*} Variable value or null if not set
+		 */
+		getGlobalValue(path) {
+			const value = this.getPath(window, path);
+			return value === undefined || typeof value === 'function'
+				? null
+				: value;
+		}
+
+		/**
+		 * Count elements matching a CSS selector
+		 *
+		 * @param {string} selector CSS selector
+		 * @return {number|null} Match count, or null if none (or invalid selector)
+		 */
+		countElements(selector) {
+			try {
+				const count = document.querySelectorAll(selector).length;
+				return count > 0 ? count : null;
+			} catch (e) {
+				return null;
+			}
+		}
+
+		/**
+		 * Read a dot path from an object
+		 *
+		 * @param {Object} obj  Object to read from
+		 * @param {string} path Dot path
+		 * @return {*} Value, or undefined if any segment is missing
+		 */
+		getPath(obj, path) {
+			return String(path)
+				.split('.')
+				.reduce((current, segment) => {
+					if (
+						current === null ||
+						current === undefined ||
+						typeof current !== 'object' ||
+						UNSAFE_PATH_SEGMENTS.includes(segment)
+					) {
+						return undefined;
+					}
+					return current[segment];
+				}, obj);
+		}
+
+		/**
+		 * Numeric comparison
+		 *
+		 * @param {*}      val      Stored value
+		 * @param {string} operator Comparison operator
+		 * @param {*}      expected Comparison value
+		 * @return {boolean} Comparison result
+		 */
+		compareNumber(val, operator, expected) {
+			const numVal = Number(val);
+			if (isNaN(numVal)) return false;
+
+			switch (operator) {
+				case 'in':
+				case 'not_in': {
+					const found = this.toList(expected)
+						.map(Number)
+						.includes(numVal);
+					return operator === 'in' ? found : !found;
+				}
+				case 'between':
+					return this.isBetween(
+						numVal,
+						this.toList(expected).map(Number)
+					);
+				default:
+					return this.compare(numVal, operator, Number(expected));
+			}
+		}
+
+		/**
+		 * Boolean comparison (equality only)
+		 *
+		 * @param {*}      val      Stored value
+		 * @param {string} operator Comparison operator
+		 * @param {*}      expected Comparison value
+		 * @return {boolean} Comparison result
+		 */
+		compareBoolean(val, operator, expected) {
+			const equal = this.toBoolean(val) === this.toBoolean(expected);
+			return this.isEqualityOperator(operator) ? equal : !equal;
+		}
+
+		/**
+		 * Regex match (operator is not used)
+		 *
+		 * @param {*}      val     Stored value
+		 * @param {string} pattern Regular expression source
+		 * @return {boolean} True if the pattern matches
+		 */
+		testRegex(val, pattern) {
+			try {
+				return new RegExp(pattern).test(String(val));
+			} catch (e) {
+				return false;
+			}
+		}
+
+		/**
+		 * Date/time comparison
+		 *
+		 * @param {*}      val      Stored value (timestamp or date string)
+		 * @param {string} operator Comparison operator
+		 * @param {*}      expected Comparison value (timestamp or date string)
+		 * @return {boolean} Comparison result
+		 */
+		compareDate(val, operator, expected) {
+			const timestamp = new Date(val).getTime();
+			if (isNaN(timestamp)) return false;
+
+			switch (operator) {
+				case 'between':
+					return this.isBetween(
+						timestamp,
+						this.toList(expected).map((item) =>
+							new Date(item).getTime()
+						)
+					);
+				case 'within_last_days':
+				case 'more_than_days_ago': {
+					const days = Number(expected);
+					if (isNaN(days)) return false;
+
+					const age = Date.now() - timestamp;
+					const limit = days * DAY_IN_MS;
+					return operator === 'within_last_days'
+						? age >= 0 && age <= limit
+						: age > limit;
+				}
+			}
+
+			const compareTimestamp = new Date(expected).getTime();
+			if (isNaN(compareTimestamp)) return false;
+			return this.compare(timestamp, operator, compareTimestamp);
+		}
+
+		/**
+		 * String comparison (equality only)
+		 *
+		 * @param {*}      val      Stored value
+		 * @param {string} operator Comparison operator
+		 * @param {*}      expected Comparison value
+		 * @return {boolean} Comparison result
+		 */
+		compareString(val, operator, expected) {
+			const str = String(val);
+
+			switch (operator) {
+				case 'contains':
+					return str.includes(String(expected));
+				case 'not_contains':
+					return !str.includes(String(expected));
+				case 'starts_with':
+					return str.startsWith(String(expected));
+				case 'ends_with':
+					return str.endsWith(String(expected));
+				case 'in':
+					return this.toList(expected).includes(str);
+				case 'not_in':
+					return !this.toList(expected).includes(str);
+			}
+
+			const equal = str === String(expected);
+			return this.isEqualityOperator(operator) ? equal : !equal;
+		}
+
+		/**
+		 * Apply an ordered comparison operator
+		 * Unknown operators fall back to strict equality
+		 *
+		 * @param {number} a        Left operand
+		 * @param {string} operator Comparison operator
+		 * @param {number} b        Right operand
+		 * @return {boolean} Comparison result
+		 */
+		compare(a, operator, b) {
+			switch (operator) {
+				case '!=':
+					return a !== b;
+				case '>':
+					return a > b;
+				case '<':
+					return a < b;
+				case '>=':
+					return a >= b;
+				case '<=':
+					return a <= b;
+				default:
+					return a === b;
+			}
+		}
+
+		/**
+		 * Check that a value falls within an inclusive [min, max] range
+		 *
+		 * @param {number}        val   Value to check
+		 * @param {Array<number>} range Two-item list of bounds
+		 * @return {boolean} True if min <= val <= max
+		 */
+		isBetween(val, range) {
+			if (range.length !== 2 || range.some((bound) => isNaN(bound))) {
+				return false;
+			}
+			return val >= Math.min(...range) && val <= Math.max(...range);
+		}
+
+		/**
+		 * Normalize a list value (array or comma-separated string)
+		 *
+		 * @param {Array|string} value List value
+		 * @return {Array<string>} Trimmed, non-empty items
+		 */
+		toList(value) {
+			const items = Array.isArray(value)
+				? value
+				: String(value ?? '').split(',');
+			return items
+				.map((item) => String(item).trim())
+				.filter((item) => item !== '');
+		}
+
+		/**
+		 * Whether an operator means equality for string/boolean types
+		 *
+		 * @param {string} operator Comparison operator
+		 * @return {boolean} True for '=' or '=='
+		 */
+		isEqualityOperator(operator) {
+			return operator === '=' || operator === '==' || !operator;
+		}
+
+		/**
+		 * Coerce a stored value to boolean
+		 * Strings are true only for 'true' (any case) or '1'
+		 *
+		 * @param {*} val Value to coerce
+		 * @return {boolean} Boolean value
+		 */
+		toBoolean(val) {
+			if (typeof val === 'boolean') {
+				return val;
+			}
+			if (typeof val === 'string') {
+				return val.toLowerCase() === 'true' || val === '1';
+			}
+			return Boolean(val);
+		}
+	}
+
 	/**
 	 * Auto-Insert Manager
 	 * Handles client-side evaluation and insertion of CTAs
@@ -31,148 +1518,244 @@
 	class AutoInsertManager {
 		constructor() {
 			this.storageManager = this.createStorageManager();
+			this.conditionEvaluator = new ConditionEvaluator(
+				this.storageManager
+			);
+			this.impressions = new ImpressionTracker(this.storageManager);
+			this.rules = Object.assign(
+				{},
+				DEFAULT_INSERTION_RULES,
+				(window.ctaAutoInsertConfig &&
+					window.ctaAutoInsertConfig.insertionRules) ||
+					{}
+			);
+			this.parsing = Object.assign(
+				{},
+				DEFAULT_CONTENT_PARSING,
+				(window.ctaAutoInsertConfig &&
+					window.ctaAutoInsertConfig.contentParsing) ||
+					{}
+			);
+
+			// Inserted wrappers watched for removal by theme re-renders
+			const config = window.ctaAutoInsertConfig || {};
+			this.maxReinsertions =
+				config.maxReinsertions !== undefined
+					? parseInt(config.maxReinsertions, 10) || 0
+					: DEFAULT_MAX_REINSERTIONS;
+			this.insertions = [];
+			this.insertionObserver = null;
+			this.insertionCheckTimer = null;
+
+			// Every inserted wrapper, removed again by destroy()
+			this.wrappers = [];
+
+			// Articles on the page (infinite scroll adds more)
+			this.payloads = new Map();
+			this.processedContainers = new WeakSet();
+			this.articleObserver = null;
+		}
+
+		/**
+		 * Create StorageManager instance
+		 * Provides localStorage, sessionStorage and cookie access
+		 *
+		 * @return {Object} ConditionStorage instance
+		 */
+		createStorageManager() {
+			return new ConditionStorage();
+		}
+
+		/**
+		 * Initialize auto-insertion
+		 * Reads JSON data and processes fallback chain
+		 */
+		init() {
+			// Read data from inline JSON
+			const dataElement = document.getElementById(
+				'cta-highlights-auto-insert-data'
+			);
+
+			if (dataElement) {
+				try {
+					const data = JSON.parse(dataElement.textContent);
+
+					const chains = this.getChains(data);
+
+					if (chains.length === 0) {
+						this.log('No CTAs in fallback chain');
+					} else {
+						this.log(`Found ${chains.length} fallback chain(s)`);
+						this.processFallbackChain(data);
+					}
+				} catch (error) {
+					this.log('Error parsing auto-insert data:', error);
+				}
+			} else {
+				this.log('No auto-insert data found');
+			}
+
+			// Articles rendered with their own payload, and ones added later (infinite scroll)
+			document
+				.querySelectorAll(ARTICLE_PAYLOAD_SELECTOR)
+				.forEach((script) =>
+					this.processContainer(script.parentElement)
+				);
+			this.watchForArticles();
+		}
+
+		/**
+		 * Tear down auto-insertion for the current page
+		 * Disconnects the observers and removes the inserted wrappers, so the
+		 * page can be re-initialized after SPA/PJAX navigation
+		 */
+		destroy() {
+			[this.insertionObserver, this.articleObserver].forEach(
+				(observer) => observer && observer.disconnect()
+			);
+			this.insertionObserver = null;
+			this.articleObserver = null;
+
+			clearTimeout(this.insertionCheckTimer);
+			this.insertionCheckTimer = null;
+			this.insertions = [];
+
+			this.wrappers.forEach((wrapper) => wrapper.remove());
+			this.wrappers = [];
+
+			this.payloads.clear();
+			this.processedContainers = new WeakSet();
+
+			this.log('Destroyed');
+		}
+
+		/**
+		 * Process an article container added after page load (infinite scroll, AJAX)
+		 * Frequency caps carry over between articles because impressions are
+		 * stored per CTA, not per article
+		 *
+		 * @param {HTMLElement} element Article element, or its content container
+		 * @param {Object|null} data    Auto-insert data ({postId, contentSelector, chains});
+		 *                              read from the payload script in the element
+		 *                              or from a payload registered for its post ID
+		 *                              when omitted
+		 */
+		processContainer(element, data = null) {
+			const payload = data || this.findPayload(element);
+
+			if (!payload) {
+				this.log('No auto-insert data found for container');
+				return;
+			}
+
+			if (payload.postId) {
+				this.payloads.set(parseInt(payload.postId, 10), payload);
+			}
+
+			if (this.getChains(payload).length === 0) {
+				this.log(
+					`No CTAs in fallback chain for post #${payload.postId}`
+				);
+				return;
+			}
+
+			this.log(`Processing container for post #${payload.postId}`);
+			this.processFallbackChain(payload, element);
 		}
 
 		/**
-		 * Create StorageManager instance
-		 * Provides localStorage and cookie access
+		 * Find the auto-insert data for an article element
+		 *
+		 * @param {HTMLElement} element Article element
+		 * @return {Object|null} Auto-insert data or null
 		 */
-		createStorageManager() {
-			const manager = {
-				/**
-				 * Get a value from localStorage or cookie
-				 *
-				 * @param {string} key Storage key
-				 * @return {*} Value from storage, or null if not found
-				 */
-				get(key) {
-					let value = null;
-
-					// Try localStorage first
-					try {
-						value = localStorage.getItem(key);
-						if (value !== null) {
-							// Try to parse as JSON, otherwise return as string
-							try {
-								return JSON.parse(value);
-							} catch (e) {
-								return value;
-							}
-						}
-					} catch (e) {
-						// localStorage not available
-					}
-
-					// Fallback to cookies
-					try {
-						value = this.getCookie(key);
-						if (value !== null) {
-							// Try to parse as JSON, otherwise return as string
-							try {
-								return JSON.parse(value);
-							} catch (e) {
-								return value;
-							}
-						}
-					} catch (e) {
-						// Cookie access failed
-					}
-
-					return null;
-				},
+		findPayload(element) {
+			const script = element.querySelector(ARTICLE_PAYLOAD_SELECTOR);
 
-				/**
-				 * Get a cookie value
-				 *
-				 * @param {string} name Cookie name
-				 * @return {string|null} Cookie value or null if not found
-				 */
-				getCookie(name) {
-					const nameEQ = `${name}=`;
-					const cookies = document.cookie.split(';');
-
-					for (let i = 0; i < cookies.length; i++) {
-						let cookie = cookies[i];
-						while (cookie.charAt(0) === ' ') {
-							cookie = cookie.substring(1);
-						}
-						if (cookie.indexOf(nameEQ) === 0) {
-							return cookie.substring(nameEQ.length);
-						}
-					}
+			if (script) {
+				try {
+					return JSON.parse(script.textContent);
+				} catch (error) {
+					this.log('Error parsing auto-insert data:', error);
 					return null;
-				},
+				}
+			}
 
-				/**
-				 * Log message if debug enabled
-				 * @param message
-				 * @param error
-				 */
-				log(message, error = null) {
-					if (
-						window.ctaHighlightsConfig &&
-						window.ctaHighlightsConfig.debug
-					) {
-						console.log(
-							`[CTA Auto-Insert] ${message}`,
-							error || ''
-						);
-					}
-				},
-			};
+			// Payload registered earlier, matched by post ID (data-post-id or #post-ID)
+			const match = /^post-(\d+)$/.exec(element.id);
+			const postId = parseInt(
+				element.getAttribute('data-post-id') || (match && match[1]),
+				10
+			);
 
-			return manager;
+			return this.payloads.get(postId) || null;
 		}
 
 		/**
-		 * Initialize auto-insertion
-		 * Reads JSON data and processes fallback chain
+		 * Process articles whose payload script is added to the page
 		 */
-		init() {
-			// Read data from inline JSON
-			const dataElement = document.getElementById(
-				'cta-highlights-auto-insert-data'
-			);
-
-			if (!dataElement) {
-				this.log('No auto-insert data found');
+		watchForArticles() {
+			if (this.articleObserver) {
 				return;
 			}
 
-			try {
-				const data = JSON.parse(dataElement.textContent);
+			this.articleObserver = new MutationObserver((mutations) => {
+				mutations.forEach((mutation) => {
+					mutation.addedNodes.forEach((node) => {
+						if (node.nodeType !== Node.ELEMENT_NODE) {
+							return;
+						}
 
-				if (!data.ctas || data.ctas.length === 0) {
-					this.log('No CTAs in fallback chain');
-					return;
-				}
+						const scripts = node.matches(ARTICLE_PAYLOAD_SELECTOR)
+							? [node]
+							: Array.from(
+									node.querySelectorAll(
+										ARTICLE_PAYLOAD_SELECTOR
+									)
+								);
 
-				this.log(
-					`Found fallback chain with ${data.ctas.length} CTA(s)`
-				);
-				this.processFallbackChain(data);
-			} catch (error) {
-				this.log('Error parsing auto-insert data:', error);
-			}
+						scripts.forEach((script) =>
+							this.processContainer(script.parentElement)
+						);
+					});
+				});
+			});
+
+			this.articleObserver.observe(document.body, {
+				childList: true,
+				subtree: true,
+			});
 		}
 
 		/**
-		 * Process fallback chain
-		 * Evaluates conditions and inserts the first matching CTA
+		 * Process fallback chains
+		 * Each chain is one insertion slot; a CTA inserted by one slot is never
+		 * used by another
 		 *
-		 * @param {Object} chainData Fallback chain data
+		 * @param {Object}               chainData Auto-insert data ({contentSelector, chains}); a
+		 *                                         single chain ({ctas, noMatch}) is also accepted
+		 * @param {Document|HTMLElement} root      Element to look for the content container in
 		 */
-		processFallbackChain(chainData) {
+		processFallbackChain(chainData, root = document) {
 			// Find content container
 			const container = this.findContentContainer(
-				chainData.contentSelector
+				chainData.contentSelector,
+				chainData.postId,
+				root
 			);
 			if (!container) {
 				this.log('Content container not found');
 				return;
 			}
 
-			// Parse content elements
+			// Never fill the same article twice
+			if (this.processedContainers.has(container)) {
+				this.log('Content container already processed');
+				return;
+			}
+			this.processedContainers.add(container);
+
+			// Parse content elements once so positions don't shift between slots
 			const elements = this.parseContentElements(container);
 			if (elements.length === 0) {
 				this.log('No content elements found');
@@ -181,145 +1764,584 @@
 
 			this.log(`Found ${elements.length} content elements`);
 
-			// Evaluate storage conditions and select CTA
-			let selectedCTA = null;
-			let selectedIndex = -1;
+			const usedIds = new Set();
+
+			this.getChains(chainData).forEach((chain, slotIndex) => {
+				this.processSlot(
+					container,
+					elements,
+					chain,
+					slotIndex,
+					usedIds
+				).forEach(({ wrapper, boundary }) => {
+					this.watchInsertion({
+						wrapper,
+						boundary,
+						container,
+						contentSelector: chainData.contentSelector,
+						postId: chainData.postId,
+					});
+				});
+			});
+		}
+
+		/**
+		 * Get the slot chains from the auto-insert data
+		 *
+		 * @param {Object} chainData Auto-insert data
+		 * @return {Array} Chains ({ctas, noMatch, repeat})
+		 */
+		getChains(chainData) {
+			if (Array.isArray(chainData.chains)) {
+				return chainData.chains.filter(
+					(chain) =>
+						chain && Array.isArray(chain.ctas) && chain.ctas.length
+				);
+			}
+
+			// Single-chain payload (before multiple slots)
+			return Array.isArray(chainData.ctas) && chainData.ctas.length
+				? [{ ctas: chainData.ctas, noMatch: chainData.noMatch }]
+				: [];
+		}
+
+		/**
+		 * Fill one insertion slot
+		 * A repeating slot re-selects its CTA for every placement, so frequency
+		 * caps can move the chain on between placements
+		 *
+		 * @param {HTMLElement} container Content container
+		 * @param {Array}       elements  Content elements
+		 * @param {Object}      chain     Chain ({ctas, noMatch, repeat})
+		 * @param {number}      slotIndex Index of the slot on the page
+		 * @param {Set}         usedIds   CTA IDs inserted by other slots
+		 * @return {Array} Placements ({wrapper, boundary})
+		 */
+		processSlot(container, elements, chain, slotIndex, usedIds) {
+			const repeat = chain.repeat || {};
+			const every = parseInt(repeat.every, 10) || 0;
+			const max = every > 0 ? parseInt(repeat.max, 10) || Infinity : 1;
+			const inserted = [];
+			const placements = [];
+
+			for (let placement = 0; placement < max; placement++) {
+				const selection = this.selectCTA(chain, usedIds);
+
+				if (!selection) {
+					this.log(`No CTA selected for slot ${slotIndex}`);
+					break;
+				}
+
+				const selectedCTA = selection.cta;
+
+				// Calculate position using SELECTED CTA's own settings
+				const calculatedInfo = this.calculateInsertPosition(
+					elements,
+					selectedCTA,
+					placement * every
+				);
+
+				if (!calculatedInfo) {
+					this.log(
+						`Position calculation failed or skipped for CTA #${selectedCTA.id}`
+					);
+					break;
+				}
+
+				// Move away from headings, captions, tables and other CTAs
+				const positionInfo = this.findSafeSlot(
+					container,
+					elements,
+					calculatedInfo
+				);
+
+				if (!positionInfo) {
+					this.log(`No safe slot found for CTA #${selectedCTA.id}`);
+					break;
+				}
+
+				// Insert CTA into DOM
+				const wrapper = this.insertCTAIntoContent(
+					container,
+					selectedCTA,
+					positionInfo,
+					selection.index,
+					chain.ctas.length
+				);
+				wrapper.setAttribute('data-slot-index', slotIndex);
+
+				inserted.push(selectedCTA.id);
+				placements.push({
+					wrapper,
+					boundary: this.getBoundary(elements, positionInfo),
+				});
+			}
+
+			inserted.forEach((id) => usedIds.add(id));
+
+			return placements;
+		}
+
+		/**
+		 * Watch an inserted wrapper so it can be put back if a re-render removes it
+		 *
+		 * @param {Object} insertion Insertion ({wrapper, boundary, container, contentSelector, postId})
+		 */
+		watchInsertion(insertion) {
+			if (this.maxReinsertions <= 0) {
+				return;
+			}
+
+			this.insertions.push(Object.assign({ attempts: 0 }, insertion));
+
+			if (!this.insertionObserver) {
+				this.insertionObserver = new MutationObserver(() =>
+					this.scheduleInsertionCheck()
+				);
+				this.insertionObserver.observe(document.body, {
+					childList: true,
+					subtree: true,
+				});
+			}
+		}
+
+		/**
+		 * Check the watched wrappers once the current batch of DOM changes is done
+		 */
+		scheduleInsertionCheck() {
+			if (this.insertionCheckTimer) {
+				return;
+			}
+
+			this.insertionCheckTimer = setTimeout(() => {
+				this.insertionCheckTimer = null;
+				this.checkInsertions();
+			}, 0);
+		}
+
+		/**
+		 * Put back watched wrappers that were removed from the page
+		 * Gives up on a wrapper after maxReinsertions attempts
+		 */
+		checkInsertions() {
+			this.insertions = this.insertions.filter((insertion) => {
+				if (document.body.contains(insertion.wrapper)) {
+					return true;
+				}
+
+				const ctaId = insertion.wrapper.getAttribute('data-cta-id');
+
+				if (insertion.attempts >= this.maxReinsertions) {
+					this.log(
+						`CTA #${ctaId} removed again - giving up after ${insertion.attempts} re-insertion(s)`
+					);
+					return false;
+				}
+
+				insertion.attempts++;
+
+				if (this.reinsert(insertion)) {
+					this.log(
+						`CTA #${ctaId} was removed by a re-render - re-inserted (attempt ${insertion.attempts} of ${this.maxReinsertions})`
+					);
+				} else {
+					this.log(
+						`CTA #${ctaId} was removed by a re-render - content container not found`
+					);
+				}
+
+				return true;
+			});
+
+			if (this.insertions.length === 0 && this.insertionObserver) {
+				this.insertionObserver.disconnect();
+				this.insertionObserver = null;
+			}
+		}
+
+		/**
+		 * Put a removed wrapper back at its element boundary
+		 * The same wrapper node is reused, so its impression isn't counted again
+		 * and its click listener keeps working
+		 *
+		 * @param {Object} insertion Watched insertion
+		 * @return {boolean} False if the content container is gone
+		 */
+		reinsert(insertion) {
+			if (!document.body.contains(insertion.container)) {
+				const container = this.findContentContainer(
+					insertion.contentSelector,
+					insertion.postId
+				);
+
+				if (!container) {
+					return false;
+				}
+
+				insertion.container = container;
+			}
+
+			const elements = this.parseContentElements(insertion.container);
+			const boundary = Math.min(insertion.boundary, elements.length);
+
+			this.placeWrapper(insertion.container, insertion.wrapper, {
+				element: elements[boundary] || null,
+				insertBefore: boundary < elements.length,
+			});
+
+			return true;
+		}
+
+		/**
+		 * Select the CTA to show from a chain
+		 * Evaluates conditions and returns the first matching CTA, or applies
+		 * the chain's no-match setting
+		 *
+		 * @param {Object} chain   Chain ({ctas, noMatch})
+		 * @param {Set}    usedIds CTA IDs that must not be selected
+		 * @return {Object|null} Selection ({cta, index}) or null for none
+		 */
+		selectCTA(chain, usedIds) {
+			const ctas = chain.ctas;
+
+			for (let i = 0; i < ctas.length; i++) {
+				const cta = ctas[i];
 
-			for (let i = 0; i < chainData.ctas.length; i++) {
-				const cta = chainData.ctas[i];
+				// CTAs used by another slot and capped CTAs are skipped so the chain moves on
+				if (!this.isAvailable(cta, usedIds)) {
+					continue;
+				}
 
 				// No storage conditions = always matches
 				if (!cta.has_storage_conditions) {
 					this.log(
 						`CTA #${cta.id} has no storage conditions - selected`
 					);
-					selectedCTA = cta;
-					selectedIndex = i;
-					break;
+					return { cta, index: i };
 				}
 
 				// Evaluate storage conditions
 				try {
-					// Provide 'this' context for eval with storageManager
-					const context = { storageManager: this.storageManager };
-					const conditionPassed = function () {
-						// eslint-disable-next-line no-eval -- Evaluating user-configured storage conditions
-						return eval(cta.storage_condition_js);
-					}.call(context);
+					const conditionPassed = this.conditionEvaluator.evaluate(
+						cta.storage_conditions
+					);
 
 					if (conditionPassed) {
 						this.log(
 							`CTA #${cta.id} storage conditions passed - selected`
 						);
-						selectedCTA = cta;
-						selectedIndex = i;
-						break;
-					} else {
-						this.log(
-							`CTA #${cta.id} storage conditions failed - trying next`
-						);
+						return { cta, index: i };
 					}
+
+					this.log(
+						`CTA #${cta.id} storage conditions failed - trying next`
+					);
 				} catch (error) {
 					this.log(`Error evaluating CTA #${cta.id}:`, error);
 					// On error, try next in chain
 				}
 			}
 
-			// If no CTA matched, use last one as ultimate fallback
-			if (!selectedCTA && chainData.ctas.length > 0) {
-				selectedCTA = chainData.ctas[chainData.ctas.length - 1];
-				selectedIndex = chainData.ctas.length - 1;
+			// If no CTA matched, apply the chain's no-match setting
+			const noMatch = chain.noMatch || { behavior: 'last' };
+
+			if (noMatch.behavior === 'none') {
+				this.log('No CTAs matched - showing nothing');
+				return null;
+			}
+
+			if (noMatch.behavior === 'cta') {
+				// The no-match CTA sits outside the chain
+				if (noMatch.cta && this.isAvailable(noMatch.cta, usedIds)) {
+					this.log(
+						`No CTAs matched - using no-match CTA #${noMatch.cta.id}`
+					);
+					return { cta: noMatch.cta, index: ctas.length };
+				}
+				return null;
+			}
+
+			// Use last one as ultimate fallback (unless it is capped or used)
+			const lastCTA = ctas[ctas.length - 1];
+
+			if (lastCTA && this.isAvailable(lastCTA, usedIds)) {
 				this.log(
-					`No CTAs matched - using last CTA #${selectedCTA.id} as fallback`
+					`No CTAs matched - using last CTA #${lastCTA.id} as fallback`
 				);
+				return { cta: lastCTA, index: ctas.length - 1 };
 			}
 
-			if (!selectedCTA) {
-				this.log('No CTA selected');
-				return;
+			return null;
+		}
+
+		/**
+		 * Check whether a CTA may be inserted
+		 *
+		 * @param {Object} cta     CTA configuration
+		 * @param {Set}    usedIds CTA IDs inserted by other slots
+		 * @return {boolean} True if the CTA is neither used nor capped
+		 */
+		isAvailable(cta, usedIds) {
+			if (usedIds.has(cta.id)) {
+				this.log(
+					`CTA #${cta.id} already inserted by another slot - trying next`
+				);
+				return false;
+			}
+
+			return !this.isCapped(cta);
+		}
+
+		/**
+		 * Check whether a CTA has reached one of its frequency caps
+		 *
+		 * @param {Object} cta CTA configuration
+		 * @return {boolean} True if the CTA must not be shown
+		 */
+		isCapped(cta) {
+			const reason = this.impressions.getCapReason(
+				cta.id,
+				cta.frequency_cap
+			);
+
+			if (reason) {
+				this.log(
+					`CTA #${cta.id} frequency cap reached (${reason}) - trying next`
+				);
+				return true;
+			}
+
+			return false;
+		}
+
+		/**
+		 * Find content container
+		 * Tries the preferred selector, then CONTENT_SELECTORS. Matches outside
+		 * the post body are skipped and the remaining ones are scored by their
+		 * paragraph text (see pickContentContainer)
+		 *
+		 * @param {string}               preferredSelector Preferred selector from settings
+		 * @param {number}               postId            Current post ID (0 if unknown)
+		 * @param {Document|HTMLElement} root              Element to search in (included itself)
+		 * @return {HTMLElement|null} Content container or null
+		 */
+		findContentContainer(preferredSelector, postId = 0, root = document) {
+			const id = parseInt(postId, 10);
+			const postElement = id
+				? document.querySelector(`#post-${id}, .post-${id}`)
+				: null;
+
+			for (const selectors of [[preferredSelector], CONTENT_SELECTORS]) {
+				const container = this.pickContentContainer(
+					selectors,
+					postElement,
+					root
+				);
+
+				if (container) {
+					return container;
+				}
+			}
+
+			this.log('No content container found');
+			return null;
+		}
+
+		/**
+		 * Pick the best content container among the matches of some selectors
+		 * The match with the most paragraph text wins, unless one of its
+		 * descendant matches holds nearly all of that text: then the tighter
+		 * container wins, so article or main never beats .entry-content
+		 *
+		 * @param {Array}                selectors   CSS selectors
+		 * @param {HTMLElement|null}     postElement Element wrapping the current post, if any
+		 * @param {Document|HTMLElement} root        Element to search in (included itself)
+		 * @return {HTMLElement|null} Content container or null
+		 */
+		pickContentContainer(selectors, postElement, root = document) {
+			const candidates = [];
+
+			selectors.forEach((selector) => {
+				if (!selector) {
+					return;
+				}
+
+				let matches = [];
+				try {
+					matches = Array.from(root.querySelectorAll(selector));
+					if (root !== document && root.matches(selector)) {
+						matches.unshift(root);
+					}
+				} catch (error) {
+					this.log(`Invalid content selector "${selector}":`, error);
+				}
+
+				matches.forEach((el) => {
+					if (
+						!candidates.some((candidate) => candidate.el === el) &&
+						this.isPostBody(el, postElement)
+					) {
+						candidates.push({
+							el,
+							selector,
+							score: this.scoreContainer(el),
+						});
+					}
+				});
+			});
+
+			if (candidates.length === 0) {
+				return null;
+			}
+
+			// Highest score first; ties keep selector order
+			candidates.sort((a, b) => b.score - a.score);
+
+			let best = candidates[0];
+			let tighter = best;
+
+			while (tighter) {
+				best = tighter;
+				tighter = candidates.find(
+					(candidate) =>
+						candidate.el !== best.el &&
+						best.el.contains(candidate.el) &&
+						candidate.score >= best.score * NESTED_CONTAINER_RATIO
+				);
 			}
 
-			// Calculate position using SELECTED CTA's own settings
-			const positionInfo = this.calculateInsertPosition(
-				elements,
-				selectedCTA
+			this.log(
+				`Found content container: ${best.selector} (${best.score} characters of paragraph text)`
 			);
 
-			if (!positionInfo) {
-				this.log(
-					`Position calculation failed or skipped for CTA #${selectedCTA.id}`
-				);
-				return;
+			return best.el;
+		}
+
+		/**
+		 * Check whether an element can be the post body
+		 * It must have content, must not be (inside) navigation, a sidebar,
+		 * a header or a footer, and must be inside the current post's
+		 * element when the theme marks it (#post-ID or .post-ID)
+		 *
+		 * @param {HTMLElement}      el          Candidate container
+		 * @param {HTMLElement|null} postElement Element wrapping the current post, if any
+		 * @return {boolean} True if the element can hold the post body
+		 */
+		isPostBody(el, postElement) {
+			if (el.closest(NON_CONTENT_SELECTOR)) {
+				return false;
+			}
+
+			if (
+				postElement &&
+				!postElement.contains(el) &&
+				!el.contains(postElement)
+			) {
+				return false;
 			}
 
-			// Insert CTA into DOM
-			this.insertCTAIntoContent(
-				container,
-				selectedCTA,
-				positionInfo,
-				selectedIndex,
-				chainData.ctas.length
-			);
+			return this.parseContentElements(el).length > 0;
 		}
 
 		/**
-		 * Find content container using selector list
+		 * Score a candidate container by the paragraph text it holds
+		 * Paragraphs in non-content areas and in CTAs don't count
 		 *
-		 * @param {string} preferredSelector Preferred selector from settings
-		 * @return {HTMLElement|null} Content container or null
+		 * @param {HTMLElement} el Candidate container
+		 * @return {number} Number of paragraph text characters
 		 */
-		findContentContainer(preferredSelector) {
-			// Try preferred selector first
-			let container = document.querySelector(preferredSelector);
-			if (container) {
-				this.log(`Found content container: ${preferredSelector}`);
-				return container;
-			}
+		scoreContainer(el) {
+			let score = 0;
 
-			// Try fallback selectors
-			for (const selector of CONTENT_SELECTORS) {
-				container = document.querySelector(selector);
-				if (container) {
-					this.log(`Found content container: ${selector}`);
-					return container;
+			el.querySelectorAll('p').forEach((paragraph) => {
+				const area = paragraph.closest(
+					`${NON_CONTENT_SELECTOR}, .cta-highlights-wrapper`
+				);
+
+				if (area && el.contains(area)) {
+					return;
 				}
-			}
 
-			this.log('No content container found');
-			return null;
+				score += paragraph.textContent.trim().length;
+			});
+
+			return score;
 		}
 
 		/**
-		 * Parse content elements (direct children only)
-		 * Filters out script/style tags and empty elements
+		 * Parse content elements
+		 * Takes the container's children, descending into content wrappers
+		 * (see isContentWrapper) when flattening is on, and filters out
+		 * script/style tags and empty elements
 		 *
 		 * @param {HTMLElement} container Content container
-		 * @return {Array} Array of content elements
+		 * @return {Array} Array of content elements in document order
 		 */
 		parseContentElements(container) {
-			// Get direct children only
-			const children = Array.from(container.children);
+			const elements = [];
+
+			Array.from(container.children).forEach((el) => {
+				// Use the wrapper's own content elements if it has any
+				if (this.isContentWrapper(el)) {
+					const nested = this.parseContentElements(el);
+
+					if (nested.length > 0) {
+						elements.push(...nested);
+						return;
+					}
+				}
+
+				// CTAs inserted earlier are never content
+				if (el.classList.contains('cta-highlights-auto-inserted')) {
+					return;
+				}
 
-			// Filter out script, style, noscript tags and empty elements
-			const elements = children.filter((el) => {
 				const tagName = el.tagName.toLowerCase();
 
 				// Filter out script, style, noscript
 				if (['script', 'style', 'noscript'].includes(tagName)) {
-					return false;
+					return;
 				}
 
 				// Filter out empty elements
 				if (this.isEmptyElement(el)) {
-					return false;
+					return;
 				}
 
-				return true;
+				elements.push(el);
 			});
 
 			return elements;
 		}
 
+		/**
+		 * Check whether parsing should descend into an element
+		 * Only block-level wrappers matching the configured wrapper selectors
+		 * qualify; inline and interactive structures (tabs, sliders, anything
+		 * with a role or tabindex) are never entered
+		 *
+		 * @param {HTMLElement} el Element to check
+		 * @return {boolean} True if the element is a content wrapper
+		 */
+		isContentWrapper(el) {
+			if (
+				!this.parsing.flatten ||
+				!WRAPPER_TAGS.includes(el.tagName) ||
+				el.matches(INTERACTIVE_SELECTOR)
+			) {
+				return false;
+			}
+
+			const style = window.getComputedStyle(el);
+			const display = (style && style.getPropertyValue('display')) || '';
+
+			if (display.startsWith('inline')) {
+				return false;
+			}
+
+			return this.matchesRule(el, this.parsing.wrappers);
+		}
+
 		/**
 		 * Check if an element is empty (no meaningful content)
 		 *
@@ -366,9 +2388,10 @@
 		 *
 		 * @param {Array}  elements Content elements
 		 * @param {Object} cta      CTA configuration
+		 * @param {number} offset   Extra elements to move by (repeating slots)
 		 * @return {Object|null} Position info or null to skip
 		 */
-		calculateInsertPosition(elements, cta) {
+		calculateInsertPosition(elements, cta, offset = 0) {
 			const totalElements = elements.length;
 			// eslint-disable-next-line @wordpress/no-unused-vars-before-return -- Variable used after early return check
 			const position = parseInt(cta.insertion_position, 10);
@@ -377,14 +2400,35 @@
 
 			if (totalElements === 0) return null;
 
+			// Word-based positions snap to the nearest element boundary
+			if (
+				cta.insertion_position_unit === 'percent' ||
+				cta.insertion_position_unit === 'words'
+			) {
+				return this.calculateWordPosition(elements, cta, offset);
+			}
+
+			// Paragraph, heading and selector anchors count only matching elements
+			if (cta.insertion_anchor && cta.insertion_anchor !== 'element') {
+				return this.calculateAnchorPosition(elements, cta, offset);
+			}
+
 			let targetIndex;
 
 			if (direction === 'forward') {
 				// Forward: count from beginning
-				targetIndex = position;
+				targetIndex = position + offset;
 			} else {
 				// Reverse: count from end
-				targetIndex = totalElements - position;
+				targetIndex = totalElements - position - offset;
+			}
+
+			// Repeated placements stop at the edge of the content
+			if (
+				offset > 0 &&
+				(targetIndex > totalElements || targetIndex < 0)
+			) {
+				return null;
 			}
 
 			// Handle out of bounds
@@ -411,6 +2455,356 @@
 			};
 		}
 
+		/**
+		 * Calculate a word-based insertion position
+		 * "percent" inserts at X% of the article's words, "words" after the
+		 * first N words (reverse measures from the end). The CTA goes at the
+		 * element boundary nearest to that word.
+		 *
+		 * @param {Array}  elements Content elements
+		 * @param {Object} cta      CTA configuration
+		 * @param {number} offset   Extra elements to move by (repeating slots)
+		 * @return {Object|null} Position info or null to skip
+		 */
+		calculateWordPosition(elements, cta, offset = 0) {
+			const counts = elements.map((el) => this.countWords(el));
+			const totalWords = counts.reduce((sum, count) => sum + count, 0);
+			const value = parseInt(cta.insertion_position, 10) || 0;
+			const forward = cta.insertion_direction === 'forward';
+			let target =
+				cta.insertion_position_unit === 'percent'
+					? (totalWords * Math.min(value, 100)) / 100
+					: value;
+
+			if (target > totalWords) {
+				if (offset === 0 && cta.fallback_behavior === 'end') {
+					return {
+						element: null,
+						insertBefore: false,
+						index: elements.length,
+					};
+				}
+
+				this.log(
+					`Position ${value} ${cta.insertion_position_unit} exceeds ${totalWords} words, skipping`
+				);
+				return null;
+			}
+
+			if (!forward) {
+				target = totalWords - target;
+			}
+
+			// Boundary i is just before elements[i] (elements.length = the end)
+			let boundary = 0;
+			let closest = Infinity;
+			let wordsBefore = 0;
+
+			for (let i = 0; i <= elements.length; i++) {
+				const distance = Math.abs(wordsBefore - target);
+				if (distance < closest) {
+					closest = distance;
+					boundary = i;
+				}
+				wordsBefore += counts[i] || 0;
+			}
+
+			boundary += forward ? offset : -offset;
+
+			// Repeated placements stop at the edge of the content
+			if (boundary > elements.length || boundary < 0) {
+				return null;
+			}
+
+			return {
+				element: elements[boundary] || null,
+				insertBefore: boundary < elements.length,
+				index: boundary,
+			};
+		}
+
+		/**
+		 * Count the words in an element's text
+		 *
+		 * @param {HTMLElement} el Element
+		 * @return {number} Word count
+		 */
+		countWords(el) {
+			const text = el.textContent.trim();
+			return text ? text.split(/\s+/).length : 0;
+		}
+
+		/**
+		 * Calculate insertion position relative to anchor elements
+		 * Forward counts anchors from the start and inserts after the Nth one;
+		 * reverse inserts before the Nth anchor from the end. Headings are
+		 * always inserted before, so a CTA never separates a heading from its
+		 * section.
+		 *
+		 * @param {Array}  elements Content elements
+		 * @param {Object} cta      CTA configuration
+		 * @param {number} offset   Extra anchors to move by (repeating slots)
+		 * @return {Object|null} Position info or null to skip
+		 */
+		calculateAnchorPosition(elements, cta, offset = 0) {
+			const anchors = this.getAnchorElements(elements, cta);
+			if (!anchors) {
+				return null;
+			}
+
+			const count = anchors.length;
+			const position =
+				(parseInt(cta.insertion_position, 10) || 0) + offset;
+			const insertBeforeAnchor = cta.insertion_anchor === 'heading';
+			let anchorIndex;
+			let insertBefore;
+
+			if (cta.insertion_direction === 'forward') {
+				if (insertBeforeAnchor || position === 0) {
+					anchorIndex = Math.max(position, 1) - 1;
+					insertBefore = true;
+				} else {
+					anchorIndex = position - 1;
+					insertBefore = false;
+				}
+			} else if (position === 0) {
+				anchorIndex = count - 1;
+				insertBefore = false;
+			} else {
+				anchorIndex = count - position;
+				insertBefore = true;
+
+				// Like element counting, reverse positions past the start clamp to the first anchor
+				if (anchorIndex < 0 && count > 0 && offset === 0) {
+					anchorIndex = 0;
+				}
+			}
+
+			if (anchorIndex < 0 || anchorIndex >= count) {
+				// Repeated placements stop at the edge of the content
+				if (offset === 0 && cta.fallback_behavior === 'end') {
+					return {
+						element: elements[elements.length - 1],
+						insertBefore: false,
+						index: elements.length,
+					};
+				}
+
+				this.log(
+					`Position ${position} (${cta.insertion_direction}) exceeds ${count} ${cta.insertion_anchor} anchor(s), skipping`
+				);
+				return null;
+			}
+
+			const element = anchors[anchorIndex];
+
+			return {
+				element,
+				insertBefore,
+				index: elements.indexOf(element) + (insertBefore ? 0 : 1),
+			};
+		}
+
+		/**
+		 * Get the elements an anchor mode counts
+		 * Selector matches nested inside a content element resolve to that
+		 * content element, so CTAs are always inserted between content blocks
+		 *
+		 * @param {Array}  elements Content elements
+		 * @param {Object} cta      CTA configuration
+		 * @return {Array|null} Anchor elements in document order, or null if the selector is invalid
+		 */
+		getAnchorElements(elements, cta) {
+			if (cta.insertion_anchor === 'paragraph') {
+				return elements.filter((el) => el.tagName === 'P');
+			}
+
+			const value = String(cta.insertion_anchor_value || '').trim();
+
+			if (cta.insertion_anchor === 'heading') {
+				return elements.filter((el) =>
+					value
+						? el.tagName === value.toUpperCase()
+						: /^H[1-6]$/.test(el.tagName)
+				);
+			}
+
+			if (!value) {
+				return [];
+			}
+
+			try {
+				return elements.filter(
+					(el) =>
+						el.matches(value) || el.querySelector(value) !== null
+				);
+			} catch (error) {
+				this.log(`Invalid anchor selector "${value}":`, error);
+				return null;
+			}
+		}
+
+		/**
+		 * Find the nearest slot that doesn't break a safe-slot rule
+		 * Slots are element boundaries (boundary i is just before elements[i]);
+		 * the calculated slot is kept if it is safe, otherwise the nearest safe
+		 * boundary wins, preferring the later one on ties
+		 *
+		 * @param {HTMLElement} container    Content container
+		 * @param {Array}       elements     Content elements
+		 * @param {Object}      positionInfo Calculated position info
+		 * @return {Object|null} Safe position info or null if there is none
+		 */
+		findSafeSlot(container, elements, positionInfo) {
+			const start = this.getBoundary(elements, positionInfo);
+			const ctaSpans = this.getCTASpans(container, elements);
+
+			if (this.isSafeBoundary(elements, start, ctaSpans)) {
+				return positionInfo;
+			}
+
+			for (let distance = 1; distance <= elements.length; distance++) {
+				for (const boundary of [start + distance, start - distance]) {
+					if (
+						boundary >= 0 &&
+						boundary <= elements.length &&
+						this.isSafeBoundary(elements, boundary, ctaSpans)
+					) {
+						this.log(
+							`Slot ${start} breaks a safe-slot rule - moved to ${boundary}`
+						);
+						return {
+							element: elements[boundary] || null,
+							insertBefore: boundary < elements.length,
+							index: boundary,
+						};
+					}
+				}
+			}
+
+			return null;
+		}
+
+		/**
+		 * Get the element boundary of a position
+		 *
+		 * @param {Array}  elements     Content elements
+		 * @param {Object} positionInfo Position info
+		 * @return {number} Boundary index (0 to elements.length)
+		 */
+		getBoundary(elements, positionInfo) {
+			const index = positionInfo.element
+				? elements.indexOf(positionInfo.element)
+				: -1;
+
+			if (index === -1) {
+				return positionInfo.element
+					? positionInfo.index
+					: elements.length;
+			}
+
+			return positionInfo.insertBefore ? index : index + 1;
+		}
+
+		/**
+		 * Get the boundaries taken by CTAs already in the content
+		 * Covers auto-inserted CTAs (between elements) and manual
+		 * [cta_highlights] sections (inside or as a content element)
+		 *
+		 * @param {HTMLElement} container Content container
+		 * @param {Array}       elements  Content elements
+		 * @return {Array} Spans ({start, end}) in boundary indexes
+		 */
+		getCTASpans(container, elements) {
+			const order = new Map();
+			container.querySelectorAll('*').forEach((el, index) => {
+				order.set(el, index);
+			});
+
+			return Array.from(
+				container.querySelectorAll('.cta-highlights-wrapper')
+			).map((cta) => {
+				const index = elements.findIndex((el) => el.contains(cta));
+
+				if (index !== -1) {
+					return { start: index, end: index + 1 };
+				}
+
+				// Auto-inserted wrapper: count the content elements before it
+				const boundary = elements.filter(
+					(el) => order.get(el) < order.get(cta)
+				).length;
+
+				return { start: boundary, end: boundary };
+			});
+		}
+
+		/**
+		 * Check whether a boundary is a safe slot
+		 *
+		 * @param {Array}  elements Content elements
+		 * @param {number} boundary Boundary index
+		 * @param {Array}  ctaSpans Boundaries taken by existing CTAs
+		 * @return {boolean} True if no rule is broken
+		 */
+		isSafeBoundary(elements, boundary, ctaSpans) {
+			const rules = this.rules;
+			const prev = elements[boundary - 1] || null;
+			const next = elements[boundary] || null;
+
+			if (
+				prev &&
+				(this.matchesRule(prev, rules.avoidAfter) ||
+					this.matchesRule(prev, rules.avoidAdjacent))
+			) {
+				return false;
+			}
+
+			if (
+				next &&
+				(this.matchesRule(next, rules.avoidBefore) ||
+					this.matchesRule(next, rules.avoidAdjacent))
+			) {
+				return false;
+			}
+
+			const minDistance = parseInt(rules.minDistance, 10) || 0;
+
+			return ctaSpans.every((span) => {
+				let distance = 0;
+				if (boundary <= span.start) {
+					distance = span.start - boundary;
+				} else if (boundary >= span.end) {
+					distance = boundary - span.end;
+				}
+				return distance >= minDistance;
+			});
+		}
+
+		/**
+		 * Check an element against a selector list
+		 *
+		 * @param {HTMLElement}  el        Element
+		 * @param {Array|string} selectors Selector list
+		 * @return {boolean} True if the element matches
+		 */
+		matchesRule(el, selectors) {
+			const selector = Array.isArray(selectors)
+				? selectors.join(', ')
+				: String(selectors || '');
+
+			if (!selector) {
+				return false;
+			}
+
+			try {
+				return el.matches(selector);
+			} catch (error) {
+				this.log(`Invalid selector "${selector}":`, error);
+				return false;
+			}
+		}
+
 		/**
 		 * Insert CTA into content
 		 *
@@ -419,6 +2813,7 @@
 		 * @param {Object}      positionInfo  Position information
 		 * @param {number}      fallbackIndex Index in fallback chain
 		 * @param {number}      chainLength   Total chain length
+		 * @return {HTMLElement} Inserted wrapper element
 		 */
 		insertCTAIntoContent(
 			container,
@@ -438,22 +2833,8 @@
 			wrapper.innerHTML = cta.content;
 
 			// Insert into DOM
-			if (positionInfo.element && positionInfo.insertBefore) {
-				// Insert before the target element
-				positionInfo.element.parentNode.insertBefore(
-					wrapper,
-					positionInfo.element
-				);
-			} else if (positionInfo.element) {
-				// Insert after the target element
-				positionInfo.element.parentNode.insertBefore(
-					wrapper,
-					positionInfo.element.nextSibling
-				);
-			} else {
-				// Fallback: append to container
-				container.appendChild(wrapper);
-			}
+			this.placeWrapper(container, wrapper, positionInfo);
+			this.wrappers.push(wrapper);
 
 			// Check if the inserted content has highlight enabled
 			// The CTA content might contain a <section class="cta-highlights-wrapper" data-highlight="true">
@@ -466,6 +2847,14 @@
 				window.ctaHighlightsManager.initializeCTA(highlightElement);
 			}
 
+			// Count the impression and remember clicks for frequency capping
+			this.impressions.recordImpression(cta.id);
+			wrapper.addEventListener('click', (event) => {
+				if (event.target.closest('a, button, input[type="submit"]')) {
+					this.impressions.recordClick(cta.id);
+				}
+			});
+
 			// Track analytics
 			this.trackEvent('cta_auto_insert_shown', wrapper);
 
@@ -477,6 +2866,34 @@
 			} else {
 				this.log(`CTA #${cta.id} inserted (primary CTA)`);
 			}
+
+			return wrapper;
+		}
+
+		/**
+		 * Put a wrapper into the content at a position
+		 *
+		 * @param {HTMLElement} container    Content container
+		 * @param {HTMLElement} wrapper      CTA wrapper
+		 * @param {Object}      positionInfo Position information
+		 */
+		placeWrapper(container, wrapper, positionInfo) {
+			if (positionInfo.element && positionInfo.insertBefore) {
+				// Insert before the target element
+				positionInfo.element.parentNode.insertBefore(
+					wrapper,
+					positionInfo.element
+				);
+			} else if (positionInfo.element) {
+				// Insert after the target element
+				positionInfo.element.parentNode.insertBefore(
+					wrapper,
+					positionInfo.element.nextSibling
+				);
+			} else {
+				// Fallback: append to container
+				container.appendChild(wrapper);
+			}
 		}
 
 		/**
@@ -537,30 +2954,142 @@
 	 * Initialize on DOM ready
 	 */
 	function init() {
+		// Record this pageview before any conditions are evaluated
+		new VisitTracker(window.ctaHighlights.storage).track();
+		new InterestTracker(window.ctaHighlights.storage).track();
+		new AttributionTracker(
+			window.ctaHighlights.storage,
+			(window.ctaAutoInsertConfig &&
+				window.ctaAutoInsertConfig.attribution) ||
+				{}
+		).track();
+
 		const autoInsertManager = new AutoInsertManager();
 
-		// Wait 50ms after DOMContentLoaded for page builders to render
-		setTimeout(() => {
-			autoInsertManager.init();
-		}, 50);
+		// Wait until the content (and any page builder) has rendered
+		readyWatcher = new ContentReadyWatcher(
+			autoInsertManager,
+			(window.ctaAutoInsertConfig &&
+				window.ctaAutoInsertConfig.readiness) ||
+				{}
+		);
+		readyWatcher.wait(() => autoInsertManager.init());
 
 		// Expose to window for potential external access
 		window.ctaAutoInsertManager = autoInsertManager;
 	}
 
+	/**
+	 * Tear down the current page's auto-insertion
+	 */
+	function teardown() {
+		if (readyWatcher) {
+			readyWatcher.stop();
+			readyWatcher = null;
+		}
+
+		if (window.ctaAutoInsertManager) {
+			window.ctaAutoInsertManager.destroy();
+			window.ctaAutoInsertManager = null;
+		}
+	}
+
+	/**
+	 * Tear down and initialize again for the current page
+	 * The new page's view is recorded like a full page load
+	 */
+	function refresh() {
+		teardown();
+		init();
+	}
+
+	/**
+	 * Refresh after SPA/PJAX navigation (Swup, Turbo, Turbolinks, Barba, PJAX)
+	 * Events that fire without a URL change (e.g. Turbo's initial
+	 * turbo:load) are ignored
+	 */
+	function setupNavigationHooks() {
+		let lastUrl = window.location.href;
+
+		const onNavigate = () => {
+			if (window.location.href === lastUrl) {
+				return;
+			}
+
+			lastUrl = window.location.href;
+			refresh();
+		};
+
+		NAVIGATION_EVENTS.forEach((eventName) =>
+			document.addEventListener(eventName, onNavigate)
+		);
+
+		NAVIGATION_TEARDOWN_EVENTS.forEach((eventName) =>
+			document.addEventListener(eventName, () => {
+				lastUrl = null;
+				teardown();
+			})
+		);
+
+		// jquery-pjax only fires jQuery events
+		const $document = window.jQuery ? window.jQuery(document) : null;
+		if ($document && typeof $document.on === 'function') {
+			$document.on('pjax:end', onNavigate);
+		}
+
+		// Barba.js has hooks instead of DOM events
+		if (window.barba && window.barba.hooks) {
+			window.barba.hooks.after(onNavigate);
+		}
+	}
+
+	// Public storage API for themes and plugins (available before DOM ready)
+	window.ctaHighlights = window.ctaHighlights || {};
+	window.ctaHighlights.storage = new ConditionStorage();
+
+	// Manual refresh for other navigation setups: window.ctaHighlights.refresh()
+	window.ctaHighlights.refreshHandlers =
+		window.ctaHighlights.refreshHandlers || [];
+	window.ctaHighlights.refreshHandlers.push(refresh);
+	window.ctaHighlights.refresh = () =>
+		window.ctaHighlights.refreshHandlers.forEach((handler) => handler());
+
 	// Initialize when DOM is ready
 	if (document.readyState === 'loading') {
-		document.addEventListener('DOMContentLoaded', init);
+		document.addEventListener('DOMContentLoaded', () => {
+			init();
+			setupNavigationHooks();
+		});
 	} else {
 		// DOM already loaded
 		init();
+		setupNavigationHooks();
 	}
 
 	// Export for testing (CommonJS and global)
 	if (typeof module !== 'undefined' && module.exports) {
-		module.exports = { AutoInsertManager, CONTENT_SELECTORS };
+		module.exports = {
+			AutoInsertManager,
+			ConditionEvaluator,
+			ConditionStorage,
+			VisitTracker,
+			InterestTracker,
+			AttributionTracker,
+			ImpressionTracker,
+			ContentReadyWatcher,
+			METRIC_KEYS,
+			CONTENT_SELECTORS,
+		};
 	} else if (typeof window !== 'undefined' && window.__TEST__) {
 		window.AutoInsertManager = AutoInsertManager;
+		window.ConditionEvaluator = ConditionEvaluator;
+		window.ConditionStorage = ConditionStorage;
+		window.VisitTracker = VisitTracker;
+		window.InterestTracker = InterestTracker;
+		window.AttributionTracker = AttributionTracker;
+		window.ImpressionTracker = ImpressionTracker;
+		window.ContentReadyWatcher = ContentReadyWatcher;
+		window.METRIC_KEYS = METRIC_KEYS;
 		window.CONTENT_SELECTORS = CONTENT_SELECTORS;
 	}
 })();
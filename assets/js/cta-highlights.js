@@ -9,6 +9,36 @@
 (function () {
 	'use strict';
 
+	// Highlight trigger modes and their default amount (same list as Shortcode\Handler::TRIGGERS)
+	const TRIGGER_DEFAULTS = {
+		visible: null,
+		time: 10,
+		scroll: 50,
+		exit: null,
+		idle: 30,
+	};
+
+	// Activity that restarts the idle trigger
+	const IDLE_EVENTS = [
+		'mousemove',
+		'keydown',
+		'scroll',
+		'touchstart',
+		'click',
+	];
+
+	// Upward scroll speed (px per ms) that counts as exit intent on touch devices
+	const EXIT_SCROLL_SPEED = 1.5;
+
+	// Prefix of the DOM events dispatched by the highlight manager
+	const EVENT_PREFIX = 'cta-highlights:';
+
+	// Prefix of every cooldown key (global, template and per-CTA cooldowns)
+	const COOLDOWN_PREFIX = 'cta_highlights_';
+
+	// Length of a cooldown that never expires ('once', or -1 in dismissCooldowns): 10 years
+	const NEVER_EXPIRES = 10 * 365 * 24 * 60 * 60;
+
 	/**
 	 * Storage Manager
 	 * Handles cooldown tracking using localStorage with cookie fallback
@@ -19,15 +49,19 @@
 		 *
 		 * @param {string} name          Cookie name
 		 * @param {string} value         Cookie value
-		 * @param {number} expirySeconds Expiry time in seconds
+		 * @param {number} expirySeconds Expiry time in seconds (null for a session cookie)
 		 */
 		setCookie(name, value, expirySeconds) {
-			const expiryDate = new Date();
-			expiryDate.setTime(expiryDate.getTime() + expirySeconds * 1000);
-			const expires = `expires=${expiryDate.toUTCString()}`;
+			let expires = '';
+
+			if (expirySeconds !== null) {
+				const expiryDate = new Date();
+				expiryDate.setTime(expiryDate.getTime() + expirySeconds * 1000);
+				expires = `expires=${expiryDate.toUTCString()};`;
+			}
 
 			// Use path=/ to make cookie available across the entire site
-			document.cookie = `${name}=${value};${expires};path=/;SameSite=Lax`;
+			document.cookie = `${name}=${value};${expires}path=/;SameSite=Lax`;
 		}
 
 		/**
@@ -63,33 +97,36 @@
 
 		/**
 		 * Set a value with expiry time
-		 * Uses localStorage first, falls back to cookies if unavailable
+		 * Uses localStorage (sessionStorage for session cooldowns) first, falls
+		 * back to cookies if unavailable
 		 *
-		 * @param {string} key           Storage key
-		 * @param {number} expirySeconds Expiry time in seconds
+		 * @param {string}  key           Storage key
+		 * @param {number}  expirySeconds Expiry time in seconds
+		 * @param {boolean} session       Also expire when the browser session ends
 		 */
-		set(key, expirySeconds) {
+		set(key, expirySeconds, session = false) {
 			const expiryTime = Date.now() + expirySeconds * 1000;
 			const data = JSON.stringify({
 				timestamp: Date.now(),
 				expiryTime,
 			});
+			const storageName = session ? 'sessionStorage' : 'localStorage';
 
-			// Try localStorage first
+			// Try web storage first
 			try {
-				localStorage.setItem(key, data);
-				this.log(`Set cooldown in localStorage: ${key}`);
+				(session ? sessionStorage : localStorage).setItem(key, data);
+				this.log(`Set cooldown in ${storageName}: ${key}`);
 				return;
 			} catch (e) {
 				this.log(
-					'localStorage not available or quota exceeded, falling back to cookies',
+					`${storageName} not available or quota exceeded, falling back to cookies`,
 					e
 				);
 			}
 
 			// Fallback to cookies
 			try {
-				this.setCookie(key, data, expirySeconds);
+				this.setCookie(key, data, session ? null : expirySeconds);
 				this.log(`Set cooldown in cookie: ${key}`);
 			} catch (e) {
 				this.log('Cookie storage also failed', e);
@@ -98,12 +135,19 @@
 
 		/**
 		 * Check if a cooldown is active
-		 * Checks localStorage first, then cookies
+		 * Checks session cooldowns, then localStorage, then cookies
 		 *
 		 * @param {string} key Storage key
 		 * @return {boolean} True if cooldown is active
 		 */
 		isCooldownActive(key) {
+			// Session cooldowns ("once per session") are kept apart, so an
+			// expired localStorage entry can't hide them
+			if (this.isSessionCooldownActive(key)) {
+				this.log(`Cooldown active (sessionStorage): ${key}`);
+				return true;
+			}
+
 			let item = null;
 			let source = null;
 
@@ -156,16 +200,66 @@
 		}
 
 		/**
-		 * Remove a key from both localStorage and cookies
+		 * Check if a session cooldown is active
 		 *
 		 * @param {string} key Storage key
+		 * @return {boolean} True if sessionStorage holds an unexpired cooldown
 		 */
-		removeFromBothStorages(key) {
+		isSessionCooldownActive(key) {
 			try {
-				localStorage.removeItem(key);
+				const item = sessionStorage.getItem(key);
+				return (
+					Boolean(item) && Date.now() < JSON.parse(item).expiryTime
+				);
 			} catch (e) {
-				// Silent fail - localStorage might not be available
+				return false;
 			}
+		}
+
+		/**
+		 * Remove every key with a prefix from localStorage, sessionStorage and cookies
+		 *
+		 * @param {string} prefix Key prefix
+		 * @return {number} Number of keys removed
+		 */
+		clearPrefix(prefix) {
+			const keys = new Set();
+
+			[localStorage, sessionStorage].forEach((store) => {
+				try {
+					for (let i = 0; i < store.length; i++) {
+						keys.add(store.key(i));
+					}
+				} catch (e) {
+					this.log('Error accessing storage', e);
+				}
+			});
+
+			document.cookie.split(';').forEach((cookie) => {
+				keys.add(cookie.split('=')[0].trim());
+			});
+
+			const matching = Array.from(keys).filter(
+				(key) => key && key.indexOf(prefix) === 0
+			);
+			matching.forEach((key) => this.removeFromBothStorages(key));
+
+			return matching.length;
+		}
+
+		/**
+		 * Remove a key from localStorage, sessionStorage and cookies
+		 *
+		 * @param {string} key Storage key
+		 */
+		removeFromBothStorages(key) {
+			[localStorage, sessionStorage].forEach((store) => {
+				try {
+					store.removeItem(key);
+				} catch (e) {
+					// Silent fail - storage might not be available
+				}
+			});
 
 			try {
 				this.removeCookie(key);
@@ -205,6 +299,19 @@
 			this.previousFocus = null;
 			this.focusTrapHandler = null;
 			this.resizeObserver = null;
+			this.scrollTimeout = null;
+			this.listeners = [];
+			this.observers = [];
+
+			// Highlight queue (see request())
+			this.queue = [];
+			this.queueOrder = 0;
+			this.queueTimer = null;
+			this.highlightCount = 0;
+			this.lastDismissed = 0;
+
+			// Cooldown keys written by this page's own highlights
+			this.pageCooldowns = new Set();
 		}
 
 		/**
@@ -224,18 +331,13 @@
 			// Check global cooldown
 			if (this.storage.isCooldownActive('cta_highlights_global')) {
 				this.log('Global cooldown active');
+				highlightCTAs.forEach((cta) =>
+					this.emit('cooldown-blocked', cta, 'global')
+				);
 				return;
 			}
 
-			// Detect and set page background
-			this.setPageBackground();
-
-			// Create overlay and close button
-			this.createOverlay();
-			this.createCloseButton();
-
-			// Setup event listeners
-			this.setupEventListeners();
+			this.ensureOverlay();
 
 			// Setup intersection observers for each CTA
 			highlightCTAs.forEach((cta) => this.setupObserver(cta));
@@ -260,22 +362,82 @@
 			// Check global cooldown
 			if (this.storage.isCooldownActive('cta_highlights_global')) {
 				this.log('Global cooldown active, skipping CTA initialization');
+				this.emit('cooldown-blocked', ctaElement, 'global');
 				return;
 			}
 
 			// Ensure overlay and close button exist (lazy initialization)
-			if (!this.overlay) {
-				this.setPageBackground();
-				this.createOverlay();
-				this.createCloseButton();
-				this.setupEventListeners();
-			}
+			this.ensureOverlay();
 
 			// Setup observer for this specific CTA
 			this.setupObserver(ctaElement);
 			this.log('Initialized CTA:', ctaElement);
 		}
 
+		/**
+		 * Create the overlay, close button and event listeners once
+		 */
+		ensureOverlay() {
+			if (this.overlay) {
+				return;
+			}
+
+			// Detect and set page background
+			this.setPageBackground();
+
+			// Create overlay and close button
+			this.createOverlay();
+			this.createCloseButton();
+
+			// Setup event listeners
+			this.setupEventListeners();
+		}
+
+		/**
+		 * Highlight a CTA right away
+		 * Used by window.ctaHighlights.highlight(). Cooldowns don't apply, and a
+		 * highlight that is already active is dismissed first.
+		 *
+		 * @param {HTMLElement} cta CTA element (or an element inside it)
+		 * @return {boolean} True if the CTA was highlighted
+		 */
+		highlight(cta) {
+			const wrapper = cta && cta.closest('.cta-highlights-wrapper');
+
+			if (!wrapper) {
+				this.log('Element is not a CTA');
+				return false;
+			}
+
+			this.ensureOverlay();
+			this.dismiss('api');
+			this.activate(wrapper, 'api');
+
+			return true;
+		}
+
+		/**
+		 * Dispatch a cta-highlights:* event
+		 * Dispatched on the CTA (bubbling to document), or on document when the
+		 * event isn't about one CTA
+		 *
+		 * @param {string}           name   Event name without prefix
+		 * @param {HTMLElement|null} cta    CTA element
+		 * @param {string|null}      reason Why the event happened
+		 */
+		emit(name, cta = null, reason = null) {
+			(cta || document).dispatchEvent(
+				new CustomEvent(`${EVENT_PREFIX}${name}`, {
+					bubbles: true,
+					detail: {
+						element: cta,
+						template: cta ? cta.dataset.template || null : null,
+						reason,
+					},
+				})
+			);
+		}
+
 		/**
 		 * Detect page background color and set CSS custom property
 		 */
@@ -347,33 +509,33 @@
 		 */
 		setupEventListeners() {
 			// Overlay click dismissal - only on direct overlay clicks
-			this.overlay.addEventListener('click', (e) => {
+			this.addListener(this.overlay, 'click', (e) => {
 				if (e.target === this.overlay) {
 					this.dismiss('overlay-click');
 				}
 			});
 
 			// Close button click
-			this.closeButton.addEventListener('click', () => {
+			this.addListener(this.closeButton, 'click', () => {
 				this.dismiss('close-button');
 			});
 
 			// ESC key dismissal
-			document.addEventListener('keydown', (e) => {
+			this.addListener(document, 'keydown', (e) => {
 				if (e.key === 'Escape' && this.isActive) {
 					this.dismiss('escape-key');
 				}
 			});
 
 			// Scroll dismissal (debounced)
-			let scrollTimeout;
-			window.addEventListener(
+			this.addListener(
+				window,
 				'scroll',
 				() => {
 					if (!this.isActive) return;
 
-					clearTimeout(scrollTimeout);
-					scrollTimeout = setTimeout(() => {
+					clearTimeout(this.scrollTimeout);
+					this.scrollTimeout = setTimeout(() => {
 						this.checkScrollDismissal();
 					}, 100);
 				},
@@ -381,7 +543,7 @@
 			);
 
 			// Anchor click dismissal within active CTA
-			document.addEventListener('click', (e) => {
+			this.addListener(document, 'click', (e) => {
 				if (!this.isActive) return;
 
 				const anchor = e.target.closest('a');
@@ -395,7 +557,8 @@
 			});
 
 			// Handle window resize
-			window.addEventListener(
+			this.addListener(
+				window,
 				'resize',
 				() => {
 					if (this.isActive && this.activeCTA) {
@@ -406,21 +569,296 @@
 			);
 		}
 
+		/**
+		 * Add an event listener that destroy() removes again
+		 *
+		 * @param {EventTarget} target  Event target
+		 * @param {string}      type    Event type
+		 * @param {Function}    handler Event handler
+		 * @param {Object}      options Listener options
+		 */
+		addListener(target, type, handler, options = false) {
+			target.addEventListener(type, handler, options);
+			this.listeners.push(() =>
+				target.removeEventListener(type, handler, options)
+			);
+		}
+
+		/**
+		 * Tear down the highlight system
+		 * Removes listeners, observers, the overlay and the close button, so the
+		 * page can be re-initialized after SPA/PJAX navigation. An active
+		 * highlight is cleared without a dismiss event or dismissal cooldowns.
+		 */
+		destroy() {
+			this.queue = [];
+			clearTimeout(this.queueTimer);
+			clearTimeout(this.hideTimeout);
+			this.hideTimeout = null;
+
+			if (this.activeCTA) {
+				this.activeCTA.classList.remove('cta-highlights-active');
+				this.activeCTA.setAttribute('aria-modal', 'false');
+			}
+
+			this.isActive = false;
+			this.activeCTA = null;
+			this.previousFocus = null;
+
+			this.listeners.forEach((remove) => remove());
+			this.listeners = [];
+
+			this.observers.forEach((observer) => observer.disconnect());
+			this.observers = [];
+
+			if (this.resizeObserver) {
+				this.resizeObserver.disconnect();
+				this.resizeObserver = null;
+			}
+
+			clearTimeout(this.scrollTimeout);
+			this.removeFocusTrap();
+
+			if (this.overlay) {
+				this.overlay.remove();
+				this.overlay = null;
+			}
+
+			if (this.closeButton) {
+				this.closeButton.remove();
+				this.closeButton = null;
+			}
+
+			this.log('Destroyed');
+		}
+
 		/**
 		 * Setup intersection observer for a CTA
 		 *
 		 * @param {HTMLElement} cta CTA element to observe
 		 */
 		setupObserver(cta) {
-			const templateName = cta.dataset.template;
+			if (this.isBlockedByCooldown(cta)) {
+				return;
+			}
 
-			// Check template-specific cooldown
-			const cooldownKey = `cta_highlights_template_${templateName}`;
-			if (this.storage.isCooldownActive(cooldownKey)) {
-				this.log(`Template "${templateName}" cooldown active`);
+			const trigger = this.getTrigger(cta);
+			if (trigger.mode !== 'visible') {
+				this.setupTrigger(cta, trigger);
 				return;
 			}
 
+			this.observeVisibility(cta);
+		}
+
+		/**
+		 * Check the global, template and per-CTA cooldowns of a CTA
+		 * Emits cooldown-blocked with the cooldown that blocks it
+		 *
+		 * @param {HTMLElement} cta        CTA element
+		 * @param {boolean}     ignorePage Ignore global and template cooldowns
+		 *                                 started by this page's highlights
+		 * @return {boolean} True if a cooldown is active
+		 */
+		isBlockedByCooldown(cta, ignorePage = false) {
+			const keys = this.getCooldownKeys(cta);
+
+			return ['global', 'template', 'cta'].some((scope) => {
+				if (
+					!keys[scope] ||
+					(ignorePage &&
+						scope !== 'cta' &&
+						this.pageCooldowns.has(keys[scope])) ||
+					!this.storage.isCooldownActive(keys[scope])
+				) {
+					return false;
+				}
+
+				this.log(`Cooldown active: ${keys[scope]}`);
+				this.emit('cooldown-blocked', cta, scope);
+				return true;
+			});
+		}
+
+		/**
+		 * Read a CTA's trigger from its data-trigger attribute
+		 *
+		 * @param {HTMLElement} cta CTA element
+		 * @return {Object} Trigger mode and amount (seconds or scroll percentage)
+		 */
+		getTrigger(cta) {
+			const parts = String(cta.dataset.trigger || 'visible').split(':');
+			const mode = parts[0];
+
+			if (!Object.prototype.hasOwnProperty.call(TRIGGER_DEFAULTS, mode)) {
+				return { mode: 'visible', amount: null };
+			}
+
+			return {
+				mode,
+				amount: parseFloat(parts[1]) || TRIGGER_DEFAULTS[mode],
+			};
+		}
+
+		/**
+		 * Wait for a CTA's time, scroll depth, exit intent or idle trigger
+		 *
+		 * @param {HTMLElement} cta     CTA element
+		 * @param {Object}      trigger Trigger mode and amount
+		 */
+		setupTrigger(cta, trigger) {
+			const removers = [];
+			let timer = null;
+
+			const listen = (target, type, handler) => {
+				target.addEventListener(type, handler, { passive: true });
+				removers.push(() =>
+					target.removeEventListener(type, handler, { passive: true })
+				);
+			};
+
+			const stop = () => {
+				clearTimeout(timer);
+				removers.forEach((remove) => remove());
+			};
+
+			const fire = () => {
+				stop();
+				this.triggerFired(cta, trigger);
+			};
+
+			// destroy() stops triggers that haven't fired
+			this.listeners.push(stop);
+
+			switch (trigger.mode) {
+				case 'time':
+					timer = setTimeout(fire, trigger.amount * 1000);
+					break;
+
+				case 'scroll': {
+					const check = () => {
+						if (this.getScrollDepth() >= trigger.amount) {
+							fire();
+						}
+					};
+					listen(window, 'scroll', check);
+					check();
+					break;
+				}
+
+				case 'exit':
+					this.listenForExitIntent(listen, fire);
+					break;
+
+				case 'idle': {
+					const restart = () => {
+						clearTimeout(timer);
+						timer = setTimeout(fire, trigger.amount * 1000);
+					};
+					IDLE_EVENTS.forEach((type) =>
+						listen(window, type, restart)
+					);
+					restart();
+					break;
+				}
+			}
+		}
+
+		/**
+		 * Listen for exit intent
+		 * On desktop the mouse leaves the page toward the browser chrome, on
+		 * touch devices the visitor scrolls up fast
+		 *
+		 * @param {Function} listen Adds a listener that is removed when the trigger stops
+		 * @param {Function} fire   Fires the trigger
+		 */
+		listenForExitIntent(listen, fire) {
+			const touch =
+				typeof window.matchMedia === 'function' &&
+				window.matchMedia('(pointer: coarse)').matches;
+
+			if (!touch) {
+				listen(document, 'mouseout', (e) => {
+					if (!e.relatedTarget && e.clientY <= 0) {
+						fire();
+					}
+				});
+				return;
+			}
+
+			let lastY = window.scrollY;
+			let lastTime = Date.now();
+
+			listen(window, 'scroll', () => {
+				const speed =
+					(lastY - window.scrollY) /
+					Math.max(Date.now() - lastTime, 1);
+
+				lastY = window.scrollY;
+				lastTime = Date.now();
+
+				if (speed >= EXIT_SCROLL_SPEED) {
+					fire();
+				}
+			});
+		}
+
+		/**
+		 * Get how far the page has been scrolled
+		 *
+		 * @return {number} Bottom of the viewport as a percentage of the page height
+		 */
+		getScrollDepth() {
+			const pageHeight = document.documentElement.scrollHeight;
+
+			if (pageHeight <= window.innerHeight) {
+				return 100;
+			}
+
+			return ((window.scrollY + window.innerHeight) / pageHeight) * 100;
+		}
+
+		/**
+		 * Highlight a CTA whose trigger fired
+		 * An off-screen CTA is highlighted once it becomes visible, after being
+		 * scrolled into view when data-trigger-offscreen is "scroll". A CTA
+		 * queued behind another highlight is never scrolled to.
+		 *
+		 * @param {HTMLElement} cta     CTA element
+		 * @param {Object}      trigger Trigger mode and amount
+		 */
+		triggerFired(cta, trigger) {
+			this.log(
+				`Trigger "${trigger.mode}" fired for template: ${cta.dataset.template}`
+			);
+
+			if (this.isActive || this.isFullyVisibleOrAtTop(cta)) {
+				this.request(cta, trigger.mode);
+				return;
+			}
+
+			if (cta.dataset.triggerOffscreen === 'scroll') {
+				const reduceMotion =
+					typeof window.matchMedia === 'function' &&
+					window.matchMedia('(prefers-reduced-motion: reduce)')
+						.matches;
+
+				cta.scrollIntoView({
+					behavior: reduceMotion ? 'auto' : 'smooth',
+					block: 'center',
+				});
+			}
+
+			this.observeVisibility(cta, trigger.mode);
+		}
+
+		/**
+		 * Highlight a CTA when it becomes fully visible
+		 *
+		 * @param {HTMLElement} cta    CTA element to observe
+		 * @param {string}      reason Trigger mode reported in the activate event
+		 */
+		observeVisibility(cta, reason = 'visible') {
 			// Calculate threshold based on CTA height vs viewport height
 			const threshold = this.calculateThreshold(cta);
 
@@ -432,17 +870,96 @@
 
 			const observer = new IntersectionObserver((entries) => {
 				entries.forEach((entry) => {
-					if (entry.isIntersecting && !this.isActive) {
-						// Additional check: is CTA fully visible or at top of viewport?
-						if (this.isFullyVisibleOrAtTop(entry.target)) {
-							this.activate(cta);
-							observer.disconnect(); // Only trigger once
-						}
+					// Additional check: is CTA fully visible or at top of viewport?
+					if (
+						entry.isIntersecting &&
+						this.isFullyVisibleOrAtTop(entry.target)
+					) {
+						observer.disconnect(); // Only trigger once
+						this.request(cta, reason);
 					}
 				});
 			}, observerOptions);
 
 			observer.observe(cta);
+			this.observers.push(observer);
+		}
+
+		/**
+		 * Ask for a CTA to be highlighted
+		 * It is highlighted right away when nothing is active and the minimum
+		 * gap since the last highlight has passed. Otherwise it waits in the
+		 * queue, which is worked through by priority after each dismissal.
+		 *
+		 * @param {HTMLElement} cta    CTA element
+		 * @param {string}      reason Trigger mode reported in the activate event
+		 */
+		request(cta, reason) {
+			if (!this.queue.some((entry) => entry.cta === cta)) {
+				this.queue.push({
+					cta,
+					reason,
+					priority: parseInt(cta.dataset.priority, 10) || 0,
+					order: this.queueOrder++,
+				});
+			}
+
+			this.processQueue();
+		}
+
+		/**
+		 * Highlight the next queued CTA if the page limits allow it
+		 * A queued CTA that has scrolled out of view goes back to waiting until
+		 * it is visible again. Global and template cooldowns started by this
+		 * page's own highlights don't hold back the queue: maxPerPage and
+		 * minGap space highlights within the page.
+		 */
+		processQueue() {
+			if (this.isActive || this.queue.length === 0) {
+				return;
+			}
+
+			const maxPerPage = parseInt(this.config.maxPerPage, 10) || 0;
+			if (maxPerPage && this.highlightCount >= maxPerPage) {
+				this.log(
+					`Maximum of ${maxPerPage} highlights per page reached`
+				);
+				this.queue = [];
+				return;
+			}
+
+			const wait =
+				this.lastDismissed +
+				(parseFloat(this.config.minGap) || 0) * 1000 -
+				Date.now();
+			if (wait > 0) {
+				clearTimeout(this.queueTimer);
+				this.queueTimer = setTimeout(() => this.processQueue(), wait);
+				return;
+			}
+
+			this.queue.sort(
+				(a, b) => b.priority - a.priority || a.order - b.order
+			);
+			const next = this.queue.shift();
+
+			// A cooldown may have started elsewhere (another tab) meanwhile
+			if (
+				!next.cta.isConnected ||
+				this.isBlockedByCooldown(next.cta, true)
+			) {
+				this.processQueue();
+				return;
+			}
+
+			if (this.isFullyVisibleOrAtTop(next.cta)) {
+				this.activate(next.cta, next.reason);
+				return;
+			}
+
+			// Only a firing trigger scrolls; a queued CTA waits to be scrolled to
+			this.observeVisibility(next.cta, next.reason);
+			this.processQueue();
 		}
 
 		/**
@@ -488,13 +1005,15 @@
 		 * Activate the highlight effect
 		 * CTA stays inline - we just add overlay and elevate z-index
 		 *
-		 * @param {HTMLElement} cta CTA element to highlight
+		 * @param {HTMLElement} cta    CTA element to highlight
+		 * @param {string}      reason What started it (trigger mode or 'api')
 		 */
-		activate(cta) {
+		activate(cta, reason = 'visible') {
 			if (this.isActive) return;
 
 			this.isActive = true;
 			this.activeCTA = cta;
+			this.highlightCount++;
 
 			const duration = parseInt(cta.dataset.duration, 10) || 5;
 			const templateName = cta.dataset.template;
@@ -526,14 +1045,10 @@
 			}, duration * 1000);
 
 			// Set cooldowns
-			this.storage.set(
-				'cta_highlights_global',
-				this.config.globalCooldown
-			);
-			this.storage.set(
-				`cta_highlights_template_${templateName}`,
-				this.config.templateCooldown
-			);
+			const keys = this.getCooldownKeys(cta);
+			const cooldowns = this.getCooldowns(cta);
+			this.setCooldown(keys.global, cooldowns.global);
+			this.setCooldown(keys.cta || keys.template, cooldowns.template);
 
 			// Announce to screen readers
 			this.announceToScreenReader(
@@ -542,12 +1057,13 @@
 			);
 
 			this.log(`Activated highlight for template: ${templateName}`);
+			this.emit('activate', cta, reason);
 		}
 
 		/**
 		 * Dismiss the highlight effect
 		 *
-		 * @param {string} reason Reason for dismissal (for logging)
+		 * @param {string} reason Reason for dismissal (logged and reported in the dismiss event)
 		 */
 		dismiss(reason) {
 			if (!this.isActive) return;
@@ -585,10 +1101,151 @@
 				}
 			}
 
+			const cta = this.activeCTA;
+			this.applyDismissCooldowns(cta, reason);
+
 			// Reset state
 			this.isActive = false;
 			this.activeCTA = null;
 			this.previousFocus = null;
+
+			this.emit('dismiss', cta, reason);
+
+			// Give the next queued CTA its turn (after the minimum gap)
+			this.lastDismissed = Date.now();
+			clearTimeout(this.queueTimer);
+			this.queueTimer = setTimeout(() => this.processQueue(), 0);
+		}
+
+		/**
+		 * Get the storage keys of a CTA's cooldowns
+		 * A CTA with its own data-cooldown and data-cooldown-key (the shortcode
+		 * always outputs one) has a per-CTA key, so other CTAs of its template
+		 * keep their own cooldown. Without a key its cooldown is written to the
+		 * template key.
+		 *
+		 * @param {HTMLElement} cta CTA element
+		 * @return {Object} Global, template and per-CTA key (null if none)
+		 */
+		getCooldownKeys(cta) {
+			const ownKey = cta.dataset.cooldownKey;
+
+			if (cta.dataset.cooldown && !ownKey) {
+				this.log(
+					'CTA cooldown without a cooldown key, using the template key'
+				);
+			}
+
+			return {
+				global: `${COOLDOWN_PREFIX}global`,
+				template: `${COOLDOWN_PREFIX}template_${cta.dataset.template}`,
+				cta:
+					cta.dataset.cooldown && ownKey
+						? `${COOLDOWN_PREFIX}cta_${ownKey}`
+						: null,
+			};
+		}
+
+		/**
+		 * Get the cooldowns a CTA sets when it is highlighted
+		 * The CTA's data-cooldown and data-global-cooldown attributes win over
+		 * its template's entry in templateCooldowns, which wins over the
+		 * default cooldowns
+		 *
+		 * @param {HTMLElement} cta CTA element
+		 * @return {Object} Global and template cooldown (seconds, 'session' or 'once')
+		 */
+		getCooldowns(cta) {
+			const templateCooldowns = this.config.templateCooldowns || {};
+			const pick = (...values) =>
+				values.find(
+					(value) =>
+						value !== undefined && value !== null && value !== ''
+				);
+
+			return {
+				global: pick(
+					cta.dataset.globalCooldown,
+					this.config.globalCooldown
+				),
+				template: pick(
+					cta.dataset.cooldown,
+					templateCooldowns[cta.dataset.template],
+					this.config.templateCooldown
+				),
+			};
+		}
+
+		/**
+		 * Write a cooldown
+		 * The key is remembered as started by this page (see processQueue())
+		 *
+		 * @param {string}        key      Storage key
+		 * @param {number|string} cooldown Seconds, 'session' (until the browser session ends) or 'once' (never expires)
+		 */
+		setCooldown(key, cooldown) {
+			this.pageCooldowns.add(key);
+
+			if (cooldown === 'session') {
+				this.storage.set(key, NEVER_EXPIRES, true);
+				return;
+			}
+
+			this.storage.set(
+				key,
+				cooldown === 'once'
+					? NEVER_EXPIRES
+					: parseInt(cooldown, 10) || 0
+			);
+		}
+
+		/**
+		 * Apply the cooldowns configured for a dismissal reason
+		 * Replaces the cooldowns written in activate(), counted from now. A
+		 * number sets both the global and the template cooldown (the per-CTA
+		 * cooldown for a CTA with its own key), -1 never expires and 0 clears
+		 * the cooldown.
+		 *
+		 * @param {HTMLElement|null} cta    Dismissed CTA element
+		 * @param {string}           reason Reason for dismissal
+		 */
+		applyDismissCooldowns(cta, reason) {
+			const configured = (this.config.dismissCooldowns || {})[reason];
+
+			if (!cta || configured === undefined || configured === null) {
+				return;
+			}
+
+			const cooldowns =
+				typeof configured === 'object'
+					? configured
+					: { global: configured, template: configured };
+			const ctaKeys = this.getCooldownKeys(cta);
+			const keys = {
+				global: ctaKeys.global,
+				template: ctaKeys.cta || ctaKeys.template,
+			};
+
+			Object.keys(keys).forEach((scope) => {
+				const seconds = parseInt(cooldowns[scope], 10);
+
+				if (isNaN(seconds)) {
+					return;
+				}
+
+				if (seconds === 0) {
+					this.storage.removeFromBothStorages(keys[scope]);
+				} else {
+					this.setCooldown(
+						keys[scope],
+						seconds < 0 ? 'once' : seconds
+					);
+				}
+
+				this.log(
+					`Cooldown after ${reason}: ${keys[scope]} ${seconds}s`
+				);
+			});
 		}
 
 		/**
@@ -706,6 +1363,21 @@
 		}
 	}
 
+	// Navigation library events after which the new page is initialized (same list in auto-insert.js)
+	const NAVIGATION_EVENTS = [
+		'swup:contentReplaced',
+		'swup:page:view',
+		'turbo:load',
+		'turbolinks:load',
+		'pjax:success',
+	];
+
+	// Events fired before a page is cached for back/forward navigation
+	const NAVIGATION_TEARDOWN_EVENTS = [
+		'turbo:before-cache',
+		'turbolinks:before-cache',
+	];
+
 	/**
 	 * Initialize on DOM ready
 	 */
@@ -722,14 +1394,136 @@
 
 		// Expose to window for potential external access
 		window.ctaHighlightsManager = highlightManager;
+
+		highlightManager.emit('init');
+	}
+
+	/**
+	 * Tear down the current page's highlight manager
+	 */
+	function teardown() {
+		if (window.ctaHighlightsManager) {
+			window.ctaHighlightsManager.destroy();
+			window.ctaHighlightsManager = null;
+		}
+	}
+
+	/**
+	 * Tear down and initialize again for the current page
+	 */
+	function refresh() {
+		teardown();
+		init();
+	}
+
+	/**
+	 * Refresh after SPA/PJAX navigation (Swup, Turbo, Turbolinks, Barba, PJAX)
+	 * Events that fire without a URL change (e.g. Turbo's initial
+	 * turbo:load) are ignored
+	 */
+	function setupNavigationHooks() {
+		let lastUrl = window.location.href;
+
+		const onNavigate = () => {
+			if (window.location.href === lastUrl) {
+				return;
+			}
+
+			lastUrl = window.location.href;
+			refresh();
+		};
+
+		NAVIGATION_EVENTS.forEach((eventName) =>
+			document.addEventListener(eventName, onNavigate)
+		);
+
+		NAVIGATION_TEARDOWN_EVENTS.forEach((eventName) =>
+			document.addEventListener(eventName, () => {
+				lastUrl = null;
+				teardown();
+			})
+		);
+
+		// jquery-pjax only fires jQuery events
+		const $document = window.jQuery ? window.jQuery(document) : null;
+		if ($document && typeof $document.on === 'function') {
+			$document.on('pjax:end', onNavigate);
+		}
+
+		// Barba.js has hooks instead of DOM events
+		if (window.barba && window.barba.hooks) {
+			window.barba.hooks.after(onNavigate);
+		}
+	}
+
+	/**
+	 * Get the full event name for on()/off()
+	 *
+	 * @param {string} name Event name with or without the cta-highlights: prefix
+	 * @return {string} Prefixed event name
+	 */
+	function prefixEventName(name) {
+		return name.indexOf(EVENT_PREFIX) === 0
+			? name
+			: `${EVENT_PREFIX}${name}`;
 	}
 
+	// Public API for themes and plugins (calls the current page's manager)
+	window.ctaHighlights = window.ctaHighlights || {};
+	Object.assign(window.ctaHighlights, {
+		highlight(elementOrId) {
+			const element =
+				typeof elementOrId === 'string'
+					? document.getElementById(elementOrId.replace(/^#/, ''))
+					: elementOrId;
+			const manager = window.ctaHighlightsManager;
+
+			return manager ? manager.highlight(element) : false;
+		},
+
+		dismiss() {
+			if (window.ctaHighlightsManager) {
+				window.ctaHighlightsManager.dismiss('api');
+			}
+		},
+
+		isActive() {
+			return Boolean(
+				window.ctaHighlightsManager &&
+					window.ctaHighlightsManager.isActive
+			);
+		},
+
+		resetCooldowns() {
+			return new StorageManager().clearPrefix(COOLDOWN_PREFIX);
+		},
+
+		on(name, handler) {
+			document.addEventListener(prefixEventName(name), handler);
+		},
+
+		off(name, handler) {
+			document.removeEventListener(prefixEventName(name), handler);
+		},
+	});
+
+	// Manual refresh for other navigation setups: window.ctaHighlights.refresh()
+	window.ctaHighlights.refreshHandlers =
+		window.ctaHighlights.refreshHandlers || [];
+	window.ctaHighlights.refreshHandlers.push(refresh);
+	window.ctaHighlights.refresh = () =>
+		window.ctaHighlights.refreshHandlers.forEach((handler) => handler());
+
 	// Initialize when DOM is ready
 	if (document.readyState === 'loading') {
-		document.addEventListener('DOMContentLoaded', init);
+		document.addEventListener('DOMContentLoaded', () => {
+			init();
+			setupNavigationHooks();
+		});
 	} else {
 		// DOM already loaded
 		init();
+		setupNavigationHooks();
 	}
 
 	// Export for testing (CommonJS and global)
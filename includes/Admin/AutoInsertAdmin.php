@@ -8,6 +8,8 @@
 namespace CTAHighlights\Admin;
 
 use CTAHighlights\AutoInsertion\Database;
+use CTAHighlights\AutoInsertion\Manager;
+use CTAHighlights\AutoInsertion\Matcher;
 
 if ( ! defined( 'ABSPATH' ) ) {
 	exit;
@@ -25,6 +27,13 @@ class AutoInsertAdmin {
 	 */
 	private $database;
 
+	/**
+	 * Counter used to assign form IDs to rendered condition groups
+	 *
+	 * @var int
+	 */
+	private $group_counter = 0;
+
 	/**
 	 * Constructor
 	 *
@@ -76,7 +85,7 @@ class AutoInsertAdmin {
 	}
 
 	/**
-	 * Handle admin actions (save, delete, duplicate)
+	 * Handle admin actions (save, delete, duplicate, save settings)
 	 *
 	 * @return void
 	 */
@@ -119,6 +128,19 @@ class AutoInsertAdmin {
 			}
 		}
 
+		// Handle settings save.
+		if ( isset( $_POST['cta_auto_insert_save_settings'] ) ) {
+			$nonce = isset( $_POST['_wpnonce'] ) ? sanitize_text_field( wp_unslash( $_POST['_wpnonce'] ) ) : '';
+			if ( ! wp_verify_nonce( $nonce, 'cta_auto_insert_settings' ) || ! current_user_can( 'manage_options' ) ) {
+				wp_die( esc_html__( 'Security check failed', 'cta-highlights' ) );
+			}
+
+			update_option( Manager::SELECTORS_OPTION, $this->sanitize_settings_data( $_POST ) );
+			if ( wp_safe_redirect( admin_url( 'admin.php?page=cta-auto-insert&action=settings&updated=1' ) ) ) {
+				exit;
+			}
+		}
+
 		// Handle save.
 		if ( isset( $_POST['cta_auto_insert_save'] ) ) {
 			$nonce = isset( $_POST['_wpnonce'] ) ? sanitize_text_field( wp_unslash( $_POST['_wpnonce'] ) ) : '';
@@ -172,49 +194,411 @@ class AutoInsertAdmin {
 		$data['storage_conditions'] = $this->sanitize_storage_conditions( $post_data );
 
 		// Insertion settings.
-		$data['insertion_direction'] = isset( $post_data['insertion_direction'] ) ? sanitize_text_field( wp_unslash( $post_data['insertion_direction'] ) ) : 'forward';
-		$data['insertion_position']  = isset( $post_data['insertion_position'] ) ? absint( $post_data['insertion_position'] ) : 3;
-		$data['fallback_behavior']   = isset( $post_data['fallback_behavior'] ) ? sanitize_text_field( wp_unslash( $post_data['fallback_behavior'] ) ) : 'end';
+		$data['insertion_direction']     = isset( $post_data['insertion_direction'] ) ? sanitize_text_field( wp_unslash( $post_data['insertion_direction'] ) ) : 'forward';
+		$data['insertion_position']      = isset( $post_data['insertion_position'] ) ? absint( $post_data['insertion_position'] ) : 3;
+		$data['insertion_position_unit'] = isset( $post_data['insertion_position_unit'] ) ? sanitize_key( wp_unslash( $post_data['insertion_position_unit'] ) ) : 'count';
+		$data['fallback_behavior']       = isset( $post_data['fallback_behavior'] ) ? sanitize_text_field( wp_unslash( $post_data['fallback_behavior'] ) ) : 'end';
+
+		// Insertion anchor (heading level and selector are separate fields on the form).
+		$data['insertion_anchor'] = isset( $post_data['insertion_anchor'] ) ? sanitize_key( wp_unslash( $post_data['insertion_anchor'] ) ) : 'element';
+		$anchor_field             = 'insertion_anchor_' . $data['insertion_anchor'];
+
+		$data['insertion_anchor_value'] = in_array( $data['insertion_anchor'], array( 'heading', 'selector' ), true ) && isset( $post_data[ $anchor_field ] )
+			? Database::sanitize_anchor_value( wp_unslash( $post_data[ $anchor_field ] ), $data['insertion_anchor'] )
+			: '';
+
+		// Repeating slot.
+		$data['insertion_repeat_every'] = isset( $post_data['insertion_repeat_every'] ) ? absint( $post_data['insertion_repeat_every'] ) : 0;
+		$data['insertion_repeat_max']   = isset( $post_data['insertion_repeat_max'] ) ? absint( $post_data['insertion_repeat_max'] ) : 0;
+		$data['insertion_slot']         = isset( $post_data['insertion_slot'] ) ? sanitize_text_field( wp_unslash( $post_data['insertion_slot'] ) ) : 'main';
 
 		// Fallback CTA.
 		$data['fallback_cta_id'] = isset( $post_data['fallback_cta_id'] ) && ! empty( $post_data['fallback_cta_id'] )
 			? absint( $post_data['fallback_cta_id'] )
 			: null;
 
+		// What to show when nothing in the chain matches.
+		$data['no_match_behavior'] = isset( $post_data['no_match_behavior'] ) ? sanitize_text_field( wp_unslash( $post_data['no_match_behavior'] ) ) : 'last';
+		$data['no_match_cta_id']   = 'cta' === $data['no_match_behavior'] && ! empty( $post_data['no_match_cta_id'] )
+			? absint( $post_data['no_match_cta_id'] )
+			: null;
+
+		// Frequency capping.
+		foreach ( Database::FREQUENCY_CAP_FIELDS as $field ) {
+			$data[ $field ] = isset( $post_data[ $field ] ) ? absint( $post_data[ $field ] ) : 0;
+		}
+
+		$data['stop_after_click'] = ! empty( $post_data['stop_after_click'] );
+
 		return $data;
 	}
 
 	/**
 	 * Sanitize storage conditions from form data
 	 *
+	 * Groups are posted as parallel storage_group_id[] / storage_group_parent[] /
+	 * storage_group_logic[] arrays and each condition row names its group in
+	 * storage_condition_group[]. Rows without a group belong to the root group.
+	 *
 	 * @param array $post_data POST data.
-	 * @return array Sanitized storage conditions.
+	 * @return array Sanitized root condition group, or empty array.
 	 */
 	private function sanitize_storage_conditions( $post_data ) {
-		if ( ! isset( $post_data['storage_condition_key'] ) || ! is_array( $post_data['storage_condition_key'] ) ) {
-			return array();
+		$nodes   = array(
+			'root' => array(
+				'type'       => 'group',
+				'logic'      => 'and',
+				'conditions' => array(),
+			),
+		);
+		$parents = array();
+
+		// Condition groups.
+		$group_ids     = isset( $post_data['storage_group_id'] ) && is_array( $post_data['storage_group_id'] ) ? array_map( 'sanitize_key', wp_unslash( $post_data['storage_group_id'] ) ) : array();
+		$group_parents = isset( $post_data['storage_group_parent'] ) && is_array( $post_data['storage_group_parent'] ) ? array_map( 'sanitize_key', wp_unslash( $post_data['storage_group_parent'] ) ) : array();
+		$group_logics  = isset( $post_data['storage_group_logic'] ) && is_array( $post_data['storage_group_logic'] ) ? array_map( 'sanitize_text_field', wp_unslash( $post_data['storage_group_logic'] ) ) : array();
+
+		foreach ( $group_ids as $index => $group_id ) {
+			if ( empty( $group_id ) ) {
+				continue;
+			}
+
+			$logic = ( isset( $group_logics[ $index ] ) && 'or' === $group_logics[ $index ] ) ? 'or' : 'and';
+
+			if ( 'root' === $group_id ) {
+				$nodes['root']['logic'] = $logic;
+				continue;
+			}
+
+			$nodes[ $group_id ]   = array(
+				'type'       => 'group',
+				'logic'      => $logic,
+				'conditions' => array(),
+			);
+			$parents[ $group_id ] = ! empty( $group_parents[ $index ] ) ? $group_parents[ $index ] : 'root';
 		}
 
-		$conditions = array();
-		$keys       = array_map( 'sanitize_text_field', wp_unslash( $post_data['storage_condition_key'] ) );
-		$operators  = isset( $post_data['storage_condition_operator'] ) ? array_map( 'sanitize_text_field', wp_unslash( $post_data['storage_condition_operator'] ) ) : array();
-		$values     = isset( $post_data['storage_condition_value'] ) ? array_map( 'sanitize_text_field', wp_unslash( $post_data['storage_condition_value'] ) ) : array();
-		$datatypes  = isset( $post_data['storage_condition_datatype'] ) ? array_map( 'sanitize_text_field', wp_unslash( $post_data['storage_condition_datatype'] ) ) : array();
+		// Condition rows.
+		if ( isset( $post_data['storage_condition_key'] ) && is_array( $post_data['storage_condition_key'] ) ) {
+			$keys       = array_map( 'sanitize_text_field', wp_unslash( $post_data['storage_condition_key'] ) );
+			$operators  = isset( $post_data['storage_condition_operator'] ) ? array_map( 'sanitize_text_field', wp_unslash( $post_data['storage_condition_operator'] ) ) : array();
+			$values     = isset( $post_data['storage_condition_value'] ) ? array_map( 'sanitize_text_field', wp_unslash( $post_data['storage_condition_value'] ) ) : array();
+			$datatypes  = isset( $post_data['storage_condition_datatype'] ) ? array_map( 'sanitize_text_field', wp_unslash( $post_data['storage_condition_datatype'] ) ) : array();
+			$row_groups = isset( $post_data['storage_condition_group'] ) && is_array( $post_data['storage_condition_group'] ) ? array_map( 'sanitize_key', wp_unslash( $post_data['storage_condition_group'] ) ) : array();
+			$sources    = isset( $post_data['storage_condition_source'] ) && is_array( $post_data['storage_condition_source'] ) ? array_map( 'sanitize_key', wp_unslash( $post_data['storage_condition_source'] ) ) : array();
+
+			foreach ( $keys as $index => $key ) {
+				$source = isset( $sources[ $index ] ) && in_array( $sources[ $index ], Matcher::SOURCES, true ) ? $sources[ $index ] : 'storage';
+				$key    = Matcher::normalize_condition_key( $key, $source );
+
+				if ( empty( $key ) ) {
+					continue;
+				}
+
+				$group_id = isset( $row_groups[ $index ], $nodes[ $row_groups[ $index ] ] ) ? $row_groups[ $index ] : 'root';
+				$datatype = isset( $datatypes[ $index ] ) && in_array( $datatypes[ $index ], Matcher::DATATYPES, true ) ? $datatypes[ $index ] : 'string';
+				$operator = Matcher::normalize_operator( isset( $operators[ $index ] ) ? $operators[ $index ] : '', $datatype );
+
+				$nodes[ $group_id ]['conditions'][] = array(
+					'source'   => $source,
+					'key'      => $key,
+					'operator' => $operator,
+					'value'    => isset( $values[ $index ] ) && ! in_array( $operator, array( 'exists', 'not_exists' ), true ) ? $values[ $index ] : '',
+					'datatype' => $datatype,
+				);
+			}
+		}
+
+		$tree = $this->build_condition_tree( 'root', $nodes, $parents, 1 );
+
+		return null !== $tree ? $tree : array();
+	}
+
+	/**
+	 * Assemble a condition group with its nested groups
+	 *
+	 * @param string $group_id Group to build.
+	 * @param array  $nodes    Groups keyed by ID (with their own conditions).
+	 * @param array  $parents  Parent group ID keyed by group ID.
+	 * @param int    $depth    Current nesting depth (root is 1).
+	 * @return array|null Condition group or null if it has no conditions.
+	 */
+	private function build_condition_tree( $group_id, $nodes, $parents, $depth ) {
+		if ( $depth > Matcher::MAX_GROUP_DEPTH ) {
+			return null;
+		}
 
-		foreach ( $keys as $index => $key ) {
-			if ( empty( $key ) ) {
+		$group = $nodes[ $group_id ];
+
+		foreach ( $parents as $child_id => $parent_id ) {
+			if ( $parent_id !== $group_id ) {
 				continue;
 			}
 
-			$conditions[] = array(
-				'key'      => $key,
-				'operator' => isset( $operators[ $index ] ) ? $operators[ $index ] : '=',
-				'value'    => isset( $values[ $index ] ) ? $values[ $index ] : '',
-				'datatype' => isset( $datatypes[ $index ] ) ? $datatypes[ $index ] : 'string',
+			$child = $this->build_condition_tree( $child_id, $nodes, $parents, $depth + 1 );
+
+			if ( null !== $child ) {
+				$group['conditions'][] = $child;
+			}
+		}
+
+		return empty( $group['conditions'] ) ? null : $group;
+	}
+
+	/**
+	 * Render a storage condition group (used recursively by the edit form)
+	 *
+	 * @param array  $group     Condition group (type, logic, conditions).
+	 * @param string $group_id  Form ID for this group ('root' for the top level).
+	 * @param string $parent_id Form ID of the parent group ('' for the root group).
+	 * @param int    $depth     Nesting depth (root is 1).
+	 * @return void
+	 */
+	public function render_storage_condition_group( $group, $group_id, $parent_id = '', $depth = 1 ) {
+		$group = wp_parse_args(
+			$group,
+			array(
+				'logic'      => 'and',
+				'conditions' => array(),
+			)
+		);
+
+		$max_depth = Matcher::MAX_GROUP_DEPTH;
+
+		include CTA_HIGHLIGHTS_DIR . 'templates/admin/partials/storage-condition-group.php';
+	}
+
+	/**
+	 * Get condition sources for the condition row select
+	 *
+	 * The optional 'list' is the ID of the datalist with key suggestions.
+	 *
+	 * @return array Source => array( 'label' => string, 'placeholder' => string, 'list' => string ).
+	 */
+	public function get_storage_source_options() {
+		return array(
+			'storage'   => array(
+				'label'       => __( 'localStorage / cookie', 'cta-highlights' ),
+				'placeholder' => __( 'localStorage key', 'cta-highlights' ),
+				'list'        => 'cta-builtin-storage-keys',
+			),
+			'url_param' => array(
+				'label'       => __( 'URL parameter', 'cta-highlights' ),
+				'placeholder' => __( 'Parameter, e.g. utm_campaign', 'cta-highlights' ),
+			),
+			'referrer'  => array(
+				'label'       => __( 'Referrer', 'cta-highlights' ),
+				'placeholder' => __( 'url, host or path', 'cta-highlights' ),
+			),
+			'datalayer' => array(
+				'label'       => __( 'dataLayer', 'cta-highlights' ),
+				'placeholder' => __( 'Variable, e.g. user.tier', 'cta-highlights' ),
+			),
+			'global'    => array(
+				'label'       => __( 'JavaScript global', 'cta-highlights' ),
+				'placeholder' => __( 'Variable, e.g. memberTier', 'cta-highlights' ),
+			),
+			'dom'       => array(
+				'label'       => __( 'Page element', 'cta-highlights' ),
+				'placeholder' => __( 'CSS selector, e.g. .cart-form', 'cta-highlights' ),
+			),
+			'interest'  => array(
+				'label'       => __( 'Reading history', 'cta-highlights' ),
+				'placeholder' => __( 'category:slug, tag:slug or post:ID', 'cta-highlights' ),
+				'list'        => 'cta-interest-keys',
+			),
+		);
+	}
+
+	/**
+	 * Get interest key suggestions (categories and most used tags)
+	 *
+	 * @return array Key => label.
+	 */
+	public function get_interest_key_suggestions() {
+		$suggestions = array();
+
+		foreach ( get_categories( array( 'hide_empty' => false ) ) as $category ) {
+			/* translators: %s: category name */
+			$suggestions[ 'category:' . $category->slug ] = sprintf( __( 'Posts read in category: %s', 'cta-highlights' ), $category->name );
+		}
+
+		$tags = get_tags(
+			array(
+				'orderby'    => 'count',
+				'order'      => 'DESC',
+				'number'     => 50,
+				'hide_empty' => true,
+			)
+		);
+
+		foreach ( is_array( $tags ) ? $tags : array() as $tag ) {
+			/* translators: %s: tag name */
+			$suggestions[ 'tag:' . $tag->slug ] = sprintf( __( 'Posts read with tag: %s', 'cta-highlights' ), $tag->name );
+		}
+
+		return $suggestions;
+	}
+
+	/**
+	 * Get built-in storage keys maintained by auto-insert.js
+	 *
+	 * Keep in sync with METRIC_KEYS and ATTRIBUTION_FIELDS in assets/js/auto-insert.js.
+	 *
+	 * @return array Key => array( 'label' => string, 'datatype' => string ).
+	 */
+	public function get_builtin_storage_keys() {
+		return array(
+			'cta_hl_visits'                => array(
+				'label'    => __( 'Total visits', 'cta-highlights' ),
+				'datatype' => 'number',
+			),
+			'cta_hl_pageviews'             => array(
+				'label'    => __( 'Total pageviews', 'cta-highlights' ),
+				'datatype' => 'number',
+			),
+			'cta_hl_session_pageviews'     => array(
+				'label'    => __( 'Pageviews this visit', 'cta-highlights' ),
+				'datatype' => 'number',
+			),
+			'cta_hl_first_seen'            => array(
+				'label'    => __( 'First seen', 'cta-highlights' ),
+				'datatype' => 'date',
+			),
+			'cta_hl_last_seen'             => array(
+				'label'    => __( 'Last seen (previous visit)', 'cta-highlights' ),
+				'datatype' => 'date',
+			),
+			'cta_hl_days_since_last_visit' => array(
+				'label'    => __( 'Days since last visit', 'cta-highlights' ),
+				'datatype' => 'number',
+			),
+			'cta_hl_returning'             => array(
+				'label'    => __( 'Returning visitor', 'cta-highlights' ),
+				'datatype' => 'boolean',
+			),
+			'cta_hl_utm_source'            => array(
+				'label'    => __( 'Campaign source (utm_source)', 'cta-highlights' ),
+				'datatype' => 'string',
+			),
+			'cta_hl_utm_medium'            => array(
+				'label'    => __( 'Campaign medium (utm_medium)', 'cta-highlights' ),
+				'datatype' => 'string',
+			),
+			'cta_hl_utm_campaign'          => array(
+				'label'    => __( 'Campaign name (utm_campaign)', 'cta-highlights' ),
+				'datatype' => 'string',
+			),
+			'cta_hl_utm_term'              => array(
+				'label'    => __( 'Campaign term (utm_term)', 'cta-highlights' ),
+				'datatype' => 'string',
+			),
+			'cta_hl_utm_content'           => array(
+				'label'    => __( 'Campaign content (utm_content)', 'cta-highlights' ),
+				'datatype' => 'string',
+			),
+			'cta_hl_referrer_domain'       => array(
+				'label'    => __( 'Referring domain', 'cta-highlights' ),
+				'datatype' => 'string',
+			),
+			'cta_hl_landing_page'          => array(
+				'label'    => __( 'Landing page URL', 'cta-highlights' ),
+				'datatype' => 'string',
+			),
+		);
+	}
+
+	/**
+	 * Get storage condition operators for the condition row select
+	 *
+	 * @return array Operator => array( 'label' => string, 'datatypes' => string[] ).
+	 */
+	public function get_storage_operator_options() {
+		$labels = array(
+			'='                  => '=',
+			'!='                 => '!=',
+			'>'                  => '>',
+			'<'                  => '<',
+			'>='                 => '>=',
+			'<='                 => '<=',
+			'contains'           => __( 'contains', 'cta-highlights' ),
+			'not_contains'       => __( 'does not contain', 'cta-highlights' ),
+			'starts_with'        => __( 'starts with', 'cta-highlights' ),
+			'ends_with'          => __( 'ends with', 'cta-highlights' ),
+			'in'                 => __( 'is one of', 'cta-highlights' ),
+			'not_in'             => __( 'is not one of', 'cta-highlights' ),
+			'between'            => __( 'is between', 'cta-highlights' ),
+			'within_last_days'   => __( 'within the last N days', 'cta-highlights' ),
+			'more_than_days_ago' => __( 'more than N days ago', 'cta-highlights' ),
+			'exists'             => __( 'exists', 'cta-highlights' ),
+			'not_exists'         => __( 'does not exist', 'cta-highlights' ),
+		);
+
+		$options = array();
+
+		foreach ( $labels as $operator => $label ) {
+			$datatypes = array();
+
+			foreach ( Matcher::OPERATORS as $datatype => $operators ) {
+				if ( in_array( $operator, $operators, true ) ) {
+					$datatypes[] = $datatype;
+				}
+			}
+
+			$options[ $operator ] = array(
+				'label'     => $label,
+				'datatypes' => $datatypes,
 			);
 		}
 
-		return $conditions;
+		return $options;
+	}
+
+	/**
+	 * Get the next form ID for a rendered condition group
+	 *
+	 * @return string
+	 */
+	public function next_storage_group_id() {
+		++$this->group_counter;
+		return 'g' . $this->group_counter;
+	}
+
+	/**
+	 * Sanitize settings form data
+	 *
+	 * Selectors saved for other themes are kept, so switching themes back and
+	 * forth doesn't lose them.
+	 *
+	 * @param array $post_data POST data.
+	 * @return array Content selector settings (see Manager::SELECTORS_OPTION).
+	 */
+	private function sanitize_settings_data( $post_data ) {
+		$settings = wp_parse_args(
+			(array) get_option( Manager::SELECTORS_OPTION, array() ),
+			array(
+				'themes'     => array(),
+				'post_types' => array(),
+			)
+		);
+
+		$settings['themes'][ get_stylesheet() ] = isset( $post_data['theme_selector'] ) ? sanitize_text_field( wp_unslash( $post_data['theme_selector'] ) ) : '';
+
+		$settings['post_types'] = array();
+		$post_type_selectors    = isset( $post_data['post_type_selectors'] ) ? (array) wp_unslash( $post_data['post_type_selectors'] ) : array();
+
+		foreach ( $post_type_selectors as $post_type => $selector ) {
+			$post_type = sanitize_key( $post_type );
+			$selector  = sanitize_text_field( $selector );
+
+			if ( post_type_exists( $post_type ) && '' !== $selector ) {
+				$settings['post_types'][ $post_type ] = $selector;
+			}
+		}
+
+		$settings['themes'] = array_filter( $settings['themes'], 'strlen' );
+
+		return $settings;
 	}
 
 	/**
@@ -228,6 +612,8 @@ class AutoInsertAdmin {
 
 		if ( in_array( $action, array( 'edit', 'add' ), true ) ) {
 			$this->render_edit_form();
+		} elseif ( 'settings' === $action ) {
+			$this->render_settings();
 		} else {
 			$this->render_list();
 		}
@@ -266,4 +652,24 @@ class AutoInsertAdmin {
 
 		include CTA_HIGHLIGHTS_DIR . 'templates/admin/edit.php';
 	}
+
+	/**
+	 * Render settings page
+	 *
+	 * @return void
+	 */
+	private function render_settings() {
+		$settings = wp_parse_args(
+			(array) get_option( Manager::SELECTORS_OPTION, array() ),
+			array(
+				'themes'     => array(),
+				'post_types' => array(),
+			)
+		);
+
+		$theme      = wp_get_theme();
+		$post_types = get_post_types( array( 'public' => true ), 'objects' );
+
+		include CTA_HIGHLIGHTS_DIR . 'templates/admin/settings.php';
+	}
 }
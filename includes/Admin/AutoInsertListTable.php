@@ -7,6 +7,8 @@
 
 namespace CTAHighlights\Admin;
 
+use CTAHighlights\AutoInsertion\Matcher;
+
 if ( ! defined( 'ABSPATH' ) ) {
 	exit;
 }
@@ -238,11 +240,11 @@ class AutoInsertListTable extends \WP_List_Table {
 			}
 		}
 
-		// Storage conditions.
-		if ( ! empty( $item['storage_conditions'] ) ) {
-			$count = count( $item['storage_conditions'] );
-			/* translators: %d: number of localStorage conditions */
-			$conditions[] = sprintf( _n( '%d localStorage condition', '%d localStorage conditions', $count, 'cta-highlights' ), $count );
+		// Client-side conditions (storage, URL, referrer, dataLayer, globals, DOM).
+		$count = Matcher::count_conditions( isset( $item['storage_conditions'] ) ? $item['storage_conditions'] : array() );
+		if ( $count > 0 ) {
+			/* translators: %d: number of client-side conditions */
+			$conditions[] = sprintf( _n( '%d client-side condition', '%d client-side conditions', $count, 'cta-highlights' ), $count );
 		}
 
 		return ! empty( $conditions ) ? implode( '<br>', $conditions ) : __( 'None', 'cta-highlights' );
@@ -259,9 +261,61 @@ class AutoInsertListTable extends \WP_List_Table {
 		$position  = isset( $item['insertion_position'] ) ? absint( $item['insertion_position'] ) : 3;
 		$fallback  = isset( $item['fallback_behavior'] ) ? $item['fallback_behavior'] : 'end';
 
-		$direction_label = 'forward' === $direction
-			? __( 'After element', 'cta-highlights' )
-			: __( 'From end, element', 'cta-highlights' );
+		$unit         = isset( $item['insertion_position_unit'] ) ? $item['insertion_position_unit'] : 'count';
+		$anchor       = isset( $item['insertion_anchor'] ) ? $item['insertion_anchor'] : 'element';
+		$anchor_value = isset( $item['insertion_anchor_value'] ) ? $item['insertion_anchor_value'] : '';
+
+		if ( 'percent' === $unit || 'words' === $unit ) {
+			$fallback_label = 'end' === $fallback
+				? __( 'or last', 'cta-highlights' )
+				: __( 'or skip', 'cta-highlights' );
+
+			if ( 'percent' === $unit ) {
+				$label = 'forward' === $direction
+					/* translators: %d: percentage of the article's words */
+					? __( 'At %d%% of words', 'cta-highlights' )
+					/* translators: %d: percentage of the article's words */
+					: __( 'At %d%% of words from end', 'cta-highlights' );
+			} else {
+				$label = 'forward' === $direction
+					/* translators: %d: number of words */
+					? __( 'After %d words', 'cta-highlights' )
+					/* translators: %d: number of words */
+					: __( 'Before last %d words', 'cta-highlights' );
+			}
+
+			return sprintf( $label, $position ) . ' (' . $fallback_label . ')';
+		}
+
+		switch ( $anchor ) {
+			case 'paragraph':
+				$direction_label = 'forward' === $direction
+					? __( 'After paragraph', 'cta-highlights' )
+					: __( 'From end, paragraph', 'cta-highlights' );
+				break;
+
+			case 'heading':
+				$heading         = $anchor_value ? strtoupper( $anchor_value ) : __( 'heading', 'cta-highlights' );
+				$direction_label = 'forward' === $direction
+					/* translators: %s: heading level (e.g. H2) or "heading" */
+					? sprintf( __( 'Before %s', 'cta-highlights' ), $heading )
+					/* translators: %s: heading level (e.g. H2) or "heading" */
+					: sprintf( __( 'From end, before %s', 'cta-highlights' ), $heading );
+				break;
+
+			case 'selector':
+				$direction_label = 'forward' === $direction
+					/* translators: %s: CSS selector */
+					? sprintf( __( 'After %s', 'cta-highlights' ), '<code>' . esc_html( $anchor_value ) . '</code>' )
+					/* translators: %s: CSS selector */
+					: sprintf( __( 'From end, %s', 'cta-highlights' ), '<code>' . esc_html( $anchor_value ) . '</code>' );
+				break;
+
+			default:
+				$direction_label = 'forward' === $direction
+					? __( 'After element', 'cta-highlights' )
+					: __( 'From end, element', 'cta-highlights' );
+		}
 
 		$fallback_label = 'end' === $fallback
 			? __( 'or last', 'cta-highlights' )
@@ -11,6 +11,7 @@
 
 namespace CTAHighlights\Assets;
 
+use CTAHighlights\Shortcode\Handler;
 use CTAHighlights\Template\Registry;
 
 /**
@@ -19,6 +20,15 @@ use CTAHighlights\Template\Registry;
  * @since 1.0.0
  */
 class Manager {
+	/**
+	 * Reasons a highlight can be dismissed by the visitor
+	 *
+	 * Same strings as CTAHighlight.dismiss() in cta-highlights.js.
+	 *
+	 * @var array
+	 */
+	const DISMISS_REASONS = array( 'close-button', 'escape-key', 'overlay-click', 'scroll', 'anchor-click', 'auto-timeout' );
+
 	/**
 	 * Plugin directory path
 	 *
@@ -195,13 +205,85 @@ class Manager {
 	 */
 	private function get_js_config() {
 		return array(
-			'globalCooldown'   => absint( apply_filters( 'cta_highlights_global_cooldown', 3600 ) ),
-			'templateCooldown' => absint( apply_filters( 'cta_highlights_template_cooldown', 86400 ) ),
-			'overlayColor'     => sanitize_text_field( apply_filters( 'cta_highlights_overlay_color', 'rgba(0, 0, 0, 0.7)' ) ),
-			'debug'            => (bool) apply_filters( 'cta_highlights_debug', defined( 'WP_DEBUG' ) && WP_DEBUG ),
+			'globalCooldown'    => absint( apply_filters( 'cta_highlights_global_cooldown', 3600 ) ),
+			'templateCooldown'  => absint( apply_filters( 'cta_highlights_template_cooldown', 86400 ) ),
+			'overlayColor'      => sanitize_text_field( apply_filters( 'cta_highlights_overlay_color', 'rgba(0, 0, 0, 0.7)' ) ),
+			'maxPerPage'        => absint( apply_filters( 'cta_highlights_max_per_page', 0 ) ),
+			'minGap'            => absint( apply_filters( 'cta_highlights_min_gap', 0 ) ),
+			'templateCooldowns' => $this->get_template_cooldowns(),
+			'dismissCooldowns'  => $this->get_dismiss_cooldowns(),
+			'debug'             => (bool) apply_filters( 'cta_highlights_debug', defined( 'WP_DEBUG' ) && WP_DEBUG ),
 		);
 	}
 
+	/**
+	 * Get cooldowns per template
+	 *
+	 * Templates without an entry use the template cooldown. A CTA's cooldown
+	 * shortcode attribute still wins over its template's entry.
+	 *
+	 * @return array Seconds, 'session' or 'once', keyed by template name.
+	 */
+	private function get_template_cooldowns() {
+		$cooldowns = apply_filters( 'cta_highlights_template_cooldowns', array() );
+		$sanitized = array();
+
+		if ( ! is_array( $cooldowns ) ) {
+			return $sanitized;
+		}
+
+		foreach ( $cooldowns as $template_name => $cooldown ) {
+			$template_name = sanitize_file_name( $template_name );
+			$cooldown      = Handler::sanitize_cooldown( $cooldown );
+
+			if ( '' !== $template_name && '' !== $cooldown ) {
+				$sanitized[ $template_name ] = is_numeric( $cooldown ) ? (int) $cooldown : $cooldown;
+			}
+		}
+
+		return $sanitized;
+	}
+
+	/**
+	 * Get the cooldowns applied after each dismissal reason
+	 *
+	 * Each reason maps to global and/or template cooldown seconds that replace
+	 * the cooldowns written when the highlight was shown. A single number sets
+	 * both. -1 never expires and 0 clears the cooldown. Reasons without an entry
+	 * keep the regular cooldowns.
+	 *
+	 * @return array Cooldowns keyed by reason, each with 'global' and/or 'template'.
+	 */
+	private function get_dismiss_cooldowns() {
+		$cooldowns = apply_filters( 'cta_highlights_dismiss_cooldowns', array() );
+		$sanitized = array();
+
+		if ( ! is_array( $cooldowns ) ) {
+			return $sanitized;
+		}
+
+		foreach ( $cooldowns as $reason => $seconds ) {
+			if ( ! in_array( $reason, self::DISMISS_REASONS, true ) ) {
+				continue;
+			}
+
+			if ( ! is_array( $seconds ) ) {
+				$seconds = array(
+					'global'   => $seconds,
+					'template' => $seconds,
+				);
+			}
+
+			foreach ( array( 'global', 'template' ) as $scope ) {
+				if ( isset( $seconds[ $scope ] ) && is_numeric( $seconds[ $scope ] ) ) {
+					$sanitized[ $reason ][ $scope ] = max( -1, intval( $seconds[ $scope ] ) );
+				}
+			}
+		}
+
+		return $sanitized;
+	}
+
 	/**
 	 * Enqueue template-specific stylesheets
 	 *
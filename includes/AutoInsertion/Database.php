@@ -21,7 +21,7 @@ class Database {
 	 *
 	 * @var string
 	 */
-	const DB_VERSION = '1.1.0';
+	const DB_VERSION = '1.8.0';
 
 	/**
 	 * Option name for storing database version
@@ -30,6 +30,62 @@ class Database {
 	 */
 	const VERSION_OPTION = 'cta_highlights_auto_insert_db_version';
 
+	/**
+	 * Elements counted by the insertion position
+	 *
+	 * - element:   every non-empty top-level content element
+	 * - paragraph: top-level <p> elements
+	 * - heading:   top-level headings (anchor value h1-h6, or empty for any level)
+	 * - selector:  elements matching a CSS selector (anchor value)
+	 *
+	 * @var array
+	 */
+	const INSERTION_ANCHORS = array( 'element', 'paragraph', 'heading', 'selector' );
+
+	/**
+	 * Units of the insertion position
+	 *
+	 * - count:   Nth element (as selected by the insertion anchor)
+	 * - percent: X% of the article by word count
+	 * - words:   after the first N words
+	 *
+	 * Word-based positions snap to the nearest element boundary client-side.
+	 *
+	 * @var array
+	 */
+	const POSITION_UNITS = array( 'count', 'percent', 'words' );
+
+	/**
+	 * Insertion slot a primary CTA fills
+	 *
+	 * - main:  the page's single slot, filled by the first matching main CTA
+	 * - extra: a slot of its own, next to the main one
+	 *
+	 * @var array
+	 */
+	const INSERTION_SLOTS = array( 'main', 'extra' );
+
+	/**
+	 * What to show when no CTA in a fallback chain matches
+	 *
+	 * - last: the last CTA in the chain
+	 * - none: nothing
+	 * - cta:  the CTA set in no_match_cta_id
+	 *
+	 * @var array
+	 */
+	const NO_MATCH_BEHAVIORS = array( 'last', 'none', 'cta' );
+
+	/**
+	 * Frequency cap columns (0 = unlimited)
+	 *
+	 * Impression counts are kept client-side per visitor; the minimum gap is
+	 * stored in minutes.
+	 *
+	 * @var array
+	 */
+	const FREQUENCY_CAP_FIELDS = array( 'max_impressions_session', 'max_impressions_day', 'max_impressions_total', 'min_impression_gap' );
+
 	/**
 	 * Get table name with WordPress prefix
 	 *
@@ -48,8 +104,9 @@ class Database {
 	public static function create_table() {
 		global $wpdb;
 
-		$table_name      = self::get_table_name();
-		$charset_collate = $wpdb->get_charset_collate();
+		$previous_version = get_option( self::VERSION_OPTION, '0.0.0' );
+		$table_name       = self::get_table_name();
+		$charset_collate  = $wpdb->get_charset_collate();
 
 		$sql = "CREATE TABLE $table_name (
 			id bigint(20) unsigned NOT NULL AUTO_INCREMENT,
@@ -62,9 +119,22 @@ class Database {
 			category_ids longtext,
 			storage_conditions longtext,
 			insertion_direction varchar(10) DEFAULT 'forward',
+			insertion_anchor varchar(20) NOT NULL DEFAULT 'element',
+			insertion_anchor_value varchar(255) NOT NULL DEFAULT '',
 			insertion_position int(11) NOT NULL DEFAULT 3,
+			insertion_position_unit varchar(10) NOT NULL DEFAULT 'count',
+			insertion_repeat_every int(11) unsigned NOT NULL DEFAULT 0,
+			insertion_repeat_max int(11) unsigned NOT NULL DEFAULT 0,
+			insertion_slot varchar(10) NOT NULL DEFAULT 'main',
 			fallback_behavior varchar(10) DEFAULT 'end',
 			fallback_cta_id bigint(20) unsigned DEFAULT NULL,
+			max_impressions_session int(11) unsigned NOT NULL DEFAULT 0,
+			max_impressions_day int(11) unsigned NOT NULL DEFAULT 0,
+			max_impressions_total int(11) unsigned NOT NULL DEFAULT 0,
+			min_impression_gap int(11) unsigned NOT NULL DEFAULT 0,
+			stop_after_click tinyint(1) NOT NULL DEFAULT 0,
+			no_match_behavior varchar(10) NOT NULL DEFAULT 'last',
+			no_match_cta_id bigint(20) unsigned DEFAULT NULL,
 			created_at datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
 			updated_at datetime NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
 			PRIMARY KEY  (id),
@@ -76,9 +146,78 @@ class Database {
 		require_once ABSPATH . 'wp-admin/includes/upgrade.php';
 		dbDelta( $sql );
 
+		// 1.2.0: flat storage condition lists became nested AND/OR groups.
+		if ( version_compare( $previous_version, '0.0.0', '>' ) && version_compare( $previous_version, '1.2.0', '<' ) ) {
+			self::migrate_storage_conditions();
+		}
+
 		update_option( self::VERSION_OPTION, self::DB_VERSION );
 	}
 
+	/**
+	 * Convert stored flat storage condition lists into a single AND group
+	 *
+	 * @return void
+	 */
+	private static function migrate_storage_conditions() {
+		global $wpdb;
+		$table_name = self::get_table_name();
+
+		$rows = $wpdb->get_results( "SELECT id, storage_conditions FROM $table_name", ARRAY_A ); // phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+
+		foreach ( (array) $rows as $row ) {
+			$decoded = json_decode( (string) $row['storage_conditions'], true );
+
+			if ( ! is_array( $decoded ) || empty( $decoded ) || self::is_condition_group( $decoded ) ) {
+				continue;
+			}
+
+			$wpdb->update(
+				$table_name,
+				array( 'storage_conditions' => wp_json_encode( self::upgrade_storage_conditions( $decoded ) ) ),
+				array( 'id' => $row['id'] ),
+				array( '%s' ),
+				array( '%d' )
+			);
+		}
+	}
+
+	/**
+	 * Upgrade storage conditions to the nested group format
+	 *
+	 * A flat list of conditions (pre-1.2.0 format) is wrapped in a single AND
+	 * group. Condition groups are returned unchanged and empty input becomes an
+	 * empty array (no conditions).
+	 *
+	 * @param array $conditions Storage conditions (flat list or group).
+	 * @return array Root condition group, or empty array.
+	 */
+	public static function upgrade_storage_conditions( $conditions ) {
+		if ( empty( $conditions ) || ! is_array( $conditions ) ) {
+			return array();
+		}
+
+		if ( self::is_condition_group( $conditions ) ) {
+			return $conditions;
+		}
+
+		return array(
+			'type'       => 'group',
+			'logic'      => 'and',
+			'conditions' => array_values( $conditions ),
+		);
+	}
+
+	/**
+	 * Check if a storage condition node is a group
+	 *
+	 * @param mixed $node Condition node.
+	 * @return bool
+	 */
+	public static function is_condition_group( $node ) {
+		return is_array( $node ) && isset( $node['type'] ) && 'group' === $node['type'];
+	}
+
 	/**
 	 * Drop the database table (uninstall cleanup)
 	 *
@@ -188,9 +327,22 @@ class Database {
 				'%s', // Category IDs.
 				'%s', // Storage conditions.
 				'%s', // Insertion direction.
+				'%s', // Insertion anchor.
+				'%s', // Insertion anchor value.
 				'%d', // Insertion position.
+				'%s', // Insertion position unit.
+				'%d', // Insertion repeat every.
+				'%d', // Insertion repeat max.
+				'%s', // Insertion slot.
 				'%s', // Fallback behavior.
 				'%d', // Fallback CTA ID.
+				'%d', // Max impressions per session.
+				'%d', // Max impressions per day.
+				'%d', // Max impressions total.
+				'%d', // Min impression gap.
+				'%d', // Stop after click.
+				'%s', // No match behavior.
+				'%d', // No match CTA ID.
 			)
 		);
 
@@ -228,9 +380,22 @@ class Database {
 				'%s', // Category IDs.
 				'%s', // Storage conditions.
 				'%s', // Insertion direction.
+				'%s', // Insertion anchor.
+				'%s', // Insertion anchor value.
 				'%d', // Insertion position.
+				'%s', // Insertion position unit.
+				'%d', // Insertion repeat every.
+				'%d', // Insertion repeat max.
+				'%s', // Insertion slot.
 				'%s', // Fallback behavior.
 				'%d', // Fallback CTA ID.
+				'%d', // Max impressions per session.
+				'%d', // Max impressions per day.
+				'%d', // Max impressions total.
+				'%d', // Min impression gap.
+				'%d', // Stop after click.
+				'%s', // No match behavior.
+				'%d', // No match CTA ID.
 			),
 			array( '%d' )
 		);
@@ -285,18 +450,31 @@ class Database {
 	private function prepare_data( $data ) {
 		// Always initialize all fields with defaults to match DB column order.
 		$prepared = array(
-			'name'                => '',
-			'content'             => '',
-			'status'              => 'active',
-			'cta_type'            => 'primary',
-			'post_types'          => wp_json_encode( array() ),
-			'category_mode'       => 'include',
-			'category_ids'        => wp_json_encode( array() ),
-			'storage_conditions'  => wp_json_encode( array() ),
-			'insertion_direction' => 'forward',
-			'insertion_position'  => 3,
-			'fallback_behavior'   => 'end',
-			'fallback_cta_id'     => null,
+			'name'                    => '',
+			'content'                 => '',
+			'status'                  => 'active',
+			'cta_type'                => 'primary',
+			'post_types'              => wp_json_encode( array() ),
+			'category_mode'           => 'include',
+			'category_ids'            => wp_json_encode( array() ),
+			'storage_conditions'      => wp_json_encode( array() ),
+			'insertion_direction'     => 'forward',
+			'insertion_anchor'        => 'element',
+			'insertion_anchor_value'  => '',
+			'insertion_position'      => 3,
+			'insertion_position_unit' => 'count',
+			'insertion_repeat_every'  => 0,
+			'insertion_repeat_max'    => 0,
+			'insertion_slot'          => 'main',
+			'fallback_behavior'       => 'end',
+			'fallback_cta_id'         => null,
+			'max_impressions_session' => 0,
+			'max_impressions_day'     => 0,
+			'max_impressions_total'   => 0,
+			'min_impression_gap'      => 0,
+			'stop_after_click'        => 0,
+			'no_match_behavior'       => 'last',
+			'no_match_cta_id'         => null,
 		);
 
 		// String fields.
@@ -332,21 +510,78 @@ class Database {
 				: 'forward';
 		}
 
+		if ( isset( $data['insertion_anchor'] ) ) {
+			$prepared['insertion_anchor'] = in_array( $data['insertion_anchor'], self::INSERTION_ANCHORS, true )
+				? $data['insertion_anchor']
+				: 'element';
+		}
+
+		if ( isset( $data['insertion_anchor_value'] ) ) {
+			$prepared['insertion_anchor_value'] = self::sanitize_anchor_value( $data['insertion_anchor_value'], $prepared['insertion_anchor'] );
+		}
+
+		if ( isset( $data['insertion_slot'] ) ) {
+			$prepared['insertion_slot'] = in_array( $data['insertion_slot'], self::INSERTION_SLOTS, true )
+				? $data['insertion_slot']
+				: 'main';
+		}
+
 		if ( isset( $data['fallback_behavior'] ) ) {
 			$prepared['fallback_behavior'] = in_array( $data['fallback_behavior'], array( 'end', 'skip' ), true )
 				? $data['fallback_behavior']
 				: 'end';
 		}
 
+		if ( isset( $data['no_match_behavior'] ) ) {
+			$prepared['no_match_behavior'] = in_array( $data['no_match_behavior'], self::NO_MATCH_BEHAVIORS, true )
+				? $data['no_match_behavior']
+				: 'last';
+		}
+
 		// Integer fields.
 		if ( isset( $data['insertion_position'] ) ) {
 			$prepared['insertion_position'] = absint( $data['insertion_position'] );
 		}
 
+		if ( isset( $data['insertion_position_unit'] ) ) {
+			$prepared['insertion_position_unit'] = in_array( $data['insertion_position_unit'], self::POSITION_UNITS, true )
+				? $data['insertion_position_unit']
+				: 'count';
+		}
+
+		// Percentages can't exceed the article.
+		if ( 'percent' === $prepared['insertion_position_unit'] ) {
+			$prepared['insertion_position'] = min( 100, $prepared['insertion_position'] );
+		}
+
+		// Repeating slot (0 = insert once / no maximum).
+		if ( isset( $data['insertion_repeat_every'] ) ) {
+			$prepared['insertion_repeat_every'] = absint( $data['insertion_repeat_every'] );
+		}
+
+		if ( isset( $data['insertion_repeat_max'] ) ) {
+			$prepared['insertion_repeat_max'] = absint( $data['insertion_repeat_max'] );
+		}
+
 		if ( isset( $data['fallback_cta_id'] ) ) {
 			$prepared['fallback_cta_id'] = ! empty( $data['fallback_cta_id'] ) ? absint( $data['fallback_cta_id'] ) : null;
 		}
 
+		if ( isset( $data['no_match_cta_id'] ) ) {
+			$prepared['no_match_cta_id'] = ! empty( $data['no_match_cta_id'] ) ? absint( $data['no_match_cta_id'] ) : null;
+		}
+
+		// Frequency caps (0 = unlimited).
+		foreach ( self::FREQUENCY_CAP_FIELDS as $field ) {
+			if ( isset( $data[ $field ] ) ) {
+				$prepared[ $field ] = absint( $data[ $field ] );
+			}
+		}
+
+		if ( isset( $data['stop_after_click'] ) ) {
+			$prepared['stop_after_click'] = ! empty( $data['stop_after_click'] ) ? 1 : 0;
+		}
+
 		// JSON fields - always encode arrays.
 		if ( isset( $data['post_types'] ) ) {
 			$prepared['post_types'] = wp_json_encode( (array) $data['post_types'] );
@@ -357,12 +592,34 @@ class Database {
 		}
 
 		if ( isset( $data['storage_conditions'] ) ) {
-			$prepared['storage_conditions'] = wp_json_encode( (array) $data['storage_conditions'] );
+			$prepared['storage_conditions'] = wp_json_encode( self::upgrade_storage_conditions( (array) $data['storage_conditions'] ) );
 		}
 
 		return $prepared;
 	}
 
+	/**
+	 * Sanitize an insertion anchor value for its anchor mode
+	 *
+	 * @param string $value  Raw value.
+	 * @param string $anchor Insertion anchor.
+	 * @return string Heading level (h1-h6 or empty), CSS selector, or empty string.
+	 */
+	public static function sanitize_anchor_value( $value, $anchor ) {
+		$value = trim( (string) $value );
+
+		if ( 'heading' === $anchor ) {
+			$value = strtolower( $value );
+			return preg_match( '/^h[1-6]$/', $value ) ? $value : '';
+		}
+
+		if ( 'selector' === $anchor ) {
+			return sanitize_text_field( $value );
+		}
+
+		return '';
+	}
+
 	/**
 	 * Unserialize JSON fields in results
 	 *
@@ -389,6 +646,20 @@ class Database {
 			}
 		}
 
+		if ( isset( $row['storage_conditions'] ) ) {
+			$row['storage_conditions'] = self::upgrade_storage_conditions( $row['storage_conditions'] );
+		}
+
+		foreach ( array_merge( array( 'insertion_repeat_every', 'insertion_repeat_max' ), self::FREQUENCY_CAP_FIELDS ) as $field ) {
+			if ( isset( $row[ $field ] ) ) {
+				$row[ $field ] = absint( $row[ $field ] );
+			}
+		}
+
+		if ( isset( $row['stop_after_click'] ) ) {
+			$row['stop_after_click'] = (bool) $row['stop_after_click'];
+		}
+
 		return $row;
 	}
 }
@@ -51,6 +51,108 @@ class Manager {
 	 */
 	const MAX_FALLBACK_DEPTH = 10;
 
+	/**
+	 * Campaign attribution fields captured client-side (stored as cta_hl_<field>)
+	 *
+	 * @var array
+	 */
+	const ATTRIBUTION_FIELDS = array( 'utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'referrer_domain', 'landing_page' );
+
+	/**
+	 * Option holding the content selector settings
+	 *
+	 * Array with 'themes' (stylesheet => selector) and 'post_types'
+	 * (post type => selector). A post type selector wins over the theme one.
+	 *
+	 * @var string
+	 */
+	const SELECTORS_OPTION = 'cta_highlights_content_selectors';
+
+	/**
+	 * Content selector used when no setting applies
+	 *
+	 * @var string
+	 */
+	const DEFAULT_CONTENT_SELECTOR = '.entry-content';
+
+	/**
+	 * Default safe-slot rules for client-side insertion
+	 *
+	 * Selector lists for elements a CTA must not directly follow (avoidAfter),
+	 * precede (avoidBefore) or touch (avoidAdjacent), and the minimum number of
+	 * content elements between two CTAs, including manual [cta_highlights]
+	 * sections.
+	 *
+	 * @var array
+	 */
+	const INSERTION_RULES = array(
+		'avoidAfter'    => array( 'h1', 'h2', 'h3', 'h4', 'h5', 'h6' ),
+		'avoidBefore'   => array( 'figcaption', '.wp-caption-text', '.wp-element-caption' ),
+		'avoidAdjacent' => array( 'table', 'iframe', 'blockquote', '.wp-block-table', '.wp-block-embed', '.wp-block-quote' ),
+		'minDistance'   => 2,
+	);
+
+	/**
+	 * Default content parsing settings for auto-insert.js
+	 *
+	 * When flatten is on, content elements are collected from inside the
+	 * wrapper blocks listed in wrappers (Gutenberg groups and columns,
+	 * Elementor and Divi sections) instead of only the container's children.
+	 *
+	 * @var array
+	 */
+	const CONTENT_PARSING = array(
+		'flatten'  => true,
+		'wrappers' => array(
+			'.wp-block-group',
+			'.wp-block-group__inner-container',
+			'.wp-block-columns',
+			'.wp-block-column',
+			'.elementor',
+			'.elementor-section-wrap',
+			'.elementor-section',
+			'.elementor-container',
+			'.elementor-column',
+			'.elementor-widget-wrap',
+			'.elementor-widget-text-editor',
+			'.elementor-widget-container',
+			'.et_pb_section',
+			'.et_pb_row',
+			'.et_pb_column',
+			'.et_pb_text',
+			'.et_pb_text_inner',
+		),
+	);
+
+	/**
+	 * Default content readiness settings for auto-insert.js
+	 *
+	 * Insertion starts as soon as the content container has content and no
+	 * page builder is on the page. Otherwise it starts on a builder's ready
+	 * event, once the page has had no DOM changes for settleTime ms, or after
+	 * maxWait ms, whichever comes first.
+	 *
+	 * @var array
+	 */
+	const CONTENT_READINESS = array(
+		'settleTime' => 100,
+		'maxWait'    => 3000,
+		'builders'   => array(
+			array(
+				'selector' => '.elementor',
+				'event'    => 'elementor/frontend/init',
+			),
+			array(
+				'selector' => '.et_pb_section',
+				'event'    => 'et_pb_after_init_modules',
+			),
+			array(
+				'selector' => '.fl-builder-content',
+				'event'    => 'fl-builder.layout-rendered',
+			),
+		),
+	);
+
 	/**
 	 * Get singleton instance
 	 *
@@ -84,6 +186,12 @@ class Manager {
 		// Output fallback chain data in footer.
 		add_action( 'wp_footer', array( $this, 'output_fallback_data' ), 5 );
 
+		// Embed the data in post content for posts loaded later (infinite scroll).
+		add_filter( 'the_content', array( $this, 'embed_article_data' ), 20 );
+
+		// Output current post context for the client-side reading history.
+		add_action( 'wp_footer', array( $this, 'output_page_context' ), 5 );
+
 		// Enqueue scripts for storage condition evaluation.
 		add_action( 'wp_enqueue_scripts', array( $this, 'enqueue_scripts' ) );
 
@@ -110,32 +218,155 @@ class Manager {
 			return;
 		}
 
-		// Find matching CTA.
-		$cta = $this->find_matching_cta( $post );
+		$data = $this->get_fallback_data( $post );
 
-		if ( ! $cta ) {
+		if ( null === $data ) {
 			return; // No CTA = no output (conditional loading for performance).
 		}
 
-		// Build fallback chain.
-		$chain = $this->build_fallback_chain( $cta, $post );
+		// Output as JSON script tag in footer.
+		echo '<script type="application/json" id="cta-highlights-auto-insert-data">';
+		echo wp_json_encode( $data );
+		echo '</script>' . "\n";
+	}
 
-		// Prepare data structure.
-		$data = array(
+	/**
+	 * Append the auto-insert data to the post content
+	 *
+	 * Posts loaded after the page (infinite scroll through admin-ajax.php, the
+	 * REST API, Jetpack or a fetch of the next page's HTML) don't get the
+	 * footer data, so their payload travels with the content. auto-insert.js
+	 * picks up each payload (keyed by postId) when the article is added to
+	 * the page. Feeds are skipped, and so is the queried post of a singular
+	 * page, which output_fallback_data() already covers.
+	 *
+	 * @param string $content Post content.
+	 * @return string Content with the payload script appended.
+	 */
+	public function embed_article_data( $content ) {
+		if ( is_feed() ) {
+			return $content;
+		}
+
+		$post = get_post();
+
+		if ( ! $post instanceof \WP_Post ) {
+			return $content;
+		}
+
+		// The footer payload already covers the queried post.
+		if ( is_singular() && get_queried_object_id() === $post->ID ) {
+			return $content;
+		}
+
+		$embed = in_the_loop() || wp_doing_ajax() || wp_is_json_request() || ( defined( 'REST_REQUEST' ) && REST_REQUEST );
+
+		/**
+		 * Filter whether the auto-insert data is embedded in the post content
+		 *
+		 * @param bool    $embed Whether to embed (default: in the main loop and
+		 *                       during AJAX and REST requests).
+		 * @param WP_Post $post  Post being rendered.
+		 */
+		if ( ! apply_filters( 'cta_highlights_embed_article_data', $embed, $post ) ) {
+			return $content;
+		}
+
+		$data = $this->get_fallback_data( $post );
+
+		if ( null === $data ) {
+			return $content;
+		}
+
+		return $content . sprintf(
+			'<script type="application/json" class="cta-highlights-auto-insert-data" data-post-id="%d">%s</script>',
+			$post->ID,
+			wp_json_encode( $data )
+		);
+	}
+
+	/**
+	 * Build the auto-insert data for a post
+	 *
+	 * @param WP_Post $post Post object.
+	 * @return array|null Data ({postId, contentSelector, chains}) or null if no CTA matches.
+	 */
+	public function get_fallback_data( $post ) {
+		// Find matching CTAs (one insertion slot each).
+		$ctas = $this->find_matching_ctas( $post );
+
+		if ( empty( $ctas ) ) {
+			return null;
+		}
+
+		// Build a fallback chain per slot.
+		$chains = array();
+
+		foreach ( $ctas as $cta ) {
+			$chains[] = array(
+				'ctas'    => $this->prepare_ctas_for_output( $this->build_fallback_chain( $cta, $post ) ),
+				'noMatch' => $this->prepare_no_match_for_output( $cta, $post ),
+				'repeat'  => array(
+					'every' => isset( $cta['insertion_repeat_every'] ) ? absint( $cta['insertion_repeat_every'] ) : 0,
+					'max'   => isset( $cta['insertion_repeat_max'] ) ? absint( $cta['insertion_repeat_max'] ) : 0,
+				),
+			);
+		}
+
+		return array(
 			'postId'          => $post->ID,
-			'contentSelector' => apply_filters( 'cta_highlights_content_selector', '.entry-content', $post->ID ),
-			'ctas'            => $this->prepare_ctas_for_output( $chain ),
+			'contentSelector' => $this->get_content_selector( $post ),
+			'chains'          => $chains,
 		);
+	}
 
-		// Output as JSON script tag in footer.
-		echo '<script type="application/json" id="cta-highlights-auto-insert-data">';
+	/**
+	 * Output current post context as inline JSON
+	 * auto-insert.js records it in the visitor's reading history (localStorage only),
+	 * which "interest" conditions evaluate against
+	 *
+	 * @return void
+	 */
+	public function output_page_context() {
+		if ( ! is_singular() ) {
+			return;
+		}
+
+		global $post;
+
+		if ( ! $post instanceof \WP_Post ) {
+			return;
+		}
+
+		/**
+		 * Filter whether to record the current post in the visitor's reading history
+		 *
+		 * @param bool $track   Whether to track. Default true.
+		 * @param int  $post_id Current post ID.
+		 */
+		if ( ! apply_filters( 'cta_highlights_track_interests', true, $post->ID ) ) {
+			return;
+		}
+
+		$categories = wp_get_post_categories( $post->ID, array( 'fields' => 'slugs' ) );
+		$tags       = wp_get_post_tags( $post->ID, array( 'fields' => 'slugs' ) );
+
+		$data = array(
+			'postId'      => $post->ID,
+			'categories'  => is_array( $categories ) ? array_values( $categories ) : array(),
+			'tags'        => is_array( $tags ) ? array_values( $tags ) : array(),
+			'historySize' => absint( apply_filters( 'cta_highlights_interest_history_size', 50 ) ),
+			'historyDays' => absint( apply_filters( 'cta_highlights_interest_history_days', 90 ) ),
+		);
+
+		echo '<script type="application/json" id="cta-highlights-page-context">';
 		echo wp_json_encode( $data );
 		echo '</script>' . "\n";
 	}
 
 	/**
 	 * Prepare CTAs for JSON output
-	 * Processes content and generates storage condition JavaScript
+	 * Processes content and normalizes storage conditions for the client-side interpreter
 	 *
 	 * @param array $chain Array of CTAs in fallback order.
 	 * @return array Prepared CTAs for output.
@@ -148,24 +379,105 @@ class Manager {
 			$content = wp_kses_post( $cta['content'] );
 			$content = do_shortcode( $content );
 
-			// Generate storage condition JavaScript.
-			$storage_condition_js = $this->matcher->generate_storage_condition_js( $cta['storage_conditions'] );
+			// Normalize storage conditions (evaluated client-side without eval).
+			$storage_conditions = $this->matcher->prepare_storage_conditions( $cta['storage_conditions'] );
 
 			$prepared[] = array(
-				'id'                     => absint( $cta['id'] ),
-				'content'                => $content,
-				'storage_conditions'     => $cta['storage_conditions'],
-				'storage_condition_js'   => $storage_condition_js,
-				'has_storage_conditions' => ! empty( $cta['storage_conditions'] ),
-				'insertion_direction'    => $cta['insertion_direction'],
-				'insertion_position'     => absint( $cta['insertion_position'] ),
-				'fallback_behavior'      => $cta['fallback_behavior'],
+				'id'                      => absint( $cta['id'] ),
+				'content'                 => $content,
+				'storage_conditions'      => $storage_conditions,
+				'has_storage_conditions'  => ! empty( $storage_conditions ),
+				'insertion_direction'     => $cta['insertion_direction'],
+				'insertion_anchor'        => isset( $cta['insertion_anchor'] ) ? $cta['insertion_anchor'] : 'element',
+				'insertion_anchor_value'  => isset( $cta['insertion_anchor_value'] ) ? $cta['insertion_anchor_value'] : '',
+				'insertion_position'      => absint( $cta['insertion_position'] ),
+				'insertion_position_unit' => isset( $cta['insertion_position_unit'] ) ? $cta['insertion_position_unit'] : 'count',
+				'fallback_behavior'       => $cta['fallback_behavior'],
+				'frequency_cap'           => $this->prepare_frequency_cap( $cta ),
 			);
 		}
 
 		return $prepared;
 	}
 
+	/**
+	 * Prepare the chain's no-match setting for JSON output
+	 * The setting is stored on the CTA that starts the chain
+	 *
+	 * @param array    $cta  First CTA in the chain.
+	 * @param \WP_Post $post Post object.
+	 * @return array Behavior (last, none or cta) and the prepared CTA for "cta".
+	 */
+	private function prepare_no_match_for_output( $cta, $post ) {
+		$behavior = isset( $cta['no_match_behavior'] ) && in_array( $cta['no_match_behavior'], Database::NO_MATCH_BEHAVIORS, true )
+			? $cta['no_match_behavior']
+			: 'last';
+
+		if ( 'cta' !== $behavior ) {
+			return array(
+				'behavior' => $behavior,
+				'cta'      => null,
+			);
+		}
+
+		$no_match_cta = $this->get_no_match_cta( $cta, $post );
+
+		// A missing or non-matching CTA must not fall back to showing the chain's last CTA.
+		if ( ! $no_match_cta ) {
+			return array(
+				'behavior' => 'none',
+				'cta'      => null,
+			);
+		}
+
+		$prepared = $this->prepare_ctas_for_output( array( $no_match_cta ) );
+
+		return array(
+			'behavior' => 'cta',
+			'cta'      => $prepared[0],
+		);
+	}
+
+	/**
+	 * Get the CTA to show when nothing in a chain matches
+	 *
+	 * @param array    $cta  First CTA in the chain.
+	 * @param \WP_Post $post Post object.
+	 * @return array|null Active CTA matching the post, or null.
+	 */
+	private function get_no_match_cta( $cta, $post ) {
+		if ( empty( $cta['no_match_behavior'] ) || 'cta' !== $cta['no_match_behavior'] || empty( $cta['no_match_cta_id'] ) ) {
+			return null;
+		}
+
+		$no_match_cta = $this->database->get( $cta['no_match_cta_id'] );
+
+		if ( ! $no_match_cta || 'active' !== $no_match_cta['status'] || ! $this->matcher->should_display( $no_match_cta, $post ) ) {
+			return null;
+		}
+
+		return $no_match_cta;
+	}
+
+	/**
+	 * Prepare a CTA's frequency caps for client-side enforcement
+	 *
+	 * Impressions are counted per visitor in the browser, so the caps are only
+	 * sent along with the CTA. A value of 0 means no limit.
+	 *
+	 * @param array $cta CTA configuration.
+	 * @return array Caps (session, day, total, min_gap in seconds, stop_after_click).
+	 */
+	private function prepare_frequency_cap( $cta ) {
+		return array(
+			'session'          => isset( $cta['max_impressions_session'] ) ? absint( $cta['max_impressions_session'] ) : 0,
+			'day'              => isset( $cta['max_impressions_day'] ) ? absint( $cta['max_impressions_day'] ) : 0,
+			'total'            => isset( $cta['max_impressions_total'] ) ? absint( $cta['max_impressions_total'] ) : 0,
+			'min_gap'          => isset( $cta['min_impression_gap'] ) ? absint( $cta['min_impression_gap'] ) * MINUTE_IN_SECONDS : 0,
+			'stop_after_click' => ! empty( $cta['stop_after_click'] ),
+		);
+	}
+
 	/**
 	 * Build fallback chain for a CTA
 	 * Includes the main CTA and all fallbacks that match post type/category
@@ -209,19 +521,15 @@ class Manager {
 	}
 
 	/**
-	 * Find matching CTA for current post with fallback chain
+	 * Find matching CTAs for current post, one per insertion slot
+	 * The first main-slot primary CTA that matches (directly or through its
+	 * fallbacks) fills the page's slot; every matching extra-slot CTA adds a
+	 * slot of its own
 	 *
 	 * @param \WP_Post $post Post object.
-	 * @param int      $depth Current recursion depth.
-	 * @param array    $visited_ids Already visited CTA IDs to prevent loops.
-	 * @return array|null CTA configuration or null if none found.
+	 * @return array CTA configurations in slot order (main slot first).
 	 */
-	private function find_matching_cta( $post, $depth = 0, $visited_ids = array() ) {
-		// Prevent infinite loops.
-		if ( $depth >= self::MAX_FALLBACK_DEPTH ) {
-			return null;
-		}
-
+	private function find_matching_ctas( $post ) {
 		// Get all active primary CTAs (excluding fallback-only CTAs).
 		$ctas = $this->database->get_all(
 			array(
@@ -230,38 +538,37 @@ class Manager {
 			)
 		);
 
+		$main    = null;
+		$matches = array();
+
 		foreach ( $ctas as $cta ) {
-			// Skip if we've already visited this CTA (circular reference).
-			if ( in_array( $cta['id'], $visited_ids, true ) ) {
+			$is_extra = isset( $cta['insertion_slot'] ) && 'extra' === $cta['insertion_slot'];
+
+			// Only one CTA fills the main slot.
+			if ( ! $is_extra && null !== $main ) {
 				continue;
 			}
 
-			// Check if this CTA matches the current post.
-			if ( $this->matcher->should_display( $cta, $post ) ) {
-				return $cta;
+			$match = $this->find_matching_cta_recursive( $cta, $post, 0, array() );
+
+			if ( ! $match ) {
+				continue;
 			}
 
-			// If CTA doesn't match and has a fallback, try the fallback.
-			if ( ! empty( $cta['fallback_cta_id'] ) ) {
-				$visited_ids[] = $cta['id'];
-				$fallback_cta  = $this->database->get( $cta['fallback_cta_id'] );
-
-				if ( $fallback_cta && 'active' === $fallback_cta['status'] ) {
-					$fallback_match = $this->find_matching_cta_recursive(
-						$fallback_cta,
-						$post,
-						$depth + 1,
-						$visited_ids
-					);
-
-					if ( $fallback_match ) {
-						return $fallback_match;
-					}
-				}
+			if ( ! $is_extra ) {
+				$main = $match;
+			} elseif ( ! isset( $matches[ $match['id'] ] ) ) {
+				// Two primaries can resolve to the same fallback; it only gets one slot.
+				$matches[ $match['id'] ] = $match;
 			}
 		}
 
-		return null;
+		if ( null !== $main ) {
+			unset( $matches[ $main['id'] ] );
+			array_unshift( $matches, $main );
+		}
+
+		return array_values( $matches );
 	}
 
 	/**
@@ -327,22 +634,23 @@ class Manager {
 			return $force;
 		}
 
-		// Get matching CTA for this post.
-		$cta = $this->find_matching_cta( $post );
-
-		if ( ! $cta ) {
-			return $force;
-		}
-
-		// Build the entire fallback chain.
+		// Check the entire fallback chain of every slot.
 		// This is necessary because client-side JavaScript may select any CTA from the chain.
 		// based on storage conditions, so we need to check all of them.
-		$chain = $this->build_fallback_chain( $cta, $post );
+		foreach ( $this->find_matching_ctas( $post ) as $cta ) {
+			$chain = $this->build_fallback_chain( $cta, $post );
+
+			// The no-match CTA can be shown too.
+			$no_match_cta = $this->get_no_match_cta( $cta, $post );
+			if ( $no_match_cta ) {
+				$chain[] = $no_match_cta;
+			}
 
-		// Check if ANY CTA in the chain contains the [cta_highlights] shortcode.
-		foreach ( $chain as $chain_cta ) {
-			if ( ! empty( $chain_cta['content'] ) && has_shortcode( $chain_cta['content'], 'cta_highlights' ) ) {
-				return true; // Force enqueue.
+			// Check if ANY CTA in the chain contains the [cta_highlights] shortcode.
+			foreach ( $chain as $chain_cta ) {
+				if ( ! empty( $chain_cta['content'] ) && has_shortcode( $chain_cta['content'], 'cta_highlights' ) ) {
+					return true; // Force enqueue.
+				}
 			}
 		}
 
@@ -352,13 +660,13 @@ class Manager {
 	/**
 	 * Enqueue scripts for auto-insertion
 	 *
+	 * Loaded on every front-end page so visits, campaign attribution and the
+	 * storage API work wherever a visitor lands. CTAs are only inserted where
+	 * auto-insert data is output (singular posts and pages).
+	 *
 	 * @return void
 	 */
 	public function enqueue_scripts() {
-		if ( ! is_singular() ) {
-			return;
-		}
-
 		// Enqueue auto-insertion JavaScript.
 		// Note: This script is independent and doesn't require cta-highlights-base.
 		// It handles client-side insertion, position calculation, and storage evaluation.
@@ -370,10 +678,149 @@ class Manager {
 			true // In footer.
 		);
 
+		wp_localize_script(
+			'cta-highlights-auto-insert',
+			'ctaAutoInsertConfig',
+			$this->get_js_config()
+		);
+
 		// Add defer attribute for performance (non-blocking).
 		wp_script_add_data( 'cta-highlights-auto-insert', 'defer', true );
 	}
 
+	/**
+	 * Get JavaScript configuration for auto-insert.js
+	 *
+	 * @return array
+	 */
+	private function get_js_config() {
+		$modes = (array) apply_filters( 'cta_highlights_attribution_modes', array_fill_keys( self::ATTRIBUTION_FIELDS, 'first' ) );
+
+		foreach ( self::ATTRIBUTION_FIELDS as $field ) {
+			$modes[ $field ] = ( isset( $modes[ $field ] ) && 'last' === $modes[ $field ] ) ? 'last' : 'first';
+		}
+
+		return array(
+			'attribution'     => array(
+				'windowDays' => absint( apply_filters( 'cta_highlights_attribution_window', 30 ) ),
+				'modes'      => array_intersect_key( $modes, array_flip( self::ATTRIBUTION_FIELDS ) ),
+			),
+			'insertionRules'  => $this->get_insertion_rules(),
+			'contentParsing'  => $this->get_content_parsing(),
+			'readiness'       => $this->get_content_readiness(),
+			'maxReinsertions' => absint( apply_filters( 'cta_highlights_max_reinsertions', 3 ) ),
+		);
+	}
+
+	/**
+	 * Get the safe-slot rules for client-side insertion
+	 *
+	 * @return array Rules (see INSERTION_RULES).
+	 */
+	private function get_insertion_rules() {
+		/**
+		 * Filter the safe-slot rules used when inserting CTAs
+		 *
+		 * @param array $rules Selector lists (avoidAfter, avoidBefore, avoidAdjacent)
+		 *                     and minDistance in content elements.
+		 */
+		$rules = (array) apply_filters( 'cta_highlights_insertion_rules', self::INSERTION_RULES );
+		$rules = wp_parse_args( $rules, self::INSERTION_RULES );
+
+		foreach ( array( 'avoidAfter', 'avoidBefore', 'avoidAdjacent' ) as $key ) {
+			$rules[ $key ] = array_values( array_filter( array_map( 'sanitize_text_field', (array) $rules[ $key ] ), 'strlen' ) );
+		}
+
+		$rules['minDistance'] = absint( $rules['minDistance'] );
+
+		return array_intersect_key( $rules, self::INSERTION_RULES );
+	}
+
+	/**
+	 * Get the content parsing settings for client-side insertion
+	 *
+	 * @return array Settings (see CONTENT_PARSING).
+	 */
+	private function get_content_parsing() {
+		/**
+		 * Filter how auto-insert.js finds content elements
+		 *
+		 * @param array $parsing flatten (bool) and wrappers (CSS selectors of
+		 *                       wrapper blocks to descend into).
+		 */
+		$parsing = (array) apply_filters( 'cta_highlights_content_parsing', self::CONTENT_PARSING );
+		$parsing = wp_parse_args( $parsing, self::CONTENT_PARSING );
+
+		return array(
+			'flatten'  => (bool) $parsing['flatten'],
+			'wrappers' => array_values( array_filter( array_map( 'sanitize_text_field', (array) $parsing['wrappers'] ), 'strlen' ) ),
+		);
+	}
+
+	/**
+	 * Get the content readiness settings for client-side insertion
+	 *
+	 * @return array Settings (see CONTENT_READINESS).
+	 */
+	private function get_content_readiness() {
+		/**
+		 * Filter when auto-insert.js considers the content ready
+		 *
+		 * @param array $readiness settleTime and maxWait in ms, and builders
+		 *                         (selector that detects the builder, event it
+		 *                         fires when it has rendered).
+		 */
+		$readiness = (array) apply_filters( 'cta_highlights_content_readiness', self::CONTENT_READINESS );
+		$readiness = wp_parse_args( $readiness, self::CONTENT_READINESS );
+		$builders  = array();
+
+		foreach ( (array) $readiness['builders'] as $builder ) {
+			if ( empty( $builder['selector'] ) || empty( $builder['event'] ) ) {
+				continue;
+			}
+
+			$builders[] = array(
+				'selector' => sanitize_text_field( $builder['selector'] ),
+				'event'    => sanitize_text_field( $builder['event'] ),
+			);
+		}
+
+		return array(
+			'settleTime' => absint( $readiness['settleTime'] ),
+			'maxWait'    => absint( $readiness['maxWait'] ),
+			'builders'   => $builders,
+		);
+	}
+
+	/**
+	 * Get the content container selector for a post
+	 *
+	 * Uses the selector set for the post type, then the one set for the
+	 * active theme, then DEFAULT_CONTENT_SELECTOR.
+	 *
+	 * @param WP_Post $post Post object.
+	 * @return string CSS selector.
+	 */
+	public function get_content_selector( $post ) {
+		$settings = (array) get_option( self::SELECTORS_OPTION, array() );
+		$selector = self::DEFAULT_CONTENT_SELECTOR;
+		$theme    = get_stylesheet();
+
+		if ( ! empty( $settings['post_types'][ $post->post_type ] ) ) {
+			$selector = $settings['post_types'][ $post->post_type ];
+		} elseif ( ! empty( $settings['themes'][ $theme ] ) ) {
+			$selector = $settings['themes'][ $theme ];
+		}
+
+		/**
+		 * Filter the content container selector
+		 *
+		 * @param string $selector CSS selector (from the settings or the default).
+		 * @param int    $post_id  Current post ID.
+		 */
+		return apply_filters( 'cta_highlights_content_selector', $selector, $post->ID );
+	}
+
 	/**
 	 * Get database instance
 	 *
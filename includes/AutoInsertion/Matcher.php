@@ -16,6 +16,55 @@ if ( ! defined( 'ABSPATH' ) ) {
  */
 class Matcher {
 
+	/**
+	 * Supported storage condition data types
+	 *
+	 * @var array
+	 */
+	const DATATYPES = array( 'string', 'number', 'boolean', 'date', 'regex' );
+
+	/**
+	 * Supported condition sources
+	 *
+	 * - storage:   localStorage, then sessionStorage, then cookies (key is the storage key)
+	 * - url_param: query string parameter (key is the parameter name)
+	 * - referrer:  document.referrer (key is url, host or path)
+	 * - datalayer: GTM dataLayer variable (key is a dot path, e.g. user.tier)
+	 * - global:    JavaScript global (key is a dot path, e.g. memberTier)
+	 * - dom:       number of elements matching a CSS selector (key is the selector)
+	 * - interest:  reading history count (key is category:slug, tag:slug or post:ID)
+	 *
+	 * @var array
+	 */
+	const SOURCES = array( 'storage', 'url_param', 'referrer', 'datalayer', 'global', 'dom', 'interest' );
+
+	/**
+	 * Referrer parts that can be used as a referrer condition key
+	 *
+	 * @var array
+	 */
+	const REFERRER_KEYS = array( 'url', 'host', 'path' );
+
+	/**
+	 * Supported storage condition operators per data type
+	 *
+	 * @var array
+	 */
+	const OPERATORS = array(
+		'string'  => array( '=', '!=', 'contains', 'not_contains', 'starts_with', 'ends_with', 'in', 'not_in', 'exists', 'not_exists' ),
+		'number'  => array( '=', '!=', '>', '<', '>=', '<=', 'between', 'in', 'not_in', 'exists', 'not_exists' ),
+		'boolean' => array( '=', '!=', 'exists', 'not_exists' ),
+		'date'    => array( '=', '!=', '>', '<', '>=', '<=', 'between', 'within_last_days', 'more_than_days_ago', 'exists', 'not_exists' ),
+		'regex'   => array( '=', 'exists', 'not_exists' ),
+	);
+
+	/**
+	 * Maximum nesting depth for storage condition groups
+	 *
+	 * @var int
+	 */
+	const MAX_GROUP_DEPTH = 5;
+
 	/**
 	 * Check if CTA should be displayed on current post
 	 *
@@ -87,200 +136,240 @@ class Matcher {
 	}
 
 	/**
-	 * Evaluate localStorage/cookie conditions (called from JavaScript)
+	 * Prepare localStorage/cookie conditions for client-side evaluation
 	 *
-	 * This generates JavaScript code to evaluate conditions client-side
+	 * Conditions are sent to the browser as structured data and evaluated by the
+	 * declarative interpreter in auto-insert.js, so no JavaScript is generated
+	 * server-side and no eval() is required (works under a strict CSP).
 	 *
-	 * @param array $conditions Storage conditions.
-	 * @return string JavaScript evaluation code.
+	 * @param array $conditions Storage conditions (condition group or legacy flat list).
+	 * @return array Normalized root group (invalid entries removed), or empty array.
 	 */
-	public function generate_storage_condition_js( $conditions ) {
-		if ( empty( $conditions ) ) {
-			return 'true';
+	public function prepare_storage_conditions( $conditions ) {
+		$group = Database::upgrade_storage_conditions( $conditions );
+
+		if ( empty( $group ) ) {
+			return array();
 		}
 
-		$js_parts = array();
+		$prepared = $this->normalize_condition_group( $group, 1 );
 
-		foreach ( $conditions as $condition ) {
-			$key      = isset( $condition['key'] ) ? $condition['key'] : '';
-			$operator = isset( $condition['operator'] ) ? $condition['operator'] : '=';
-			$value    = isset( $condition['value'] ) ? $condition['value'] : '';
-			$datatype = isset( $condition['datatype'] ) ? $condition['datatype'] : 'string';
+		return null !== $prepared ? $prepared : array();
+	}
 
-			if ( empty( $key ) ) {
-				continue;
-			}
+	/**
+	 * Normalize a condition group and its children
+	 *
+	 * @param array $group Condition group (type, logic, conditions).
+	 * @param int   $depth Current nesting depth (root is 1).
+	 * @return array|null Normalized group or null if it has no valid children.
+	 */
+	private function normalize_condition_group( $group, $depth ) {
+		if ( $depth > self::MAX_GROUP_DEPTH || empty( $group['conditions'] ) || ! is_array( $group['conditions'] ) ) {
+			return null;
+		}
+
+		$children = array();
+
+		foreach ( $group['conditions'] as $node ) {
+			$normalized = Database::is_condition_group( $node )
+				? $this->normalize_condition_group( $node, $depth + 1 )
+				: $this->normalize_storage_condition( $node );
 
-			$js_parts[] = $this->generate_single_condition_js( $key, $operator, $value, $datatype );
+			if ( null !== $normalized ) {
+				$children[] = $normalized;
+			}
 		}
 
-		if ( empty( $js_parts ) ) {
-			return 'true';
+		if ( empty( $children ) ) {
+			return null;
 		}
 
-		// Determine logic operator (all conditions must pass for MVP - AND logic).
-		// In future versions, we can add support for mixed AND/OR logic.
-		return '(' . implode( ' && ', $js_parts ) . ')';
+		return array(
+			'type'       => 'group',
+			'logic'      => ( isset( $group['logic'] ) && 'or' === $group['logic'] ) ? 'or' : 'and',
+			'conditions' => $children,
+		);
 	}
 
 	/**
-	 * Generate JavaScript for a single storage condition
+	 * Normalize a single storage condition
 	 *
-	 * @param string $key Storage key.
-	 * @param string $operator Comparison operator.
-	 * @param mixed  $value Comparison value.
-	 * @param string $datatype Data type (string, number, boolean, regex).
-	 * @return string JavaScript condition code.
+	 * @param array $condition Raw condition (source, key, operator, value, datatype).
+	 * @return array|null Normalized condition or null if invalid.
 	 */
-	private function generate_single_condition_js( $key, $operator, $value, $datatype ) {
-		// phpcs:ignore WordPress.WP.AlternativeFunctions.json_encode_json_encode -- json_encode is appropriate here for JavaScript code generation.
-		$key_js = json_encode( $key );
-		// phpcs:ignore WordPress.WP.AlternativeFunctions.json_encode_json_encode -- json_encode is appropriate here for JavaScript code generation.
-		$value_js = json_encode( $value );
+	private function normalize_storage_condition( $condition ) {
+		if ( ! is_array( $condition ) ) {
+			return null;
+		}
 
-		// Get value from storage (localStorage or cookie).
-		$get_value_js = "this.storageManager.get({$key_js})";
+		$source = isset( $condition['source'] ) && in_array( $condition['source'], self::SOURCES, true ) ? $condition['source'] : 'storage';
+		$key    = self::normalize_condition_key( isset( $condition['key'] ) ? $condition['key'] : '', $source );
 
-		// Handle different data types and operators.
-		switch ( $datatype ) {
-			case 'number':
-				return $this->generate_numeric_condition( $get_value_js, $operator, $value_js );
+		if ( '' === $key ) {
+			return null;
+		}
 
-			case 'boolean':
-				return $this->generate_boolean_condition( $get_value_js, $operator, $value_js );
+		$operator = isset( $condition['operator'] ) ? $condition['operator'] : '=';
+		$value    = isset( $condition['value'] ) ? $condition['value'] : '';
+		$datatype = isset( $condition['datatype'] ) ? $condition['datatype'] : 'string';
 
-			case 'regex':
-				return $this->generate_regex_condition( $get_value_js, $value_js );
+		if ( ! in_array( $datatype, self::DATATYPES, true ) ) {
+			$datatype = 'string';
+		}
 
-			case 'date':
-				return $this->generate_date_condition( $get_value_js, $operator, $value_js );
+		$operator = self::normalize_operator( $operator, $datatype );
+		$value    = $this->normalize_condition_value( $value, $operator, $datatype );
 
-			default: // String.
-				return $this->generate_string_condition( $get_value_js, $operator, $value_js );
-		}
+		return array(
+			'source'   => $source,
+			'key'      => $key,
+			'operator' => $operator,
+			'value'    => $value,
+			'datatype' => $datatype,
+		);
 	}
 
 	/**
-	 * Generate numeric comparison JavaScript
+	 * Normalize an operator for a data type
+	 *
+	 * Unknown operators fall back to '=', except for string and boolean
+	 * conditions where any unknown operator has always meant "not equal".
+	 * Shared by the matcher and the admin save handler so stored and
+	 * evaluated conditions agree.
 	 *
-	 * @param string $get_value_js JavaScript to get value.
 	 * @param string $operator Comparison operator.
-	 * @param string $value_js JSON-encoded value.
-	 * @return string
+	 * @param string $datatype Data type.
+	 * @return string Valid operator for the data type.
 	 */
-	private function generate_numeric_condition( $get_value_js, $operator, $value_js ) {
-		$valid_operators = array( '=', '!=', '>', '<', '>=', '<=' );
-		if ( ! in_array( $operator, $valid_operators, true ) ) {
+	public static function normalize_operator( $operator, $datatype ) {
+		if ( '==' === $operator ) {
 			$operator = '=';
 		}
 
-		// Convert '=' to '===' for strict comparison.
-		if ( '=' === $operator ) {
-			$operator = '===';
-		} elseif ( '!=' === $operator ) {
-			$operator = '!==';
+		if ( self::is_valid_operator( $operator, $datatype ) ) {
+			return $operator;
 		}
 
-		return "(function() {
-			const val = {$get_value_js};
-			if (val === null || val === undefined) return false;
-			const numVal = Number(val);
-			if (isNaN(numVal)) return false;
-			return numVal {$operator} {$value_js};
-		})()";
+		return in_array( $datatype, array( 'string', 'boolean' ), true ) ? '!=' : '=';
 	}
 
 	/**
-	 * Generate boolean comparison JavaScript
+	 * Normalize a condition value for its operator and data type
 	 *
-	 * @param string $get_value_js JavaScript to get value.
-	 * @param string $operator Comparison operator.
-	 * @param string $value_js JSON-encoded value.
-	 * @return string
+	 * List operators (in, not_in, between) accept comma-separated strings and
+	 * are sent to the client as arrays.
+	 *
+	 * @param mixed  $value    Raw value.
+	 * @param string $operator Normalized operator.
+	 * @param string $datatype Data type.
+	 * @return mixed Normalized value.
 	 */
-	private function generate_boolean_condition( $get_value_js, $operator, $value_js ) {
-		$op = ( '=' === $operator || '==' === $operator ) ? '===' : '!==';
-
-		return "(function() {
-			const val = {$get_value_js};
-			if (val === null || val === undefined) return false;
-			let boolVal;
-			if (typeof val === 'boolean') {
-				boolVal = val;
-			} else if (typeof val === 'string') {
-				boolVal = val.toLowerCase() === 'true' || val === '1';
-			} else {
-				boolVal = Boolean(val);
-			}
-			return boolVal {$op} {$value_js};
-		})()";
+	private function normalize_condition_value( $value, $operator, $datatype ) {
+		switch ( $operator ) {
+			case 'exists':
+			case 'not_exists':
+				return '';
+
+			case 'in':
+			case 'not_in':
+			case 'between':
+				$items = is_array( $value ) ? $value : explode( ',', (string) $value );
+				$items = array_values( array_filter( array_map( 'trim', array_map( 'strval', $items ) ), 'strlen' ) );
+
+				return 'number' === $datatype ? array_map( array( $this, 'to_number' ), $items ) : $items;
+
+			case 'within_last_days':
+			case 'more_than_days_ago':
+				return $this->to_number( $value );
+		}
+
+		switch ( $datatype ) {
+			case 'number':
+				return $this->to_number( $value );
+
+			case 'boolean':
+				return is_bool( $value ) ? $value : filter_var( $value, FILTER_VALIDATE_BOOLEAN );
+
+			case 'date':
+				return $value;
+
+			default: // String and regex.
+				return (string) $value;
+		}
 	}
 
 	/**
-	 * Generate regex comparison JavaScript
+	 * Cast numeric strings to numbers, leaving other values untouched
 	 *
-	 * @param string $get_value_js JavaScript to get value.
-	 * @param string $value_js JSON-encoded regex pattern.
-	 * @return string
+	 * @param mixed $value Raw value.
+	 * @return mixed
 	 */
-	private function generate_regex_condition( $get_value_js, $value_js ) {
-		return "(function() {
-			const val = {$get_value_js};
-			if (val === null || val === undefined) return false;
-			try {
-				const pattern = new RegExp({$value_js});
-				return pattern.test(String(val));
-			} catch (e) {
-				return false;
+	private function to_number( $value ) {
+		return is_numeric( $value ) ? $value + 0 : $value;
+	}
+
+	/**
+	 * Normalize a condition key for its source
+	 *
+	 * Referrer conditions read the full URL unless a host or path key is given,
+	 * and interest keys must be category:slug, tag:slug or post:ID. Every other
+	 * source requires a non-empty key.
+	 *
+	 * @param string $key    Raw key.
+	 * @param string $source Condition source.
+	 * @return string Normalized key, or empty string if invalid.
+	 */
+	public static function normalize_condition_key( $key, $source ) {
+		$key = trim( (string) $key );
+
+		if ( 'referrer' === $source ) {
+			return in_array( $key, self::REFERRER_KEYS, true ) ? $key : 'url';
+		}
+
+		if ( 'interest' === $source ) {
+			if ( ! preg_match( '/^(category|tag|post):(.+)$/i', $key, $matches ) ) {
+				return '';
 			}
-		})()";
+
+			$type  = strtolower( $matches[1] );
+			$value = 'post' === $type ? absint( $matches[2] ) : sanitize_title( $matches[2] );
+
+			return empty( $value ) ? '' : $type . ':' . $value;
+		}
+
+		return $key;
 	}
 
 	/**
-	 * Generate date/time comparison JavaScript
+	 * Count the leaf conditions in a condition tree
 	 *
-	 * @param string $get_value_js JavaScript to get value.
-	 * @param string $operator Comparison operator.
-	 * @param string $value_js JSON-encoded value (timestamp or date string).
-	 * @return string
+	 * @param array $conditions Condition group or legacy flat list.
+	 * @return int
 	 */
-	private function generate_date_condition( $get_value_js, $operator, $value_js ) {
-		$valid_operators = array( '=', '!=', '>', '<', '>=', '<=' );
-		if ( ! in_array( $operator, $valid_operators, true ) ) {
-			$operator = '=';
+	public static function count_conditions( $conditions ) {
+		$group = Database::upgrade_storage_conditions( $conditions );
+		$count = 0;
+
+		if ( empty( $group['conditions'] ) ) {
+			return 0;
 		}
 
-		if ( '=' === $operator ) {
-			$operator = '===';
-		} elseif ( '!=' === $operator ) {
-			$operator = '!==';
+		foreach ( $group['conditions'] as $node ) {
+			$count += Database::is_condition_group( $node ) ? self::count_conditions( $node ) : 1;
 		}
 
-		return "(function() {
-			const val = {$get_value_js};
-			if (val === null || val === undefined) return false;
-			const timestamp = new Date(val).getTime();
-			const compareTimestamp = new Date({$value_js}).getTime();
-			if (isNaN(timestamp) || isNaN(compareTimestamp)) return false;
-			return timestamp {$operator} compareTimestamp;
-		})()";
+		return $count;
 	}
 
 	/**
-	 * Generate string comparison JavaScript
+	 * Check if an operator is supported for a data type
 	 *
-	 * @param string $get_value_js JavaScript to get value.
 	 * @param string $operator Comparison operator.
-	 * @param string $value_js JSON-encoded value.
-	 * @return string
+	 * @param string $datatype Data type.
+	 * @return bool
 	 */
-	private function generate_string_condition( $get_value_js, $operator, $value_js ) {
-		$op = ( '=' === $operator || '==' === $operator ) ? '===' : '!==';
-
-		return "(function() {
-			const val = {$get_value_js};
-			if (val === null || val === undefined) return false;
-			return String(val) {$op} {$value_js};
-		})()";
+	public static function is_valid_operator( $operator, $datatype ) {
+		return isset( self::OPERATORS[ $datatype ] ) && in_array( $operator, self::OPERATORS[ $datatype ], true );
 	}
 }
@@ -19,6 +19,42 @@ use CTAHighlights\Template\Registry;
  * @since 1.0.0
  */
 class Handler {
+	/**
+	 * Highlight trigger modes and their default amount
+	 *
+	 * Time and idle amounts are seconds, scroll is a percentage of the page.
+	 * Modes without an amount are null.
+	 *
+	 * @var array
+	 */
+	const TRIGGERS = array(
+		'visible' => null,
+		'time'    => 10,
+		'scroll'  => 50,
+		'exit'    => null,
+		'idle'    => 30,
+	);
+
+	/**
+	 * What a fired trigger does when the CTA is off screen
+	 *
+	 * - wait:   highlight once the CTA scrolls into view
+	 * - scroll: scroll the CTA into view and highlight it
+	 *
+	 * @var array
+	 */
+	const TRIGGER_OFFSCREEN = array( 'wait', 'scroll' );
+
+	/**
+	 * Cooldown modes besides a number of seconds
+	 *
+	 * - session: once per browser session
+	 * - once:    once ever (never expires)
+	 *
+	 * @var array
+	 */
+	const COOLDOWN_MODES = array( 'session', 'once' );
+
 	/**
 	 * Template loader instance
 	 *
@@ -55,6 +91,12 @@ class Handler {
 		'custom_class'       => '',
 		'highlight'          => 'false',
 		'highlight_duration' => '5',
+		'trigger'            => 'visible',
+		'trigger_offscreen'  => 'wait',
+		'priority'           => '0',
+		'cooldown'           => '',
+		'global_cooldown'    => '',
+		'cooldown_key'       => '',
 	);
 
 	/**
@@ -225,6 +267,28 @@ class Handler {
 					$sanitized[ $key ] = (string) absint( $value );
 					break;
 
+				case 'priority':
+					// Signed numeric value.
+					$sanitized[ $key ] = (string) intval( $value );
+					break;
+
+				case 'cooldown':
+				case 'global_cooldown':
+					$sanitized[ $key ] = self::sanitize_cooldown( $value );
+					break;
+
+				case 'cooldown_key':
+					$sanitized[ $key ] = sanitize_key( $value );
+					break;
+
+				case 'trigger':
+					$sanitized[ $key ] = $this->sanitize_trigger( $value );
+					break;
+
+				case 'trigger_offscreen':
+					$sanitized[ $key ] = in_array( $value, self::TRIGGER_OFFSCREEN, true ) ? $value : 'wait';
+					break;
+
 				case 'content':
 				case 'cta_content':
 					// Content can contain safe HTML - use wp_kses_post.
@@ -248,6 +312,57 @@ class Handler {
 		return $sanitized;
 	}
 
+	/**
+	 * Sanitize a highlight trigger
+	 *
+	 * Triggers are a mode with an optional amount, e.g. "time:10", "scroll:75",
+	 * "exit" or "idle:30". A missing or zero amount uses the mode's default and
+	 * scroll depth is capped at 100%. Unknown modes fall back to "visible".
+	 *
+	 * @param string $value Raw trigger.
+	 * @return string Normalized trigger.
+	 */
+	private function sanitize_trigger( $value ) {
+		$parts = explode( ':', strtolower( trim( $value ) ), 2 );
+		$mode  = $parts[0];
+
+		if ( ! array_key_exists( $mode, self::TRIGGERS ) ) {
+			return 'visible';
+		}
+
+		if ( null === self::TRIGGERS[ $mode ] ) {
+			return $mode;
+		}
+
+		$amount = isset( $parts[1] ) ? absint( $parts[1] ) : 0;
+
+		if ( ! $amount ) {
+			$amount = self::TRIGGERS[ $mode ];
+		}
+
+		if ( 'scroll' === $mode ) {
+			$amount = min( 100, $amount );
+		}
+
+		return $mode . ':' . $amount;
+	}
+
+	/**
+	 * Sanitize a cooldown value
+	 *
+	 * @param mixed $value Seconds, a cooldown mode or empty for the default.
+	 * @return string Seconds, 'session', 'once' or empty string.
+	 */
+	public static function sanitize_cooldown( $value ) {
+		$value = strtolower( trim( (string) $value ) );
+
+		if ( in_array( $value, self::COOLDOWN_MODES, true ) ) {
+			return $value;
+		}
+
+		return is_numeric( $value ) ? (string) absint( $value ) : '';
+	}
+
 	/**
 	 * Process shortcode content
 	 *
@@ -300,6 +415,28 @@ class Handler {
 			$data_attrs .= ' data-highlight="true"';
 			$data_attrs .= ' data-template="' . esc_attr( $template_name ) . '"';
 			$data_attrs .= ' data-duration="' . esc_attr( absint( $atts['highlight_duration'] ) ) . '"';
+
+			// Empty cooldowns use the template map and the default cooldowns.
+			// The key keeps the CTA's own cooldown apart from other CTAs of its template.
+			if ( '' !== $atts['cooldown'] ) {
+				$data_attrs .= ' data-cooldown="' . esc_attr( $atts['cooldown'] ) . '"';
+				$data_attrs .= ' data-cooldown-key="' . esc_attr( $this->get_cooldown_key( $atts ) ) . '"';
+			}
+
+			if ( '' !== $atts['global_cooldown'] ) {
+				$data_attrs .= ' data-global-cooldown="' . esc_attr( $atts['global_cooldown'] ) . '"';
+			}
+
+			if ( 0 !== intval( $atts['priority'] ) ) {
+				$data_attrs .= ' data-priority="' . esc_attr( intval( $atts['priority'] ) ) . '"';
+			}
+
+			// Visibility is the default trigger and needs no attributes.
+			if ( 'visible' !== $atts['trigger'] ) {
+				$data_attrs .= ' data-trigger="' . esc_attr( $atts['trigger'] ) . '"';
+				$data_attrs .= ' data-trigger-offscreen="' . esc_attr( $atts['trigger_offscreen'] ) . '"';
+			}
+
 			$data_attrs .= ' role="dialog"';
 			$data_attrs .= ' aria-modal="false"';
 			$data_attrs .= ' aria-labelledby="' . esc_attr( $unique_id ) . '"';
@@ -317,6 +454,24 @@ class Handler {
 		);
 	}
 
+	/**
+	 * Get the key a CTA's own cooldown is stored under
+	 *
+	 * The cooldown_key attribute wins. Otherwise the key is derived from the
+	 * current post and the shortcode attributes, so it stays the same across
+	 * page loads and differs between CTAs of one template.
+	 *
+	 * @param array $atts Shortcode attributes.
+	 * @return string Cooldown key.
+	 */
+	private function get_cooldown_key( array $atts ) {
+		if ( '' !== $atts['cooldown_key'] ) {
+			return $atts['cooldown_key'];
+		}
+
+		return absint( get_the_ID() ) . '-' . substr( md5( wp_json_encode( $atts ) ), 0, 8 );
+	}
+
 	/**
 	 * Render error message for missing template
 	 *
@@ -18,19 +18,32 @@ $cta    = $cta ? $cta : array();
 
 // Default values
 $defaults = array(
-	'id'                  => 0,
-	'name'                => '',
-	'content'             => '',
-	'status'              => 'active',
-	'cta_type'            => 'primary',
-	'post_types'          => array(),
-	'category_mode'       => 'include',
-	'category_ids'        => array(),
-	'storage_conditions'  => array(),
-	'insertion_direction' => 'forward',
-	'insertion_position'  => 3,
-	'fallback_behavior'   => 'end',
-	'fallback_cta_id'     => null,
+	'id'                      => 0,
+	'name'                    => '',
+	'content'                 => '',
+	'status'                  => 'active',
+	'cta_type'                => 'primary',
+	'post_types'              => array(),
+	'category_mode'           => 'include',
+	'category_ids'            => array(),
+	'storage_conditions'      => array(),
+	'insertion_direction'     => 'forward',
+	'insertion_anchor'        => 'element',
+	'insertion_anchor_value'  => '',
+	'insertion_position'      => 3,
+	'insertion_position_unit' => 'count',
+	'insertion_repeat_every'  => 0,
+	'insertion_repeat_max'    => 0,
+	'insertion_slot'          => 'main',
+	'fallback_behavior'       => 'end',
+	'fallback_cta_id'         => null,
+	'max_impressions_session' => 0,
+	'max_impressions_day'     => 0,
+	'max_impressions_total'   => 0,
+	'min_impression_gap'      => 0,
+	'stop_after_click'        => false,
+	'no_match_behavior'       => 'last',
+	'no_match_cta_id'         => null,
 );
 
 $cta = wp_parse_args( $cta, $defaults );
@@ -150,16 +163,23 @@ $cta['storage_conditions'] = is_array( $cta['storage_conditions'] ) ? $cta['stor
 							<hr style="margin: 20px 0;">
 
 							<!-- Storage Conditions -->
-							<h3><?php esc_html_e( 'LocalStorage / Cookie Conditions', 'cta-highlights' ); ?></h3>
-							<p class="description"><?php esc_html_e( 'Add conditions based on localStorage or cookie values. All conditions must pass (AND logic).', 'cta-highlights' ); ?></p>
-							<div id="storage-conditions-container">
-								<?php if ( ! empty( $cta['storage_conditions'] ) ) : ?>
-									<?php foreach ( $cta['storage_conditions'] as $condition ) : ?>
-										<?php include CTA_HIGHLIGHTS_DIR . 'templates/admin/partials/storage-condition-row.php'; ?>
-									<?php endforeach; ?>
-								<?php endif; ?>
+							<h3><?php esc_html_e( 'Visitor Conditions', 'cta-highlights' ); ?></h3>
+							<p class="description"><?php esc_html_e( 'Add conditions based on localStorage or cookie values, URL parameters, the referrer, dataLayer variables, JavaScript globals or elements on the page. Use groups to combine conditions with AND/OR logic, e.g. (is_member = true OR trial_started = true) AND visits > 3.', 'cta-highlights' ); ?></p>
+							<div id="storage-conditions-container" data-max-depth="<?php echo esc_attr( \CTAHighlights\AutoInsertion\Matcher::MAX_GROUP_DEPTH ); ?>">
+								<?php $this->render_storage_condition_group( $cta['storage_conditions'], 'root' ); ?>
 							</div>
-							<button type="button" class="button" id="add-storage-condition"><?php esc_html_e( 'Add Condition', 'cta-highlights' ); ?></button>
+							<datalist id="cta-builtin-storage-keys">
+								<?php foreach ( $this->get_builtin_storage_keys() as $builtin_key => $builtin ) : ?>
+									<option value="<?php echo esc_attr( $builtin_key ); ?>" data-datatype="<?php echo esc_attr( $builtin['datatype'] ); ?>"><?php echo esc_html( $builtin['label'] ); ?></option>
+								<?php endforeach; ?>
+							</datalist>
+							<datalist id="cta-interest-keys">
+								<?php foreach ( $this->get_interest_key_suggestions() as $interest_key => $interest_label ) : ?>
+									<option value="<?php echo esc_attr( $interest_key ); ?>" data-datatype="number"><?php echo esc_html( $interest_label ); ?></option>
+								<?php endforeach; ?>
+							</datalist>
+							<p class="description"><?php esc_html_e( 'Built-in keys (cta_hl_*) track visits and pageviews automatically; pick one from the key suggestions.', 'cta-highlights' ); ?></p>
+							<p class="description"><?php esc_html_e( 'Reading history conditions count the posts a visitor has read in a category (category:slug) or with a tag (tag:slug), or how often they viewed a post (post:ID), e.g. category:photography >= 3 (Number).', 'cta-highlights' ); ?></p>
 						</div>
 					</div>
 
@@ -183,14 +203,46 @@ $cta['storage_conditions'] = is_array( $cta['storage_conditions'] ) ? $cta['stor
 										</label>
 									</td>
 								</tr>
+								<tr class="insertion-anchor-row">
+									<th scope="row"><label for="insertion-anchor"><?php esc_html_e( 'Count', 'cta-highlights' ); ?></label></th>
+									<td>
+										<select name="insertion_anchor" id="insertion-anchor">
+											<option value="element" <?php selected( $cta['insertion_anchor'], 'element' ); ?>><?php esc_html_e( 'All elements', 'cta-highlights' ); ?></option>
+											<option value="paragraph" <?php selected( $cta['insertion_anchor'], 'paragraph' ); ?>><?php esc_html_e( 'Paragraphs', 'cta-highlights' ); ?></option>
+											<option value="heading" <?php selected( $cta['insertion_anchor'], 'heading' ); ?>><?php esc_html_e( 'Headings', 'cta-highlights' ); ?></option>
+											<option value="selector" <?php selected( $cta['insertion_anchor'], 'selector' ); ?>><?php esc_html_e( 'Elements matching a CSS selector', 'cta-highlights' ); ?></option>
+										</select>
+										<select name="insertion_anchor_heading" class="insertion-anchor-value" data-anchor="heading">
+											<option value=""><?php esc_html_e( 'Any level', 'cta-highlights' ); ?></option>
+											<?php for ( $level = 1; $level <= 6; $level++ ) : ?>
+												<option value="h<?php echo esc_attr( $level ); ?>" <?php selected( $cta['insertion_anchor_value'], 'h' . $level ); ?>>H<?php echo esc_html( $level ); ?></option>
+											<?php endfor; ?>
+										</select>
+										<input type="text" name="insertion_anchor_selector" class="insertion-anchor-value regular-text" data-anchor="selector" value="<?php echo esc_attr( 'selector' === $cta['insertion_anchor'] ? $cta['insertion_anchor_value'] : '' ); ?>" placeholder="<?php esc_attr_e( 'e.g. .wp-block-table-of-contents', 'cta-highlights' ); ?>">
+										<p class="description">
+											<?php esc_html_e( 'Paragraphs and selectors: the CTA goes after the matched element. Headings: the CTA goes before the heading, so it never separates a heading from its section.', 'cta-highlights' ); ?>
+										</p>
+									</td>
+								</tr>
 								<tr>
-									<th scope="row"><label for="insertion-position"><?php esc_html_e( 'Position (element number)', 'cta-highlights' ); ?></label></th>
+									<th scope="row"><label for="insertion-position"><?php esc_html_e( 'Position', 'cta-highlights' ); ?></label></th>
 									<td>
 										<input type="number" name="insertion_position" id="insertion-position" value="<?php echo esc_attr( $cta['insertion_position'] ); ?>" min="1" step="1" class="small-text">
-										<p class="description">
+										<select name="insertion_position_unit" id="insertion-position-unit">
+											<option value="count" <?php selected( $cta['insertion_position_unit'], 'count' ); ?>><?php esc_html_e( 'element number', 'cta-highlights' ); ?></option>
+											<option value="percent" <?php selected( $cta['insertion_position_unit'], 'percent' ); ?>><?php esc_html_e( '% of the article (by word count)', 'cta-highlights' ); ?></option>
+											<option value="words" <?php selected( $cta['insertion_position_unit'], 'words' ); ?>><?php esc_html_e( 'words', 'cta-highlights' ); ?></option>
+										</select>
+										<p class="description insertion-position-help" data-unit="count">
 											<?php esc_html_e( 'If "Forward": Insert after this element number (e.g., 3 = after 3rd element)', 'cta-highlights' ); ?><br>
 											<?php esc_html_e( 'If "Reverse": Insert this many elements from the end (e.g., 2 = before last 2 elements)', 'cta-highlights' ); ?>
 										</p>
+										<p class="description insertion-position-help" data-unit="percent">
+											<?php esc_html_e( 'Insert at this percentage of the article\'s words (e.g., 50 = halfway), measured from the end if "Reverse". The CTA goes at the nearest element boundary.', 'cta-highlights' ); ?>
+										</p>
+										<p class="description insertion-position-help" data-unit="words">
+											<?php esc_html_e( 'Insert after the first N words (or before the last N words if "Reverse"), at the nearest element boundary.', 'cta-highlights' ); ?>
+										</p>
 									</td>
 								</tr>
 								<tr>
@@ -206,6 +258,83 @@ $cta['storage_conditions'] = is_array( $cta['storage_conditions'] ) ? $cta['stor
 										</label>
 									</td>
 								</tr>
+								<tr>
+									<th scope="row"><?php esc_html_e( 'Slot', 'cta-highlights' ); ?></th>
+									<td>
+										<label>
+											<input type="radio" name="insertion_slot" value="main" <?php checked( $cta['insertion_slot'], 'main' ); ?>>
+											<?php esc_html_e( 'Main slot (only the first matching CTA is inserted)', 'cta-highlights' ); ?>
+										</label><br>
+										<label>
+											<input type="radio" name="insertion_slot" value="extra" <?php checked( $cta['insertion_slot'], 'extra' ); ?>>
+											<?php esc_html_e( 'Extra slot (inserted in addition to the main CTA)', 'cta-highlights' ); ?>
+										</label>
+									</td>
+								</tr>
+								<tr>
+									<th scope="row"><label for="insertion-repeat-every"><?php esc_html_e( 'Repeat every', 'cta-highlights' ); ?></label></th>
+									<td>
+										<input type="number" name="insertion_repeat_every" id="insertion-repeat-every" value="<?php echo esc_attr( $cta['insertion_repeat_every'] ); ?>" min="0" step="1" class="small-text">
+										<?php esc_html_e( 'elements', 'cta-highlights' ); ?>
+										<p class="description"><?php esc_html_e( 'Insert again every N elements after the first position, in the same direction. 0 = insert once.', 'cta-highlights' ); ?></p>
+									</td>
+								</tr>
+								<tr>
+									<th scope="row"><label for="insertion-repeat-max"><?php esc_html_e( 'Maximum insertions', 'cta-highlights' ); ?></label></th>
+									<td>
+										<input type="number" name="insertion_repeat_max" id="insertion-repeat-max" value="<?php echo esc_attr( $cta['insertion_repeat_max'] ); ?>" min="0" step="1" class="small-text">
+										<p class="description"><?php esc_html_e( 'Maximum number of times a repeating slot is filled. 0 = until the end of the content.', 'cta-highlights' ); ?></p>
+									</td>
+								</tr>
+							</table>
+						</div>
+					</div>
+
+					<!-- Frequency Capping -->
+					<div class="postbox">
+						<div class="postbox-header">
+							<h2><?php esc_html_e( 'Frequency Capping', 'cta-highlights' ); ?></h2>
+						</div>
+						<div class="inside">
+							<p class="description">
+								<?php esc_html_e( 'Limit how often each visitor sees this CTA. When a cap is reached, the next CTA in the fallback chain is used instead. Leave a field at 0 for no limit.', 'cta-highlights' ); ?>
+							</p>
+							<table class="form-table">
+								<tr>
+									<th scope="row"><label for="max-impressions-session"><?php esc_html_e( 'Max per session', 'cta-highlights' ); ?></label></th>
+									<td>
+										<input type="number" name="max_impressions_session" id="max-impressions-session" value="<?php echo esc_attr( $cta['max_impressions_session'] ); ?>" min="0" step="1" class="small-text">
+										<p class="description"><?php esc_html_e( 'A session ends after 30 minutes of inactivity.', 'cta-highlights' ); ?></p>
+									</td>
+								</tr>
+								<tr>
+									<th scope="row"><label for="max-impressions-day"><?php esc_html_e( 'Max per day', 'cta-highlights' ); ?></label></th>
+									<td>
+										<input type="number" name="max_impressions_day" id="max-impressions-day" value="<?php echo esc_attr( $cta['max_impressions_day'] ); ?>" min="0" step="1" class="small-text">
+									</td>
+								</tr>
+								<tr>
+									<th scope="row"><label for="max-impressions-total"><?php esc_html_e( 'Max lifetime', 'cta-highlights' ); ?></label></th>
+									<td>
+										<input type="number" name="max_impressions_total" id="max-impressions-total" value="<?php echo esc_attr( $cta['max_impressions_total'] ); ?>" min="0" step="1" class="small-text">
+									</td>
+								</tr>
+								<tr>
+									<th scope="row"><label for="min-impression-gap"><?php esc_html_e( 'Minimum gap (minutes)', 'cta-highlights' ); ?></label></th>
+									<td>
+										<input type="number" name="min_impression_gap" id="min-impression-gap" value="<?php echo esc_attr( $cta['min_impression_gap'] ); ?>" min="0" step="1" class="small-text">
+										<p class="description"><?php esc_html_e( 'Minimum time between two impressions for the same visitor.', 'cta-highlights' ); ?></p>
+									</td>
+								</tr>
+								<tr>
+									<th scope="row"><?php esc_html_e( 'After a click', 'cta-highlights' ); ?></th>
+									<td>
+										<label>
+											<input type="checkbox" name="stop_after_click" value="1" <?php checked( ! empty( $cta['stop_after_click'] ) ); ?>>
+											<?php esc_html_e( 'Stop showing this CTA once the visitor has clicked it', 'cta-highlights' ); ?>
+										</label>
+									</td>
+								</tr>
 							</table>
 						</div>
 					</div>
@@ -281,6 +410,31 @@ $cta['storage_conditions'] = is_array( $cta['storage_conditions'] ) ? $cta['stor
 									<?php endif; ?>
 								<?php endforeach; ?>
 							</select>
+
+							<p class="description" style="margin-top: 15px;"><?php esc_html_e( 'If no CTA in the chain matches:', 'cta-highlights' ); ?></p>
+							<label style="display: block; margin: 5px 0;">
+								<input type="radio" name="no_match_behavior" value="last" <?php checked( $cta['no_match_behavior'], 'last' ); ?>>
+								<?php esc_html_e( 'Show the last CTA in the chain', 'cta-highlights' ); ?>
+							</label>
+							<label style="display: block; margin: 5px 0;">
+								<input type="radio" name="no_match_behavior" value="none" <?php checked( $cta['no_match_behavior'], 'none' ); ?>>
+								<?php esc_html_e( 'Show nothing', 'cta-highlights' ); ?>
+							</label>
+							<label style="display: block; margin: 5px 0;">
+								<input type="radio" name="no_match_behavior" value="cta" <?php checked( $cta['no_match_behavior'], 'cta' ); ?>>
+								<?php esc_html_e( 'Show a specific CTA:', 'cta-highlights' ); ?>
+							</label>
+							<select name="no_match_cta_id" style="width: 100%;">
+								<option value=""><?php esc_html_e( '— Select —', 'cta-highlights' ); ?></option>
+								<?php foreach ( $all_ctas as $no_match_cta ) : ?>
+									<?php if ( $no_match_cta['id'] !== $cta['id'] ) : ?>
+										<option value="<?php echo esc_attr( $no_match_cta['id'] ); ?>" <?php selected( $cta['no_match_cta_id'], $no_match_cta['id'] ); ?>>
+											<?php echo esc_html( $no_match_cta['name'] ); ?>
+										</option>
+									<?php endif; ?>
+								<?php endforeach; ?>
+							</select>
+							<p class="description"><?php esc_html_e( 'Applies when this CTA starts the chain.', 'cta-highlights' ); ?></p>
 						</div>
 					</div>
 				</div>
@@ -298,20 +452,152 @@ $cta['storage_conditions'] = is_array( $cta['storage_conditions'] ) ? $cta['stor
 		'value'    => '',
 		'datatype' => 'string',
 	);
+	$group_id  = '__GROUP_ID__';
 	include CTA_HIGHLIGHTS_DIR . 'templates/admin/partials/storage-condition-row.php';
 	?>
 </script>
 
+<!-- Storage Condition Group Template -->
+<script type="text/template" id="storage-group-template">
+	<?php $this->render_storage_condition_group( array(), '__GROUP_ID__', '__PARENT_ID__', 2 ); ?>
+</script>
+
 <script>
 (function($) {
-	$('#add-storage-condition').on('click', function() {
-		var template = $('#storage-condition-template').html();
-		$('#storage-conditions-container').append(template);
+	var groupCounter = 0;
+	var maxDepth = parseInt($('#storage-conditions-container').data('max-depth'), 10) || 1;
+
+	var valueHints = <?php
+	echo wp_json_encode(
+		array(
+			'in'                 => __( 'a, b, c', 'cta-highlights' ),
+			'not_in'             => __( 'a, b, c', 'cta-highlights' ),
+			'between'            => __( 'min, max', 'cta-highlights' ),
+			'within_last_days'   => __( 'Number of days', 'cta-highlights' ),
+			'more_than_days_ago' => __( 'Number of days', 'cta-highlights' ),
+		)
+	);
+	?>;
+
+	// Only offer the operators that apply to the selected datatype
+	function syncConditionRow($row) {
+		var datatype = $row.find('.storage-condition-datatype').val();
+		var $operator = $row.find('.storage-condition-operator');
+		var $value = $row.find('.storage-condition-value');
+
+		$operator.find('option').each(function() {
+			var allowed = (' ' + $(this).attr('data-datatypes') + ' ').indexOf(' ' + datatype + ' ') !== -1;
+			$(this).prop('hidden', !allowed).prop('disabled', !allowed);
+		});
+
+		if ($operator.find('option:selected').prop('disabled')) {
+			$operator.val('=');
+		}
+
+		if (undefined === $value.data('default-placeholder')) {
+			$value.data('default-placeholder', $value.attr('placeholder'));
+		}
+
+		var operator = $operator.val();
+		var noValue = operator === 'exists' || operator === 'not_exists';
+
+		// readonly (not disabled) keeps the value[] array aligned with key[] on submit
+		$value.prop('readonly', noValue);
+		$value.attr('placeholder', noValue ? '' : (valueHints[operator] || $value.data('default-placeholder')));
+	}
+
+	$('#storage-conditions-container .storage-condition-row').each(function() {
+		syncConditionRow($(this));
+	});
+
+	// Key placeholder and suggestions describe what the key means for the selected source
+	$(document).on('change', '.storage-condition-source', function() {
+		var $option = $(this).find('option:selected');
+		var $key = $(this).closest('.storage-condition-row').find('.storage-condition-key');
+		$key.attr('placeholder', $option.attr('data-placeholder'));
+
+		if ($option.attr('data-list')) {
+			$key.attr('list', $option.attr('data-list'));
+		} else {
+			$key.removeAttr('list');
+		}
+	});
+
+	// Picking a suggested key selects its datatype
+	$(document).on('change', '.storage-condition-key', function() {
+		var $row = $(this).closest('.storage-condition-row');
+		var key = $(this).val();
+		var list = $(this).attr('list');
+		var datatype = list ? $('#' + list + ' option').filter(function() {
+			return this.value === key;
+		}).attr('data-datatype') : '';
+
+		if (datatype) {
+			$row.find('.storage-condition-datatype').val(datatype);
+			syncConditionRow($row);
+		}
+	});
+
+	$(document).on('change', '.storage-condition-datatype, .storage-condition-operator', function() {
+		syncConditionRow($(this).closest('.storage-condition-row'));
+	});
+
+	$(document).on('click', '.add-storage-condition', function() {
+		var $group = $(this).closest('.storage-condition-group');
+		var $row = $($('#storage-condition-template').html()
+			.replace(/__GROUP_ID__/g, $group.attr('data-group-id')));
+		$group.children('.storage-condition-group-items').append($row);
+		syncConditionRow($row);
 	});
 
+	$(document).on('click', '.add-storage-group', function() {
+		var $parent = $(this).closest('.storage-condition-group');
+		var depth = (parseInt($parent.attr('data-depth'), 10) || 1) + 1;
+		var groupId = 'new' + (++groupCounter);
+		var $group = $($('#storage-group-template').html()
+			.replace(/__GROUP_ID__/g, groupId)
+			.replace(/__PARENT_ID__/g, $parent.attr('data-group-id')));
+
+		$group.attr('data-depth', depth);
+		if (depth >= maxDepth) {
+			$group.find('.add-storage-group').remove();
+		}
+
+		$parent.children('.storage-condition-group-items').append($group);
+	});
+
+	// Only show the value field of the selected insertion anchor
+	function syncInsertionAnchor() {
+		var anchor = $('#insertion-anchor').val();
+
+		$('.insertion-anchor-value').each(function() {
+			$(this).toggle($(this).attr('data-anchor') === anchor);
+		});
+	}
+
+	$('#insertion-anchor').on('change', syncInsertionAnchor);
+	syncInsertionAnchor();
+
+	// Anchors only apply to element counting; word-based units show their own help
+	function syncPositionUnit() {
+		var unit = $('#insertion-position-unit').val();
+
+		$('.insertion-anchor-row').toggle(unit === 'count');
+		$('.insertion-position-help').each(function() {
+			$(this).toggle($(this).attr('data-unit') === unit);
+		});
+	}
+
+	$('#insertion-position-unit').on('change', syncPositionUnit);
+	syncPositionUnit();
+
 	$(document).on('click', '.remove-storage-condition', function() {
 		$(this).closest('.storage-condition-row').remove();
 	});
+
+	$(document).on('click', '.remove-storage-group', function() {
+		$(this).closest('.storage-condition-group').remove();
+	});
 })(jQuery);
 </script>
 
@@ -16,6 +16,9 @@ if ( ! defined( 'ABSPATH' ) ) {
 	<a href="<?php echo esc_url( admin_url( 'admin.php?page=cta-auto-insert&action=add' ) ); ?>" class="page-title-action">
 		<?php esc_html_e( 'Add New', 'cta-highlights' ); ?>
 	</a>
+	<a href="<?php echo esc_url( admin_url( 'admin.php?page=cta-auto-insert&action=settings' ) ); ?>" class="page-title-action">
+		<?php esc_html_e( 'Settings', 'cta-highlights' ); ?>
+	</a>
 	<hr class="wp-header-end">
 
 	<?php if ( isset( $_GET['deleted'] ) ) : ?>
@@ -0,0 +1,56 @@
+<?php
+/**
+ * Storage condition group partial
+ *
+ * Rendered by AutoInsertAdmin::render_storage_condition_group(), which calls
+ * itself for nested groups.
+ *
+ * @package CTAHighlights
+ * @var array  $group     Condition group data
+ * @var string $group_id  Form ID for this group
+ * @var string $parent_id Form ID of the parent group ('' for the root group)
+ * @var int    $depth     Nesting depth (root is 1)
+ * @var int    $max_depth Maximum nesting depth
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+?>
+
+<div class="storage-condition-group<?php echo '' === $parent_id ? ' storage-condition-group-root' : ''; ?>" data-group-id="<?php echo esc_attr( $group_id ); ?>" data-depth="<?php echo esc_attr( $depth ); ?>">
+	<input type="hidden" name="storage_group_id[]" value="<?php echo esc_attr( $group_id ); ?>">
+	<input type="hidden" name="storage_group_parent[]" value="<?php echo esc_attr( $parent_id ); ?>">
+
+	<div class="storage-condition-group-header">
+		<label>
+			<?php esc_html_e( 'Match', 'cta-highlights' ); ?>
+			<select name="storage_group_logic[]">
+				<option value="and" <?php selected( $group['logic'], 'and' ); ?>><?php esc_html_e( 'ALL of the following (AND)', 'cta-highlights' ); ?></option>
+				<option value="or" <?php selected( $group['logic'], 'or' ); ?>><?php esc_html_e( 'ANY of the following (OR)', 'cta-highlights' ); ?></option>
+			</select>
+		</label>
+
+		<?php if ( '' !== $parent_id ) : ?>
+			<button type="button" class="button-link button-link-delete remove-storage-group"><?php esc_html_e( 'Remove Group', 'cta-highlights' ); ?></button>
+		<?php endif; ?>
+	</div>
+
+	<div class="storage-condition-group-items">
+		<?php foreach ( $group['conditions'] as $node ) : ?>
+			<?php if ( \CTAHighlights\AutoInsertion\Database::is_condition_group( $node ) ) : ?>
+				<?php $this->render_storage_condition_group( $node, $this->next_storage_group_id(), $group_id, $depth + 1 ); ?>
+			<?php else : ?>
+				<?php $condition = $node; ?>
+				<?php include CTA_HIGHLIGHTS_DIR . 'templates/admin/partials/storage-condition-row.php'; ?>
+			<?php endif; ?>
+		<?php endforeach; ?>
+	</div>
+
+	<div class="storage-condition-group-actions">
+		<button type="button" class="button add-storage-condition"><?php esc_html_e( 'Add Condition', 'cta-highlights' ); ?></button>
+		<?php if ( $depth < $max_depth ) : ?>
+			<button type="button" class="button add-storage-group"><?php esc_html_e( 'Add Group', 'cta-highlights' ); ?></button>
+		<?php endif; ?>
+	</div>
+</div>
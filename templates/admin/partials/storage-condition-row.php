@@ -3,7 +3,8 @@
  * Storage condition row partial
  *
  * @package CTAHighlights
- * @var array $condition Condition data
+ * @var array  $condition Condition data
+ * @var string $group_id  Form ID of the group this row belongs to
  */
 
 if ( ! defined( 'ABSPATH' ) ) {
@@ -11,28 +12,36 @@ if ( ! defined( 'ABSPATH' ) ) {
 }
 
 $condition = isset( $condition ) ? $condition : array(
+	'source'   => 'storage',
 	'key'      => '',
 	'operator' => '=',
 	'value'    => '',
 	'datatype' => 'string',
 );
+$group_id  = isset( $group_id ) ? $group_id : 'root';
+$source    = isset( $condition['source'] ) ? $condition['source'] : 'storage';
+$sources   = $this->get_storage_source_options();
 ?>
 
 <div class="storage-condition-row">
-	<input type="text" name="storage_condition_key[]" placeholder="<?php esc_attr_e( 'localStorage key', 'cta-highlights' ); ?>" value="<?php echo esc_attr( $condition['key'] ); ?>">
-
-	<select name="storage_condition_operator[]">
-		<option value="=" <?php selected( $condition['operator'], '=' ); ?>>=</option>
-		<option value="!=" <?php selected( $condition['operator'], '!=' ); ?>>!=</option>
-		<option value=">" <?php selected( $condition['operator'], '>' ); ?>>></option>
-		<option value="<" <?php selected( $condition['operator'], '<' ); ?>><</option>
-		<option value=">=" <?php selected( $condition['operator'], '>=' ); ?>>>=</option>
-		<option value="<=" <?php selected( $condition['operator'], '<=' ); ?>><=</option>
+	<input type="hidden" name="storage_condition_group[]" value="<?php echo esc_attr( $group_id ); ?>">
+	<select name="storage_condition_source[]" class="storage-condition-source">
+		<?php foreach ( $sources as $source_value => $option ) : ?>
+			<option value="<?php echo esc_attr( $source_value ); ?>" data-placeholder="<?php echo esc_attr( $option['placeholder'] ); ?>" data-list="<?php echo esc_attr( isset( $option['list'] ) ? $option['list'] : '' ); ?>" <?php selected( $source, $source_value ); ?>><?php echo esc_html( $option['label'] ); ?></option>
+		<?php endforeach; ?>
 	</select>
 
-	<input type="text" name="storage_condition_value[]" placeholder="<?php esc_attr_e( 'Value', 'cta-highlights' ); ?>" value="<?php echo esc_attr( $condition['value'] ); ?>">
+	<input type="text" name="storage_condition_key[]" class="storage-condition-key" <?php echo ! empty( $sources[ $source ]['list'] ) ? 'list="' . esc_attr( $sources[ $source ]['list'] ) . '"' : ''; ?> placeholder="<?php echo esc_attr( isset( $sources[ $source ] ) ? $sources[ $source ]['placeholder'] : $sources['storage']['placeholder'] ); ?>" value="<?php echo esc_attr( $condition['key'] ); ?>">
 
-	<select name="storage_condition_datatype[]">
+	<select name="storage_condition_operator[]" class="storage-condition-operator">
+		<?php foreach ( $this->get_storage_operator_options() as $operator => $option ) : ?>
+			<option value="<?php echo esc_attr( $operator ); ?>" data-datatypes="<?php echo esc_attr( implode( ' ', $option['datatypes'] ) ); ?>" <?php selected( $condition['operator'], $operator ); ?>><?php echo esc_html( $option['label'] ); ?></option>
+		<?php endforeach; ?>
+	</select>
+
+	<input type="text" name="storage_condition_value[]" class="storage-condition-value" placeholder="<?php esc_attr_e( 'Value', 'cta-highlights' ); ?>" value="<?php echo esc_attr( is_array( $condition['value'] ) ? implode( ', ', $condition['value'] ) : $condition['value'] ); ?>">
+
+	<select name="storage_condition_datatype[]" class="storage-condition-datatype">
 		<option value="string" <?php selected( $condition['datatype'], 'string' ); ?>><?php esc_html_e( 'String', 'cta-highlights' ); ?></option>
 		<option value="number" <?php selected( $condition['datatype'], 'number' ); ?>><?php esc_html_e( 'Number', 'cta-highlights' ); ?></option>
 		<option value="boolean" <?php selected( $condition['datatype'], 'boolean' ); ?>><?php esc_html_e( 'Boolean', 'cta-highlights' ); ?></option>
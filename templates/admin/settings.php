@@ -0,0 +1,82 @@
+<?php
+/**
+ * Admin settings page template
+ *
+ * @package CTAHighlights
+ * @var array    $settings Content selector settings (themes, post_types)
+ * @var WP_Theme $theme Active theme
+ * @var array    $post_types Available post types
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+$theme_selector = isset( $settings['themes'][ $theme->get_stylesheet() ] ) ? $settings['themes'][ $theme->get_stylesheet() ] : '';
+?>
+
+<div class="wrap">
+	<h1 class="wp-heading-inline"><?php esc_html_e( 'Auto-Insertion Settings', 'cta-highlights' ); ?></h1>
+	<a href="<?php echo esc_url( admin_url( 'admin.php?page=cta-auto-insert' ) ); ?>" class="page-title-action">
+		<?php esc_html_e( 'Back to CTAs', 'cta-highlights' ); ?>
+	</a>
+	<hr class="wp-header-end">
+
+	<?php if ( isset( $_GET['updated'] ) ) : ?>
+		<div class="notice notice-success is-dismissible">
+			<p><?php esc_html_e( 'Settings saved.', 'cta-highlights' ); ?></p>
+		</div>
+	<?php endif; ?>
+
+	<form method="post" action="">
+		<?php wp_nonce_field( 'cta_auto_insert_settings' ); ?>
+		<input type="hidden" name="page" value="cta-auto-insert">
+
+		<h2><?php esc_html_e( 'Content Container', 'cta-highlights' ); ?></h2>
+		<p class="description">
+			<?php
+			printf(
+				/* translators: %s: default CSS selector */
+				esc_html__( 'CSS selector of the element holding the post body, where CTAs are inserted. Leave empty to use %s. If the selector doesn\'t match the post body, the container is detected automatically.', 'cta-highlights' ),
+				'<code>' . esc_html( \CTAHighlights\AutoInsertion\Manager::DEFAULT_CONTENT_SELECTOR ) . '</code>'
+			);
+			?>
+		</p>
+
+		<table class="form-table">
+			<tr>
+				<th scope="row">
+					<label for="theme-selector">
+						<?php
+						/* translators: %s: theme name */
+						printf( esc_html__( 'Theme: %s', 'cta-highlights' ), esc_html( $theme->get( 'Name' ) ) );
+						?>
+					</label>
+				</th>
+				<td>
+					<input type="text" name="theme_selector" id="theme-selector" value="<?php echo esc_attr( $theme_selector ); ?>" class="regular-text code">
+					<p class="description"><?php esc_html_e( 'Used for every post type without its own selector while this theme is active.', 'cta-highlights' ); ?></p>
+				</td>
+			</tr>
+			<?php foreach ( $post_types as $post_type ) : ?>
+				<?php
+				if ( 'attachment' === $post_type->name ) {
+					continue;
+				}
+				?>
+				<tr>
+					<th scope="row">
+						<label for="post-type-selector-<?php echo esc_attr( $post_type->name ); ?>"><?php echo esc_html( $post_type->label ); ?></label>
+					</th>
+					<td>
+						<input type="text" name="post_type_selectors[<?php echo esc_attr( $post_type->name ); ?>]" id="post-type-selector-<?php echo esc_attr( $post_type->name ); ?>" value="<?php echo esc_attr( isset( $settings['post_types'][ $post_type->name ] ) ? $settings['post_types'][ $post_type->name ] : '' ); ?>" class="regular-text code">
+					</td>
+				</tr>
+			<?php endforeach; ?>
+		</table>
+
+		<p class="description"><?php esc_html_e( 'The cta_highlights_content_selector filter runs after these settings.', 'cta-highlights' ); ?></p>
+
+		<?php submit_button( __( 'Save Settings', 'cta-highlights' ), 'primary', 'cta_auto_insert_save_settings' ); ?>
+	</form>
+</div>
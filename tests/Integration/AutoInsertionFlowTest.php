@@ -97,13 +97,13 @@ class AutoInsertionFlowTest extends WP_UnitTestCase {
 		// Verify JSON structure
 		$this->assertIsArray( $json );
 		$this->assertArrayHasKey( 'postId', $json );
-		$this->assertArrayHasKey( 'ctas', $json );
+		$this->assertArrayHasKey( 'chains', $json );
 		$this->assertEquals( $post, $json['postId'] );
 
 		// Verify CTA data
-		$this->assertCount( 1, $json['ctas'] );
-		$this->assertEquals( $cta_id, $json['ctas'][0]['id'] );
-		$this->assertStringContainsString( 'Subscribe to our newsletter!', $json['ctas'][0]['content'] );
+		$this->assertCount( 1, $json['chains'][0]['ctas'] );
+		$this->assertEquals( $cta_id, $json['chains'][0]['ctas'][0]['id'] );
+		$this->assertStringContainsString( 'Subscribe to our newsletter!', $json['chains'][0]['ctas'][0]['content'] );
 	}
 
 	/**
@@ -173,11 +173,11 @@ class AutoInsertionFlowTest extends WP_UnitTestCase {
 		$json = json_decode( $matches[1], true );
 
 		// Should have 3 CTAs in chain
-		$this->assertCount( 3, $json['ctas'] );
+		$this->assertCount( 3, $json['chains'][0]['ctas'] );
 
 		// Verify chain order
 		for ( $i = 0; $i < 3; $i++ ) {
-			$this->assertEquals( $chain[ $i ], $json['ctas'][ $i ]['id'] );
+			$this->assertEquals( $chain[ $i ], $json['chains'][0]['ctas'][ $i ]['id'] );
 		}
 	}
 
@@ -204,10 +204,10 @@ class AutoInsertionFlowTest extends WP_UnitTestCase {
 		$json = json_decode( $matches[1], true );
 
 		// Should have 3 CTAs (not infinite)
-		$this->assertCount( 3, $json['ctas'] );
+		$this->assertCount( 3, $json['chains'][0]['ctas'] );
 
 		// Verify no duplicate IDs
-		$ids = array_column( $json['ctas'], 'id' );
+		$ids = array_column( $json['chains'][0]['ctas'], 'id' );
 		$unique_ids = array_unique( $ids );
 		$this->assertCount( count( $ids ), $unique_ids, 'No duplicate CTAs in chain' );
 	}
@@ -332,13 +332,13 @@ class AutoInsertionFlowTest extends WP_UnitTestCase {
 		// Verify top-level structure
 		$this->assertArrayHasKey( 'postId', $json );
 		$this->assertArrayHasKey( 'contentSelector', $json );
-		$this->assertArrayHasKey( 'ctas', $json );
+		$this->assertArrayHasKey( 'chains', $json );
 
 		// Verify CTA structure
-		$cta = $json['ctas'][0];
+		$cta = $json['chains'][0]['ctas'][0];
 		$this->assertArrayHasKey( 'id', $cta );
 		$this->assertArrayHasKey( 'content', $cta );
-		$this->assertArrayHasKey( 'storage_condition_js', $cta );
+		$this->assertArrayHasKey( 'storage_conditions', $cta );
 		$this->assertArrayHasKey( 'insertion_direction', $cta );
 		$this->assertArrayHasKey( 'insertion_position', $cta );
 		$this->assertArrayHasKey( 'fallback_behavior', $cta );
@@ -380,8 +380,8 @@ class AutoInsertionFlowTest extends WP_UnitTestCase {
 		$json = json_decode( $matches[1], true );
 
 		// Shortcode should be expanded
-		$this->assertStringContainsString( 'EXPANDED', $json['ctas'][0]['content'] );
-		$this->assertStringNotContainsString( '[test_sc]', $json['ctas'][0]['content'] );
+		$this->assertStringContainsString( 'EXPANDED', $json['chains'][0]['ctas'][0]['content'] );
+		$this->assertStringNotContainsString( '[test_sc]', $json['chains'][0]['ctas'][0]['content'] );
 
 		remove_shortcode( 'test_sc' );
 	}
@@ -518,7 +518,7 @@ class AutoInsertionFlowTest extends WP_UnitTestCase {
 		preg_match( '/<script[^>]*>(.*?)<\/script>/s', $post_output, $matches );
 		$post_json = json_decode( $matches[1], true );
 
-		$this->assertStringContainsString( 'Post Content', $post_json['ctas'][0]['content'] );
+		$this->assertStringContainsString( 'Post Content', $post_json['chains'][0]['ctas'][0]['content'] );
 
 		// Test on page
 		$page = PostFactory::create( array( 'post_type' => 'page' ) );
@@ -531,7 +531,7 @@ class AutoInsertionFlowTest extends WP_UnitTestCase {
 		preg_match( '/<script[^>]*>(.*?)<\/script>/s', $page_output, $matches );
 		$page_json = json_decode( $matches[1], true );
 
-		$this->assertStringContainsString( 'Page Content', $page_json['ctas'][0]['content'] );
+		$this->assertStringContainsString( 'Page Content', $page_json['chains'][0]['ctas'][0]['content'] );
 	}
 
 	// =============================================================
@@ -18,6 +18,8 @@ namespace CTAHighlights\Tests\Unit\Admin;
 
 use CTAHighlights\Admin\AutoInsertAdmin;
 use CTAHighlights\AutoInsertion\Database;
+use CTAHighlights\AutoInsertion\Manager;
+use CTAHighlights\AutoInsertion\Matcher;
 use CTAHighlights\Tests\Factories\CTAFactory;
 use CTAHighlights\Tests\Factories\UserFactory;
 use CTAHighlights\Tests\Traits\CreatesDatabase;
@@ -305,11 +307,134 @@ class AutoInsertAdminTest extends WP_UnitTestCase {
 		$this->assertIsArray( $saved_cta['storage_conditions'] );
 
 		if ( ! empty( $saved_cta['storage_conditions'] ) ) {
-			$condition = $saved_cta['storage_conditions'][0];
+			$condition = $saved_cta['storage_conditions']['conditions'][0];
 			$this->assertStringNotContainsString( '<script>', $condition['value'] );
 		}
 	}
 
+	/**
+	 * @test
+	 * Test that nested AND/OR condition groups are assembled from form data
+	 *
+	 * WHY: The group builder posts a flat encoding of the condition tree
+	 * PRIORITY: MEDIUM (functionality)
+	 */
+	public function it_builds_nested_storage_condition_groups() {
+		UserFactory::create_and_login_admin();
+
+		$_POST['page']                       = 'cta-auto-insert';
+		$_POST['cta_auto_insert_save']       = '1';
+		$_POST['_wpnonce']                   = wp_create_nonce( 'cta_auto_insert_save' );
+		$_POST['name']                       = 'Test CTA';
+		$_POST['storage_group_id']           = array( 'root', 'g1' );
+		$_POST['storage_group_parent']       = array( '', 'root' );
+		$_POST['storage_group_logic']        = array( 'and', 'or' );
+		$_POST['storage_condition_group']    = array( 'g1', 'g1', 'root' );
+		$_POST['storage_condition_key']      = array( 'is_member', 'trial_started', 'visits' );
+		$_POST['storage_condition_operator'] = array( '=', '=', '>' );
+		$_POST['storage_condition_value']    = array( 'true', 'true', '3' );
+		$_POST['storage_condition_datatype'] = array( 'boolean', 'boolean', 'number' );
+
+		add_filter( 'wp_redirect', '__return_false' );
+
+		$this->admin->handle_actions();
+
+		$all_ctas = $this->database->get_all();
+		$tree     = $all_ctas[0]['storage_conditions'];
+
+		$this->assertSame( 'and', $tree['logic'] );
+		$this->assertCount( 2, $tree['conditions'] );
+		$this->assertSame( 'visits', $tree['conditions'][0]['key'] );
+
+		$or_group = $tree['conditions'][1];
+		$this->assertSame( 'group', $or_group['type'] );
+		$this->assertSame( 'or', $or_group['logic'] );
+		$this->assertSame( array( 'is_member', 'trial_started' ), wp_list_pluck( $or_group['conditions'], 'key' ) );
+	}
+
+	/**
+	 * @test
+	 * Test that operators are validated against the condition data type
+	 *
+	 * WHY: Tampered or stale form data must not store unsupported operators
+	 * PRIORITY: MEDIUM (security/validation)
+	 */
+	public function it_validates_storage_condition_operators() {
+		UserFactory::create_and_login_admin();
+
+		$_POST['page']                       = 'cta-auto-insert';
+		$_POST['cta_auto_insert_save']       = '1';
+		$_POST['_wpnonce']                   = wp_create_nonce( 'cta_auto_insert_save' );
+		$_POST['name']                       = 'Test CTA';
+		$_POST['storage_condition_key']      = array( 'plan', 'visits', 'seen_offer', 'tier' );
+		$_POST['storage_condition_operator'] = array( 'starts_with', 'contains', 'exists', 'bogus' );
+		$_POST['storage_condition_value']    = array( 'gold', '5', 'leftover', 'free' );
+		$_POST['storage_condition_datatype'] = array( 'string', 'number', 'string', 'string' );
+
+		add_filter( 'wp_redirect', '__return_false' );
+
+		$this->admin->handle_actions();
+
+		$all_ctas   = $this->database->get_all();
+		$conditions = $all_ctas[0]['storage_conditions']['conditions'];
+
+		$this->assertSame( 'starts_with', $conditions[0]['operator'] );
+		$this->assertSame( '=', $conditions[1]['operator'], 'contains is not a number operator' );
+		$this->assertSame( 'exists', $conditions[2]['operator'] );
+		$this->assertSame( '', $conditions[2]['value'] );
+		$this->assertSame( '!=', $conditions[3]['operator'], 'Same fallback as the matcher' );
+	}
+
+	/**
+	 * @test
+	 * Test that condition sources are saved with each condition
+	 *
+	 * WHY: Conditions can read URL params, referrer, dataLayer, globals and the DOM
+	 * PRIORITY: MEDIUM (functionality)
+	 */
+	public function it_saves_storage_condition_sources() {
+		UserFactory::create_and_login_admin();
+
+		$_POST['page']                       = 'cta-auto-insert';
+		$_POST['cta_auto_insert_save']       = '1';
+		$_POST['_wpnonce']                   = wp_create_nonce( 'cta_auto_insert_save' );
+		$_POST['name']                       = 'Test CTA';
+		$_POST['storage_condition_source']   = array( 'url_param', 'dom', 'bogus' );
+		$_POST['storage_condition_key']      = array( 'utm_campaign', '.woocommerce-cart-form', 'plan' );
+		$_POST['storage_condition_operator'] = array( '=', 'exists', '=' );
+		$_POST['storage_condition_value']    = array( 'spring', '', 'gold' );
+		$_POST['storage_condition_datatype'] = array( 'string', 'string', 'string' );
+
+		add_filter( 'wp_redirect', '__return_false' );
+
+		$this->admin->handle_actions();
+
+		$all_ctas   = $this->database->get_all();
+		$conditions = $all_ctas[0]['storage_conditions']['conditions'];
+
+		$this->assertSame( array( 'url_param', 'dom', 'storage' ), wp_list_pluck( $conditions, 'source' ) );
+		$this->assertSame( '.woocommerce-cart-form', $conditions[1]['key'] );
+	}
+
+	/**
+	 * @test
+	 * Test that built-in metric keys are offered with valid datatypes
+	 *
+	 * WHY: Picking a built-in key selects its datatype in the condition row
+	 * PRIORITY: LOW (usability)
+	 */
+	public function it_lists_builtin_storage_keys() {
+		$keys = $this->admin->get_builtin_storage_keys();
+
+		$this->assertArrayHasKey( 'cta_hl_session_pageviews', $keys );
+		$this->assertArrayHasKey( 'cta_hl_returning', $keys );
+
+		foreach ( $keys as $key => $builtin ) {
+			$this->assertStringStartsWith( 'cta_hl_', $key );
+			$this->assertContains( $builtin['datatype'], Matcher::DATATYPES );
+		}
+	}
+
 	// =============================================================
 	// DELETE OPERATION TESTS
 	// =============================================================
@@ -525,6 +650,69 @@ class AutoInsertAdminTest extends WP_UnitTestCase {
 		$this->assertGreaterThanOrEqual( 0, $saved_cta['insertion_position'] );
 	}
 
+	/**
+	 * @test
+	 * Test that the no-match CTA is only kept for the "show a specific CTA" option
+	 *
+	 * WHY: A leftover CTA ID must not be stored for "last" or "none"
+	 * PRIORITY: MEDIUM (validation)
+	 */
+	public function it_clears_no_match_cta_unless_specific_cta_selected() {
+		UserFactory::create_and_login_admin();
+
+		$_POST['page'] = 'cta-auto-insert';
+		$_POST['cta_auto_insert_save'] = '1';
+		$_POST['_wpnonce'] = wp_create_nonce( 'cta_auto_insert_save' );
+		$_POST['name'] = 'Test CTA';
+		$_POST['no_match_behavior'] = 'none';
+		$_POST['no_match_cta_id'] = '12';
+
+		add_filter( 'wp_redirect', '__return_false' );
+
+		$this->admin->handle_actions();
+
+		$ctas = $this->database->get_all();
+
+		$this->assertEquals( 'none', $ctas[0]['no_match_behavior'] );
+		$this->assertNull( $ctas[0]['no_match_cta_id'] );
+	}
+
+	/**
+	 * @test
+	 * Test that content selector settings are sanitized and saved
+	 *
+	 * WHY: Selectors are printed into the page and must belong to real post types
+	 * PRIORITY: MEDIUM (validation)
+	 */
+	public function it_saves_content_selector_settings() {
+		UserFactory::create_and_login_admin();
+
+		update_option(
+			Manager::SELECTORS_OPTION,
+			array( 'themes' => array( 'other-theme' => '.other-body' ) )
+		);
+
+		$_POST['page'] = 'cta-auto-insert';
+		$_POST['cta_auto_insert_save_settings'] = '1';
+		$_POST['_wpnonce'] = wp_create_nonce( 'cta_auto_insert_settings' );
+		$_POST['theme_selector'] = '.site-body <script>';
+		$_POST['post_type_selectors'] = array(
+			'post'    => '.post-body',
+			'page'    => '',
+			'missing' => '.nothing',
+		);
+
+		add_filter( 'wp_redirect', '__return_false' );
+
+		$this->admin->handle_actions();
+
+		$settings = get_option( Manager::SELECTORS_OPTION );
+
+		$this->assertEquals( '.site-body', $settings['themes'][ get_stylesheet() ] );
+		$this->assertEquals( '.other-body', $settings['themes']['other-theme'], 'Selectors of other themes are kept' );
+		$this->assertEquals( array( 'post' => '.post-body' ), $settings['post_types'] );
+	}
+
 	/**
 	 * @test
 	 * Test that fallback_cta_id is null or positive integer
@@ -319,6 +319,7 @@ class ManagerTest extends WP_UnitTestCase {
 			$this->assertStringContainsString( 'globalCooldown', $data );
 			$this->assertStringContainsString( 'templateCooldown', $data );
 			$this->assertStringContainsString( 'overlayColor', $data );
+			$this->assertStringContainsString( '"minGap":"0"', $data );
 		} else {
 			$this->markTestSkipped( 'Script not enqueued or data not localized' );
 		}
@@ -365,6 +366,129 @@ class ManagerTest extends WP_UnitTestCase {
 		}
 	}
 
+	/**
+	 * @test
+	 * Test that the highlight queue limits can be filtered
+	 *
+	 * WHY: Sites choose how many highlights a page may show and how far apart
+	 * PRIORITY: MEDIUM (customization)
+	 */
+	public function it_localizes_highlight_queue_limits() {
+		add_filter(
+			'cta_highlights_max_per_page',
+			function() {
+				return 3;
+			}
+		);
+
+		add_filter(
+			'cta_highlights_min_gap',
+			function() {
+				return 45;
+			}
+		);
+
+		$post = PostFactory::create_with_shortcode(
+			array( 'template' => 'default' ),
+			'Test'
+		);
+
+		$this->go_to( get_permalink( $post ) );
+
+		do_action( 'wp_enqueue_scripts' );
+
+		global $wp_scripts;
+		$data = $wp_scripts->get_data( 'cta-highlights-base', 'data' );
+
+		if ( $data ) {
+			$this->assertStringContainsString( '"maxPerPage":"3"', $data );
+			$this->assertStringContainsString( '"minGap":"45"', $data );
+		} else {
+			$this->markTestSkipped( 'Script not enqueued or data not localized' );
+		}
+	}
+
+	/**
+	 * @test
+	 * Test that the template cooldown map is sanitized and localized
+	 *
+	 * WHY: Templates need different cooldowns (newsletter weekly, sale banner every few hours)
+	 * PRIORITY: MEDIUM (customization)
+	 */
+	public function it_localizes_template_cooldowns() {
+		add_filter(
+			'cta_highlights_template_cooldowns',
+			function() {
+				return array(
+					'newsletter'  => 604800,
+					'sale-banner' => '14400',
+					'welcome'     => 'once',
+					'broken'      => 'weekly',
+				);
+			}
+		);
+
+		$post = PostFactory::create_with_shortcode(
+			array( 'template' => 'default' ),
+			'Test'
+		);
+
+		$this->go_to( get_permalink( $post ) );
+
+		do_action( 'wp_enqueue_scripts' );
+
+		global $wp_scripts;
+		$data = $wp_scripts->get_data( 'cta-highlights-base', 'data' );
+
+		if ( ! $data ) {
+			$this->markTestSkipped( 'Script not enqueued or data not localized' );
+		}
+
+		$this->assertStringContainsString( '"templateCooldowns":{"newsletter":604800,"sale-banner":14400,"welcome":"once"}', $data );
+	}
+
+	/**
+	 * @test
+	 * Test that dismissal cooldowns are sanitized and localized
+	 *
+	 * WHY: Cooldowns depend on how the visitor dismissed the highlight
+	 * PRIORITY: MEDIUM (customization)
+	 */
+	public function it_localizes_dismiss_cooldowns() {
+		add_filter(
+			'cta_highlights_dismiss_cooldowns',
+			function() {
+				return array(
+					'anchor-click' => array( 'template' => -1 ),
+					'auto-timeout' => 600,
+					'escape-key'   => array( 'global' => -50 ),
+					'unknown'      => 60,
+				);
+			}
+		);
+
+		$post = PostFactory::create_with_shortcode(
+			array( 'template' => 'default' ),
+			'Test'
+		);
+
+		$this->go_to( get_permalink( $post ) );
+
+		do_action( 'wp_enqueue_scripts' );
+
+		global $wp_scripts;
+		$data = $wp_scripts->get_data( 'cta-highlights-base', 'data' );
+
+		if ( ! $data ) {
+			$this->markTestSkipped( 'Script not enqueued or data not localized' );
+		}
+
+		$this->assertStringContainsString( '"anchor-click":{"template":-1}', $data );
+		$this->assertStringContainsString( '"auto-timeout":{"global":600,"template":600}', $data );
+		$this->assertStringContainsString( '"escape-key":{"global":-1}', $data );
+		$this->assertStringNotContainsString( 'unknown', $data );
+	}
+
 	// =============================================================
 	// RESOURCE HINTS TESTS
 	// =============================================================
@@ -91,9 +91,22 @@ class DatabaseTest extends WP_UnitTestCase {
 			'category_ids',
 			'storage_conditions',
 			'insertion_direction',
+			'insertion_anchor',
+			'insertion_anchor_value',
 			'insertion_position',
+			'insertion_position_unit',
+			'insertion_repeat_every',
+			'insertion_repeat_max',
+			'insertion_slot',
 			'fallback_behavior',
 			'fallback_cta_id',
+			'max_impressions_session',
+			'max_impressions_day',
+			'max_impressions_total',
+			'min_impression_gap',
+			'stop_after_click',
+			'no_match_behavior',
+			'no_match_cta_id',
 			'created_at',
 			'updated_at',
 		);
@@ -331,8 +344,181 @@ class DatabaseTest extends WP_UnitTestCase {
 		$this->assertEquals( array( 1, 2, 3 ), $saved['category_ids'] );
 
 		$this->assertIsArray( $saved['storage_conditions'] );
-		$this->assertCount( 1, $saved['storage_conditions'] );
-		$this->assertEquals( 'hasSubscribed', $saved['storage_conditions'][0]['key'] );
+		$this->assertCount( 1, $saved['storage_conditions']['conditions'] );
+		$this->assertEquals( 'hasSubscribed', $saved['storage_conditions']['conditions'][0]['key'] );
+	}
+
+	/**
+	 * @test
+	 * Test that frequency caps are stored as non-negative integers
+	 *
+	 * WHY: Caps are enforced client-side and 0 must keep meaning "no limit"
+	 * PRIORITY: MEDIUM (functionality)
+	 */
+	public function it_stores_frequency_caps() {
+		$id = $this->database->insert( CTAFactory::make( array(
+			'max_impressions_session' => '2',
+			'max_impressions_day'     => -3,
+			'max_impressions_total'   => 10,
+			'min_impression_gap'      => 30,
+			'stop_after_click'        => '1',
+		) ) );
+
+		$saved = $this->database->get( $id );
+
+		$this->assertSame( 2, $saved['max_impressions_session'] );
+		$this->assertSame( 3, $saved['max_impressions_day'] );
+		$this->assertSame( 10, $saved['max_impressions_total'] );
+		$this->assertSame( 30, $saved['min_impression_gap'] );
+		$this->assertTrue( $saved['stop_after_click'] );
+
+		// Defaults mean no limit.
+		$saved = $this->database->get( $this->database->insert( CTAFactory::make() ) );
+
+		$this->assertSame( 0, $saved['max_impressions_total'] );
+		$this->assertFalse( $saved['stop_after_click'] );
+	}
+
+	/**
+	 * @test
+	 * Test that insertion anchors and their values are validated
+	 *
+	 * WHY: The anchor value is a heading level or a selector used by auto-insert.js
+	 * PRIORITY: MEDIUM (validation)
+	 */
+	public function it_validates_insertion_anchors() {
+		$heading = $this->database->get( $this->database->insert( CTAFactory::make( array(
+			'insertion_anchor'       => 'heading',
+			'insertion_anchor_value' => 'H2',
+		) ) ) );
+
+		$this->assertEquals( 'heading', $heading['insertion_anchor'] );
+		$this->assertEquals( 'h2', $heading['insertion_anchor_value'] );
+
+		$selector = $this->database->get( $this->database->insert( CTAFactory::make( array(
+			'insertion_anchor'       => 'selector',
+			'insertion_anchor_value' => '.toc > nav<script>alert(1)</script>',
+		) ) ) );
+
+		$this->assertEquals( '.toc > nav', $selector['insertion_anchor_value'] );
+
+		$invalid = $this->database->get( $this->database->insert( CTAFactory::make( array(
+			'insertion_anchor'       => 'sentence',
+			'insertion_anchor_value' => 'h7',
+		) ) ) );
+
+		$this->assertEquals( 'element', $invalid['insertion_anchor'] );
+		$this->assertSame( '', $invalid['insertion_anchor_value'] );
+	}
+
+	/**
+	 * @test
+	 * Test that percentage positions are capped at 100
+	 *
+	 * WHY: A position past the end of the article would always hit the fallback behavior
+	 * PRIORITY: LOW (validation)
+	 */
+	public function it_caps_percentage_positions() {
+		$percent = $this->database->get( $this->database->insert( CTAFactory::make( array(
+			'insertion_position'      => 150,
+			'insertion_position_unit' => 'percent',
+		) ) ) );
+
+		$this->assertEquals( 'percent', $percent['insertion_position_unit'] );
+		$this->assertEquals( 100, $percent['insertion_position'] );
+
+		$words = $this->database->get( $this->database->insert( CTAFactory::make( array(
+			'insertion_position'      => 150,
+			'insertion_position_unit' => 'words',
+		) ) ) );
+
+		$this->assertEquals( 150, $words['insertion_position'] );
+
+		$invalid = $this->database->get( $this->database->insert( CTAFactory::make( array(
+			'insertion_position_unit' => 'pixels',
+		) ) ) );
+
+		$this->assertEquals( 'count', $invalid['insertion_position_unit'] );
+	}
+
+	/**
+	 * @test
+	 * Test that flat storage condition lists are upgraded to an AND group
+	 *
+	 * WHY: CTAs saved before nested groups existed must keep working
+	 * PRIORITY: HIGH (data integrity)
+	 */
+	public function it_upgrades_flat_storage_conditions_to_and_group() {
+		global $wpdb;
+		$table_name = $wpdb->prefix . 'cta_auto_insertions';
+
+		$flat = array(
+			array(
+				'key'      => 'visits',
+				'operator' => '>',
+				'value'    => '3',
+				'datatype' => 'number',
+			),
+		);
+
+		$wpdb->insert(
+			$table_name,
+			array(
+				'name'               => 'Legacy CTA',
+				'content'            => 'Test content',
+				'storage_conditions' => wp_json_encode( $flat ),
+			),
+			array( '%s', '%s', '%s' )
+		);
+		$id = $wpdb->insert_id;
+
+		// Reading returns the group format even before migration runs.
+		$cta = $this->database->get( $id );
+		$this->assertSame( 'group', $cta['storage_conditions']['type'] );
+		$this->assertSame( 'and', $cta['storage_conditions']['logic'] );
+		$this->assertSame( $flat, $cta['storage_conditions']['conditions'] );
+
+		// Migrating from 1.1.0 rewrites the stored JSON.
+		update_option( Database::VERSION_OPTION, '1.1.0' );
+		Database::create_table();
+
+		$stored = json_decode( $wpdb->get_var( $wpdb->prepare( "SELECT storage_conditions FROM {$table_name} WHERE id = %d", $id ) ), true );
+		$this->assertSame( 'group', $stored['type'] );
+		$this->assertSame( $flat, $stored['conditions'] );
+		$this->assertSame( Database::DB_VERSION, get_option( Database::VERSION_OPTION ) );
+	}
+
+	/**
+	 * @test
+	 * Test that nested condition groups are stored unchanged
+	 *
+	 * WHY: AND/OR trees must round-trip through the database
+	 * PRIORITY: MEDIUM (data integrity)
+	 */
+	public function it_preserves_nested_condition_groups() {
+		$tree = array(
+			'type'       => 'group',
+			'logic'      => 'and',
+			'conditions' => array(
+				array(
+					'type'       => 'group',
+					'logic'      => 'or',
+					'conditions' => array(
+						array(
+							'key'      => 'is_member',
+							'operator' => '=',
+							'value'    => 'true',
+							'datatype' => 'boolean',
+						),
+					),
+				),
+			),
+		);
+
+		$id    = $this->database->insert( CTAFactory::make( array( 'storage_conditions' => $tree ) ) );
+		$saved = $this->database->get( $id );
+
+		$this->assertSame( $tree, $saved['storage_conditions'] );
 	}
 
 	/**
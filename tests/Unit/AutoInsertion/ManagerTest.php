@@ -103,8 +103,8 @@ class ManagerTest extends WP_UnitTestCase {
 			$data = json_decode( $matches[1], true );
 
 			$this->assertIsArray( $data );
-			$this->assertArrayHasKey( 'ctas', $data );
-			$this->assertCount( 2, $data['ctas'], 'Should have 2 CTAs in chain' );
+			$this->assertArrayHasKey( 'chains', $data );
+			$this->assertCount( 2, $data['chains'][0]['ctas'], 'Should have 2 CTAs in chain' );
 		}
 	}
 
@@ -131,7 +131,7 @@ class ManagerTest extends WP_UnitTestCase {
 		if ( ! empty( $matches[1] ) ) {
 			$data = json_decode( $matches[1], true );
 
-			$this->assertCount( 5, $data['ctas'], 'Should have 5 CTAs in chain' );
+			$this->assertCount( 5, $data['chains'][0]['ctas'], 'Should have 5 CTAs in chain' );
 		}
 	}
 
@@ -160,7 +160,7 @@ class ManagerTest extends WP_UnitTestCase {
 
 			$this->assertLessThanOrEqual(
 				Manager::MAX_FALLBACK_DEPTH,
-				count( $data['ctas'] ),
+				count( $data['chains'][0]['ctas'] ),
 				'Chain length should not exceed MAX_FALLBACK_DEPTH'
 			);
 		}
@@ -194,10 +194,10 @@ class ManagerTest extends WP_UnitTestCase {
 			$data = json_decode( $matches[1], true );
 
 			// Should stop at 3 CTAs (not loop infinitely)
-			$this->assertCount( 3, $data['ctas'], 'Should stop at circular reference' );
+			$this->assertCount( 3, $data['chains'][0]['ctas'], 'Should stop at circular reference' );
 
 			// Verify CTA IDs are unique (no duplicates)
-			$cta_ids = array_column( $data['ctas'], 'id' );
+			$cta_ids = array_column( $data['chains'][0]['ctas'], 'id' );
 			$unique_ids = array_unique( $cta_ids );
 
 			$this->assertCount(
@@ -244,7 +244,7 @@ class ManagerTest extends WP_UnitTestCase {
 			$data = json_decode( $matches[1], true );
 
 			// Should have only 1 CTA (not infinite loop)
-			$this->assertCount( 1, $data['ctas'], 'Should stop at self-reference' );
+			$this->assertCount( 1, $data['chains'][0]['ctas'], 'Should stop at self-reference' );
 		}
 	}
 
@@ -295,7 +295,7 @@ class ManagerTest extends WP_UnitTestCase {
 			$data = json_decode( $matches[1], true );
 
 			// Should have only 1 CTA (inactive fallback skipped)
-			$this->assertCount( 1, $data['ctas'], 'Should skip inactive fallback' );
+			$this->assertCount( 1, $data['chains'][0]['ctas'], 'Should skip inactive fallback' );
 		}
 	}
 
@@ -342,7 +342,7 @@ class ManagerTest extends WP_UnitTestCase {
 			$data = json_decode( $matches[1], true );
 
 			// Should have only 1 CTA (fallback doesn't match post type)
-			$this->assertCount( 1, $data['ctas'], 'Should filter fallback by post type' );
+			$this->assertCount( 1, $data['chains'][0]['ctas'], 'Should filter fallback by post type' );
 		}
 	}
 
@@ -411,20 +411,390 @@ class ManagerTest extends WP_UnitTestCase {
 
 			$this->assertArrayHasKey( 'postId', $data );
 			$this->assertArrayHasKey( 'contentSelector', $data );
-			$this->assertArrayHasKey( 'ctas', $data );
+			$this->assertArrayHasKey( 'chains', $data );
+			$this->assertArrayHasKey( 'ctas', $data['chains'][0] );
+			$this->assertArrayHasKey( 'noMatch', $data['chains'][0] );
+			$this->assertArrayHasKey( 'repeat', $data['chains'][0] );
 
-			if ( ! empty( $data['ctas'] ) ) {
-				$cta = $data['ctas'][0];
+			if ( ! empty( $data['chains'][0]['ctas'] ) ) {
+				$cta = $data['chains'][0]['ctas'][0];
 
 				$this->assertArrayHasKey( 'id', $cta );
 				$this->assertArrayHasKey( 'content', $cta );
-				$this->assertArrayHasKey( 'storage_condition_js', $cta );
+				$this->assertArrayHasKey( 'storage_conditions', $cta );
 				$this->assertArrayHasKey( 'insertion_direction', $cta );
 				$this->assertArrayHasKey( 'insertion_position', $cta );
 			}
 		}
 	}
 
+	/**
+	 * @test
+	 * Test that frequency caps are sent with each CTA
+	 *
+	 * WHY: Impressions are counted in the browser, which needs the caps to skip capped CTAs
+	 * PRIORITY: MEDIUM (functionality)
+	 */
+	public function it_includes_frequency_caps_in_json() {
+		CTAFactory::create(
+			array(
+				'post_types'              => array( 'post' ),
+				'max_impressions_session' => 1,
+				'min_impression_gap'      => 15,
+				'stop_after_click'        => true,
+			)
+		);
+
+		$post = PostFactory::create();
+		$this->go_to( get_permalink( $post ) );
+
+		ob_start();
+		$this->manager->output_fallback_data();
+		$output = ob_get_clean();
+
+		preg_match( '/<script[^>]*>(.*?)<\/script>/s', $output, $matches );
+		$data = json_decode( $matches[1], true );
+
+		$this->assertEquals(
+			array(
+				'session'          => 1,
+				'day'              => 0,
+				'total'            => 0,
+				'min_gap'          => 900,
+				'stop_after_click' => true,
+			),
+			$data['chains'][0]['ctas'][0]['frequency_cap']
+		);
+	}
+
+	/**
+	 * @test
+	 * Test that the primary CTA's no-match setting is sent with the chain
+	 *
+	 * WHY: "Show nothing" keeps excluded visitors from seeing the last CTA in the chain
+	 * PRIORITY: HIGH (functionality)
+	 */
+	public function it_includes_no_match_behavior_in_json() {
+		CTAFactory::create(
+			array(
+				'post_types'        => array( 'post' ),
+				'no_match_behavior' => 'none',
+			)
+		);
+
+		$post = PostFactory::create();
+		$this->go_to( get_permalink( $post ) );
+
+		ob_start();
+		$this->manager->output_fallback_data();
+		$output = ob_get_clean();
+
+		preg_match( '/<script[^>]*>(.*?)<\/script>/s', $output, $matches );
+		$data = json_decode( $matches[1], true );
+
+		$this->assertEquals(
+			array(
+				'behavior' => 'none',
+				'cta'      => null,
+			),
+			$data['chains'][0]['noMatch']
+		);
+	}
+
+	/**
+	 * @test
+	 * Test that a specific no-match CTA is prepared like the chain's CTAs
+	 *
+	 * WHY: The browser inserts it directly, so it needs content and settings
+	 * PRIORITY: HIGH (functionality)
+	 */
+	public function it_outputs_specific_no_match_cta() {
+		$no_match_id = CTAFactory::create(
+			array(
+				'name'     => 'Generic Newsletter',
+				'content'  => 'Join the newsletter',
+				'cta_type' => 'fallback',
+			)
+		);
+
+		CTAFactory::create(
+			array(
+				'post_types'        => array( 'post' ),
+				'no_match_behavior' => 'cta',
+				'no_match_cta_id'   => $no_match_id,
+			)
+		);
+
+		$post = PostFactory::create();
+		$this->go_to( get_permalink( $post ) );
+
+		ob_start();
+		$this->manager->output_fallback_data();
+		$output = ob_get_clean();
+
+		preg_match( '/<script[^>]*>(.*?)<\/script>/s', $output, $matches );
+		$data = json_decode( $matches[1], true );
+
+		$this->assertEquals( 'cta', $data['chains'][0]['noMatch']['behavior'] );
+		$this->assertEquals( $no_match_id, $data['chains'][0]['noMatch']['cta']['id'] );
+		$this->assertStringContainsString( 'Join the newsletter', $data['chains'][0]['noMatch']['cta']['content'] );
+	}
+
+	/**
+	 * @test
+	 * Test that an inactive no-match CTA results in showing nothing
+	 *
+	 * WHY: Falling back to the last CTA would defeat the setting
+	 * PRIORITY: MEDIUM (functionality)
+	 */
+	public function it_shows_nothing_when_no_match_cta_is_inactive() {
+		$no_match_id = CTAFactory::create(
+			array(
+				'status'   => 'inactive',
+				'cta_type' => 'fallback',
+			)
+		);
+
+		CTAFactory::create(
+			array(
+				'post_types'        => array( 'post' ),
+				'no_match_behavior' => 'cta',
+				'no_match_cta_id'   => $no_match_id,
+			)
+		);
+
+		$post = PostFactory::create();
+		$this->go_to( get_permalink( $post ) );
+
+		ob_start();
+		$this->manager->output_fallback_data();
+		$output = ob_get_clean();
+
+		preg_match( '/<script[^>]*>(.*?)<\/script>/s', $output, $matches );
+		$data = json_decode( $matches[1], true );
+
+		$this->assertEquals( 'none', $data['chains'][0]['noMatch']['behavior'] );
+		$this->assertNull( $data['chains'][0]['noMatch']['cta'] );
+	}
+
+	/**
+	 * @test
+	 * Test that overlapping primary CTAs still fill a single slot
+	 *
+	 * WHY: Sites with overlapping primaries must not get several CTAs per post on upgrade
+	 * PRIORITY: HIGH (backward compatibility)
+	 */
+	public function it_outputs_a_single_chain_for_overlapping_primary_ctas() {
+		$first_id = CTAFactory::create( array( 'post_types' => array( 'post' ) ) );
+		CTAFactory::create( array( 'post_types' => array( 'post' ) ) );
+
+		$post = PostFactory::create();
+		$this->go_to( get_permalink( $post ) );
+
+		ob_start();
+		$this->manager->output_fallback_data();
+		$output = ob_get_clean();
+
+		preg_match( '/<script[^>]*>(.*?)<\/script>/s', $output, $matches );
+		$data = json_decode( $matches[1], true );
+
+		$this->assertCount( 1, $data['chains'] );
+		$this->assertEquals( $first_id, $data['chains'][0]['ctas'][0]['id'] );
+	}
+
+	/**
+	 * @test
+	 * Test that extra-slot CTAs get their own slot next to the main one
+	 *
+	 * WHY: Long-form posts need several placements, each with its own chain
+	 * PRIORITY: HIGH (functionality)
+	 */
+	public function it_outputs_a_chain_per_extra_slot_cta() {
+		$second_id = CTAFactory::create(
+			array(
+				'post_types'             => array( 'post' ),
+				'insertion_slot'         => 'extra',
+				'insertion_direction'    => 'reverse',
+				'insertion_position'     => 4,
+				'insertion_repeat_every' => 6,
+				'insertion_repeat_max'   => 2,
+			)
+		);
+		$first_id  = CTAFactory::create(
+			array(
+				'post_types'         => array( 'post' ),
+				'insertion_position' => 3,
+			)
+		);
+		CTAFactory::create( array( 'post_types' => array( 'post' ) ) );
+		CTAFactory::create(
+			array(
+				'post_types'     => array( 'page' ),
+				'insertion_slot' => 'extra',
+			)
+		);
+
+		$post = PostFactory::create();
+		$this->go_to( get_permalink( $post ) );
+
+		ob_start();
+		$this->manager->output_fallback_data();
+		$output = ob_get_clean();
+
+		preg_match( '/<script[^>]*>(.*?)<\/script>/s', $output, $matches );
+		$data = json_decode( $matches[1], true );
+
+		$this->assertCount( 2, $data['chains'] );
+		$this->assertEquals( $first_id, $data['chains'][0]['ctas'][0]['id'] );
+		$this->assertEquals( $second_id, $data['chains'][1]['ctas'][0]['id'] );
+		$this->assertEquals(
+			array(
+				'every' => 6,
+				'max'   => 2,
+			),
+			$data['chains'][1]['repeat']
+		);
+	}
+
+	/**
+	 * @test
+	 * Test that the content selector comes from the post type, then the theme setting
+	 *
+	 * WHY: Admins set the selector per post type and per theme without code
+	 * PRIORITY: MEDIUM (functionality)
+	 */
+	public function it_uses_content_selector_settings() {
+		$post = PostFactory::create();
+		$page = PostFactory::create( array( 'post_type' => 'page' ) );
+
+		$this->assertEquals( '.entry-content', $this->manager->get_content_selector( $post ) );
+
+		update_option(
+			Manager::SELECTORS_OPTION,
+			array(
+				'themes'     => array( get_stylesheet() => '.theme-body' ),
+				'post_types' => array( 'page' => '.page-body' ),
+			)
+		);
+
+		$this->assertEquals( '.theme-body', $this->manager->get_content_selector( $post ) );
+		$this->assertEquals( '.page-body', $this->manager->get_content_selector( $page ) );
+
+		$filter = function() {
+			return '.filtered';
+		};
+		add_filter( 'cta_highlights_content_selector', $filter );
+		$this->assertEquals( '.filtered', $this->manager->get_content_selector( $page ), 'The filter runs last' );
+		remove_filter( 'cta_highlights_content_selector', $filter );
+
+		delete_option( Manager::SELECTORS_OPTION );
+	}
+
+	/**
+	 * @test
+	 * Test that the auto-insert data can be embedded in post content
+	 *
+	 * WHY: Infinite scroll articles don't get the footer data
+	 * PRIORITY: HIGH (functionality)
+	 */
+	public function it_embeds_article_data_in_post_content() {
+		CTAFactory::create(
+			array(
+				'post_types' => array( 'post' ),
+				'cta_type'   => 'primary',
+			)
+		);
+
+		$post            = PostFactory::create();
+		$GLOBALS['post'] = get_post( $post );
+
+		$this->assertStringNotContainsString(
+			'cta-highlights-auto-insert-data',
+			$this->manager->embed_article_data( '<p>Content</p>' ),
+			'Data is not embedded outside the main loop by default'
+		);
+
+		add_filter( 'cta_highlights_embed_article_data', '__return_true' );
+		$output = $this->manager->embed_article_data( '<p>Content</p>' );
+		remove_filter( 'cta_highlights_embed_article_data', '__return_true' );
+
+		$this->assertStringStartsWith( '<p>Content</p><script type="application/json" class="cta-highlights-auto-insert-data" data-post-id="' . $post . '">', $output );
+
+		preg_match( '/<script[^>]*>(.*?)<\/script>/s', $output, $matches );
+		$data = json_decode( $matches[1], true );
+
+		$this->assertEquals( $post, $data['postId'] );
+		$this->assertNotEmpty( $data['chains'][0]['ctas'] );
+	}
+
+	/**
+	 * @test
+	 * Test that the data is embedded in the main loop and REST responses by default
+	 *
+	 * WHY: Infinite scroll fetches the next page's HTML or uses the REST API, not only admin-ajax.php
+	 * PRIORITY: HIGH (functionality)
+	 */
+	public function it_embeds_article_data_in_the_main_loop_and_rest_requests() {
+		CTAFactory::create( array( 'post_types' => array( 'post' ) ) );
+
+		$post = PostFactory::create();
+		$this->go_to( home_url( '/' ) );
+
+		$output = '';
+
+		while ( have_posts() ) {
+			the_post();
+			$output = $this->manager->embed_article_data( '<p>Content</p>' );
+		}
+
+		$this->assertStringContainsString( 'data-post-id="' . $post . '"', $output );
+
+		// Outside the loop, as when the REST API renders content.rendered.
+		$this->assertFalse( in_the_loop() );
+
+		$GLOBALS['post']        = get_post( $post );
+		$_SERVER['HTTP_ACCEPT'] = 'application/json';
+		$output                 = $this->manager->embed_article_data( '<p>Content</p>' );
+		unset( $_SERVER['HTTP_ACCEPT'] );
+
+		$this->assertStringContainsString( 'data-post-id="' . $post . '"', $output );
+	}
+
+	/**
+	 * @test
+	 * Test that the data is not embedded in feeds or for the queried post of a singular page
+	 *
+	 * WHY: Feed readers can't run the payload, and the footer already sends it on singular pages
+	 * PRIORITY: MEDIUM (performance)
+	 */
+	public function it_skips_embedding_in_feeds_and_for_the_queried_post() {
+		CTAFactory::create( array( 'post_types' => array( 'post' ) ) );
+
+		$post = PostFactory::create();
+
+		foreach ( array( get_feed_link(), get_permalink( $post ) ) as $url ) {
+			$this->go_to( $url );
+
+			$output = '';
+
+			while ( have_posts() ) {
+				the_post();
+				$output = $this->manager->embed_article_data( '<p>Content</p>' );
+			}
+
+			$this->assertSame( '<p>Content</p>', $output, $url );
+		}
+
+		// Other posts rendered on a singular page (related posts loops) still get their payload.
+		$other           = PostFactory::create();
+		$GLOBALS['post'] = get_post( $other );
+		add_filter( 'cta_highlights_embed_article_data', '__return_true' );
+		$output = $this->manager->embed_article_data( '<p>Content</p>' );
+		remove_filter( 'cta_highlights_embed_article_data', '__return_true' );
+
+		$this->assertStringContainsString( 'data-post-id="' . $other . '"', $output );
+	}
+
 	/**
 	 * @test
 	 * Test that content is processed (shortcodes expanded)
@@ -454,8 +824,8 @@ class ManagerTest extends WP_UnitTestCase {
 		if ( ! empty( $matches[1] ) ) {
 			$data = json_decode( $matches[1], true );
 
-			if ( ! empty( $data['ctas'] ) ) {
-				$content = $data['ctas'][0]['content'];
+			if ( ! empty( $data['chains'][0]['ctas'] ) ) {
+				$content = $data['chains'][0]['ctas'][0]['content'];
 
 				// Shortcode should be processed (not raw)
 				$this->assertStringNotContainsString( '[cta_highlights', $content );
@@ -518,6 +888,58 @@ class ManagerTest extends WP_UnitTestCase {
 		$this->assertEmpty( $output, 'Should not output when no matching CTA' );
 	}
 
+	/**
+	 * @test
+	 * Test that the page context is output for the reading history
+	 *
+	 * WHY: Interest conditions need the post's categories and tags client-side,
+	 *      even on posts without a matching CTA
+	 * PRIORITY: MEDIUM (functionality)
+	 */
+	public function it_outputs_page_context_with_terms() {
+		$category_id = self::factory()->category->create( array( 'slug' => 'photography' ) );
+		$post        = PostFactory::create_in_category( $category_id );
+		wp_set_post_tags( $post, array( 'lenses' ) );
+
+		$this->go_to( get_permalink( $post ) );
+
+		ob_start();
+		$this->manager->output_page_context();
+		$output = ob_get_clean();
+
+		$this->assertStringContainsString( 'id="cta-highlights-page-context"', $output );
+		preg_match( '/<script[^>]*>(.*?)<\/script>/s', $output, $matches );
+
+		$data = json_decode( $matches[1], true );
+
+		$this->assertSame( $post, $data['postId'] );
+		$this->assertSame( array( 'photography' ), $data['categories'] );
+		$this->assertSame( array( 'lenses' ), $data['tags'] );
+		$this->assertSame( 50, $data['historySize'] );
+	}
+
+	/**
+	 * @test
+	 * Test that reading history tracking can be disabled
+	 *
+	 * WHY: Sites must be able to opt out of client-side history for privacy
+	 * PRIORITY: MEDIUM (privacy)
+	 */
+	public function it_doesnt_output_page_context_when_tracking_disabled() {
+		add_filter( 'cta_highlights_track_interests', '__return_false' );
+
+		$post = PostFactory::create();
+		$this->go_to( get_permalink( $post ) );
+
+		ob_start();
+		$this->manager->output_page_context();
+		$output = ob_get_clean();
+
+		remove_filter( 'cta_highlights_track_interests', '__return_false' );
+
+		$this->assertEmpty( $output );
+	}
+
 	// =============================================================
 	// ASSET ENQUEUING TESTS
 	// =============================================================
@@ -544,20 +966,182 @@ class ManagerTest extends WP_UnitTestCase {
 
 	/**
 	 * @test
-	 * Test that scripts are not enqueued on archive pages
+	 * Test that scripts are enqueued on archive pages without insertion data
 	 *
-	 * WHY: Performance optimization (don't load unnecessary scripts)
-	 * PRIORITY: MEDIUM (performance)
+	 * WHY: Campaigns can land on the homepage or an archive; attribution must not be lost
+	 * PRIORITY: HIGH (functionality)
 	 */
-	public function it_doesnt_enqueue_scripts_on_archive_pages() {
+	public function it_enqueues_scripts_on_archive_pages_without_insertion_data() {
+		CTAFactory::create();
+
 		$this->go_to( home_url() );
 
 		do_action( 'wp_enqueue_scripts' );
 
-		$this->assertFalse(
+		$this->assertTrue(
 			wp_script_is( 'cta-highlights-auto-insert', 'enqueued' ),
-			'Auto-insert script should not be enqueued on archive pages'
+			'Auto-insert script should be enqueued on archive pages'
 		);
+
+		ob_start();
+		$this->manager->output_fallback_data();
+		$output = ob_get_clean();
+
+		$this->assertEmpty( $output, 'CTAs should only be inserted on singular pages' );
+	}
+
+	/**
+	 * @test
+	 * Test that attribution settings are passed to the auto-insert script
+	 *
+	 * WHY: The attribution window and first/last-touch modes are configured server-side
+	 * PRIORITY: MEDIUM (functionality)
+	 */
+	public function it_localizes_attribution_config() {
+		$window = function() {
+			return 14;
+		};
+		$modes  = function( $modes ) {
+			$modes['utm_campaign'] = 'last';
+			$modes['utm_source']   = 'middle';
+			return $modes;
+		};
+		add_filter( 'cta_highlights_attribution_window', $window );
+		add_filter( 'cta_highlights_attribution_modes', $modes );
+
+		$post = PostFactory::create();
+		$this->go_to( get_permalink( $post ) );
+
+		do_action( 'wp_enqueue_scripts' );
+
+		remove_filter( 'cta_highlights_attribution_window', $window );
+		remove_filter( 'cta_highlights_attribution_modes', $modes );
+
+		$script = wp_scripts()->get_data( 'cta-highlights-auto-insert', 'data' );
+
+		$this->assertStringContainsString( 'var ctaAutoInsertConfig', $script );
+		$this->assertStringContainsString( '"windowDays":14', $script );
+		$this->assertStringContainsString( '"utm_campaign":"last"', $script );
+		$this->assertStringContainsString( '"utm_source":"first"', $script, 'Invalid modes fall back to first-touch' );
+	}
+
+	/**
+	 * @test
+	 * Test that safe-slot rules are passed to the auto-insert script
+	 *
+	 * WHY: Themes adjust where CTAs may be placed through the insertion rules filter
+	 * PRIORITY: MEDIUM (functionality)
+	 */
+	public function it_localizes_filtered_insertion_rules() {
+		$rules = function( $rules ) {
+			$rules['avoidAdjacent'][] = '.gallery';
+			$rules['minDistance']     = '-3';
+			$rules['unknown']         = 'ignored';
+			return $rules;
+		};
+		add_filter( 'cta_highlights_insertion_rules', $rules );
+
+		$post = PostFactory::create();
+		$this->go_to( get_permalink( $post ) );
+
+		do_action( 'wp_enqueue_scripts' );
+
+		remove_filter( 'cta_highlights_insertion_rules', $rules );
+
+		$script = wp_scripts()->get_data( 'cta-highlights-auto-insert', 'data' );
+
+		$this->assertStringContainsString( '"insertionRules"', $script );
+		$this->assertStringContainsString( '".gallery"', $script );
+		$this->assertStringContainsString( '"avoidAfter":["h1"', $script, 'Defaults should be kept' );
+		$this->assertStringContainsString( '"minDistance":3', $script );
+		$this->assertStringNotContainsString( 'unknown', $script );
+	}
+
+	/**
+	 * @test
+	 * Test that content parsing settings are passed to the auto-insert script
+	 *
+	 * WHY: Sites using other page builders add their wrappers, or turn flattening off
+	 * PRIORITY: MEDIUM (functionality)
+	 */
+	public function it_localizes_filtered_content_parsing() {
+		$parsing = function( $parsing ) {
+			$parsing['wrappers'][] = '.fl-row-content';
+			return $parsing;
+		};
+		add_filter( 'cta_highlights_content_parsing', $parsing );
+
+		$post = PostFactory::create();
+		$this->go_to( get_permalink( $post ) );
+
+		do_action( 'wp_enqueue_scripts' );
+
+		remove_filter( 'cta_highlights_content_parsing', $parsing );
+
+		$script = wp_scripts()->get_data( 'cta-highlights-auto-insert', 'data' );
+
+		$this->assertStringContainsString( '"contentParsing":{"flatten":true', $script );
+		$this->assertStringContainsString( '".wp-block-group"', $script );
+		$this->assertStringContainsString( '".fl-row-content"', $script );
+	}
+
+	/**
+	 * @test
+	 * Test that content readiness settings are passed to the auto-insert script
+	 *
+	 * WHY: Slow or JavaScript-rendered themes need a longer maximum wait or their own ready event
+	 * PRIORITY: MEDIUM (functionality)
+	 */
+	public function it_localizes_filtered_content_readiness() {
+		$readiness = function( $readiness ) {
+			$readiness['maxWait']    = 5000;
+			$readiness['builders'][] = array(
+				'selector' => '#app',
+				'event'    => 'app:rendered',
+			);
+			$readiness['builders'][] = array( 'selector' => '.no-event' );
+			return $readiness;
+		};
+		add_filter( 'cta_highlights_content_readiness', $readiness );
+
+		$post = PostFactory::create();
+		$this->go_to( get_permalink( $post ) );
+
+		do_action( 'wp_enqueue_scripts' );
+
+		remove_filter( 'cta_highlights_content_readiness', $readiness );
+
+		$script = wp_scripts()->get_data( 'cta-highlights-auto-insert', 'data' );
+
+		$this->assertStringContainsString( '"settleTime":100,"maxWait":5000', $script );
+		$this->assertStringContainsString( '"event":"elementor\\/frontend\\/init"', $script );
+		$this->assertStringContainsString( '"event":"app:rendered"', $script );
+		$this->assertStringNotContainsString( '.no-event', $script, 'Builders without an event are dropped' );
+	}
+
+	/**
+	 * @test
+	 * Test that the re-insertion limit is passed to the auto-insert script
+	 *
+	 * WHY: Sites turn re-insertion off or allow more attempts for busy re-rendering themes
+	 * PRIORITY: LOW (configuration)
+	 */
+	public function it_localizes_max_reinsertions() {
+		$attempts = function() {
+			return 0;
+		};
+		add_filter( 'cta_highlights_max_reinsertions', $attempts );
+
+		$post = PostFactory::create();
+		$this->go_to( get_permalink( $post ) );
+
+		do_action( 'wp_enqueue_scripts' );
+
+		remove_filter( 'cta_highlights_max_reinsertions', $attempts );
+
+		$script = wp_scripts()->get_data( 'cta-highlights-auto-insert', 'data' );
+
+		$this->assertStringContainsString( '"maxReinsertions":0', $script );
 	}
 
 	// =============================================================
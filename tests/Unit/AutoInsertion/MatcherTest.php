@@ -9,7 +9,7 @@
  * MEDIUM PRIORITY because:
  * - Core business logic functionality
  * - Determines CTA targeting accuracy
- * - Generates client-side JavaScript for storage conditions
+ * - Normalizes storage conditions for client-side evaluation
  * - Not security-critical but impacts user experience
  *
  * @package CTAHighlights\Tests\Unit\AutoInsertion
@@ -360,151 +360,158 @@ class MatcherTest extends WP_UnitTestCase {
 	}
 
 	// =============================================================
-	// STORAGE CONDITION JAVASCRIPT GENERATION TESTS
+	// STORAGE CONDITION PREPARATION TESTS
 	// =============================================================
 
 	/**
 	 * @test
-	 * Test that empty conditions generate 'true'
+	 * Test that empty conditions prepare to an empty list
 	 *
 	 * WHY: No conditions should always pass
 	 * PRIORITY: MEDIUM (functionality)
 	 */
-	public function it_generates_true_for_empty_conditions() {
-		$js = $this->matcher->generate_storage_condition_js( array() );
+	public function it_prepares_empty_list_for_empty_conditions() {
+		$prepared = $this->matcher->prepare_storage_conditions( array() );
 
-		$this->assertEquals( 'true', $js );
+		$this->assertSame( array(), $prepared );
 	}
 
 	/**
 	 * @test
-	 * Test numeric condition JavaScript generation
+	 * Test numeric condition preparation
 	 *
-	 * WHY: Must generate valid JavaScript for numeric comparisons
+	 * WHY: Numeric values must reach the client as numbers
 	 * PRIORITY: MEDIUM (functionality)
 	 */
-	public function it_generates_numeric_condition_js() {
+	public function it_prepares_numeric_condition() {
 		$conditions = array(
 			array(
 				'key'      => 'page_views',
 				'operator' => '>',
-				'value'    => 5,
+				'value'    => '5',
 				'datatype' => 'number',
 			),
 		);
 
-		$js = $this->matcher->generate_storage_condition_js( $conditions );
+		$prepared = $this->matcher->prepare_storage_conditions( $conditions );
 
-		$this->assertStringContainsString( 'page_views', $js );
-		$this->assertStringContainsString( '>', $js );
-		$this->assertStringContainsString( '5', $js );
-		$this->assertStringContainsString( 'Number(val)', $js );
+		$this->assertSame(
+			array(
+				'type'       => 'group',
+				'logic'      => 'and',
+				'conditions' => array(
+					array(
+						'source'   => 'storage',
+						'key'      => 'page_views',
+						'operator' => '>',
+						'value'    => 5,
+						'datatype' => 'number',
+					),
+				),
+			),
+			$prepared
+		);
 	}
 
 	/**
 	 * @test
-	 * Test boolean condition JavaScript generation
+	 * Test boolean condition preparation
 	 *
-	 * WHY: Must generate valid JavaScript for boolean comparisons
+	 * WHY: Form values like "true" must be compared as booleans
 	 * PRIORITY: MEDIUM (functionality)
 	 */
-	public function it_generates_boolean_condition_js() {
+	public function it_prepares_boolean_condition() {
 		$conditions = array(
 			array(
 				'key'      => 'subscribed',
-				'operator' => '=',
-				'value'    => true,
+				'operator' => '==',
+				'value'    => 'true',
 				'datatype' => 'boolean',
 			),
 		);
 
-		$js = $this->matcher->generate_storage_condition_js( $conditions );
+		$prepared = $this->matcher->prepare_storage_conditions( $conditions );
 
-		$this->assertStringContainsString( 'subscribed', $js );
-		$this->assertStringContainsString( 'true', $js );
-		$this->assertStringContainsString( 'Boolean', $js );
+		$this->assertSame( '=', $prepared['conditions'][0]['operator'] );
+		$this->assertTrue( $prepared['conditions'][0]['value'] );
 	}
 
 	/**
 	 * @test
-	 * Test string condition JavaScript generation
+	 * Test string condition operator normalization
 	 *
-	 * WHY: Must generate valid JavaScript for string comparisons
+	 * WHY: Unknown string operators have always meant "not equal"
 	 * PRIORITY: MEDIUM (functionality)
 	 */
-	public function it_generates_string_condition_js() {
+	public function it_normalizes_string_condition_operators() {
 		$conditions = array(
 			array(
 				'key'      => 'user_role',
-				'operator' => '=',
+				'operator' => '>',
 				'value'    => 'subscriber',
 				'datatype' => 'string',
 			),
 		);
 
-		$js = $this->matcher->generate_storage_condition_js( $conditions );
+		$prepared = $this->matcher->prepare_storage_conditions( $conditions );
 
-		$this->assertStringContainsString( 'user_role', $js );
-		$this->assertStringContainsString( 'subscriber', $js );
-		$this->assertStringContainsString( 'String(val)', $js );
+		$this->assertSame( '!=', $prepared['conditions'][0]['operator'] );
+		$this->assertSame( 'subscriber', $prepared['conditions'][0]['value'] );
 	}
 
 	/**
 	 * @test
-	 * Test regex condition JavaScript generation
+	 * Test regex condition preparation
 	 *
-	 * WHY: Must generate valid JavaScript for regex matching
+	 * WHY: Regex patterns are passed through untouched for client-side matching
 	 * PRIORITY: LOW (advanced feature)
 	 */
-	public function it_generates_regex_condition_js() {
+	public function it_prepares_regex_condition() {
 		$conditions = array(
 			array(
 				'key'      => 'email',
-				'operator' => '=',
+				'operator' => '!=',
 				'value'    => '.*@example\\.com$',
 				'datatype' => 'regex',
 			),
 		);
 
-		$js = $this->matcher->generate_storage_condition_js( $conditions );
+		$prepared = $this->matcher->prepare_storage_conditions( $conditions );
 
-		$this->assertStringContainsString( 'email', $js );
-		$this->assertStringContainsString( 'RegExp', $js );
-		$this->assertStringContainsString( 'test', $js );
+		$this->assertSame( 'regex', $prepared['conditions'][0]['datatype'] );
+		$this->assertSame( '.*@example\\.com$', $prepared['conditions'][0]['value'] );
 	}
 
 	/**
 	 * @test
-	 * Test date condition JavaScript generation
+	 * Test that unknown datatypes fall back to string
 	 *
-	 * WHY: Must generate valid JavaScript for date comparisons
-	 * PRIORITY: LOW (advanced feature)
+	 * WHY: The client interpreter only understands known datatypes
+	 * PRIORITY: LOW (validation)
 	 */
-	public function it_generates_date_condition_js() {
+	public function it_falls_back_to_string_datatype() {
 		$conditions = array(
 			array(
 				'key'      => 'last_visit',
-				'operator' => '>',
+				'operator' => '=',
 				'value'    => '2024-01-01',
-				'datatype' => 'date',
+				'datatype' => 'javascript',
 			),
 		);
 
-		$js = $this->matcher->generate_storage_condition_js( $conditions );
+		$prepared = $this->matcher->prepare_storage_conditions( $conditions );
 
-		$this->assertStringContainsString( 'last_visit', $js );
-		$this->assertStringContainsString( 'Date', $js );
-		$this->assertStringContainsString( 'getTime', $js );
+		$this->assertSame( 'string', $prepared['conditions'][0]['datatype'] );
 	}
 
 	/**
 	 * @test
-	 * Test multiple conditions with AND logic
+	 * Test that multiple conditions are all kept in order
 	 *
-	 * WHY: Multiple conditions should be combined with AND
+	 * WHY: Every condition must reach the client for AND evaluation
 	 * PRIORITY: MEDIUM (functionality)
 	 */
-	public function it_combines_multiple_conditions_with_and() {
+	public function it_keeps_multiple_conditions_in_order() {
 		$conditions = array(
 			array(
 				'key'      => 'page_views',
@@ -520,11 +527,82 @@ class MatcherTest extends WP_UnitTestCase {
 			),
 		);
 
-		$js = $this->matcher->generate_storage_condition_js( $conditions );
+		$prepared = $this->matcher->prepare_storage_conditions( $conditions );
+
+		$this->assertCount( 2, $prepared['conditions'] );
+		$this->assertSame( 'page_views', $prepared['conditions'][0]['key'] );
+		$this->assertSame( 'subscribed', $prepared['conditions'][1]['key'] );
+	}
+
+	/**
+	 * @test
+	 * Test nested AND/OR group preparation
+	 *
+	 * WHY: Groups must keep their logic and drop invalid children
+	 * PRIORITY: MEDIUM (functionality)
+	 */
+	public function it_prepares_nested_condition_groups() {
+		$conditions = array(
+			'type'       => 'group',
+			'logic'      => 'and',
+			'conditions' => array(
+				array(
+					'type'       => 'group',
+					'logic'      => 'or',
+					'conditions' => array(
+						array(
+							'key'      => 'is_member',
+							'operator' => '=',
+							'value'    => 'true',
+							'datatype' => 'boolean',
+						),
+						array(
+							'key'      => '',
+							'operator' => '=',
+							'value'    => 'ignored',
+							'datatype' => 'string',
+						),
+					),
+				),
+				array(
+					'type'       => 'group',
+					'logic'      => 'xor',
+					'conditions' => array(),
+				),
+			),
+		);
+
+		$prepared = $this->matcher->prepare_storage_conditions( $conditions );
 
-		$this->assertStringContainsString( '&&', $js, 'Conditions should be combined with AND' );
-		$this->assertStringContainsString( 'page_views', $js );
-		$this->assertStringContainsString( 'subscribed', $js );
+		$this->assertCount( 1, $prepared['conditions'], 'Empty groups should be removed' );
+		$this->assertSame( 'or', $prepared['conditions'][0]['logic'] );
+		$this->assertCount( 1, $prepared['conditions'][0]['conditions'], 'Keyless conditions should be removed' );
+	}
+
+	/**
+	 * @test
+	 * Test that groups nested beyond the maximum depth are dropped
+	 *
+	 * WHY: Prevents unbounded recursion on crafted data
+	 * PRIORITY: LOW (validation)
+	 */
+	public function it_drops_groups_beyond_max_depth() {
+		$node = array(
+			'key'      => 'deep',
+			'operator' => '=',
+			'value'    => 'x',
+			'datatype' => 'string',
+		);
+
+		for ( $i = 0; $i <= Matcher::MAX_GROUP_DEPTH; $i++ ) {
+			$node = array(
+				'type'       => 'group',
+				'logic'      => 'and',
+				'conditions' => array( $node ),
+			);
+		}
+
+		$this->assertSame( array(), $this->matcher->prepare_storage_conditions( $node ) );
 	}
 
 	/**
@@ -544,9 +622,9 @@ class MatcherTest extends WP_UnitTestCase {
 			),
 		);
 
-		$js = $this->matcher->generate_storage_condition_js( $conditions );
+		$prepared = $this->matcher->prepare_storage_conditions( $conditions );
 
-		$this->assertEquals( 'true', $js, 'Should return true when all conditions are invalid' );
+		$this->assertEmpty( $prepared, 'Should return no conditions when all conditions are invalid' );
 	}
 
 	/**
@@ -566,10 +644,199 @@ class MatcherTest extends WP_UnitTestCase {
 			),
 		);
 
-		$js = $this->matcher->generate_storage_condition_js( $conditions );
+		$prepared = $this->matcher->prepare_storage_conditions( $conditions );
+
+		$this->assertSame( '=', $prepared['conditions'][0]['operator'] );
+	}
+
+	/**
+	 * @test
+	 * Test list operators split comma-separated values
+	 *
+	 * WHY: The client expects in/not_in/between values as arrays
+	 * PRIORITY: MEDIUM (functionality)
+	 */
+	public function it_prepares_list_operator_values() {
+		$conditions = array(
+			array(
+				'key'      => 'plan',
+				'operator' => 'in',
+				'value'    => 'gold, silver,, bronze ',
+				'datatype' => 'string',
+			),
+			array(
+				'key'      => 'visits',
+				'operator' => 'between',
+				'value'    => '3,10',
+				'datatype' => 'number',
+			),
+		);
+
+		$prepared = $this->matcher->prepare_storage_conditions( $conditions );
+
+		$this->assertSame( array( 'gold', 'silver', 'bronze' ), $prepared['conditions'][0]['value'] );
+		$this->assertSame( array( 3, 10 ), $prepared['conditions'][1]['value'] );
+	}
+
+	/**
+	 * @test
+	 * Test exists and relative date operators
+	 *
+	 * WHY: exists needs no value; relative dates compare against a day count
+	 * PRIORITY: MEDIUM (functionality)
+	 */
+	public function it_prepares_exists_and_relative_date_operators() {
+		$conditions = array(
+			array(
+				'key'      => 'seen_offer',
+				'operator' => 'not_exists',
+				'value'    => 'ignored',
+				'datatype' => 'string',
+			),
+			array(
+				'key'      => 'last_visit',
+				'operator' => 'within_last_days',
+				'value'    => '7',
+				'datatype' => 'date',
+			),
+		);
+
+		$prepared = $this->matcher->prepare_storage_conditions( $conditions );
+
+		$this->assertSame( '', $prepared['conditions'][0]['value'] );
+		$this->assertSame( 7, $prepared['conditions'][1]['value'] );
+	}
+
+	/**
+	 * @test
+	 * Test operators are restricted to their data type
+	 *
+	 * WHY: e.g. "contains" makes no sense for numbers, "between" none for booleans
+	 * PRIORITY: LOW (security/validation)
+	 */
+	public function it_rejects_operators_not_valid_for_datatype() {
+		$this->assertTrue( Matcher::is_valid_operator( 'contains', 'string' ) );
+		$this->assertFalse( Matcher::is_valid_operator( 'contains', 'number' ) );
+		$this->assertFalse( Matcher::is_valid_operator( 'between', 'boolean' ) );
+
+		$conditions = array(
+			array(
+				'key'      => 'visits',
+				'operator' => 'contains',
+				'value'    => '5',
+				'datatype' => 'number',
+			),
+		);
+
+		$prepared = $this->matcher->prepare_storage_conditions( $conditions );
+
+		$this->assertSame( '=', $prepared['conditions'][0]['operator'] );
+	}
+
+	/**
+	 * @test
+	 * Test condition source normalization
+	 *
+	 * WHY: Legacy conditions have no source; unknown sources must not reach the client
+	 * PRIORITY: MEDIUM (functionality)
+	 */
+	public function it_normalizes_condition_sources() {
+		$conditions = array(
+			array(
+				'key'      => 'visits',
+				'operator' => '>',
+				'value'    => '3',
+				'datatype' => 'number',
+			),
+			array(
+				'source'   => 'url_param',
+				'key'      => 'utm_campaign',
+				'operator' => '=',
+				'value'    => 'spring',
+				'datatype' => 'string',
+			),
+			array(
+				'source'   => 'cookie_jar',
+				'key'      => 'plan',
+				'operator' => 'exists',
+				'datatype' => 'string',
+			),
+			array(
+				'source'   => 'referrer',
+				'key'      => '',
+				'operator' => 'contains',
+				'value'    => 'google',
+				'datatype' => 'string',
+			),
+		);
+
+		$prepared = $this->matcher->prepare_storage_conditions( $conditions );
+
+		$this->assertSame(
+			array( 'storage', 'url_param', 'storage', 'referrer' ),
+			wp_list_pluck( $prepared['conditions'], 'source' )
+		);
+		$this->assertSame( 'url', $prepared['conditions'][3]['key'], 'Referrer conditions default to the full URL' );
+	}
+
+	/**
+	 * @test
+	 * Test interest key normalization
+	 *
+	 * WHY: Interest keys must match the category/tag slugs and post IDs recorded client-side
+	 * PRIORITY: MEDIUM (functionality)
+	 */
+	public function it_normalizes_interest_keys() {
+		$this->assertSame( 'category:photography', Matcher::normalize_condition_key( 'Category:Photography', 'interest' ) );
+		$this->assertSame( 'tag:wide-angle', Matcher::normalize_condition_key( 'tag:Wide Angle', 'interest' ) );
+		$this->assertSame( 'post:42', Matcher::normalize_condition_key( 'post:42', 'interest' ) );
+		$this->assertSame( '', Matcher::normalize_condition_key( 'post:abc', 'interest' ) );
+		$this->assertSame( '', Matcher::normalize_condition_key( 'photography', 'interest' ) );
+	}
+
+	/**
+	 * @test
+	 * Test counting conditions across nested groups
+	 *
+	 * WHY: The list table summarizes how many conditions a CTA has
+	 * PRIORITY: LOW (display)
+	 */
+	public function it_counts_conditions_in_nested_groups() {
+		$tree = array(
+			'type'       => 'group',
+			'logic'      => 'and',
+			'conditions' => array(
+				array(
+					'key'      => 'visits',
+					'operator' => '>',
+					'value'    => 3,
+					'datatype' => 'number',
+				),
+				array(
+					'type'       => 'group',
+					'logic'      => 'or',
+					'conditions' => array(
+						array(
+							'source'   => 'dom',
+							'key'      => '.cart',
+							'operator' => 'exists',
+							'value'    => '',
+							'datatype' => 'string',
+						),
+						array(
+							'source'   => 'global',
+							'key'      => 'memberTier',
+							'operator' => '=',
+							'value'    => 'gold',
+							'datatype' => 'string',
+						),
+					),
+				),
+			),
+		);
 
-		// Should default to ===
-		$this->assertStringContainsString( '===', $js );
+		$this->assertSame( 3, Matcher::count_conditions( $tree ) );
+		$this->assertSame( 0, Matcher::count_conditions( array() ) );
 	}
 
 	// =============================================================
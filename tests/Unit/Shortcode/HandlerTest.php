@@ -411,6 +411,160 @@ class HandlerTest extends WP_UnitTestCase {
 		$this->assertStringContainsString( 'aria-labelledby=', $output );
 	}
 
+	/**
+	 * @test
+	 * Test that the highlight trigger is output as data attributes
+	 *
+	 * WHY: cta-highlights.js reads the trigger from the wrapper
+	 * PRIORITY: HIGH (functionality)
+	 */
+	public function it_adds_trigger_attributes_for_highlight() {
+		$output = $this->renderShortcode(array(
+			'highlight'         => 'true',
+			'trigger'           => 'scroll:75',
+			'trigger_offscreen' => 'scroll',
+		));
+
+		$this->assertStringContainsString( 'data-trigger="scroll:75"', $output );
+		$this->assertStringContainsString( 'data-trigger-offscreen="scroll"', $output );
+	}
+
+	/**
+	 * @test
+	 * Test that the default visibility trigger adds no attributes
+	 *
+	 * WHY: Existing highlight markup must not change
+	 * PRIORITY: MEDIUM (backwards compatibility)
+	 */
+	public function it_omits_trigger_attributes_for_visibility_trigger() {
+		$output = $this->renderShortcode(array(
+			'highlight' => 'true',
+		));
+
+		$this->assertStringNotContainsString( 'data-trigger', $output );
+	}
+
+	/**
+	 * @test
+	 * Test that the highlight priority is output as a data attribute
+	 *
+	 * WHY: The highlight queue orders waiting CTAs by priority
+	 * PRIORITY: MEDIUM (functionality)
+	 */
+	public function it_adds_priority_attribute_for_highlight() {
+		$output = $this->renderShortcode(array(
+			'highlight' => 'true',
+			'priority'  => '5abc',
+		));
+
+		$this->assertStringContainsString( 'data-priority="5"', $output );
+
+		$output = $this->renderShortcode(array(
+			'highlight' => 'true',
+		));
+
+		$this->assertStringNotContainsString( 'data-priority', $output );
+	}
+
+	/**
+	 * @test
+	 * Test that per-CTA cooldowns are output as data attributes
+	 *
+	 * WHY: cta-highlights.js writes the CTA's own cooldowns when it is shown
+	 * PRIORITY: MEDIUM (functionality)
+	 */
+	public function it_adds_cooldown_attributes_for_highlight() {
+		$output = $this->renderShortcode(array(
+			'highlight'       => 'true',
+			'cooldown'        => 'Session',
+			'global_cooldown' => '14400',
+		));
+
+		$this->assertStringContainsString( 'data-cooldown="session"', $output );
+		$this->assertStringContainsString( 'data-global-cooldown="14400"', $output );
+
+		$output = $this->renderShortcode(array(
+			'highlight'       => 'true',
+			'cooldown'        => 'weekly',
+			'global_cooldown' => '',
+		));
+
+		$this->assertStringNotContainsString( 'data-cooldown', $output );
+		$this->assertStringNotContainsString( 'data-global-cooldown', $output );
+	}
+
+	/**
+	 * @test
+	 * Test that the per-CTA cooldown key is sanitized and output
+	 *
+	 * WHY: Instances of one template need separate cooldown keys
+	 * PRIORITY: MEDIUM (functionality)
+	 */
+	public function it_adds_cooldown_key_attribute_for_highlight() {
+		$output = $this->renderShortcode(array(
+			'highlight'    => 'true',
+			'cooldown'     => '60',
+			'cooldown_key' => 'Sidebar Offer!',
+		));
+
+		$this->assertStringContainsString( 'data-cooldown-key="sidebaroffer"', $output );
+	}
+
+	/**
+	 * @test
+	 * Test that a CTA with a cooldown but no cooldown_key gets a stable key
+	 *
+	 * WHY: Without a key the CTA's cooldown would hold back every CTA of its template
+	 * PRIORITY: MEDIUM (functionality)
+	 */
+	public function it_derives_a_cooldown_key_when_none_is_given() {
+		$atts = array(
+			'highlight' => 'true',
+			'cooldown'  => '60',
+		);
+
+		$this->assertSame( 1, preg_match( '/data-cooldown-key="([a-z0-9-]+)"/', $this->renderShortcode( $atts ), $first ) );
+		$this->assertSame( 1, preg_match( '/data-cooldown-key="([a-z0-9-]+)"/', $this->renderShortcode( $atts ), $again ) );
+		$this->assertSame( $first[1], $again[1], 'The key stays the same across renders' );
+
+		$atts['cooldown'] = 'once';
+		preg_match( '/data-cooldown-key="([a-z0-9-]+)"/', $this->renderShortcode( $atts ), $other );
+
+		$this->assertNotSame( $first[1], $other[1], 'Different CTAs get different keys' );
+	}
+
+	/**
+	 * @test
+	 * Test that trigger values are normalized
+	 *
+	 * WHY: Invalid triggers must not reach the markup
+	 * PRIORITY: MEDIUM (validation)
+	 */
+	public function it_sanitizes_trigger_values() {
+		$cases = array(
+			'time'       => 'data-trigger="time:10"',
+			'SCROLL:250' => 'data-trigger="scroll:100"',
+			'idle:-5'    => 'data-trigger="idle:5"',
+			'exit:3'     => 'data-trigger="exit"',
+			'hover:5'    => null,
+		);
+
+		foreach ( $cases as $trigger => $expected ) {
+			$output = $this->renderShortcode(array(
+				'highlight'         => 'true',
+				'trigger'           => $trigger,
+				'trigger_offscreen' => 'jump',
+			));
+
+			if ( null === $expected ) {
+				$this->assertStringNotContainsString( 'data-trigger', $output );
+			} else {
+				$this->assertStringContainsString( $expected, $output );
+				$this->assertStringContainsString( 'data-trigger-offscreen="wait"', $output );
+			}
+		}
+	}
+
 	/**
 	 * @test
 	 * Test that non-highlighted CTAs have aria-label
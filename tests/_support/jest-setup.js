@@ -26,7 +26,9 @@ class LocalStorageMock {
 		if (this.disabled) {
 			throw new Error('localStorage is disabled');
 		}
-		return this.store[key] || null;
+		return Object.prototype.hasOwnProperty.call(this.store, key)
+			? this.store[key]
+			: null;
 	}
 
 	setItem(key, value) {
@@ -24,6 +24,14 @@ const { StorageManager } = require('../../assets/js/cta-highlights.js');
 // Import the classes from the JavaScript file
 const {
 	AutoInsertManager,
+	ConditionEvaluator,
+	ConditionStorage,
+	VisitTracker,
+	InterestTracker,
+	AttributionTracker,
+	ImpressionTracker,
+	ContentReadyWatcher,
+	METRIC_KEYS,
 	CONTENT_SELECTORS,
 } = require('../../assets/js/auto-insert.js');
 
@@ -91,6 +99,67 @@ describe('Auto-Insert - Content Container Detection', () => {
 		// Manager should find custom-content
 		expect(document.querySelector('.custom-content')).not.toBeNull();
 	});
+
+	describe('scoring', () => {
+		const text = (length) => 'x'.repeat(length);
+
+		const find = (selector, postId = 0) =>
+			new AutoInsertManager().findContentContainer(selector, postId);
+
+		test('skips matches inside nav, aside and footer', () => {
+			document.body.innerHTML = `
+				<aside><div class="entry-content"><p>${text(500)}</p></div></aside>
+				<div class="entry-content" id="body"><p>${text(100)}</p></div>
+				<footer><div class="entry-content"><p>${text(500)}</p></div></footer>
+			`;
+
+			expect(find('.entry-content').id).toBe('body');
+		});
+
+		test('picks the match with the most paragraph text', () => {
+			document.body.innerHTML = `
+				<div class="entry-content" id="excerpt"><p>${text(50)}</p></div>
+				<div class="entry-content" id="body"><p>${text(300)}</p><p>${text(300)}</p></div>
+			`;
+
+			expect(find('.entry-content').id).toBe('body');
+		});
+
+		test('prefers the post body over the article around it', () => {
+			document.body.innerHTML = `
+				<main>
+					<article>
+						<header><p>${text(40)}</p></header>
+						<div id="body"><p>${text(400)}</p></div>
+						<div class="author-bio"><p>${text(60)}</p></div>
+					</article>
+				</main>
+			`;
+
+			expect(find('.missing').tagName).toBe('ARTICLE');
+
+			document.getElementById('body').className = 'post-content';
+			expect(find('.missing').id).toBe('body');
+		});
+
+		test('only accepts containers of the current post', () => {
+			document.body.innerHTML = `
+				<article id="post-2"><div class="entry-content"><p>${text(500)}</p></div></article>
+				<article id="post-1"><div class="entry-content" id="body"><p>${text(100)}</p></div></article>
+			`;
+
+			expect(find('.entry-content', 1).id).toBe('body');
+		});
+
+		test('falls back when the preferred selector misses the post body', () => {
+			document.body.innerHTML = `
+				<nav class="custom-content"><p>${text(50)}</p></nav>
+				<div class="entry-content" id="body"><p>${text(100)}</p></div>
+			`;
+
+			expect(find('.custom-content').id).toBe('body');
+		});
+	});
 });
 
 describe('Auto-Insert - Content Element Parsing', () => {
@@ -164,7 +233,7 @@ describe('Auto-Insert - Content Element Parsing', () => {
 					"content": "<p>Test CTA</p>",
 					"insertion_position": 1,
 					"insertion_direction": "forward",
-					"storage_condition_js": "true",
+					"storage_conditions": [],
 					"has_storage_conditions": false,
 					"fallback_behavior": "skip"
 				}]
@@ -243,7 +312,7 @@ describe('Auto-Insert - Position Calculation', () => {
 				"ctas": [{
 					"id": 1,
 					"content": "<p>CTA</p>",
-					"storage_condition_js": "true",
+					"storage_conditions": [],
 					"has_storage_conditions": false,
 					"insertion_direction": "forward",
 					"insertion_position": 3,
@@ -276,7 +345,7 @@ describe('Auto-Insert - Position Calculation', () => {
 				"ctas": [{
 					"id": 1,
 					"content": "<p>CTA</p>",
-					"storage_condition_js": "true",
+					"storage_conditions": [],
 					"has_storage_conditions": false,
 					"insertion_direction": "reverse",
 					"insertion_position": 2,
@@ -306,7 +375,7 @@ describe('Auto-Insert - Position Calculation', () => {
 				"ctas": [{
 					"id": 1,
 					"content": "<p>CTA</p>",
-					"storage_condition_js": "true",
+					"storage_conditions": [],
 					"has_storage_conditions": false,
 					"insertion_direction": "forward",
 					"insertion_position": 10,
@@ -336,7 +405,7 @@ describe('Auto-Insert - Position Calculation', () => {
 				"ctas": [{
 					"id": 1,
 					"content": "<p>CTA</p>",
-					"storage_condition_js": "true",
+					"storage_conditions": [],
 					"has_storage_conditions": false,
 					"insertion_direction": "forward",
 					"insertion_position": 10,
@@ -354,6 +423,474 @@ describe('Auto-Insert - Position Calculation', () => {
 	});
 });
 
+describe('Auto-Insert - Insertion Anchors', () => {
+	let manager;
+	let elements;
+
+	const place = (settings) => {
+		const info = manager.calculateInsertPosition(elements, {
+			insertion_direction: 'forward',
+			insertion_position: 1,
+			fallback_behavior: 'skip',
+			...settings,
+		});
+
+		if (!info) {
+			return null;
+		}
+
+		return `${info.insertBefore ? 'before' : 'after'} ${info.element.id}`;
+	};
+
+	beforeEach(() => {
+		setupWordPressEnv();
+		document.body.innerHTML = `
+			<div class="entry-content">
+				<p id="intro">Intro</p>
+				<figure id="image"><img src="a.jpg" alt=""></figure>
+				<div id="toc"><nav class="toc">Contents</nav></div>
+				<h2 id="first-h2">First</h2>
+				<p id="p2">Two</p>
+				<h3 id="h3">Sub</h3>
+				<p id="p3">Three</p>
+				<h2 id="second-h2">Second</h2>
+				<p id="p4">Four</p>
+			</div>
+		`;
+		manager = new AutoInsertManager();
+		elements = manager.parseContentElements(
+			document.querySelector('.entry-content')
+		);
+	});
+
+	afterEach(() => {
+		resetWordPressEnv();
+	});
+
+	test('counts only paragraphs', () => {
+		expect(
+			place({ insertion_anchor: 'paragraph', insertion_position: 2 })
+		).toBe('after p2');
+		expect(
+			place({
+				insertion_anchor: 'paragraph',
+				insertion_direction: 'reverse',
+				insertion_position: 1,
+			})
+		).toBe('before p4');
+	});
+
+	test('inserts before the Nth heading of a level', () => {
+		expect(
+			place({
+				insertion_anchor: 'heading',
+				insertion_anchor_value: 'h2',
+				insertion_position: 2,
+			})
+		).toBe('before second-h2');
+		expect(
+			place({ insertion_anchor: 'heading', insertion_position: 2 })
+		).toBe('before h3');
+	});
+
+	test('inserts after the top-level element containing a selector match', () => {
+		expect(
+			place({
+				insertion_anchor: 'selector',
+				insertion_anchor_value: '.toc',
+			})
+		).toBe('after toc');
+	});
+
+	test('skips invalid selectors', () => {
+		expect(
+			place({
+				insertion_anchor: 'selector',
+				insertion_anchor_value: '[[invalid',
+				fallback_behavior: 'end',
+			})
+		).toBeNull();
+	});
+
+	test('keeps the end/skip fallback behavior when there are too few anchors', () => {
+		const settings = {
+			insertion_anchor: 'heading',
+			insertion_anchor_value: 'h2',
+			insertion_position: 3,
+		};
+
+		expect(place(settings)).toBeNull();
+		expect(place({ ...settings, fallback_behavior: 'end' })).toBe(
+			'after p4'
+		);
+	});
+
+	test('repeats relative to the anchors', () => {
+		expect(
+			manager.calculateInsertPosition(
+				elements,
+				{
+					insertion_anchor: 'paragraph',
+					insertion_direction: 'forward',
+					insertion_position: 1,
+					fallback_behavior: 'end',
+				},
+				2
+			).element.id
+		).toBe('p3');
+		expect(
+			manager.calculateInsertPosition(
+				elements,
+				{
+					insertion_anchor: 'paragraph',
+					insertion_direction: 'forward',
+					insertion_position: 1,
+					fallback_behavior: 'end',
+				},
+				4
+			)
+		).toBeNull();
+	});
+});
+
+describe('Auto-Insert - Word-Based Positions', () => {
+	let manager;
+	let elements;
+
+	const words = (count) => Array(count).fill('word').join(' ');
+
+	const place = (settings, offset = 0) => {
+		const info = manager.calculateInsertPosition(
+			elements,
+			{
+				insertion_direction: 'forward',
+				fallback_behavior: 'skip',
+				...settings,
+			},
+			offset
+		);
+
+		if (!info) {
+			return null;
+		}
+
+		return info.element ? `before ${info.element.id}` : 'end';
+	};
+
+	beforeEach(() => {
+		setupWordPressEnv();
+		// 200 words: boundaries at 0, 100, 110, 120, 120 (after the image) and 200
+		document.body.innerHTML = `
+			<div class="entry-content">
+				<p id="p1">${words(100)}</p>
+				<p id="p2">${words(10)}</p>
+				<p id="p3">${words(10)}</p>
+				<figure id="image"><img src="a.jpg" alt=""></figure>
+				<p id="p4">${words(80)}</p>
+			</div>
+		`;
+		manager = new AutoInsertManager();
+		elements = manager.parseContentElements(
+			document.querySelector('.entry-content')
+		);
+	});
+
+	afterEach(() => {
+		resetWordPressEnv();
+	});
+
+	test('inserts at a percentage of the word count', () => {
+		expect(
+			place({
+				insertion_position_unit: 'percent',
+				insertion_position: 50,
+			})
+		).toBe('before p2');
+		expect(
+			place({
+				insertion_position_unit: 'percent',
+				insertion_position: 40,
+				insertion_direction: 'reverse',
+			})
+		).toBe('before image');
+	});
+
+	test('inserts after the first N words at the nearest boundary', () => {
+		expect(
+			place({ insertion_position_unit: 'words', insertion_position: 118 })
+		).toBe('before image');
+		expect(
+			place({ insertion_position_unit: 'words', insertion_position: 30 })
+		).toBe('before p1');
+	});
+
+	test('measures words from the end in reverse', () => {
+		expect(
+			place({
+				insertion_position_unit: 'words',
+				insertion_position: 82,
+				insertion_direction: 'reverse',
+			})
+		).toBe('before image');
+	});
+
+	test('keeps the end/skip fallback behavior for short articles', () => {
+		const settings = {
+			insertion_position_unit: 'words',
+			insertion_position: 500,
+		};
+
+		expect(place(settings)).toBeNull();
+		expect(place({ ...settings, fallback_behavior: 'end' })).toBe('end');
+	});
+
+	test('moves repeated placements by whole elements', () => {
+		const settings = {
+			insertion_position_unit: 'percent',
+			insertion_position: 50,
+		};
+
+		expect(place(settings, 2)).toBe('before image');
+		expect(place(settings, 5)).toBeNull();
+	});
+});
+
+describe('Auto-Insert - Nested Content', () => {
+	const ids = (elements) => elements.map((el) => el.id);
+
+	const parse = (html) => {
+		document.body.innerHTML = `<div class="entry-content">${html}</div>`;
+		const manager = new AutoInsertManager();
+		return manager.parseContentElements(
+			document.querySelector('.entry-content')
+		);
+	};
+
+	beforeEach(() => {
+		setupWordPressEnv();
+	});
+
+	afterEach(() => {
+		delete window.ctaAutoInsertConfig;
+		resetWordPressEnv();
+	});
+
+	test('descends into groups and columns', () => {
+		const elements = parse(`
+			<p id="p1">Intro</p>
+			<div class="wp-block-group"><div class="wp-block-group__inner-container">
+				<p id="p2">P2</p>
+				<h2 id="h">Heading</h2>
+			</div></div>
+			<div class="wp-block-columns">
+				<div class="wp-block-column"><p id="p3">P3</p></div>
+				<div class="wp-block-column"><p id="p4">P4</p></div>
+			</div>
+		`);
+
+		expect(ids(elements)).toEqual(['p1', 'p2', 'h', 'p3', 'p4']);
+	});
+
+	test('descends into page builder sections', () => {
+		const elements = parse(`
+			<div class="elementor"><section class="elementor-section"><div class="elementor-container">
+				<div class="elementor-column"><div class="elementor-widget-wrap">
+					<div class="elementor-widget-text-editor"><div class="elementor-widget-container">
+						<p id="p1">P1</p><p id="p2">P2</p>
+					</div></div>
+				</div></div>
+			</div></section></div>
+			<div class="et_pb_section"><div class="et_pb_row"><div class="et_pb_column">
+				<div class="et_pb_text"><div class="et_pb_text_inner"><p id="p3">P3</p></div></div>
+			</div></div></div>
+		`);
+
+		expect(ids(elements)).toEqual(['p1', 'p2', 'p3']);
+	});
+
+	test('never descends into interactive or unknown structures', () => {
+		const elements = parse(`
+			<div id="tabs" class="wp-block-group" role="tablist"><p>Tab</p></div>
+			<div id="slider" class="wp-block-group" tabindex="0"><p>Slide</p></div>
+			<div id="custom" class="my-box"><p>Box</p></div>
+			<span id="inline" class="wp-block-group"><em>Inline</em></span>
+			<div id="empty" class="wp-block-group"></div>
+		`);
+
+		expect(ids(elements)).toEqual(['tabs', 'slider', 'custom', 'inline']);
+	});
+
+	test('can be turned off', () => {
+		window.ctaAutoInsertConfig = { contentParsing: { flatten: false } };
+		const elements = parse(
+			'<div id="group" class="wp-block-group"><p>P1</p><p>P2</p></div>'
+		);
+
+		expect(ids(elements)).toEqual(['group']);
+	});
+
+	test('inserts next to nested elements', () => {
+		document.body.innerHTML = `
+			<div class="entry-content">
+				<div class="wp-block-group">
+					<p>P1</p><p>P2</p><p>P3</p><p>P4</p>
+				</div>
+			</div>
+			<script type="application/json" id="cta-highlights-auto-insert-data">
+			{
+				"postId": 1,
+				"contentSelector": ".entry-content",
+				"ctas": [{ "id": 1, "content": "<p>CTA</p>", "storage_conditions": [], "has_storage_conditions": false, "insertion_direction": "forward", "insertion_position": 3, "fallback_behavior": "skip" }]
+			}
+			</script>
+		`;
+
+		initAutoInsert();
+
+		const cta = document.querySelector('.cta-highlights-auto-inserted');
+		expect(cta).not.toBeNull();
+		expect(cta.parentNode.classList.contains('wp-block-group')).toBe(true);
+		expect(cta.previousElementSibling.textContent).toBe('P3');
+	});
+});
+
+describe('Auto-Insert - Safe Slots', () => {
+	let manager;
+	let container;
+	let elements;
+
+	const byId = (id) => document.getElementById(id);
+
+	const slot = (positionInfo) => {
+		const info = manager.findSafeSlot(container, elements, positionInfo);
+
+		if (!info) {
+			return null;
+		}
+
+		if (!info.element) {
+			return 'end';
+		}
+
+		return `${info.insertBefore ? 'before' : 'after'} ${info.element.id}`;
+	};
+
+	const setup = (html) => {
+		document.body.innerHTML = `<div class="entry-content">${html}</div>`;
+		manager = new AutoInsertManager();
+		container = document.querySelector('.entry-content');
+		elements = manager.parseContentElements(container);
+	};
+
+	beforeEach(() => {
+		setupWordPressEnv();
+	});
+
+	afterEach(() => {
+		delete window.ctaAutoInsertConfig;
+		resetWordPressEnv();
+	});
+
+	test('keeps a slot that breaks no rule', () => {
+		setup('<p id="p1">P1</p><p id="p2">P2</p><p id="p3">P3</p>');
+
+		expect(slot({ element: byId('p2'), insertBefore: true })).toBe(
+			'before p2'
+		);
+	});
+
+	test('never inserts directly after a heading', () => {
+		setup(
+			'<p id="p1">P1</p><h2 id="h">Heading</h2><p id="p2">P2</p><p id="p3">P3</p>'
+		);
+
+		expect(slot({ element: byId('h'), insertBefore: false })).toBe(
+			'before p3'
+		);
+	});
+
+	test('never separates an image from its caption', () => {
+		setup(
+			'<p id="p1">P1</p><img id="img" src="a.jpg" alt=""><p id="cap" class="wp-caption-text">Caption</p><p id="p2">P2</p>'
+		);
+
+		expect(slot({ element: byId('cap'), insertBefore: true })).toBe(
+			'before p2'
+		);
+	});
+
+	test('keeps away from tables, embeds and blockquotes', () => {
+		setup(
+			'<p id="p1">P1</p><p id="p2">P2</p><table id="t"><tr><td>1</td></tr></table><p id="p3">P3</p><p id="p4">P4</p>'
+		);
+
+		expect(slot({ element: byId('t'), insertBefore: true })).toBe(
+			'before p2'
+		);
+		expect(slot({ element: byId('t'), insertBefore: false })).toBe(
+			'before p4'
+		);
+	});
+
+	test('keeps a minimum distance from manual CTA sections', () => {
+		setup(
+			'<p id="p1">P1</p><p id="p2">P2</p><div id="manual" class="cta-highlights-wrapper">Manual</div><p id="p3">P3</p><p id="p4">P4</p><p id="p5">P5</p>'
+		);
+
+		expect(slot({ element: byId('p3'), insertBefore: true })).toBe(
+			'before p5'
+		);
+	});
+
+	test('uses rules from ctaAutoInsertConfig', () => {
+		window.ctaAutoInsertConfig = {
+			insertionRules: { avoidAfter: [], minDistance: 0 },
+		};
+		setup('<p id="p1">P1</p><h2 id="h">Heading</h2><p id="p2">P2</p>');
+
+		expect(manager.rules.avoidBefore).toContain('figcaption');
+		expect(slot({ element: byId('h'), insertBefore: false })).toBe(
+			'after h'
+		);
+	});
+
+	test('skips the CTA when no slot is safe', () => {
+		setup('<h2 id="h1">Heading</h2><h2 id="h2">Heading</h2>');
+		manager.rules.avoidBefore = ['h2'];
+
+		expect(slot({ element: byId('h2'), insertBefore: true })).toBeNull();
+	});
+
+	test('spaces out auto-inserted CTAs', () => {
+		document.body.innerHTML = `
+			<div class="entry-content">
+				<p>P1</p><p>P2</p><p>P3</p><p>P4</p><p>P5</p>
+			</div>
+			<script type="application/json" id="cta-highlights-auto-insert-data">
+			{
+				"postId": 1,
+				"contentSelector": ".entry-content",
+				"chains": [
+					{ "ctas": [{ "id": 1, "content": "<p>One</p>", "storage_conditions": [], "has_storage_conditions": false, "insertion_direction": "forward", "insertion_position": 2, "fallback_behavior": "skip" }] },
+					{ "ctas": [{ "id": 2, "content": "<p>Two</p>", "storage_conditions": [], "has_storage_conditions": false, "insertion_direction": "forward", "insertion_position": 3, "fallback_behavior": "skip" }] }
+				]
+			}
+			</script>
+		`;
+
+		initAutoInsert();
+
+		const children = Array.from(
+			document.querySelector('.entry-content').children
+		).map((el) =>
+			el.classList.contains('cta-highlights-auto-inserted')
+				? el.dataset.slotIndex
+				: el.textContent
+		);
+		expect(children).toEqual(['P1', 'P2', '0', 'P3', 'P4', '1', 'P5']);
+	});
+});
+
 describe('Auto-Insert - Storage Condition Evaluation', () => {
 	beforeEach(() => {
 		setupWordPressEnv();
@@ -379,7 +916,7 @@ describe('Auto-Insert - Storage Condition Evaluation', () => {
 				"ctas": [{
 					"id": 1,
 					"content": "<p>Premium CTA</p>",
-					"storage_condition_js": "this.storageManager.get('user_subscribed') === 'true'",
+					"storage_conditions": [{ "key": "user_subscribed", "operator": "=", "value": "true", "datatype": "string" }],
 					"has_storage_conditions": true,
 					"insertion_direction": "forward",
 					"insertion_position": 1,
@@ -411,7 +948,7 @@ describe('Auto-Insert - Storage Condition Evaluation', () => {
 				"ctas": [{
 					"id": 1,
 					"content": "<p>Premium CTA</p>",
-					"storage_condition_js": "this.storageManager.get('user_subscribed') === 'true'",
+					"storage_conditions": [{ "key": "user_subscribed", "operator": "=", "value": "true", "datatype": "string" }],
 					"has_storage_conditions": true,
 					"insertion_direction": "forward",
 					"insertion_position": 1,
@@ -441,7 +978,7 @@ describe('Auto-Insert - Storage Condition Evaluation', () => {
 				"ctas": [{
 					"id": 1,
 					"content": "<p>Always Show CTA</p>",
-					"storage_condition_js": "true",
+					"storage_conditions": [],
 					"has_storage_conditions": false,
 					"insertion_direction": "forward",
 					"insertion_position": 1,
@@ -458,10 +995,13 @@ describe('Auto-Insert - Storage Condition Evaluation', () => {
 	});
 });
 
-describe('Auto-Insert - Fallback Chain Logic', () => {
+describe('Auto-Insert - Condition Evaluator', () => {
+	let evaluator;
+
 	beforeEach(() => {
 		localStorage.clear();
 		setupWordPressEnv();
+		evaluator = new AutoInsertManager().conditionEvaluator;
 	});
 
 	afterEach(() => {
@@ -469,91 +1009,1422 @@ describe('Auto-Insert - Fallback Chain Logic', () => {
 		resetWordPressEnv();
 	});
 
-	test('selects first CTA when condition passes', () => {
-		localStorage.setItem('user_type', 'premium');
-		console.log(
-			'After setItem, localStorage.getItem:',
-			localStorage.getItem('user_type')
-		);
-		console.log(
-			'localStorage === global.localStorage:',
-			localStorage === global.localStorage
-		);
-		console.log(
-			'localStorage === window.localStorage:',
-			localStorage === window.localStorage
-		);
-		console.log('localStorage.store:', localStorage.store);
+	test('passes when there are no conditions', () => {
+		expect(evaluator.evaluate([])).toBe(true);
+		expect(evaluator.evaluate(undefined)).toBe(true);
+	});
 
-		document.body.innerHTML = `
-			<div class="entry-content"><p>P1</p></div>
-			<script type="application/json" id="cta-highlights-auto-insert-data">
-			{
-				"postId": 1,
-				"contentSelector": ".entry-content",
-				"ctas": [
-					{
-						"id": 1,
-						"content": "<p>Premium CTA</p>",
-						"storage_condition_js": "this.storageManager.get('user_type') === 'premium'",
-						"has_storage_conditions": true,
-						"insertion_direction": "forward",
-						"insertion_position": 1,
-						"fallback_behavior": "skip"
-					},
-					{
-						"id": 2,
-						"content": "<p>Free CTA</p>",
-						"storage_condition_js": "true",
-						"has_storage_conditions": false,
-						"insertion_direction": "forward",
-						"insertion_position": 1,
-						"fallback_behavior": "skip"
-					}
-				]
-			}
-			</script>
-		`;
+	test('fails when the key is missing from storage', () => {
+		expect(
+			evaluator.evaluate([
+				{
+					key: 'missing',
+					operator: '!=',
+					value: 'x',
+					datatype: 'string',
+				},
+			])
+		).toBe(false);
+	});
 
-		initAutoInsert();
+	test('compares strings with = and !=', () => {
+		localStorage.setItem('plan', 'gold');
+
+		expect(
+			evaluator.evaluateCondition({
+				key: 'plan',
+				operator: '=',
+				value: 'gold',
+				datatype: 'string',
+			})
+		).toBe(true);
+		expect(
+			evaluator.evaluateCondition({
+				key: 'plan',
+				operator: '!=',
+				value: 'gold',
+				datatype: 'string',
+			})
+		).toBe(false);
+	});
 
-		const cta = document.querySelector('.cta-highlights-auto-inserted');
-		console.log('CTA text:', cta ? cta.textContent : 'null');
-		console.log(
-			'CTA fallback index:',
-			cta ? cta.getAttribute('data-fallback-index') : 'null'
-		);
-		console.log(
-			'localStorage user_type:',
-			localStorage.getItem('user_type')
-		);
-		expect(cta.textContent).toContain('Premium CTA');
-		expect(cta.getAttribute('data-fallback-index')).toBe('0');
+	test('compares numbers with every operator', () => {
+		localStorage.setItem('visits', '5');
+		const check = (operator, value) =>
+			evaluator.evaluateCondition({
+				key: 'visits',
+				operator,
+				value,
+				datatype: 'number',
+			});
+
+		expect(check('=', '5')).toBe(true);
+		expect(check('!=', 5)).toBe(false);
+		expect(check('>', 4)).toBe(true);
+		expect(check('<', 4)).toBe(false);
+		expect(check('>=', 5)).toBe(true);
+		expect(check('<=', 4)).toBe(false);
 	});
 
-	test('falls back to second CTA when first fails', () => {
-		localStorage.setItem('user_type', 'free');
+	test('fails numeric comparison for non-numeric values', () => {
+		localStorage.setItem('visits', 'lots');
+
+		expect(
+			evaluator.evaluateCondition({
+				key: 'visits',
+				operator: '>',
+				value: 1,
+				datatype: 'number',
+			})
+		).toBe(false);
+	});
 
-		document.body.innerHTML = `
-			<div class="entry-content"><p>P1</p></div>
-			<script type="application/json" id="cta-highlights-auto-insert-data">
-			{
-				"postId": 1,
-				"contentSelector": ".entry-content",
-				"ctas": [
-					{
-						"id": 1,
-						"content": "<p>Premium CTA</p>",
-						"storage_condition_js": "this.storageManager.get('user_type') === 'premium'",
-						"has_storage_conditions": true,
-						"insertion_direction": "forward",
-						"insertion_position": 1,
-						"fallback_behavior": "skip"
-					},
-					{
-						"id": 2,
-						"content": "<p>Free CTA</p>",
-						"storage_condition_js": "true",
+	test('coerces booleans from strings', () => {
+		localStorage.setItem('subscribed', '1');
+
+		expect(
+			evaluator.evaluateCondition({
+				key: 'subscribed',
+				operator: '=',
+				value: true,
+				datatype: 'boolean',
+			})
+		).toBe(true);
+		expect(
+			evaluator.evaluateCondition({
+				key: 'subscribed',
+				operator: '!=',
+				value: 'true',
+				datatype: 'boolean',
+			})
+		).toBe(false);
+	});
+
+	test('matches regex patterns and rejects invalid ones', () => {
+		localStorage.setItem('email', 'jane@example.com');
+
+		expect(
+			evaluator.evaluateCondition({
+				key: 'email',
+				operator: '=',
+				value: '@example\\.com$',
+				datatype: 'regex',
+			})
+		).toBe(true);
+		expect(
+			evaluator.evaluateCondition({
+				key: 'email',
+				operator: '=',
+				value: '(',
+				datatype: 'regex',
+			})
+		).toBe(false);
+	});
+
+	test('compares dates', () => {
+		localStorage.setItem('last_visit', '"2024-06-01"');
+
+		expect(
+			evaluator.evaluateCondition({
+				key: 'last_visit',
+				operator: '>',
+				value: '2024-01-01',
+				datatype: 'date',
+			})
+		).toBe(true);
+		expect(
+			evaluator.evaluateCondition({
+				key: 'last_visit',
+				operator: '<',
+				value: '2024-01-01',
+				datatype: 'date',
+			})
+		).toBe(false);
+	});
+
+	test('checks whether a key exists', () => {
+		localStorage.setItem('seen_offer', 'yes');
+		const check = (key, operator) =>
+			evaluator.evaluateCondition({
+				key,
+				operator,
+				value: '',
+				datatype: 'string',
+			});
+
+		expect(check('seen_offer', 'exists')).toBe(true);
+		expect(check('seen_offer', 'not_exists')).toBe(false);
+		expect(check('never_set_key', 'exists')).toBe(false);
+		expect(check('never_set_key', 'not_exists')).toBe(true);
+	});
+
+	test('matches substrings and string lists', () => {
+		localStorage.setItem('plan', 'gold-annual');
+		const check = (operator, value) =>
+			evaluator.evaluateCondition({
+				key: 'plan',
+				operator,
+				value,
+				datatype: 'string',
+			});
+
+		expect(check('contains', 'annual')).toBe(true);
+		expect(check('not_contains', 'annual')).toBe(false);
+		expect(check('starts_with', 'gold')).toBe(true);
+		expect(check('ends_with', 'gold')).toBe(false);
+		expect(check('in', ['silver', 'gold-annual'])).toBe(true);
+		expect(check('in', 'silver, gold-annual')).toBe(true);
+		expect(check('not_in', ['silver', 'gold-annual'])).toBe(false);
+	});
+
+	test('matches number lists and ranges', () => {
+		localStorage.setItem('visits', '5');
+		const check = (operator, value) =>
+			evaluator.evaluateCondition({
+				key: 'visits',
+				operator,
+				value,
+				datatype: 'number',
+			});
+
+		expect(check('in', [1, 5, 10])).toBe(true);
+		expect(check('not_in', '1, 5, 10')).toBe(false);
+		expect(check('between', [3, 7])).toBe(true);
+		expect(check('between', [5, 5])).toBe(true);
+		expect(check('between', [6, 9])).toBe(false);
+		expect(check('between', [3])).toBe(false);
+	});
+
+	test('matches date ranges and relative dates', () => {
+		const daysAgo = (days) =>
+			new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+		localStorage.setItem('last_visit', JSON.stringify(daysAgo(3)));
+		const check = (operator, value) =>
+			evaluator.evaluateCondition({
+				key: 'last_visit',
+				operator,
+				value,
+				datatype: 'date',
+			});
+
+		expect(check('within_last_days', 7)).toBe(true);
+		expect(check('within_last_days', 2)).toBe(false);
+		expect(check('more_than_days_ago', 2)).toBe(true);
+		expect(check('more_than_days_ago', 7)).toBe(false);
+		expect(check('between', [daysAgo(5), daysAgo(1)])).toBe(true);
+		expect(check('between', [daysAgo(10), daysAgo(5)])).toBe(false);
+	});
+
+	describe('condition sources', () => {
+		const check = (source, key, operator = 'exists', value = '') =>
+			evaluator.evaluateCondition({
+				source,
+				key,
+				operator,
+				value,
+				datatype: 'string',
+			});
+
+		afterEach(() => {
+			window.history.replaceState({}, '', '/');
+			delete document.referrer;
+			delete window.dataLayer;
+			delete window.memberTier;
+			document.body.innerHTML = '';
+		});
+
+		test('reads URL parameters', () => {
+			window.history.replaceState({}, '', '/?utm_campaign=spring-sale');
+
+			expect(
+				check('url_param', 'utm_campaign', 'starts_with', 'spring')
+			).toBe(true);
+			expect(check('url_param', 'utm_source', 'not_exists')).toBe(true);
+		});
+
+		test('reads the referrer URL, host and path', () => {
+			Object.defineProperty(document, 'referrer', {
+				value: 'https://www.google.com/search?q=cta',
+				configurable: true,
+			});
+
+			expect(check('referrer', 'url', 'contains', 'q=cta')).toBe(true);
+			expect(check('referrer', 'host', '=', 'www.google.com')).toBe(true);
+			expect(check('referrer', 'path', '=', '/search')).toBe(true);
+		});
+
+		test('treats direct visits as having no referrer', () => {
+			expect(check('referrer', 'url', 'not_exists')).toBe(true);
+		});
+
+		test('reads the latest dataLayer value for a path', () => {
+			window.dataLayer = [
+				{ user: { tier: 'free' } },
+				{ event: 'page_view' },
+				{ user: { tier: 'pro' } },
+			];
+
+			expect(check('datalayer', 'user.tier', '=', 'pro')).toBe(true);
+			expect(check('datalayer', 'user.id', 'exists')).toBe(false);
+		});
+
+		test('reads JavaScript globals but never calls functions', () => {
+			window.memberTier = 'gold';
+
+			expect(check('global', 'memberTier', '=', 'gold')).toBe(true);
+			expect(check('global', 'setTimeout', 'exists')).toBe(false);
+			expect(check('global', 'memberTier.constructor', 'exists')).toBe(
+				false
+			);
+		});
+
+		test('counts elements on the page', () => {
+			document.body.innerHTML =
+				'<form class="woocommerce-cart-form"></form>';
+
+			expect(check('dom', '.woocommerce-cart-form')).toBe(true);
+			expect(check('dom', '.checkout')).toBe(false);
+			expect(check('dom', '[[invalid')).toBe(false);
+			expect(
+				evaluator.evaluateCondition({
+					source: 'dom',
+					key: '.woocommerce-cart-form',
+					operator: '>=',
+					value: 1,
+					datatype: 'number',
+				})
+			).toBe(true);
+		});
+	});
+
+	test('reads values from cookies when not in localStorage', () => {
+		document.cookie = 'member_tier=pro;path=/';
+
+		expect(
+			evaluator.evaluate([
+				{
+					key: 'member_tier',
+					operator: '=',
+					value: 'pro',
+					datatype: 'string',
+				},
+			])
+		).toBe(true);
+	});
+
+	test('requires every condition to pass', () => {
+		localStorage.setItem('a', '1');
+		localStorage.setItem('b', '2');
+
+		expect(
+			evaluator.evaluate([
+				{ key: 'a', operator: '=', value: 1, datatype: 'number' },
+				{ key: 'b', operator: '=', value: 3, datatype: 'number' },
+			])
+		).toBe(false);
+	});
+
+	test('evaluates nested AND/OR groups', () => {
+		localStorage.setItem('is_member', 'false');
+		localStorage.setItem('trial_started', 'true');
+		localStorage.setItem('visits', '4');
+
+		const tree = {
+			type: 'group',
+			logic: 'and',
+			conditions: [
+				{
+					type: 'group',
+					logic: 'or',
+					conditions: [
+						{
+							key: 'is_member',
+							operator: '=',
+							value: true,
+							datatype: 'boolean',
+						},
+						{
+							key: 'trial_started',
+							operator: '=',
+							value: true,
+							datatype: 'boolean',
+						},
+					],
+				},
+				{ key: 'visits', operator: '>', value: 3, datatype: 'number' },
+			],
+		};
+
+		expect(evaluator.evaluate(tree)).toBe(true);
+
+		localStorage.setItem('trial_started', 'false');
+		expect(evaluator.evaluate(tree)).toBe(false);
+	});
+
+	test('passes empty groups and fails groups nested too deeply', () => {
+		localStorage.setItem('a', '1');
+
+		expect(
+			evaluator.evaluate({ type: 'group', logic: 'or', conditions: [] })
+		).toBe(true);
+
+		let tree = { key: 'a', operator: '=', value: 1, datatype: 'number' };
+		for (let i = 0; i < 6; i++) {
+			tree = { type: 'group', logic: 'and', conditions: [tree] };
+		}
+		expect(evaluator.evaluate(tree)).toBe(false);
+	});
+
+	test('never calls eval', () => {
+		const evalSpy = jest.spyOn(global, 'eval');
+		localStorage.setItem('plan', 'gold');
+
+		evaluator.evaluate([
+			{ key: 'plan', operator: '=', value: 'gold', datatype: 'string' },
+		]);
+
+		expect(evalSpy).not.toHaveBeenCalled();
+		expect(evaluator).toBeInstanceOf(ConditionEvaluator);
+	});
+});
+
+describe('Auto-Insert - Storage API', () => {
+	let storage;
+
+	beforeEach(() => {
+		global.resetAllMocks();
+		setupWordPressEnv();
+		storage = window.ctaHighlights.storage;
+	});
+
+	afterEach(() => {
+		jest.restoreAllMocks();
+		global.resetAllMocks();
+		resetWordPressEnv();
+	});
+
+	test('is exposed as window.ctaHighlights.storage', () => {
+		expect(storage).toBeInstanceOf(ConditionStorage);
+	});
+
+	test('writes values in the format conditions read', () => {
+		expect(storage.set('subscribed', true)).toBe(true);
+		storage.set('plan', { tier: 'gold' });
+
+		expect(localStorage.getItem('subscribed')).toBe('true');
+		expect(storage.get('plan')).toEqual({ tier: 'gold' });
+
+		const evaluator = new AutoInsertManager().conditionEvaluator;
+		expect(
+			evaluator.evaluate([
+				{
+					key: 'subscribed',
+					operator: '=',
+					value: true,
+					datatype: 'boolean',
+				},
+			])
+		).toBe(true);
+	});
+
+	test('expires values after the given number of seconds', () => {
+		const now = Date.now();
+		const nowSpy = jest.spyOn(Date, 'now').mockReturnValue(now);
+
+		storage.set('downloaded_ebook', 'yes', { expires: 60 });
+		expect(storage.get('downloaded_ebook')).toBe('yes');
+
+		nowSpy.mockReturnValue(now + 61 * 1000);
+		expect(storage.get('downloaded_ebook')).toBeNull();
+		expect(localStorage.getItem('downloaded_ebook')).toBeNull();
+	});
+
+	test('writes to session and cookie scopes', () => {
+		storage.set('tab_flag', 1, { scope: 'session' });
+		storage.set('server_flag', 'a b;c', { scope: 'cookie' });
+
+		expect(sessionStorage.getItem('tab_flag')).toBe('1');
+		expect(localStorage.getItem('server_flag')).toBeNull();
+		expect(storage.get('server_flag')).toBe('a b;c');
+	});
+
+	test('replaces copies of a key in other scopes', () => {
+		storage.set('plan', 'free');
+		storage.set('plan', 'pro', { scope: 'session' });
+
+		expect(localStorage.getItem('plan')).toBeNull();
+		expect(storage.get('plan')).toBe('pro');
+	});
+
+	test('falls back to cookies when localStorage is unavailable', () => {
+		global.__testLocalStorage.__setDisabled(true);
+
+		expect(storage.set('subscribed', true)).toBe(true);
+		expect(document.cookie).toContain('subscribed=true');
+		expect(storage.get('subscribed')).toBe(true);
+	});
+
+	test('removes values from every scope', () => {
+		storage.set('plan', 'pro', { scope: 'session' });
+		storage.remove('plan');
+
+		expect(storage.get('plan')).toBeNull();
+	});
+
+	test('increments numeric values', () => {
+		expect(storage.increment('ebooks')).toBe(1);
+		expect(storage.increment('ebooks', 2)).toBe(3);
+		expect(storage.get('ebooks')).toBe(3);
+
+		storage.set('label', 'text');
+		expect(storage.increment('label')).toBe(1);
+	});
+
+	test('rejects invalid keys and undefined values', () => {
+		expect(storage.set('', 'x')).toBe(false);
+		expect(storage.set('key', undefined)).toBe(false);
+	});
+
+	test('reads localStorage, then sessionStorage, then cookies', () => {
+		document.cookie = 'source=cookie; path=/';
+		expect(storage.get('source')).toBe('cookie');
+
+		sessionStorage.setItem('source', 'session');
+		expect(storage.get('source')).toBe('session');
+
+		localStorage.setItem('source', 'local');
+		expect(storage.get('source')).toBe('local');
+
+		document.cookie =
+			'source=; expires=Thu, 01 Jan 1970 00:00:00 GMT; path=/';
+	});
+
+	test('treats an empty stored value as set', () => {
+		localStorage.setItem('newsletter', '');
+		sessionStorage.setItem('newsletter', 'session');
+
+		const evaluator = new AutoInsertManager().conditionEvaluator;
+		const check = (operator) =>
+			evaluator.evaluate([
+				{ key: 'newsletter', operator, value: '', datatype: 'string' },
+			]);
+
+		expect(storage.get('newsletter')).toBe('');
+		expect(check('exists')).toBe(true);
+		expect(check('not_exists')).toBe(false);
+	});
+});
+
+describe('Auto-Insert - Visit Metrics', () => {
+	const MINUTE = 60 * 1000;
+	const DAY = 24 * 60 * MINUTE;
+	let storage;
+	let nowSpy;
+	let now;
+
+	const pageview = (offset) => {
+		nowSpy.mockReturnValue(now + offset);
+		new VisitTracker(storage).track();
+	};
+
+	beforeEach(() => {
+		global.resetAllMocks();
+		setupWordPressEnv();
+		storage = new ConditionStorage();
+		now = Date.parse('2025-03-01T10:00:00Z');
+		nowSpy = jest.spyOn(Date, 'now');
+	});
+
+	afterEach(() => {
+		jest.restoreAllMocks();
+		global.resetAllMocks();
+		resetWordPressEnv();
+	});
+
+	test('records a first visit', () => {
+		pageview(0);
+
+		expect(storage.get(METRIC_KEYS.visits)).toBe(1);
+		expect(storage.get(METRIC_KEYS.pageviews)).toBe(1);
+		expect(storage.get(METRIC_KEYS.sessionPageviews)).toBe(1);
+		expect(storage.get(METRIC_KEYS.firstSeen)).toBe(
+			'2025-03-01T10:00:00.000Z'
+		);
+		expect(storage.get(METRIC_KEYS.returning)).toBe(false);
+		expect(storage.get(METRIC_KEYS.lastSeen)).toBeNull();
+		expect(storage.get(METRIC_KEYS.daysSinceLastVisit)).toBeNull();
+	});
+
+	test('counts pageviews within the same visit', () => {
+		pageview(0);
+		pageview(10 * MINUTE);
+		pageview(35 * MINUTE);
+
+		expect(storage.get(METRIC_KEYS.visits)).toBe(1);
+		expect(storage.get(METRIC_KEYS.pageviews)).toBe(3);
+		expect(storage.get(METRIC_KEYS.sessionPageviews)).toBe(3);
+	});
+
+	test('starts a new visit after 30 minutes of inactivity', () => {
+		pageview(0);
+		pageview(5 * MINUTE);
+		pageview(3 * DAY);
+
+		expect(storage.get(METRIC_KEYS.visits)).toBe(2);
+		expect(storage.get(METRIC_KEYS.pageviews)).toBe(3);
+		expect(storage.get(METRIC_KEYS.sessionPageviews)).toBe(1);
+		expect(storage.get(METRIC_KEYS.returning)).toBe(true);
+		expect(storage.get(METRIC_KEYS.daysSinceLastVisit)).toBe(2);
+		expect(storage.get(METRIC_KEYS.lastSeen)).toBe(
+			'2025-03-01T10:05:00.000Z'
+		);
+		expect(storage.get(METRIC_KEYS.firstSeen)).toBe(
+			'2025-03-01T10:00:00.000Z'
+		);
+	});
+
+	test('supports "3rd pageview of a returning visitor" conditions', () => {
+		pageview(0);
+		pageview(DAY);
+		pageview(DAY + MINUTE);
+		pageview(DAY + 2 * MINUTE);
+
+		const evaluator = new AutoInsertManager().conditionEvaluator;
+		expect(
+			evaluator.evaluate([
+				{
+					key: METRIC_KEYS.returning,
+					operator: '=',
+					value: true,
+					datatype: 'boolean',
+				},
+				{
+					key: METRIC_KEYS.sessionPageviews,
+					operator: '=',
+					value: 3,
+					datatype: 'number',
+				},
+			])
+		).toBe(true);
+	});
+
+	test('counts pageviews on pages without auto-insert data', () => {
+		nowSpy.mockReturnValue(now);
+		document.body.innerHTML =
+			'<main><article><p>Archive</p></article></main>';
+
+		window.ctaHighlights.refresh();
+		window.ctaHighlights.refresh();
+
+		expect(storage.get(METRIC_KEYS.pageviews)).toBe(2);
+		expect(storage.get(METRIC_KEYS.sessionPageviews)).toBe(2);
+	});
+});
+
+describe('Auto-Insert - Interest History', () => {
+	let tracker;
+
+	const view = (postId, categories = [], tags = [], extra = {}) =>
+		tracker.record({ postId, categories, tags, ...extra });
+
+	beforeEach(() => {
+		global.resetAllMocks();
+		setupWordPressEnv();
+		tracker = new InterestTracker(new ConditionStorage());
+	});
+
+	afterEach(() => {
+		jest.restoreAllMocks();
+		global.resetAllMocks();
+		resetWordPressEnv();
+		document.body.innerHTML = '';
+	});
+
+	test('records the page context from the footer JSON', () => {
+		document.body.innerHTML = `
+			<script type="application/json" id="cta-highlights-page-context">
+				{"postId": 42, "categories": ["photography"], "tags": ["lenses"], "historySize": 50, "historyDays": 90}
+			</script>
+		`;
+
+		tracker.track();
+
+		expect(tracker.getHistory()).toEqual([
+			expect.objectContaining({
+				id: 42,
+				categories: ['photography'],
+				tags: ['lenses'],
+				views: 1,
+			}),
+		]);
+	});
+
+	test('counts distinct posts per category and tag', () => {
+		view(1, ['photography'], ['lenses']);
+		view(2, ['photography']);
+		view(1, ['photography'], ['lenses']);
+		view(3, ['news'], ['lenses']);
+
+		expect(tracker.resolve('category:photography')).toBe(2);
+		expect(tracker.resolve('tag:lenses')).toBe(2);
+		expect(tracker.resolve('category:recipes')).toBeNull();
+		expect(tracker.resolve('post:1')).toBe(2);
+		expect(tracker.resolve('post:99')).toBeNull();
+		expect(tracker.resolve('bogus')).toBeNull();
+	});
+
+	test('keeps the history bounded', () => {
+		for (let id = 1; id <= 5; id++) {
+			view(id, ['photography'], [], { historySize: 3 });
+		}
+
+		expect(tracker.getHistory().map((entry) => entry.id)).toEqual([
+			5, 4, 3,
+		]);
+	});
+
+	test('drops entries older than the history window', () => {
+		const now = Date.now();
+		const nowSpy = jest.spyOn(Date, 'now').mockReturnValue(now);
+		view(1, ['photography'], [], { historyDays: 30 });
+
+		nowSpy.mockReturnValue(now + 31 * 24 * 60 * 60 * 1000);
+		view(2, ['photography'], [], { historyDays: 30 });
+
+		expect(tracker.resolve('category:photography')).toBe(1);
+	});
+
+	test('evaluates interest conditions', () => {
+		view(1, ['photography']);
+		view(2, ['photography']);
+		view(3, ['photography']);
+		view(10);
+
+		const evaluator = new AutoInsertManager().conditionEvaluator;
+		const check = (key, operator, value) =>
+			evaluator.evaluateCondition({
+				source: 'interest',
+				key,
+				operator,
+				value,
+				datatype: 'number',
+			});
+
+		expect(check('category:photography', '>=', 3)).toBe(true);
+		expect(check('post:10', 'exists', '')).toBe(true);
+		expect(check('post:11', 'not_exists', '')).toBe(true);
+	});
+});
+
+describe('Auto-Insert - Campaign Attribution', () => {
+	let storage;
+
+	const visit = (url, referrer = '', config = {}) => {
+		window.history.replaceState({}, '', url);
+		Object.defineProperty(document, 'referrer', {
+			value: referrer,
+			configurable: true,
+		});
+		new AttributionTracker(storage, config).track();
+	};
+
+	beforeEach(() => {
+		global.resetAllMocks();
+		setupWordPressEnv();
+		storage = new ConditionStorage();
+	});
+
+	afterEach(() => {
+		jest.restoreAllMocks();
+		global.resetAllMocks();
+		resetWordPressEnv();
+		window.history.replaceState({}, '', '/');
+		delete document.referrer;
+	});
+
+	test('captures UTM parameters, referrer domain and landing page', () => {
+		visit(
+			'/offer?utm_source=newsletter&utm_campaign=spring-sale',
+			'https://mail.example.net/inbox'
+		);
+
+		expect(storage.get('cta_hl_utm_source')).toBe('newsletter');
+		expect(storage.get('cta_hl_utm_campaign')).toBe('spring-sale');
+		expect(storage.get('cta_hl_utm_medium')).toBeNull();
+		expect(storage.get('cta_hl_referrer_domain')).toBe('mail.example.net');
+		expect(storage.get('cta_hl_landing_page')).toBe(
+			'http://localhost/offer?utm_source=newsletter&utm_campaign=spring-sale'
+		);
+	});
+
+	test('ignores direct and internal visits', () => {
+		visit('/about');
+		visit('/pricing', 'http://localhost/about');
+
+		expect(storage.get('cta_hl_landing_page')).toBeNull();
+		expect(storage.get('cta_hl_referrer_domain')).toBeNull();
+	});
+
+	test('keeps the first touch by default', () => {
+		visit('/?utm_campaign=spring-sale');
+		visit('/?utm_campaign=summer-sale');
+
+		expect(storage.get('cta_hl_utm_campaign')).toBe('spring-sale');
+	});
+
+	test('replaces last-touch fields on every touch', () => {
+		const config = {
+			modes: { utm_campaign: 'last', utm_term: 'last' },
+		};
+		visit('/?utm_campaign=spring-sale&utm_term=cameras', '', config);
+		visit('/?utm_campaign=summer-sale', '', config);
+
+		expect(storage.get('cta_hl_utm_campaign')).toBe('summer-sale');
+		expect(storage.get('cta_hl_utm_term')).toBeNull();
+	});
+
+	test('forgets touches after the attribution window', () => {
+		const now = Date.now();
+		const nowSpy = jest.spyOn(Date, 'now').mockReturnValue(now);
+		visit('/?utm_campaign=spring-sale', '', { windowDays: 7 });
+
+		nowSpy.mockReturnValue(now + 6 * 24 * 60 * 60 * 1000);
+		expect(storage.get('cta_hl_utm_campaign')).toBe('spring-sale');
+
+		nowSpy.mockReturnValue(now + 8 * 24 * 60 * 60 * 1000);
+		expect(storage.get('cta_hl_utm_campaign')).toBeNull();
+	});
+
+	test('lets later pageviews target the campaign', () => {
+		visit('/?utm_campaign=spring-sale');
+		visit('/another-post');
+
+		const evaluator = new AutoInsertManager().conditionEvaluator;
+		expect(
+			evaluator.evaluate([
+				{
+					key: 'cta_hl_utm_campaign',
+					operator: '=',
+					value: 'spring-sale',
+					datatype: 'string',
+				},
+			])
+		).toBe(true);
+	});
+});
+
+describe('Auto-Insert - Content Readiness', () => {
+	const DATA = `<script type="application/json" id="cta-highlights-auto-insert-data">{ "contentSelector": ".entry-content", "ctas": [] }</script>`;
+
+	let callback;
+	let watcher;
+
+	const watch = (options = {}) => {
+		watcher = new ContentReadyWatcher(new AutoInsertManager(), options);
+		watcher.wait(callback);
+	};
+
+	beforeEach(() => {
+		jest.useFakeTimers();
+		setupWordPressEnv();
+		callback = jest.fn();
+	});
+
+	afterEach(() => {
+		jest.useRealTimers();
+		resetWordPressEnv();
+	});
+
+	test('starts right away when the content is already rendered', () => {
+		document.body.innerHTML = `<div class="entry-content"><p>P1</p></div>${DATA}`;
+		watch();
+
+		expect(callback).toHaveBeenCalledWith('content already rendered');
+	});
+
+	test('waits for the content container to settle', () => {
+		document.body.innerHTML = `<div class="entry-content"></div>${DATA}`;
+		watch({ settleTime: 100 });
+
+		jest.advanceTimersByTime(100);
+		expect(callback).not.toHaveBeenCalled();
+
+		// Content rendered by JavaScript
+		document.querySelector('.entry-content').innerHTML = '<p>P1</p>';
+		watcher.observer.callback([]);
+		jest.advanceTimersByTime(99);
+		expect(callback).not.toHaveBeenCalled();
+
+		jest.advanceTimersByTime(1);
+		expect(callback).toHaveBeenCalledWith('content settled');
+	});
+
+	test('starts on a page builder ready event', () => {
+		document.body.innerHTML = `<div class="entry-content"><div class="elementor"><p>P1</p></div></div>${DATA}`;
+		watch();
+
+		expect(callback).not.toHaveBeenCalled();
+
+		window.dispatchEvent(new Event('elementor/frontend/init'));
+		expect(callback).toHaveBeenCalledWith('elementor/frontend/init event');
+
+		// Other signals no longer fire
+		jest.advanceTimersByTime(5000);
+		expect(callback).toHaveBeenCalledTimes(1);
+	});
+
+	test('gives up waiting after the maximum wait', () => {
+		document.body.innerHTML = `<div class="entry-content"></div>${DATA}`;
+		watch({ maxWait: 500 });
+
+		jest.advanceTimersByTime(500);
+		expect(callback).toHaveBeenCalledWith('maximum wait of 500ms reached');
+	});
+
+	test('does not wait when there is nothing to insert', () => {
+		document.body.innerHTML = '<div class="elementor"></div>';
+		watch();
+
+		expect(callback).toHaveBeenCalledWith('no auto-insert data');
+	});
+});
+
+describe('Auto-Insert - Re-insertion', () => {
+	const PARAGRAPHS = '<p>P1</p><p>P2</p><p>P3</p><p>P4</p>';
+
+	const setup = () => {
+		document.body.innerHTML = `
+			<div class="entry-content">${PARAGRAPHS}</div>
+			<script type="application/json" id="cta-highlights-auto-insert-data">
+			{
+				"postId": 1,
+				"contentSelector": ".entry-content",
+				"ctas": [{ "id": 7, "content": "<p>CTA</p>", "storage_conditions": [], "has_storage_conditions": false, "insertion_direction": "forward", "insertion_position": 2, "fallback_behavior": "skip" }]
+			}
+			</script>
+		`;
+
+		return initAutoInsert();
+	};
+
+	const rerender = () => {
+		document.querySelector('.entry-content').innerHTML = PARAGRAPHS;
+	};
+
+	const contentOrder = () =>
+		Array.from(document.querySelector('.entry-content').children).map(
+			(el) =>
+				el.dataset.ctaId ? `CTA #${el.dataset.ctaId}` : el.textContent
+		);
+
+	beforeEach(() => {
+		setupWordPressEnv();
+	});
+
+	afterEach(() => {
+		delete window.ctaAutoInsertConfig;
+		localStorage.clear();
+		resetWordPressEnv();
+	});
+
+	test('puts the same CTA back at the same position after a re-render', () => {
+		const manager = setup();
+		const wrapper = document.querySelector('.cta-highlights-auto-inserted');
+
+		rerender();
+		expect(document.body.contains(wrapper)).toBe(false);
+
+		manager.checkInsertions();
+
+		expect(contentOrder()).toEqual(['P1', 'P2', 'CTA #7', 'P3', 'P4']);
+		expect(document.querySelector('.cta-highlights-auto-inserted')).toBe(
+			wrapper
+		);
+		expect(manager.impressions.getRecord(7).total).toBe(1);
+	});
+
+	test('finds a replaced content container', () => {
+		const manager = setup();
+
+		document.querySelector('.entry-content').outerHTML =
+			`<div class="entry-content">${PARAGRAPHS}</div>`;
+		manager.checkInsertions();
+
+		expect(contentOrder()).toEqual(['P1', 'P2', 'CTA #7', 'P3', 'P4']);
+	});
+
+	test('checks after DOM changes', () => {
+		jest.useFakeTimers();
+		const manager = setup();
+
+		rerender();
+		manager.insertionObserver.callback([]);
+		jest.runOnlyPendingTimers();
+		jest.useRealTimers();
+
+		expect(contentOrder()).toContain('CTA #7');
+	});
+
+	test('gives up after the maximum number of attempts', () => {
+		window.ctaAutoInsertConfig = { maxReinsertions: 2 };
+		const manager = setup();
+
+		for (let attempt = 0; attempt < 3; attempt++) {
+			rerender();
+			manager.checkInsertions();
+		}
+
+		expect(contentOrder()).not.toContain('CTA #7');
+		expect(manager.insertions).toHaveLength(0);
+		expect(manager.insertionObserver).toBeNull();
+	});
+
+	test('does not watch when re-insertion is turned off', () => {
+		window.ctaAutoInsertConfig = { maxReinsertions: 0 };
+		const manager = setup();
+
+		expect(manager.insertions).toHaveLength(0);
+		expect(manager.insertionObserver).toBeNull();
+	});
+});
+
+describe('Auto-Insert - Infinite Scroll', () => {
+	const payload = (postId, ctas) => ({
+		postId,
+		contentSelector: '.entry-content',
+		chains: [
+			{
+				ctas: ctas.map((cta) => ({
+					content: `<p>CTA ${cta.id}</p>`,
+					storage_conditions: [],
+					has_storage_conditions: false,
+					insertion_direction: 'forward',
+					insertion_position: 1,
+					fallback_behavior: 'skip',
+					...cta,
+				})),
+			},
+		],
+	});
+
+	const article = (postId, data = null) => {
+		const element = document.createElement('article');
+		element.id = `post-${postId}`;
+		element.innerHTML = `<div class="entry-content"><p>P1</p><p>P2</p>${
+			data
+				? `<script type="application/json" class="cta-highlights-auto-insert-data" data-post-id="${postId}">${JSON.stringify(data)}</script>`
+				: ''
+		}</div>`;
+		document.body.appendChild(element);
+		return element;
+	};
+
+	const ctaIn = (element) => {
+		const cta = element.querySelector('.cta-highlights-auto-inserted');
+		return cta ? cta.getAttribute('data-cta-id') : null;
+	};
+
+	beforeEach(() => {
+		document.body.innerHTML = '';
+		global.resetAllMocks();
+		setupWordPressEnv();
+	});
+
+	afterEach(() => {
+		localStorage.clear();
+		resetWordPressEnv();
+	});
+
+	test('processes an article container with its own data', () => {
+		const manager = initAutoInsert();
+		const second = article(2);
+
+		manager.processContainer(second, payload(2, [{ id: 5 }]));
+
+		expect(ctaIn(second)).toBe('5');
+	});
+
+	test('processes articles appended with a payload script', () => {
+		const manager = initAutoInsert();
+		const second = article(2, payload(2, [{ id: 5 }]));
+
+		manager.articleObserver.callback([{ addedNodes: [second] }]);
+
+		expect(ctaIn(second)).toBe('5');
+	});
+
+	test('processes article payloads already on the page', () => {
+		const first = article(1, payload(1, [{ id: 5 }]));
+		initAutoInsert();
+
+		expect(ctaIn(first)).toBe('5');
+	});
+
+	test('finds registered data by post ID', () => {
+		const manager = initAutoInsert();
+		manager.processContainer(article(2), payload(2, [{ id: 5 }]));
+
+		// The same post rendered again elsewhere
+		document.body.innerHTML = '';
+		const again = article(2);
+		manager.processContainer(again);
+
+		expect(ctaIn(again)).toBe('5');
+	});
+
+	test('never fills the same article twice', () => {
+		const manager = initAutoInsert();
+		const second = article(2);
+
+		manager.processContainer(second, payload(2, [{ id: 5 }]));
+		manager.processContainer(second, payload(2, [{ id: 5 }]));
+
+		expect(
+			second.querySelectorAll('.cta-highlights-auto-inserted')
+		).toHaveLength(1);
+	});
+
+	test('applies frequency caps across articles', () => {
+		const manager = initAutoInsert();
+		const ctas = [{ id: 5, frequency_cap: { total: 1 } }, { id: 6 }];
+		const first = article(1);
+		const second = article(2);
+
+		manager.processContainer(first, payload(1, ctas));
+		manager.processContainer(second, payload(2, ctas));
+
+		expect(ctaIn(first)).toBe('5');
+		expect(ctaIn(second)).toBe('6');
+	});
+});
+
+describe('Auto-Insert - SPA Navigation', () => {
+	const page = (postId, ctaId) => {
+		document.body.innerHTML = `
+			<div class="entry-content"><p>P1</p><p>P2</p></div>
+			<script type="application/json" id="cta-highlights-auto-insert-data">
+			{
+				"postId": ${postId},
+				"contentSelector": ".entry-content",
+				"ctas": [{ "id": ${ctaId}, "content": "<p>CTA</p>", "storage_conditions": [], "has_storage_conditions": false, "insertion_direction": "forward", "insertion_position": 1, "fallback_behavior": "skip" }]
+			}
+			</script>
+		`;
+	};
+
+	const insertedIds = () =>
+		Array.from(
+			document.querySelectorAll('.cta-highlights-auto-inserted')
+		).map((el) => el.getAttribute('data-cta-id'));
+
+	beforeEach(() => {
+		global.resetAllMocks();
+		setupWordPressEnv();
+	});
+
+	afterEach(() => {
+		window.history.replaceState(null, '', '/');
+		localStorage.clear();
+		resetWordPressEnv();
+	});
+
+	test('destroy removes inserted CTAs and stops watching', () => {
+		page(1, 5);
+		const manager = initAutoInsert();
+		const disconnect = jest.spyOn(manager.insertionObserver, 'disconnect');
+
+		manager.destroy();
+
+		expect(insertedIds()).toEqual([]);
+		expect(disconnect).toHaveBeenCalled();
+		expect(manager.insertionObserver).toBeNull();
+		expect(manager.articleObserver).toBeNull();
+		expect(manager.insertions).toHaveLength(0);
+	});
+
+	test('destroy can be called twice', () => {
+		page(1, 5);
+		const manager = initAutoInsert();
+
+		manager.destroy();
+
+		expect(() => manager.destroy()).not.toThrow();
+	});
+
+	test('refresh inserts the CTAs of the new page', () => {
+		page(1, 5);
+		window.ctaHighlights.refresh();
+		const previous = window.ctaAutoInsertManager;
+
+		page(2, 6);
+		window.ctaHighlights.refresh();
+
+		expect(insertedIds()).toEqual(['6']);
+		expect(window.ctaAutoInsertManager).not.toBe(previous);
+		expect(previous.insertionObserver).toBeNull();
+	});
+
+	test('refreshes after a navigation event with a new URL', () => {
+		page(1, 5);
+		window.ctaHighlights.refresh();
+
+		page(2, 6);
+		window.history.pushState(null, '', '/second-post/');
+		document.dispatchEvent(new Event('swup:contentReplaced'));
+
+		expect(insertedIds()).toEqual(['6']);
+	});
+
+	test('ignores navigation events without a URL change', () => {
+		page(1, 5);
+		document.dispatchEvent(new Event('turbo:load'));
+		const manager = window.ctaAutoInsertManager;
+
+		document.dispatchEvent(new Event('turbo:load'));
+
+		expect(manager).not.toBeNull();
+		expect(window.ctaAutoInsertManager).toBe(manager);
+		expect(insertedIds()).toEqual(['5']);
+	});
+
+	test('tears down before the page is cached', () => {
+		page(1, 5);
+		window.ctaHighlights.refresh();
+
+		document.dispatchEvent(new Event('turbo:before-cache'));
+
+		expect(insertedIds()).toEqual([]);
+		expect(window.ctaAutoInsertManager).toBeNull();
+	});
+});
+
+describe('Auto-Insert - Frequency Capping', () => {
+	let storage;
+	let tracker;
+
+	const renderChain = (ctas) => {
+		document.body.innerHTML = `
+			<div class="entry-content"><p>P1</p><p>P2</p></div>
+			<script type="application/json" id="cta-highlights-auto-insert-data">
+			${JSON.stringify({
+				postId: 1,
+				contentSelector: '.entry-content',
+				ctas: ctas.map((cta) => ({
+					content: `<p>CTA ${cta.id} <a href="#">Go</a></p>`,
+					storage_conditions: [],
+					has_storage_conditions: false,
+					insertion_direction: 'forward',
+					insertion_position: 1,
+					fallback_behavior: 'skip',
+					...cta,
+				})),
+			})}
+			</script>
+		`;
+	};
+
+	beforeEach(() => {
+		global.resetAllMocks();
+		setupWordPressEnv();
+		storage = new ConditionStorage();
+		tracker = new ImpressionTracker(storage);
+	});
+
+	afterEach(() => {
+		jest.restoreAllMocks();
+		global.resetAllMocks();
+		resetWordPressEnv();
+	});
+
+	test('caps impressions per session', () => {
+		storage.set(METRIC_KEYS.visits, 1);
+		tracker.recordImpression(7);
+		expect(tracker.getCapReason(7, { session: 2 })).toBeNull();
+
+		tracker.recordImpression(7);
+		expect(tracker.getCapReason(7, { session: 2 })).toBe('session');
+
+		// A new visit starts a new session
+		storage.set(METRIC_KEYS.visits, 2);
+		expect(tracker.getCapReason(7, { session: 2 })).toBeNull();
+	});
+
+	test('caps impressions per day and lifetime', () => {
+		const now = new Date(2024, 0, 15, 12).getTime();
+		const tomorrow = now + 24 * 60 * 60 * 1000;
+
+		tracker.recordImpression(7, now);
+		tracker.recordImpression(7, now);
+
+		expect(tracker.getCapReason(7, { day: 2 }, now)).toBe('day');
+		expect(tracker.getCapReason(7, { day: 2 }, tomorrow)).toBeNull();
+
+		tracker.recordImpression(7, tomorrow);
+		expect(tracker.getCapReason(7, { total: 3 }, tomorrow)).toBe('total');
+	});
+
+	test('enforces the minimum gap between impressions', () => {
+		const now = Date.now();
+		tracker.recordImpression(7, now);
+
+		expect(tracker.getCapReason(7, { min_gap: 600 }, now + 300000)).toBe(
+			'min_gap'
+		);
+		expect(
+			tracker.getCapReason(7, { min_gap: 600 }, now + 600000)
+		).toBeNull();
+	});
+
+	test('stops after the visitor clicks the CTA', () => {
+		renderChain([{ id: 7, frequency_cap: { stop_after_click: true } }]);
+		initAutoInsert();
+
+		expect(tracker.getCapReason(7, { stop_after_click: true })).toBeNull();
+
+		document.querySelector('.cta-highlights-auto-inserted a').click();
+		expect(tracker.getCapReason(7, { stop_after_click: true })).toBe(
+			'stop_after_click'
+		);
+	});
+
+	test('counts an impression when a CTA is inserted', () => {
+		renderChain([{ id: 7 }]);
+		initAutoInsert();
+
+		expect(tracker.getRecord(7).total).toBe(1);
+	});
+
+	test('moves on to the next CTA when a CTA is capped', () => {
+		tracker.recordImpression(1);
+		renderChain([{ id: 1, frequency_cap: { total: 1 } }, { id: 2 }]);
+		initAutoInsert();
+
+		const cta = document.querySelector('.cta-highlights-auto-inserted');
+		expect(cta.getAttribute('data-cta-id')).toBe('2');
+		expect(cta.getAttribute('data-fallback-index')).toBe('1');
+	});
+
+	test('does not use a capped last CTA as the ultimate fallback', () => {
+		tracker.recordImpression(2);
+		renderChain([
+			{
+				id: 1,
+				storage_conditions: [
+					{
+						key: 'never_set_key',
+						operator: '=',
+						value: '1',
+						datatype: 'string',
+					},
+				],
+				has_storage_conditions: true,
+			},
+			{ id: 2, frequency_cap: { total: 1 } },
+		]);
+		initAutoInsert();
+
+		expect(
+			document.querySelector('.cta-highlights-auto-inserted')
+		).toBeNull();
+	});
+});
+
+describe('Auto-Insert - Fallback Chain Logic', () => {
+	beforeEach(() => {
+		localStorage.clear();
+		setupWordPressEnv();
+	});
+
+	afterEach(() => {
+		localStorage.clear();
+		resetWordPressEnv();
+	});
+
+	test('selects first CTA when condition passes', () => {
+		localStorage.setItem('user_type', 'premium');
+		console.log(
+			'After setItem, localStorage.getItem:',
+			localStorage.getItem('user_type')
+		);
+		console.log(
+			'localStorage === global.localStorage:',
+			localStorage === global.localStorage
+		);
+		console.log(
+			'localStorage === window.localStorage:',
+			localStorage === window.localStorage
+		);
+		console.log('localStorage.store:', localStorage.store);
+
+		document.body.innerHTML = `
+			<div class="entry-content"><p>P1</p></div>
+			<script type="application/json" id="cta-highlights-auto-insert-data">
+			{
+				"postId": 1,
+				"contentSelector": ".entry-content",
+				"ctas": [
+					{
+						"id": 1,
+						"content": "<p>Premium CTA</p>",
+						"storage_conditions": [{ "key": "user_type", "operator": "=", "value": "premium", "datatype": "string" }],
+						"has_storage_conditions": true,
+						"insertion_direction": "forward",
+						"insertion_position": 1,
+						"fallback_behavior": "skip"
+					},
+					{
+						"id": 2,
+						"content": "<p>Free CTA</p>",
+						"storage_conditions": [],
+						"has_storage_conditions": false,
+						"insertion_direction": "forward",
+						"insertion_position": 1,
+						"fallback_behavior": "skip"
+					}
+				]
+			}
+			</script>
+		`;
+
+		initAutoInsert();
+
+		const cta = document.querySelector('.cta-highlights-auto-inserted');
+		console.log('CTA text:', cta ? cta.textContent : 'null');
+		console.log(
+			'CTA fallback index:',
+			cta ? cta.getAttribute('data-fallback-index') : 'null'
+		);
+		console.log(
+			'localStorage user_type:',
+			localStorage.getItem('user_type')
+		);
+		expect(cta.textContent).toContain('Premium CTA');
+		expect(cta.getAttribute('data-fallback-index')).toBe('0');
+	});
+
+	test('falls back to second CTA when first fails', () => {
+		localStorage.setItem('user_type', 'free');
+
+		document.body.innerHTML = `
+			<div class="entry-content"><p>P1</p></div>
+			<script type="application/json" id="cta-highlights-auto-insert-data">
+			{
+				"postId": 1,
+				"contentSelector": ".entry-content",
+				"ctas": [
+					{
+						"id": 1,
+						"content": "<p>Premium CTA</p>",
+						"storage_conditions": [{ "key": "user_type", "operator": "=", "value": "premium", "datatype": "string" }],
+						"has_storage_conditions": true,
+						"insertion_direction": "forward",
+						"insertion_position": 1,
+						"fallback_behavior": "skip"
+					},
+					{
+						"id": 2,
+						"content": "<p>Free CTA</p>",
+						"storage_conditions": [],
 						"has_storage_conditions": false,
 						"insertion_direction": "forward",
 						"insertion_position": 1,
@@ -582,7 +2453,7 @@ describe('Auto-Insert - Fallback Chain Logic', () => {
 					{
 						"id": 1,
 						"content": "<p>Conditional CTA</p>",
-						"storage_condition_js": "false",
+						"storage_conditions": [{ "key": "never_set_key", "operator": "=", "value": "1", "datatype": "string" }],
 						"has_storage_conditions": true,
 						"insertion_direction": "forward",
 						"insertion_position": 1,
@@ -591,7 +2462,7 @@ describe('Auto-Insert - Fallback Chain Logic', () => {
 					{
 						"id": 2,
 						"content": "<p>Default CTA</p>",
-						"storage_condition_js": "true",
+						"storage_conditions": [],
 						"has_storage_conditions": false,
 						"insertion_direction": "forward",
 						"insertion_position": 1,
@@ -607,6 +2478,224 @@ describe('Auto-Insert - Fallback Chain Logic', () => {
 		const cta = document.querySelector('.cta-highlights-auto-inserted');
 		expect(cta.textContent).toContain('Default CTA');
 	});
+
+	describe('when no CTA matches', () => {
+		const renderUnmatchedChain = (noMatch) => {
+			const condition = {
+				key: 'never_set_key',
+				operator: '=',
+				value: '1',
+				datatype: 'string',
+			};
+			const makeCTA = (id) => ({
+				id,
+				content: `<p>CTA ${id}</p>`,
+				storage_conditions: [condition],
+				has_storage_conditions: true,
+				insertion_direction: 'forward',
+				insertion_position: 1,
+				fallback_behavior: 'skip',
+			});
+
+			document.body.innerHTML = `
+				<div class="entry-content"><p>P1</p></div>
+				<script type="application/json" id="cta-highlights-auto-insert-data">
+				${JSON.stringify({
+					postId: 1,
+					contentSelector: '.entry-content',
+					ctas: [makeCTA(1), makeCTA(2)],
+					noMatch: {
+						...noMatch,
+						cta: noMatch.cta
+							? {
+									...makeCTA(noMatch.cta),
+									storage_conditions: [],
+									has_storage_conditions: false,
+								}
+							: null,
+					},
+				})}
+				</script>
+			`;
+		};
+
+		test('uses the last CTA by default', () => {
+			renderUnmatchedChain({ behavior: 'last' });
+			initAutoInsert();
+
+			const cta = document.querySelector('.cta-highlights-auto-inserted');
+			expect(cta.getAttribute('data-cta-id')).toBe('2');
+		});
+
+		test('shows nothing when configured to', () => {
+			renderUnmatchedChain({ behavior: 'none' });
+			initAutoInsert();
+
+			expect(
+				document.querySelector('.cta-highlights-auto-inserted')
+			).toBeNull();
+		});
+
+		test('shows the configured no-match CTA', () => {
+			renderUnmatchedChain({ behavior: 'cta', cta: 9 });
+			initAutoInsert();
+
+			const cta = document.querySelector('.cta-highlights-auto-inserted');
+			expect(cta.getAttribute('data-cta-id')).toBe('9');
+			expect(cta.getAttribute('data-fallback-index')).toBe('2');
+		});
+
+		test('shows nothing when the no-match CTA is missing', () => {
+			renderUnmatchedChain({ behavior: 'cta' });
+			initAutoInsert();
+
+			expect(
+				document.querySelector('.cta-highlights-auto-inserted')
+			).toBeNull();
+		});
+	});
+});
+
+describe('Auto-Insert - Multiple Slots', () => {
+	const makeCTA = (id, settings = {}) => ({
+		id,
+		content: `<p>CTA ${id}</p>`,
+		storage_conditions: [],
+		has_storage_conditions: false,
+		insertion_direction: 'forward',
+		insertion_position: 1,
+		fallback_behavior: 'skip',
+		...settings,
+	});
+
+	const renderChains = (chains, paragraphs = 10) => {
+		const content = Array.from(
+			{ length: paragraphs },
+			(_, i) => `<p>P${i + 1}</p>`
+		).join('');
+
+		document.body.innerHTML = `
+			<div class="entry-content">${content}</div>
+			<script type="application/json" id="cta-highlights-auto-insert-data">
+			${JSON.stringify({
+				postId: 1,
+				contentSelector: '.entry-content',
+				chains,
+			})}
+			</script>
+		`;
+	};
+
+	// Text of the paragraph before each inserted CTA, keyed by CTA ID
+	const getPlacements = () =>
+		Array.from(
+			document.querySelectorAll('.cta-highlights-auto-inserted')
+		).map(
+			(wrapper) =>
+				`${wrapper.getAttribute('data-cta-id')}@${wrapper.previousElementSibling.textContent}`
+		);
+
+	beforeEach(() => {
+		global.resetAllMocks();
+		setupWordPressEnv();
+	});
+
+	afterEach(() => {
+		global.resetAllMocks();
+		resetWordPressEnv();
+	});
+
+	test('inserts one CTA per slot at its own position', () => {
+		renderChains([
+			{ ctas: [makeCTA(1, { insertion_position: 3 })] },
+			{
+				ctas: [
+					makeCTA(2, {
+						insertion_direction: 'reverse',
+						insertion_position: 4,
+					}),
+				],
+			},
+		]);
+		initAutoInsert();
+
+		expect(getPlacements()).toEqual(['1@P3', '2@P6']);
+		expect(
+			document
+				.querySelector('[data-cta-id="2"]')
+				.getAttribute('data-slot-index')
+		).toBe('1');
+	});
+
+	test('never puts the same CTA in two slots', () => {
+		renderChains([
+			{ ctas: [makeCTA(1, { insertion_position: 2 })] },
+			{
+				ctas: [
+					makeCTA(1, { insertion_position: 5 }),
+					makeCTA(2, { insertion_position: 5 }),
+				],
+			},
+			{
+				ctas: [makeCTA(2, { insertion_position: 8 })],
+				noMatch: { behavior: 'last' },
+			},
+		]);
+		initAutoInsert();
+
+		expect(getPlacements()).toEqual(['1@P2', '2@P5']);
+	});
+
+	test('repeats a slot every N elements up to the maximum', () => {
+		renderChains(
+			[
+				{
+					ctas: [makeCTA(1, { insertion_position: 2 })],
+					repeat: { every: 3, max: 3 },
+				},
+			],
+			20
+		);
+		initAutoInsert();
+
+		expect(getPlacements()).toEqual(['1@P2', '1@P5', '1@P8']);
+	});
+
+	test('stops repeating at the end of the content', () => {
+		renderChains(
+			[
+				{
+					ctas: [
+						makeCTA(1, {
+							insertion_direction: 'reverse',
+							insertion_position: 1,
+						}),
+					],
+					repeat: { every: 4, max: 0 },
+				},
+			],
+			10
+		);
+		initAutoInsert();
+
+		// Reverse placements in document order: before P10, P6 and P2
+		expect(getPlacements()).toEqual(['1@P1', '1@P5', '1@P9']);
+	});
+
+	test('re-selects the CTA for every placement of a repeating slot', () => {
+		renderChains([
+			{
+				ctas: [
+					makeCTA(1, { frequency_cap: { session: 1 } }),
+					makeCTA(2),
+				],
+				repeat: { every: 2, max: 2 },
+			},
+		]);
+		initAutoInsert();
+
+		expect(getPlacements()).toEqual(['1@P1', '2@P3']);
+	});
 });
 
 describe('Auto-Insert - DOM Insertion', () => {
@@ -629,7 +2718,7 @@ describe('Auto-Insert - DOM Insertion', () => {
 				"ctas": [{
 					"id": 123,
 					"content": "<p>Test CTA</p>",
-					"storage_condition_js": "true",
+					"storage_conditions": [],
 					"has_storage_conditions": false,
 					"insertion_direction": "forward",
 					"insertion_position": 1,
@@ -658,7 +2747,7 @@ describe('Auto-Insert - DOM Insertion', () => {
 				"ctas": [{
 					"id": 1,
 					"content": "<div class=\\"custom-cta\\"><h3>Title</h3><p>Content</p></div>",
-					"storage_condition_js": "true",
+					"storage_conditions": [],
 					"has_storage_conditions": false,
 					"insertion_direction": "forward",
 					"insertion_position": 1,
@@ -697,7 +2786,7 @@ describe('Auto-Insert - Analytics Tracking', () => {
 				"ctas": [{
 					"id": 1,
 					"content": "<p>CTA</p>",
-					"storage_condition_js": "true",
+					"storage_conditions": [],
 					"has_storage_conditions": false,
 					"insertion_direction": "forward",
 					"insertion_position": 1,
@@ -724,7 +2813,7 @@ describe('Auto-Insert - Analytics Tracking', () => {
 					{
 						"id": 1,
 						"content": "<p>Primary</p>",
-						"storage_condition_js": "false",
+						"storage_conditions": [{ "key": "never_set_key", "operator": "=", "value": "1", "datatype": "string" }],
 						"has_storage_conditions": true,
 						"insertion_direction": "forward",
 						"insertion_position": 1,
@@ -733,7 +2822,7 @@ describe('Auto-Insert - Analytics Tracking', () => {
 					{
 						"id": 2,
 						"content": "<p>Fallback</p>",
-						"storage_condition_js": "true",
+						"storage_conditions": [],
 						"has_storage_conditions": false,
 						"insertion_direction": "forward",
 						"insertion_position": 1,
@@ -532,6 +532,931 @@ describe('CTA Highlights - CTAHighlight Class', () => {
 	});
 });
 
+describe('CTA Highlights - Triggers', () => {
+	const VISIBLE = { top: 0, bottom: 100, height: 100 };
+	const BELOW = { top: 2000, bottom: 2100, height: 100 };
+
+	const setup = (attrs, rect = VISIBLE) => {
+		document.body.innerHTML = `<div class="cta-highlights-wrapper" data-highlight="true" data-template="default" ${attrs}></div>`;
+		const cta = document.querySelector('.cta-highlights-wrapper');
+		cta.getBoundingClientRect = jest.fn(() => rect);
+
+		return { cta, manager: initCTAHighlight() };
+	};
+
+	const setScroll = (scrollY) => {
+		Object.defineProperty(window, 'scrollY', {
+			configurable: true,
+			writable: true,
+			value: scrollY,
+		});
+	};
+
+	const matchMedia = (matchingQuery) =>
+		jest.fn((query) => ({ matches: query === matchingQuery }));
+
+	const { matchMedia: originalMatchMedia } = window;
+
+	beforeEach(() => {
+		global.resetAllMocks();
+		jest.useFakeTimers();
+		window.matchMedia = matchMedia(null);
+		setupWordPressEnv();
+	});
+
+	afterEach(() => {
+		jest.useRealTimers();
+		jest.restoreAllMocks();
+		window.matchMedia = originalMatchMedia;
+		delete document.documentElement.scrollHeight;
+		setScroll(0);
+		global.resetAllMocks();
+		resetWordPressEnv();
+		document.body.innerHTML = '';
+	});
+
+	test('highlights after N seconds on the page', () => {
+		const { manager } = setup('data-trigger="time:10"');
+
+		jest.advanceTimersByTime(9000);
+		expect(manager.isActive).toBe(false);
+
+		jest.advanceTimersByTime(1000);
+		expect(manager.isActive).toBe(true);
+	});
+
+	test('does not observe visibility before the trigger fires', () => {
+		setup('data-trigger="time:10"');
+
+		expect(global.__intersectionObserverInstances).toHaveLength(0);
+	});
+
+	test('highlights at the scroll depth', () => {
+		Object.defineProperty(document.documentElement, 'scrollHeight', {
+			configurable: true,
+			value: 4000,
+		});
+		const { manager } = setup('data-trigger="scroll:50"');
+
+		expect(manager.isActive).toBe(false);
+
+		setScroll(1500);
+		window.dispatchEvent(new Event('scroll'));
+
+		expect(manager.isActive).toBe(true);
+	});
+
+	test('highlights on exit intent toward the browser chrome', () => {
+		const { manager } = setup('data-trigger="exit"');
+
+		document.dispatchEvent(
+			new MouseEvent('mouseout', {
+				clientY: 200,
+				relatedTarget: document.body,
+			})
+		);
+		expect(manager.isActive).toBe(false);
+
+		document.dispatchEvent(new MouseEvent('mouseout', { clientY: -5 }));
+		expect(manager.isActive).toBe(true);
+	});
+
+	test('highlights on a fast upward scroll on touch devices', () => {
+		window.matchMedia = matchMedia('(pointer: coarse)');
+		const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+		setScroll(2000);
+		const { manager } = setup('data-trigger="exit"');
+
+		// Slow upward scroll
+		now.mockReturnValue(1100);
+		setScroll(1990);
+		window.dispatchEvent(new Event('scroll'));
+		expect(manager.isActive).toBe(false);
+
+		// Fast upward scroll
+		now.mockReturnValue(1200);
+		setScroll(1000);
+		window.dispatchEvent(new Event('scroll'));
+		expect(manager.isActive).toBe(true);
+	});
+
+	test('highlights after N seconds without activity', () => {
+		const { manager } = setup('data-trigger="idle:30"');
+
+		jest.advanceTimersByTime(20000);
+		window.dispatchEvent(new Event('mousemove'));
+		jest.advanceTimersByTime(20000);
+		expect(manager.isActive).toBe(false);
+
+		jest.advanceTimersByTime(10000);
+		expect(manager.isActive).toBe(true);
+	});
+
+	test('waits for an off-screen CTA to become visible', () => {
+		const { cta, manager } = setup('data-trigger="time:1"', BELOW);
+
+		jest.advanceTimersByTime(1000);
+		expect(manager.isActive).toBe(false);
+
+		cta.getBoundingClientRect = jest.fn(() => VISIBLE);
+		global.__intersectionObserverInstances[0].__trigger(true, cta);
+
+		expect(manager.isActive).toBe(true);
+	});
+
+	test('scrolls an off-screen CTA into view when configured', () => {
+		const { cta } = setup(
+			'data-trigger="time:1" data-trigger-offscreen="scroll"',
+			BELOW
+		);
+		cta.scrollIntoView = jest.fn();
+
+		jest.advanceTimersByTime(1000);
+
+		expect(cta.scrollIntoView).toHaveBeenCalledWith({
+			behavior: 'smooth',
+			block: 'center',
+		});
+		expect(global.__intersectionObserverInstances).toHaveLength(1);
+	});
+
+	test('scrolls without animation when reduced motion is preferred', () => {
+		window.matchMedia = matchMedia('(prefers-reduced-motion: reduce)');
+		const { cta } = setup(
+			'data-trigger="time:1" data-trigger-offscreen="scroll"',
+			BELOW
+		);
+		cta.scrollIntoView = jest.fn();
+
+		jest.advanceTimersByTime(1000);
+
+		expect(cta.scrollIntoView).toHaveBeenCalledWith({
+			behavior: 'auto',
+			block: 'center',
+		});
+	});
+
+	test('does not scroll to a CTA queued behind another highlight', () => {
+		document.body.innerHTML = `
+			<div class="cta-highlights-wrapper" data-highlight="true" data-template="first"></div>
+			<div class="cta-highlights-wrapper" data-highlight="true" data-template="second" data-trigger="time:1" data-trigger-offscreen="scroll"></div>
+		`;
+		const [first, second] = document.querySelectorAll(
+			'.cta-highlights-wrapper'
+		);
+		first.getBoundingClientRect = jest.fn(() => VISIBLE);
+		second.getBoundingClientRect = jest.fn(() => BELOW);
+		second.scrollIntoView = jest.fn();
+		const manager = initCTAHighlight();
+
+		global.__intersectionObserverInstances[0].__trigger(true, first);
+		jest.advanceTimersByTime(1000);
+		manager.dismiss('close-button');
+		jest.advanceTimersByTime(0);
+
+		expect(second.scrollIntoView).not.toHaveBeenCalled();
+		expect(manager.isActive).toBe(false);
+
+		second.getBoundingClientRect = jest.fn(() => VISIBLE);
+		global.__intersectionObserverInstances[1].__trigger(true, second);
+
+		expect(manager.activeCTA).toBe(second);
+	});
+
+	test('uses defaults for missing amounts and unknown modes', () => {
+		const manager = new CTAHighlight({});
+		const cta = document.createElement('div');
+
+		cta.dataset.trigger = 'idle';
+		expect(manager.getTrigger(cta)).toEqual({ mode: 'idle', amount: 30 });
+
+		cta.dataset.trigger = 'hover:5';
+		expect(manager.getTrigger(cta)).toEqual({
+			mode: 'visible',
+			amount: null,
+		});
+	});
+
+	test('destroy stops triggers that have not fired', () => {
+		const { manager } = setup('data-trigger="time:10"');
+
+		manager.destroy();
+
+		expect(() => jest.advanceTimersByTime(10000)).not.toThrow();
+		expect(manager.isActive).toBe(false);
+	});
+});
+
+describe('CTA Highlights - Cooldown Settings', () => {
+	const HOUR = 3600 * 1000;
+
+	const expiry = (key, store = localStorage) => {
+		const item = store.getItem(key);
+		return item ? JSON.parse(item).expiryTime - Date.now() : null;
+	};
+
+	const setup = (attrs = '') => {
+		document.body.innerHTML = `<div class="cta-highlights-wrapper" data-highlight="true" data-template="newsletter" ${attrs}></div>`;
+		const cta = document.querySelector('.cta-highlights-wrapper');
+		cta.getBoundingClientRect = jest.fn(() => ({
+			top: 0,
+			bottom: 100,
+			height: 100,
+		}));
+
+		return cta;
+	};
+
+	const show = (attrs, config = {}) => {
+		const cta = setup(attrs);
+		const manager = initCTAHighlight(config);
+		global.__intersectionObserverInstances[0].__trigger(true, cta);
+		return manager;
+	};
+
+	beforeEach(() => {
+		global.resetAllMocks();
+		jest.useFakeTimers();
+		setupWordPressEnv();
+	});
+
+	afterEach(() => {
+		jest.useRealTimers();
+		global.resetAllMocks();
+		resetWordPressEnv();
+		document.body.innerHTML = '';
+	});
+
+	test('uses the template cooldown map', () => {
+		show('', { templateCooldowns: { newsletter: 7 * 86400 } });
+
+		expect(expiry('cta_highlights_template_newsletter')).toBe(
+			7 * 24 * HOUR
+		);
+		expect(expiry('cta_highlights_global')).toBe(HOUR);
+	});
+
+	test('CTA attributes win over the template map and defaults', () => {
+		show('data-cooldown="14400" data-global-cooldown="60"', {
+			templateCooldowns: { newsletter: 7 * 86400 },
+		});
+
+		expect(expiry('cta_highlights_template_newsletter')).toBe(4 * HOUR);
+		expect(expiry('cta_highlights_global')).toBe(60 * 1000);
+	});
+
+	test('once per session is stored in sessionStorage', () => {
+		show('data-cooldown="session"');
+
+		expect(
+			localStorage.getItem('cta_highlights_template_newsletter')
+		).toBeNull();
+		expect(
+			sessionStorage.getItem('cta_highlights_template_newsletter')
+		).not.toBeNull();
+	});
+
+	test('once ever never expires', () => {
+		show('data-cooldown="once" data-global-cooldown="once"');
+
+		expect(expiry('cta_highlights_template_newsletter')).toBeGreaterThan(
+			5 * 365 * 24 * HOUR
+		);
+		expect(expiry('cta_highlights_global')).toBeGreaterThan(
+			5 * 365 * 24 * HOUR
+		);
+	});
+
+	test('setupObserver skips a CTA shown this session', () => {
+		show('data-cooldown="session" data-global-cooldown="0"');
+		global.__intersectionObserverInstances = [];
+		const events = [];
+		const record = (e) => events.push(e.detail.reason);
+		document.addEventListener('cta-highlights:cooldown-blocked', record);
+
+		setup();
+		initCTAHighlight();
+		document.removeEventListener('cta-highlights:cooldown-blocked', record);
+
+		expect(global.__intersectionObserverInstances).toHaveLength(0);
+		expect(events).toEqual(['template']);
+	});
+
+	test('an expired localStorage entry does not hide a session cooldown', () => {
+		const storage = new StorageManager();
+		const key = 'cta_highlights_template_newsletter';
+
+		storage.set(key, 3600, true);
+		localStorage.setItem(
+			key,
+			JSON.stringify({ timestamp: 0, expiryTime: Date.now() - 1000 })
+		);
+
+		expect(storage.isCooldownActive(key)).toBe(true);
+	});
+
+	test('instances of one template keep their own cooldowns', () => {
+		const instances = () => {
+			document.body.innerHTML = `
+				<div class="cta-highlights-wrapper" data-cooldown-key="short" data-highlight="true" data-template="newsletter" data-cooldown="60" data-global-cooldown="0"></div>
+				<div class="cta-highlights-wrapper" data-cooldown-key="long" data-highlight="true" data-template="newsletter" data-cooldown="3600" data-global-cooldown="0"></div>
+			`;
+			const ctas = Array.from(
+				document.querySelectorAll('.cta-highlights-wrapper')
+			);
+			ctas.forEach((cta) => {
+				cta.getBoundingClientRect = jest.fn(() => ({
+					top: 0,
+					bottom: 100,
+					height: 100,
+				}));
+			});
+			global.__intersectionObserverInstances = [];
+			return { ctas, manager: initCTAHighlight() };
+		};
+
+		const { ctas, manager } = instances();
+		global.__intersectionObserverInstances[0].__trigger(true, ctas[0]);
+		manager.dismiss('close-button');
+		global.__intersectionObserverInstances[1].__trigger(true, ctas[1]);
+
+		expect(manager.activeCTA).toBe(ctas[1]);
+		manager.dismiss('close-button');
+
+		expect(expiry('cta_highlights_cta_short')).toBe(60 * 1000);
+		expect(expiry('cta_highlights_cta_long')).toBe(HOUR);
+		expect(
+			localStorage.getItem('cta_highlights_template_newsletter')
+		).toBeNull();
+
+		jest.advanceTimersByTime(61 * 1000);
+		const events = [];
+		const record = (e) => events.push(e.detail.reason);
+		document.addEventListener('cta-highlights:cooldown-blocked', record);
+		instances();
+		document.removeEventListener('cta-highlights:cooldown-blocked', record);
+
+		expect(global.__intersectionObserverInstances).toHaveLength(1);
+		expect(events).toEqual(['cta']);
+	});
+
+	test('a CTA cooldown does not hold back CTAs of its template without one', () => {
+		const page = () => {
+			document.body.innerHTML = `
+				<div class="cta-highlights-wrapper" data-cooldown-key="42-offer" data-highlight="true" data-template="newsletter" data-cooldown="once" data-global-cooldown="0"></div>
+				<div class="cta-highlights-wrapper" data-highlight="true" data-template="newsletter"></div>
+			`;
+			global.__intersectionObserverInstances = [];
+			return initCTAHighlight();
+		};
+
+		const manager = page();
+		const [cta] = document.querySelectorAll('.cta-highlights-wrapper');
+		cta.getBoundingClientRect = jest.fn(() => ({
+			top: 0,
+			bottom: 100,
+			height: 100,
+		}));
+		global.__intersectionObserverInstances[0].__trigger(true, cta);
+		manager.dismiss('close-button');
+
+		const events = [];
+		const record = (e) => events.push(e.detail.reason);
+		document.addEventListener('cta-highlights:cooldown-blocked', record);
+		page();
+		document.removeEventListener('cta-highlights:cooldown-blocked', record);
+
+		expect(events).toEqual(['cta']);
+		expect(global.__intersectionObserverInstances).toHaveLength(1);
+		expect(
+			global.__intersectionObserverInstances[0].observedElements.has(
+				document.querySelectorAll('.cta-highlights-wrapper')[1]
+			)
+		).toBe(true);
+	});
+
+	test('resetCooldowns clears session cooldowns', () => {
+		new StorageManager().set('cta_highlights_global', 3600, true);
+
+		window.ctaHighlights.resetCooldowns();
+
+		expect(sessionStorage.getItem('cta_highlights_global')).toBeNull();
+	});
+});
+
+describe('CTA Highlights - Dismiss Reason Cooldowns', () => {
+	const HOUR = 3600 * 1000;
+
+	const expiry = (key) => {
+		const item = localStorage.getItem(key);
+		return item ? JSON.parse(item).expiryTime - Date.now() : null;
+	};
+
+	const showAndDismiss = (config, reason) => {
+		document.body.innerHTML =
+			'<div class="cta-highlights-wrapper" data-highlight="true" data-template="default"></div>';
+		const cta = document.querySelector('.cta-highlights-wrapper');
+		cta.getBoundingClientRect = jest.fn(() => ({
+			top: 0,
+			bottom: 100,
+			height: 100,
+		}));
+
+		const manager = initCTAHighlight(config);
+		global.__intersectionObserverInstances[0].__trigger(true, cta);
+		manager.dismiss(reason);
+
+		return manager;
+	};
+
+	beforeEach(() => {
+		global.resetAllMocks();
+		jest.useFakeTimers();
+		setupWordPressEnv();
+	});
+
+	afterEach(() => {
+		jest.useRealTimers();
+		global.resetAllMocks();
+		resetWordPressEnv();
+		document.body.innerHTML = '';
+	});
+
+	test('keeps the regular cooldowns for reasons without a setting', () => {
+		showAndDismiss(
+			{ dismissCooldowns: { 'anchor-click': { template: -1 } } },
+			'close-button'
+		);
+
+		expect(expiry('cta_highlights_global')).toBe(HOUR);
+		expect(expiry('cta_highlights_template_default')).toBe(24 * HOUR);
+	});
+
+	test('never shows the template again after a click-through', () => {
+		showAndDismiss(
+			{ dismissCooldowns: { 'anchor-click': { template: -1 } } },
+			'anchor-click'
+		);
+
+		expect(expiry('cta_highlights_global')).toBe(HOUR);
+		expect(expiry('cta_highlights_template_default')).toBeGreaterThan(
+			5 * 365 * 24 * HOUR
+		);
+	});
+
+	test('sets both cooldowns from a single number', () => {
+		showAndDismiss(
+			{ dismissCooldowns: { 'auto-timeout': 600 } },
+			'auto-timeout'
+		);
+
+		expect(expiry('cta_highlights_global')).toBe(600 * 1000);
+		expect(expiry('cta_highlights_template_default')).toBe(600 * 1000);
+	});
+
+	test('clears a cooldown set to 0', () => {
+		showAndDismiss(
+			{ dismissCooldowns: { 'escape-key': { global: 0 } } },
+			'escape-key'
+		);
+
+		expect(localStorage.getItem('cta_highlights_global')).toBeNull();
+		expect(expiry('cta_highlights_template_default')).toBe(24 * HOUR);
+	});
+});
+
+describe('CTA Highlights - Highlight Queue', () => {
+	const VISIBLE = { top: 0, bottom: 100, height: 100 };
+
+	const setup = ({ template, ...config }, ...priorities) => {
+		document.body.innerHTML = priorities
+			.map(
+				(priority, i) =>
+					`<div class="cta-highlights-wrapper" id="cta-${i}" data-highlight="true" data-template="${template || `t${i}`}" data-priority="${priority}"></div>`
+			)
+			.join('');
+
+		const ctas = Array.from(
+			document.querySelectorAll('.cta-highlights-wrapper')
+		);
+		ctas.forEach((cta) => {
+			cta.getBoundingClientRect = jest.fn(() => VISIBLE);
+		});
+
+		return { ctas, manager: initCTAHighlight(config) };
+	};
+
+	// Each CTA has its own observer, in document order
+	const show = (ctas, index) =>
+		global.__intersectionObserverInstances[index].__trigger(
+			true,
+			ctas[index]
+		);
+
+	beforeEach(() => {
+		global.resetAllMocks();
+		jest.useFakeTimers();
+		setupWordPressEnv();
+	});
+
+	afterEach(() => {
+		jest.useRealTimers();
+		global.resetAllMocks();
+		resetWordPressEnv();
+		document.body.innerHTML = '';
+	});
+
+	test('queues a CTA that becomes visible during a highlight', () => {
+		const { ctas, manager } = setup({ minGap: 0 }, 0, 0);
+
+		show(ctas, 0);
+		show(ctas, 1);
+		expect(manager.activeCTA).toBe(ctas[0]);
+
+		manager.dismiss('close-button');
+		jest.advanceTimersByTime(0);
+
+		expect(manager.activeCTA).toBe(ctas[1]);
+	});
+
+	test('waits the minimum gap between highlights', () => {
+		const { ctas, manager } = setup({ minGap: 10 }, 0, 0);
+
+		show(ctas, 0);
+		show(ctas, 1);
+		manager.dismiss('close-button');
+
+		jest.advanceTimersByTime(9999);
+		expect(manager.isActive).toBe(false);
+
+		jest.advanceTimersByTime(1);
+		expect(manager.activeCTA).toBe(ctas[1]);
+	});
+
+	test('highlights the queued CTA with the highest priority first', () => {
+		const { ctas, manager } = setup({ minGap: 0 }, 0, 1, 5);
+
+		show(ctas, 0);
+		show(ctas, 1);
+		show(ctas, 2);
+
+		manager.dismiss('close-button');
+		jest.advanceTimersByTime(0);
+		expect(manager.activeCTA).toBe(ctas[2]);
+
+		manager.dismiss('close-button');
+		jest.advanceTimersByTime(0);
+		expect(manager.activeCTA).toBe(ctas[1]);
+	});
+
+	test('stops at the maximum number of highlights per page', () => {
+		const { ctas, manager } = setup({ minGap: 0, maxPerPage: 1 }, 0, 0);
+
+		show(ctas, 0);
+		show(ctas, 1);
+		manager.dismiss('close-button');
+		jest.advanceTimersByTime(0);
+
+		expect(manager.isActive).toBe(false);
+		expect(manager.queue).toHaveLength(0);
+	});
+
+	test('waits again for a queued CTA that scrolled out of view', () => {
+		const { ctas, manager } = setup({ minGap: 0 }, 0, 0);
+
+		show(ctas, 0);
+		show(ctas, 1);
+		ctas[1].getBoundingClientRect = jest.fn(() => ({
+			top: 2000,
+			bottom: 2100,
+			height: 100,
+		}));
+		manager.dismiss('close-button');
+		jest.advanceTimersByTime(0);
+
+		expect(manager.isActive).toBe(false);
+
+		ctas[1].getBoundingClientRect = jest.fn(() => VISIBLE);
+		global.__intersectionObserverInstances[2].__trigger(true, ctas[1]);
+
+		expect(manager.activeCTA).toBe(ctas[1]);
+	});
+
+	test('highlights every queued CTA with the default cooldowns', () => {
+		const { ctas, manager } = setup({ template: 'same' }, 0, 0);
+		const activated = [];
+		const record = (e) => activated.push(e.detail.element);
+		document.addEventListener('cta-highlights:activate', record);
+
+		show(ctas, 0);
+		show(ctas, 1);
+		manager.dismiss('close-button');
+		jest.advanceTimersByTime(0);
+		document.removeEventListener('cta-highlights:activate', record);
+
+		expect(activated).toEqual([ctas[0], ctas[1]]);
+	});
+
+	test('skips a queued CTA whose cooldown started in another tab', () => {
+		const { ctas, manager } = setup({}, 0, 0);
+		const blocked = [];
+		ctas[1].addEventListener('cta-highlights:cooldown-blocked', (e) =>
+			blocked.push(e.detail.reason)
+		);
+
+		show(ctas, 0);
+		show(ctas, 1);
+		manager.storage.set('cta_highlights_template_t1', 3600);
+		manager.dismiss('close-button');
+		jest.advanceTimersByTime(0);
+
+		expect(manager.isActive).toBe(false);
+		expect(manager.queue).toHaveLength(0);
+		expect(blocked).toEqual(['template']);
+	});
+});
+
+describe('CTA Highlights - Events and API', () => {
+	const setup = (attrs = '') => {
+		document.body.innerHTML = `<div class="cta-highlights-wrapper" id="offer" data-highlight="true" data-template="default" ${attrs}><a href="#">Go</a></div>`;
+		const cta = document.querySelector('.cta-highlights-wrapper');
+		cta.getBoundingClientRect = jest.fn(() => ({
+			top: 0,
+			bottom: 100,
+			height: 100,
+		}));
+
+		return cta;
+	};
+
+	const record = (name) => {
+		const events = [];
+		const handler = (e) => events.push(e);
+		window.ctaHighlights.on(name, handler);
+		return { events, stop: () => window.ctaHighlights.off(name, handler) };
+	};
+
+	const cooldown = () =>
+		JSON.stringify({
+			timestamp: Date.now(),
+			expiryTime: Date.now() + 10000,
+		});
+
+	let listeners = [];
+
+	const listen = (name) => {
+		const recorder = record(name);
+		listeners.push(recorder.stop);
+		return recorder.events;
+	};
+
+	beforeEach(() => {
+		global.resetAllMocks();
+		document.body.innerHTML = '';
+		setupWordPressEnv();
+	});
+
+	afterEach(() => {
+		listeners.forEach((stop) => stop());
+		listeners = [];
+		if (window.ctaHighlightsManager) {
+			window.ctaHighlightsManager.destroy();
+			window.ctaHighlightsManager = null;
+		}
+		global.resetAllMocks();
+		resetWordPressEnv();
+		document.body.innerHTML = '';
+	});
+
+	test('dispatches activate with element, template and reason', () => {
+		const cta = setup();
+		const events = listen('activate');
+		initCTAHighlight();
+
+		global.__intersectionObserverInstances[0].__trigger(true, cta);
+
+		expect(events).toHaveLength(1);
+		expect(events[0].target).toBe(cta);
+		expect(events[0].detail).toEqual({
+			element: cta,
+			template: 'default',
+			reason: 'visible',
+		});
+	});
+
+	test('dispatches dismiss with the reason', () => {
+		const cta = setup();
+		const events = listen('cta-highlights:dismiss');
+		initCTAHighlight();
+
+		global.__intersectionObserverInstances[0].__trigger(true, cta);
+		document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+
+		expect(events).toHaveLength(1);
+		expect(events[0].detail.element).toBe(cta);
+		expect(events[0].detail.reason).toBe('escape-key');
+	});
+
+	test('dispatches cooldown-blocked for global and template cooldowns', () => {
+		const cta = setup();
+		const events = listen('cooldown-blocked');
+
+		localStorage.setItem('cta_highlights_template_default', cooldown());
+		initCTAHighlight();
+		localStorage.setItem('cta_highlights_global', cooldown());
+		initCTAHighlight();
+
+		expect(events.map((e) => e.detail.reason)).toEqual([
+			'template',
+			'global',
+		]);
+		expect(events[1].detail.element).toBe(cta);
+	});
+
+	test('dispatches init on document when the page is initialized', () => {
+		const events = listen('init');
+
+		window.ctaHighlights.refresh();
+
+		expect(events).toHaveLength(1);
+		expect(events[0].target).toBe(document);
+		expect(events[0].detail.element).toBeNull();
+	});
+
+	test('off removes a listener', () => {
+		const cta = setup();
+		const { events, stop } = record('activate');
+		initCTAHighlight();
+
+		stop();
+		global.__intersectionObserverInstances[0].__trigger(true, cta);
+
+		expect(events).toHaveLength(0);
+	});
+
+	test('highlight activates a CTA by ID despite cooldowns', () => {
+		const cta = setup();
+		localStorage.setItem('cta_highlights_global', cooldown());
+		const events = listen('activate');
+		window.ctaHighlights.refresh();
+
+		expect(window.ctaHighlights.highlight('offer')).toBe(true);
+
+		expect(window.ctaHighlights.isActive()).toBe(true);
+		expect(cta.classList.contains('cta-highlights-active')).toBe(true);
+		expect(events[0].detail.reason).toBe('api');
+	});
+
+	test('highlight accepts an element inside the CTA', () => {
+		const cta = setup();
+		window.ctaHighlights.refresh();
+
+		window.ctaHighlights.highlight(cta.querySelector('a'));
+
+		expect(window.ctaHighlightsManager.activeCTA).toBe(cta);
+	});
+
+	test('highlight returns false for elements outside a CTA', () => {
+		setup();
+		window.ctaHighlights.refresh();
+
+		expect(window.ctaHighlights.highlight('missing')).toBe(false);
+		expect(window.ctaHighlights.highlight(document.body)).toBe(false);
+		expect(window.ctaHighlights.isActive()).toBe(false);
+	});
+
+	test('dismiss closes the active highlight', () => {
+		setup();
+		const events = listen('dismiss');
+		window.ctaHighlights.refresh();
+		window.ctaHighlights.highlight('#offer');
+
+		window.ctaHighlights.dismiss();
+
+		expect(window.ctaHighlights.isActive()).toBe(false);
+		expect(events[0].detail.reason).toBe('api');
+	});
+
+	test('resetCooldowns removes highlight cooldowns only', () => {
+		localStorage.setItem('cta_highlights_global', cooldown());
+		localStorage.setItem('cta_highlights_template_default', cooldown());
+		localStorage.setItem('cta_hl_visits', '3');
+
+		expect(window.ctaHighlights.resetCooldowns()).toBe(2);
+
+		expect(localStorage.getItem('cta_highlights_global')).toBeNull();
+		expect(
+			localStorage.getItem('cta_highlights_template_default')
+		).toBeNull();
+		expect(localStorage.getItem('cta_hl_visits')).toBe('3');
+	});
+});
+
+describe('CTA Highlights - SPA Navigation', () => {
+	const activate = () => {
+		const cta = document.querySelector('.cta-highlights-wrapper');
+		cta.getBoundingClientRect = jest.fn(() => ({
+			top: 0,
+			bottom: 100,
+			height: 100,
+		}));
+		global.__intersectionObserverInstances[0].__trigger(true, cta);
+		return cta;
+	};
+
+	beforeEach(() => {
+		global.resetAllMocks();
+		document.body.innerHTML =
+			'<div class="cta-highlights-wrapper" data-highlight="true" data-template="default"></div>';
+		setupWordPressEnv();
+	});
+
+	afterEach(() => {
+		global.resetAllMocks();
+		resetWordPressEnv();
+		document.body.innerHTML = '';
+	});
+
+	test('destroy removes overlay and close button', () => {
+		const manager = initCTAHighlight();
+
+		manager.destroy();
+
+		expect(document.querySelector('.cta-highlights-overlay')).toBeNull();
+		expect(document.querySelector('.cta-highlights-close')).toBeNull();
+	});
+
+	test('destroy dismisses an active highlight', () => {
+		const manager = initCTAHighlight();
+		const cta = activate();
+
+		manager.destroy();
+
+		expect(manager.isActive).toBe(false);
+		expect(cta.classList.contains('cta-highlights-active')).toBe(false);
+	});
+
+	test('destroy does not fire a dismiss event or drain the queue', () => {
+		jest.useFakeTimers();
+		const manager = initCTAHighlight();
+		activate();
+		const processQueue = jest.spyOn(manager, 'processQueue');
+		const events = [];
+		const record = (e) => events.push(e.detail.reason);
+		document.addEventListener('cta-highlights:dismiss', record);
+
+		manager.destroy();
+		jest.runAllTimers();
+		jest.useRealTimers();
+		document.removeEventListener('cta-highlights:dismiss', record);
+
+		expect(events).toEqual([]);
+		expect(processQueue).not.toHaveBeenCalled();
+	});
+
+	test('destroy disconnects intersection observers', () => {
+		const manager = initCTAHighlight();
+		const observer = global.__intersectionObserverInstances[0];
+
+		manager.destroy();
+
+		expect(observer.observedElements.size).toBe(0);
+		expect(manager.observers).toHaveLength(0);
+	});
+
+	test('destroy removes event listeners', () => {
+		const manager = initCTAHighlight();
+		const dismiss = jest.spyOn(manager, 'dismiss');
+
+		manager.destroy();
+		dismiss.mockClear();
+		manager.isActive = true;
+		document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+
+		expect(dismiss).not.toHaveBeenCalled();
+	});
+
+	test('destroy can be called twice', () => {
+		const manager = initCTAHighlight();
+
+		manager.destroy();
+
+		expect(() => manager.destroy()).not.toThrow();
+	});
+
+	test('refresh replaces the manager', () => {
+		window.ctaHighlights.refresh();
+		const previous = window.ctaHighlightsManager;
+
+		window.ctaHighlights.refresh();
+
+		expect(window.ctaHighlightsManager).not.toBe(previous);
+		expect(
+			document.querySelectorAll('.cta-highlights-overlay')
+		).toHaveLength(1);
+	});
+});
+
 describe('CTA Highlights - Integration', () => {
 	beforeEach(() => {
 		// Reset mocks
@@ -12,6 +12,7 @@ require_once plugin_dir_path( __FILE__ ) . 'includes/AutoInsertion/Database.php'
 
 function cta_highlights_uninstall_cleanup() {
 	delete_option( 'cta_highlights_version' );
+	delete_option( 'cta_highlights_content_selectors' );
 
 	wp_cache_flush_group( 'cta_highlights_templates' );
 